@@ -0,0 +1,80 @@
+// Ambisonics (AmbiX: ACN channel order, SN3D normalization) encoding helpers
+// Orders 1-3; azimuth counterclockwise from front (left = +90°), elevation up
+
+export const AMBISONIC_ORDERS = [1, 2, 3];
+export const DEFAULT_AMBISONIC_ORDER = 1;
+
+/**
+ * Number of B-format channels for an order
+ * @param {number} order - Ambisonic order (1-3)
+ * @returns {number} - (order + 1)^2
+ */
+export function getAmbisonicChannelCount(order) {
+  return (order + 1) * (order + 1);
+}
+
+/**
+ * Clamp an order to the supported range
+ * @param {number} order
+ * @returns {number}
+ */
+export function normalizeAmbisonicOrder(order) {
+  const value = Math.round(Number(order));
+  if (!AMBISONIC_ORDERS.includes(value)) {
+    console.warn(`Unsupported Ambisonic order: ${order}, using ${DEFAULT_AMBISONIC_ORDER}`);
+    return DEFAULT_AMBISONIC_ORDER;
+  }
+  return value;
+}
+
+/**
+ * Real SN3D spherical harmonics in ACN order for a plane wave direction
+ * @param {number} azimuth - Degrees (0 = front, 90 = left)
+ * @param {number} elevation - Degrees (90 = up)
+ * @param {number} order - Ambisonic order (1-3)
+ * @returns {number[]} - Encoding gains, length (order + 1)^2
+ */
+export function encodeAmbisonicGains(azimuth, elevation, order) {
+  const az = (azimuth * Math.PI) / 180;
+  const el = (elevation * Math.PI) / 180;
+  const cosEl = Math.cos(el);
+  const sinEl = Math.sin(el);
+
+  // Order 0-1: W, Y, Z, X
+  const gains = [
+    1,
+    Math.sin(az) * cosEl,
+    sinEl,
+    Math.cos(az) * cosEl,
+  ];
+
+  if (order >= 2) {
+    const k2 = Math.sqrt(3) / 2;
+    gains.push(
+      k2 * Math.sin(2 * az) * cosEl * cosEl, // V
+      k2 * Math.sin(az) * Math.sin(2 * el), // T
+      0.5 * (3 * sinEl * sinEl - 1), // R
+      k2 * Math.cos(az) * Math.sin(2 * el), // S
+      k2 * Math.cos(2 * az) * cosEl * cosEl, // U
+    );
+  }
+
+  if (order >= 3) {
+    const k31 = Math.sqrt(5 / 8);
+    const k32 = Math.sqrt(15) / 2;
+    const k33 = Math.sqrt(3 / 8);
+    const cos3 = cosEl * cosEl * cosEl;
+    const polar = 5 * sinEl * sinEl - 1;
+    gains.push(
+      k31 * Math.sin(3 * az) * cos3, // Q
+      k32 * Math.sin(2 * az) * sinEl * cosEl * cosEl, // O
+      k33 * Math.sin(az) * cosEl * polar, // M
+      0.5 * sinEl * (5 * sinEl * sinEl - 3), // K
+      k33 * Math.cos(az) * cosEl * polar, // L
+      k32 * Math.cos(2 * az) * sinEl * cosEl * cosEl, // N
+      k31 * Math.cos(3 * az) * cos3, // P
+    );
+  }
+
+  return gains;
+}
@@ -2,15 +2,52 @@
 
 import { PROFILES, FAMILY_ORDER, FAMILY_COLORS } from './positions.js';
 import { parseTrackFilename, generateTrackId, sortTracksByFamily } from './track-parser.js';
-import { AudioEngine, STEREO_TECHNIQUES, POLAR_PATTERNS, createMicrophoneConfig } from './audio-engine.js';
+import {
+  AudioEngine,
+  POLAR_PATTERNS,
+  LISTENER_SEATS,
+  MAX_SPOT_MICS,
+  SPOT_MIC_LIMITS,
+  MAX_CUSTOM_TECHNIQUES,
+  MAX_ARRAY_MICS,
+  ARRAY_MIC_LIMITS,
+  PATTERN_ALPHA_LIMITS,
+  getPatternAlpha,
+  getPatternLabel,
+  SURROUND_LAYOUTS,
+  createMicrophoneConfig,
+  getListenerPose,
+  getTechnique,
+  getFixedPattern,
+  getNextCustomTechniqueId,
+  getNextArrayMicId,
+  createCustomTechniqueFromConfig,
+  calculateSpotAlignmentDelay,
+  validateSpotMic,
+} from './audio-engine.js';
 import { DEFAULT_XTC_CONFIG } from './xtc-config.js';
+import { STAGE_CONFIG } from './physics-constants.js';
+import { SPEAKER_LAYOUT_PRESETS, SPEAKER_LIMITS, MAX_SPEAKERS, createSpeakerLayout } from './loudspeakers.js';
+import { DEFAULT_ATMOSPHERE, ATMOSPHERE_PRESETS, validateAtmosphere, findAtmospherePreset, calculateSpeedOfSound } from './atmosphere.js';
 import { StageCanvas } from './stage-canvas.js?v=4';
 import { loadZipFromUrl, loadZipFromFile, extractAudioFiles, loadAudioFiles, mightNeedCorsProxy } from './zip-loader.js?v=3';
 import { audioBufferToWav, createWavBlob, downloadBlob, generateFilename } from './wav-encoder.js';
 import { audioBufferToMp3, isLameJsAvailable } from './mp3-encoder.js';
-import { ReverbManager } from './reverb.js';
-import { saveSession, loadSession, clearSession, hasSession, createSessionState, applySessionToTracks, setupUnloadWarning, debounce } from './persistence.js';
+import { ReverbManager, getPresetRoomConfig, validateRoomConfig, isMeasuredPreset } from './reverb.js';
+import { parseSofaFile, isSofaReaderAvailable, DEFAULT_HRTF_ID } from './hrtf.js';
+import { saveSession, loadSession, clearSession, hasSession, createSessionState, applySessionToTracks, setupUnloadWarning, debounce, saveImpulseResponse, loadImpulseResponses } from './persistence.js';
 import { copyAudioBuffer, DEFAULT_NOISE_GATE_OPTIONS } from './noise-gate.js';
+import { AUTOMATION_PARAMS, laneKey, countAutomation, remapAutomationTracks } from './automation.js';
+import { optimizeMicPlacement } from './mic-optimizer.js';
+import {
+  SOURCE_SHAPES,
+  SOURCE_WIDTH_LIMITS,
+  STEM_FORMATS,
+  STEM_SPACING_LIMITS,
+  STEM_ROTATION_LIMITS,
+  getSourceExtent,
+  getStemLayout,
+} from './source-extent.js';
 
 // Application state
 const state = {
@@ -22,14 +59,23 @@ const state = {
   reverbPreset: 'none',
   reverbMode: 'depth',
   reverbWetDb: 0,
+  reverbIrName: null, // Display name when reverbPreset is a measured IR
+  roomConfig: null, // Custom hall for early reflections (null = preset hall)
+  earlyReflectionsEnabled: true,
+  atmosphere: { ...DEFAULT_ATMOSPHERE }, // Air temperature (°C), humidity (%), pressure (kPa)
   groundReflectionEnabled: false,
   groundReflectionModel: 'stage',
   micSeparation: 2, // meters (legacy, now derived from micConfig)
   micConfig: createMicrophoneConfig('spaced-pair'), // Full microphone configuration
+  renderMode: 'mics', // 'mics', 'binaural' or 'speakers'
+  hrtfId: DEFAULT_HRTF_ID,
+  hrtfName: null,
+  speakerLayout: null, // Loudspeaker layout (null = default preset)
   noiseGateEnabled: false,
   noiseGateThreshold: DEFAULT_NOISE_GATE_OPTIONS.thresholdDb,
   xtcEnabled: false,
   xtcConfig: { ...DEFAULT_XTC_CONFIG },
+  automationArmed: false, // Record control changes as automation keyframes
   isLoading: false,
   hasUnsavedChanges: false,
 };
@@ -38,7 +84,6 @@ const state = {
 let audioEngine = null;
 let stageCanvas = null;
 let reverbManager = null;
-let isTrackDragActive = false;
 let masterMeterFrameId = null;
 let masterMeterSmoothedDb = null;
 let autoGainController = null;
@@ -87,8 +132,19 @@ const TECHNIQUE_WIKI = {
   'xy-coincident': 'https://en.wikipedia.org/wiki/Microphone_practice#X-Y_technique',
   'ortf': 'https://en.wikipedia.org/wiki/ORTF_stereo_technique',
   'blumlein': 'https://en.wikipedia.org/wiki/Blumlein_pair',
+  'mid-side': 'https://en.wikipedia.org/wiki/Microphone_practice',
   'decca-tree': 'https://en.wikipedia.org/wiki/Decca_tree',
+  'nos': 'https://en.wikipedia.org/wiki/NOS_stereo_technique',
+  'din': 'https://en.wikipedia.org/wiki/Microphone_practice#Near-coincident_technique',
+  'jecklin': 'https://en.wikipedia.org/wiki/Jecklin_disk',
+  'faulkner': 'https://en.wikipedia.org/wiki/Microphone_practice',
+  'wide-cardioids': 'https://en.wikipedia.org/wiki/Microphone_practice#A-B_stereo',
+  'fukada-tree': 'https://en.wikipedia.org/wiki/Surround_sound',
+  'ina-5': 'https://en.wikipedia.org/wiki/Surround_sound',
+  'oct-surround': 'https://en.wikipedia.org/wiki/Surround_sound',
+  'hamasaki-square': 'https://en.wikipedia.org/wiki/Surround_sound',
 };
+const CUSTOM_TECHNIQUE_WIKI = 'https://en.wikipedia.org/wiki/Microphone_practice';
 
 /**
  * Initialize the application
@@ -106,6 +162,7 @@ async function init() {
 
   // Initialize reverb manager
   reverbManager = new ReverbManager(audioEngine.context);
+  await restoreStoredImpulseResponses();
 
   // Initialize noise gate worker
   initNoiseGateWorker();
@@ -149,6 +206,7 @@ async function init() {
   // Update UI
   updateTransportUI();
   updateMicControlsUI();
+  updateRenderModeUI();
   updateXtcControlsUI();
   if (elements.groundReflectionModel) {
     elements.groundReflectionModel.value = state.groundReflectionEnabled
@@ -181,6 +239,9 @@ function cacheElements() {
   elements.rewindBtn = document.getElementById('rewind-btn');
   elements.seekBar = document.getElementById('seek-bar');
   elements.timeDisplay = document.getElementById('time-display');
+  elements.automationRecBtn = document.getElementById('automation-rec-btn');
+  elements.automationStatus = document.getElementById('automation-status');
+  elements.automationClearBtn = document.getElementById('automation-clear-btn');
   elements.masterGain = document.getElementById('master-gain');
   elements.masterGainValue = document.getElementById('master-gain-value');
   elements.masterAuto = document.getElementById('master-auto');
@@ -193,22 +254,113 @@ function cacheElements() {
   elements.reverbWet = document.getElementById('reverb-wet');
   elements.reverbWetValue = document.getElementById('reverb-wet-value');
   elements.reverbWetControl = document.querySelector('.reverb-wet-control');
+  elements.loadIrBtn = document.getElementById('load-ir-btn');
+  elements.irInput = document.getElementById('ir-input');
+  // Hall geometry (early reflections)
+  elements.roomSettingsBtn = document.getElementById('room-settings-btn');
+  elements.roomModal = document.getElementById('room-modal');
+  elements.roomSourceLabel = document.getElementById('room-source-label');
+  elements.earlyReflectionsToggle = document.getElementById('early-reflections-toggle');
+  elements.roomGrid = document.querySelector('.room-grid');
+  elements.roomInputs = {
+    width: document.getElementById('room-width'),
+    length: document.getElementById('room-length'),
+    height: document.getElementById('room-height'),
+    stageBackGap: document.getElementById('room-stage-gap'),
+    stageOffsetX: document.getElementById('room-stage-offset'),
+  };
+  elements.roomAbsorptionInputs = {
+    walls: document.getElementById('room-absorption-walls'),
+    stageWall: document.getElementById('room-absorption-stageWall'),
+    floor: document.getElementById('room-absorption-floor'),
+    ceiling: document.getElementById('room-absorption-ceiling'),
+  };
+  elements.roomResetBtn = document.getElementById('room-reset-btn');
+  elements.roomCloseBtn = document.getElementById('room-close-btn');
+  // Air (speed of sound and air absorption)
+  elements.atmospherePreset = document.getElementById('atmosphere-preset');
+  elements.atmosphereSpeedValue = document.getElementById('atmosphere-speed-value');
+  elements.atmosphereInputs = {
+    temperature: document.getElementById('atmosphere-temperature'),
+    humidity: document.getElementById('atmosphere-humidity'),
+    pressure: document.getElementById('atmosphere-pressure'),
+  };
   elements.groundReflectionModel = document.getElementById('ground-reflection-model');
+  // Output / binaural controls
+  elements.renderMode = document.getElementById('render-mode');
+  elements.stageView = document.getElementById('stage-view');
+  elements.stageLabels = document.getElementById('stage-labels');
+  elements.hrtfControls = document.getElementById('hrtf-controls');
+  elements.hrtfName = document.getElementById('hrtf-name');
+  elements.loadSofaBtn = document.getElementById('load-sofa-btn');
+  elements.resetHrtfBtn = document.getElementById('reset-hrtf-btn');
+  elements.sofaInput = document.getElementById('sofa-input');
+  elements.speakerControls = document.getElementById('speaker-controls');
+  elements.speakerLayoutName = document.getElementById('speaker-layout-name');
+  elements.editSpeakersBtn = document.getElementById('edit-speakers-btn');
+  elements.micControlsPrimary = document.querySelector('.mic-controls-primary');
+  // Listener controls
+  elements.listenerSeat = document.getElementById('listener-seat');
+  elements.listenerPositionValue = document.getElementById('listener-position-value');
+  elements.listenerHeight = document.getElementById('listener-height');
+  elements.listenerHeightValue = document.getElementById('listener-height-value');
+  elements.listenerFacing = document.getElementById('listener-facing');
+  elements.listenerFacingValue = document.getElementById('listener-facing-value');
+  elements.micControlsSecondaryBlock = document.querySelector('.hall-controls-bottom-right');
   // Microphone controls
   elements.micTechnique = document.getElementById('mic-technique');
   elements.micTechniqueWiki = document.getElementById('mic-technique-wiki');
+  elements.micTechniqueCustom = document.getElementById('mic-technique-custom');
   elements.micPattern = document.getElementById('mic-pattern');
+  elements.micPatternAlpha = document.getElementById('mic-pattern-alpha');
+  elements.micPatternAlphaValue = document.getElementById('mic-pattern-alpha-value');
+  elements.micDualCapsule = document.getElementById('mic-dual-capsule');
   elements.micSpacing = document.getElementById('mic-spacing');
   elements.micSpacingValue = document.getElementById('mic-spacing-value');
   elements.micAngle = document.getElementById('mic-angle');
   elements.micAngleValue = document.getElementById('mic-angle-value');
   elements.micAngleControl = document.querySelector('.mic-angle-control');
+  elements.micWidth = document.getElementById('mic-ms-width');
+  elements.micWidthValue = document.getElementById('mic-ms-width-value');
+  elements.micWidthControl = document.querySelector('.mic-width-control');
   elements.micSpacingControl = document.querySelector('.mic-spacing-control');
   elements.micCenterControls = document.querySelector('.mic-center-controls');
   elements.micCenterDepth = document.getElementById('mic-center-depth');
   elements.micCenterDepthValue = document.getElementById('mic-center-depth-value');
   elements.micCenterLevel = document.getElementById('mic-center-level');
   elements.micCenterLevelValue = document.getElementById('mic-center-level-value');
+  elements.micHeightTarget = document.getElementById('mic-height-target');
+  elements.micHeight = document.getElementById('mic-height');
+  elements.micHeightValue = document.getElementById('mic-height-value');
+  elements.micTilt = document.getElementById('mic-tilt');
+  elements.micTiltValue = document.getElementById('mic-tilt-value');
+  // Spot microphones
+  elements.optimizeMicsBtn = document.getElementById('optimize-mics-btn');
+  elements.spotMicsBtn = document.getElementById('spot-mics-btn');
+  elements.spotModal = document.getElementById('spot-modal');
+  elements.spotList = document.getElementById('spot-list');
+  elements.spotAddBtn = document.getElementById('spot-add-btn');
+  elements.spotCloseBtn = document.getElementById('spot-close-btn');
+  // Custom mic arrays
+  elements.arrayEditorBtn = document.getElementById('array-editor-btn');
+  elements.arrayModal = document.getElementById('array-modal');
+  elements.arraySelect = document.getElementById('array-select');
+  elements.arrayName = document.getElementById('array-name');
+  elements.arrayMicList = document.getElementById('array-mic-list');
+  elements.arrayAddMicBtn = document.getElementById('array-add-mic-btn');
+  elements.arrayNewBtn = document.getElementById('array-new-btn');
+  elements.arrayDeleteBtn = document.getElementById('array-delete-btn');
+  elements.arrayCloseBtn = document.getElementById('array-close-btn');
+  // Loudspeaker layout editor
+  elements.speakerModal = document.getElementById('speaker-modal');
+  elements.speakerDeviceNote = document.getElementById('speaker-device-note');
+  elements.speakerPreset = document.getElementById('speaker-preset');
+  elements.speakerLayoutNameInput = document.getElementById('speaker-layout-name-input');
+  elements.speakerList = document.getElementById('speaker-list');
+  elements.speakerJson = document.getElementById('speaker-json');
+  elements.speakerAddBtn = document.getElementById('speaker-add-btn');
+  elements.speakerJsonBtn = document.getElementById('speaker-json-btn');
+  elements.speakerCloseBtn = document.getElementById('speaker-close-btn');
   // XTC controls (post-processing)
   elements.xtcEnabled = document.getElementById('xtc-enabled');
   elements.xtcSettings = document.getElementById('xtc-settings');
@@ -232,6 +384,11 @@ function cacheElements() {
   elements.shareBtn = document.getElementById('share-btn');
   elements.downloadWavBtn = document.getElementById('download-wav-btn');
   elements.downloadMp3Btn = document.getElementById('download-mp3-btn');
+  elements.downloadAmbixBtn = document.getElementById('download-ambix-btn');
+  elements.downloadCapsulesBtn = document.getElementById('download-capsules-btn');
+  elements.ambisonicOrder = document.getElementById('ambisonic-order');
+  elements.downloadSurroundBtn = document.getElementById('download-surround-btn');
+  elements.surroundLayout = document.getElementById('surround-layout');
   elements.toastContainer = document.getElementById('toast-container');
   elements.trackListSection = document.getElementById('track-list-section');
   elements.trackListHeader = document.getElementById('track-list-header');
@@ -276,6 +433,8 @@ function setupEventListeners() {
   elements.stopBtn.addEventListener('click', stopPlayback);
   elements.rewindBtn.addEventListener('click', rewind);
   elements.seekBar.addEventListener('input', handleSeek);
+  elements.automationRecBtn?.addEventListener('click', toggleAutomationRecording);
+  elements.automationClearBtn?.addEventListener('click', clearAutomation);
 
   // Master controls
   elements.masterGain.addEventListener('input', handleMasterGainChange);
@@ -285,17 +444,90 @@ function setupEventListeners() {
   elements.reverbPreset.addEventListener('change', handleReverbPresetChange);
   elements.reverbMode?.addEventListener('change', handleReverbModeChange);
   elements.reverbWet.addEventListener('input', handleReverbWetChange);
+  elements.loadIrBtn?.addEventListener('click', () => elements.irInput.click());
+  elements.irInput?.addEventListener('change', handleIrUpload);
+
+  // Hall geometry modal
+  elements.roomSettingsBtn?.addEventListener('click', showRoomModal);
+  elements.roomCloseBtn?.addEventListener('click', hideRoomModal);
+  elements.roomResetBtn?.addEventListener('click', resetRoomConfig);
+  elements.earlyReflectionsToggle?.addEventListener('change', handleEarlyReflectionsToggle);
+  for (const input of [
+    ...Object.values(elements.roomInputs || {}),
+    ...Object.values(elements.roomAbsorptionInputs || {}),
+  ]) {
+    input?.addEventListener('input', handleRoomInputChange);
+  }
+  elements.atmospherePreset?.addEventListener('change', handleAtmospherePresetChange);
+  for (const input of Object.values(elements.atmosphereInputs || {})) {
+    input?.addEventListener('input', handleAtmosphereInputChange);
+  }
 
   // Physics controls
   elements.groundReflectionModel?.addEventListener('change', handleGroundReflectionModelChange);
 
+  // Output / binaural controls
+  elements.renderMode?.addEventListener('change', handleRenderModeChange);
+  elements.stageView?.addEventListener('change', handleStageViewChange);
+  elements.loadSofaBtn?.addEventListener('click', () => elements.sofaInput.click());
+  elements.sofaInput?.addEventListener('change', handleSofaUpload);
+  elements.resetHrtfBtn?.addEventListener('click', resetHrtf);
+  elements.editSpeakersBtn?.addEventListener('click', showSpeakerModal);
+
+  // Listener controls
+  elements.listenerSeat?.addEventListener('change', handleListenerSeatChange);
+  elements.listenerHeight?.addEventListener('input', handleListenerHeightChange);
+  elements.listenerFacing?.addEventListener('input', handleListenerFacingChange);
+
   // Microphone controls
   elements.micTechnique?.addEventListener('change', handleMicTechniqueChange);
   elements.micPattern?.addEventListener('change', handleMicPatternChange);
+  elements.micPatternAlpha?.addEventListener('input', handleMicPatternAlphaChange);
+  elements.micDualCapsule?.addEventListener('change', handleDualCapsuleToggle);
   elements.micSpacing?.addEventListener('input', handleMicSpacingChange);
   elements.micAngle?.addEventListener('input', handleMicAngleChange);
+  elements.micWidth?.addEventListener('input', handleMicWidthChange);
   elements.micCenterDepth?.addEventListener('input', handleMicCenterDepthChange);
   elements.micCenterLevel?.addEventListener('input', handleMicCenterLevelChange);
+  elements.micHeightTarget?.addEventListener('change', updateMicHeightUI);
+  elements.micHeight?.addEventListener('input', handleMicHeightChange);
+  elements.micHeight?.addEventListener('dblclick', handleMicHeightReset);
+  elements.micTilt?.addEventListener('input', handleMicTiltChange);
+
+  // Spot microphones
+  elements.optimizeMicsBtn?.addEventListener('click', handleOptimizeMics);
+  elements.spotMicsBtn?.addEventListener('click', showSpotModal);
+  elements.spotCloseBtn?.addEventListener('click', hideSpotModal);
+  elements.spotAddBtn?.addEventListener('click', addSpotMic);
+
+  // Custom mic arrays
+  elements.arrayEditorBtn?.addEventListener('click', showArrayModal);
+  elements.arrayCloseBtn?.addEventListener('click', hideArrayModal);
+  elements.arraySelect?.addEventListener('change', () => {
+    if (elements.arraySelect.value) selectMicTechnique(elements.arraySelect.value);
+    renderArrayEditor();
+  });
+  elements.arrayName?.addEventListener('change', () => {
+    const saved = updateCustomArray(custom => { custom.name = elements.arrayName.value; });
+    if (saved) renderArrayEditor();
+  });
+  elements.arrayAddMicBtn?.addEventListener('click', addArrayMic);
+  elements.arrayNewBtn?.addEventListener('click', createArrayFromCurrent);
+  elements.arrayDeleteBtn?.addEventListener('click', deleteCustomArray);
+
+  // Loudspeaker layout editor
+  elements.speakerCloseBtn?.addEventListener('click', hideSpeakerModal);
+  elements.speakerAddBtn?.addEventListener('click', addSpeaker);
+  elements.speakerJsonBtn?.addEventListener('click', applySpeakerJson);
+  elements.speakerPreset?.addEventListener('change', () => {
+    if (!elements.speakerPreset.value) return;
+    applySpeakerLayout(createSpeakerLayout(elements.speakerPreset.value));
+    renderSpeakerEditor();
+  });
+  elements.speakerLayoutNameInput?.addEventListener('change', () => {
+    updateSpeakerLayout(layout => { layout.name = elements.speakerLayoutNameInput.value; });
+    renderSpeakerEditor();
+  });
 
   // XTC controls
   elements.xtcEnabled?.addEventListener('change', handleXtcToggle);
@@ -320,6 +552,9 @@ function setupEventListeners() {
   elements.shareBtn?.addEventListener('click', shareConfig);
   elements.downloadWavBtn.addEventListener('click', downloadWav);
   elements.downloadMp3Btn.addEventListener('click', downloadMp3);
+  elements.downloadAmbixBtn.addEventListener('click', downloadAmbisonics);
+  elements.downloadCapsulesBtn?.addEventListener('click', downloadCapsuleStems);
+  elements.downloadSurroundBtn.addEventListener('click', downloadSurround);
   elements.cancelRenderBtn.addEventListener('click', cancelRender);
 
   // Restore modal
@@ -341,6 +576,7 @@ function setupEventListeners() {
   // Audio engine callbacks
   audioEngine.onTimeUpdate = updateTimeDisplay;
   audioEngine.onPlaybackEnd = handlePlaybackEnd;
+  audioEngine.onAutomationApply = handleAutomationApply;
 }
 
 /**
@@ -352,26 +588,61 @@ function setupStageCallbacks() {
     if (track) {
       track.x = x;
       track.y = y;
-      if (!isTrackDragActive) {
-        audioEngine.updateTrackPosition(trackId, x, y);
-      }
+      // Delays glide while dragging, so the move is heard with its Doppler shift
+      audioEngine.updateTrackPosition(trackId, x, y);
+      recordTrackAutomation(trackId, { x, y });
       updateTrackListItem(trackId);
       markUnsaved();
     }
   };
 
-  stageCanvas.onTrackMoveStart = (trackId) => {
-    isTrackDragActive = true;
-  };
-
   stageCanvas.onTrackMoveEnd = (trackId, x, y) => {
     const track = state.tracks.get(trackId);
-    isTrackDragActive = false;
     if (track) {
       track.x = x;
       track.y = y;
       audioEngine.updateTrackPosition(trackId, x, y);
-      audioEngine.scheduleGraphRebuild({ delayMs: 0 });
+      recordTrackAutomation(trackId, { x, y });
+      updateTrackListItem(trackId);
+      markUnsaved();
+      maybeScheduleAutoMasterGainUpdate();
+    }
+  };
+
+  stageCanvas.onTrackRotate = (trackId, facing) => {
+    const track = state.tracks.get(trackId);
+    if (track) {
+      track.facing = facing;
+      audioEngine.updateTrackFacing(trackId, facing);
+      markUnsaved();
+    }
+  };
+
+  stageCanvas.onTrackRotateEnd = (trackId, facing) => {
+    const track = state.tracks.get(trackId);
+    if (track) {
+      track.facing = facing;
+      audioEngine.updateTrackFacing(trackId, facing);
+      markUnsaved();
+      maybeScheduleAutoMasterGainUpdate();
+    }
+  };
+
+  stageCanvas.onTrackHeightChange = (trackId, height) => {
+    const track = state.tracks.get(trackId);
+    if (track) {
+      track.height = height;
+      audioEngine.updateTrackHeight(trackId, height);
+      updateTrackListItem(trackId);
+      markUnsaved();
+    }
+  };
+
+  stageCanvas.onTrackHeightChangeEnd = (trackId, height) => {
+    const track = state.tracks.get(trackId);
+    if (track) {
+      track.height = height;
+      audioEngine.updateTrackHeight(trackId, height);
       updateTrackListItem(trackId);
       markUnsaved();
       maybeScheduleAutoMasterGainUpdate();
@@ -396,6 +667,7 @@ function setupStageCallbacks() {
       const newGain = Math.max(0, Math.min(2, track.gain + delta));
       track.gain = newGain;
       audioEngine.updateTrackGain(trackId, newGain);
+      recordTrackAutomation(trackId, { gain: newGain });
       updateTrackListItem(trackId);
       markUnsaved();
       maybeScheduleAutoMasterGainUpdate();
@@ -407,6 +679,7 @@ function setupStageCallbacks() {
     if (track) {
       track.gain = newGain;
       audioEngine.updateTrackGain(trackId, newGain);
+      recordTrackAutomation(trackId, { gain: newGain });
       updateTrackListItem(trackId);
       markUnsaved();
       maybeScheduleAutoMasterGainUpdate();
@@ -418,6 +691,7 @@ function setupStageCallbacks() {
     if (track) {
       track.muted = muted;
       audioEngine.updateTrackMuted(trackId, muted);
+      recordTrackAutomation(trackId, { muted });
       updateTrackListItem(trackId);
       markUnsaved();
       maybeScheduleAutoMasterGainUpdate();
@@ -444,12 +718,14 @@ function setupStageCallbacks() {
       elements.micSpacingValue.textContent = `${separation.toFixed(2)}m`;
     }
     audioEngine.setMicSeparation(separation);
+    recordAutomation(laneKey('mic', 'spacing'), separation);
     markUnsaved();
     maybeScheduleAutoMasterGainUpdate();
   };
 
   // Full mic config change callback (from canvas drag)
   stageCanvas.onMicConfigChange = (config) => {
+    recordMicAutomation(state.micConfig, config);
     state.micConfig = config;
     state.micSeparation = config.spacing;
     updateMicControlsUI();
@@ -458,6 +734,17 @@ function setupStageCallbacks() {
     maybeScheduleAutoMasterGainUpdate();
   };
 
+  // Spot mic drag on canvas (params only, no graph rebuild)
+  stageCanvas.onSpotMicMove = (spotId, x, y) => {
+    const spot = audioEngine.updateSpotMic(spotId, { x, y });
+    state.micConfig.spots = audioEngine.getSpotMics();
+    if (spot) {
+      updateSpotMicReadouts(spot);
+    }
+    markUnsaved();
+    maybeScheduleAutoMasterGainUpdate();
+  };
+
   // Initialize canvas with mic config from state
   stageCanvas.setMicConfig(state.micConfig);
 }
@@ -484,6 +771,12 @@ function setupKeyboardShortcuts() {
           rewind();
         }
         break;
+      case 'KeyA':
+        if (!e.metaKey && !e.ctrlKey && !e.altKey) {
+          e.preventDefault();
+          toggleAutomationRecording();
+        }
+        break;
     }
   });
 }
@@ -840,6 +1133,13 @@ function createTracksFromPendingFiles() {
       family: primary.family,
       x: primary.defaultX,
       y: primary.defaultY,
+      facing: 0, // Degrees; 0 = toward the audience, positive = turned to the player's right
+      height: STAGE_CONFIG.sourceHeight, // Meters above the floor
+      width: 0, // Meters across the facing; 0 = point source (see source-extent.js)
+      shape: 'line',
+      channels: originalBuffer.numberOfChannels,
+      // Stereo stems play as an L/R pair, other channel counts as a downmix until set otherwise
+      ...getStemLayout({ channels: originalBuffer.numberOfChannels }),
       defaultX: primary.defaultX,
       defaultY: primary.defaultY,
       gain: 1,
@@ -983,8 +1283,17 @@ async function finalizeTracks() {
   // Add tracks to audio engine and stage
   for (const [id, track] of state.tracks) {
     audioEngine.addTrack(id, track.audioBuffer, {
+      // Instrument name selects the radiation model for single-recording tracks
+      name: track.name,
       x: track.x,
       y: track.y,
+      facing: track.facing,
+      height: track.height,
+      width: track.width,
+      shape: track.shape,
+      stemFormat: track.stemFormat,
+      stemSpacing: track.stemSpacing,
+      stemRotation: track.stemRotation,
       gain: track.gain,
       muted: track.muted,
       solo: track.solo,
@@ -998,6 +1307,14 @@ async function finalizeTracks() {
     stageCanvas.addTrack(id, {
       x: track.x,
       y: track.y,
+      facing: track.facing,
+      height: track.height,
+      width: track.width,
+      shape: track.shape,
+      channels: track.channels,
+      stemFormat: track.stemFormat,
+      stemSpacing: track.stemSpacing,
+      stemRotation: track.stemRotation,
       name: track.name,
       family: track.family,
       gain: track.gain,
@@ -1011,6 +1328,7 @@ async function finalizeTracks() {
 
   // Build track list UI
   buildTrackList();
+  updateAutomationUI();
 
   // Apply reverb
   updateReverb();
@@ -1030,9 +1348,11 @@ function clearTracks() {
   audioEngine.clearTracks();
   stageCanvas.clearTracks();
   state.tracks.clear();
+  state.automationArmed = false;
   elements.trackList.innerHTML = '';
   disableExportButtons();
   updateShareButtonState();
+  updateAutomationUI();
   if (autoGainTimer) {
     clearTimeout(autoGainTimer);
     autoGainTimer = null;
@@ -1162,6 +1482,24 @@ function createTrackListItem(track) {
   yValue.value = track.y.toFixed(2);
   yControl.append(yLabel, ySlider, yValue);
 
+  const hControl = document.createElement('div');
+  hControl.className = 'track-control';
+  const hLabel = document.createElement('label');
+  hLabel.textContent = 'H:';
+  hLabel.title = 'Source height (m)';
+  const hSlider = document.createElement('input');
+  hSlider.type = 'range';
+  hSlider.className = 'track-h-slider';
+  hSlider.min = String(STAGE_CONFIG.minSourceHeight);
+  hSlider.max = String(STAGE_CONFIG.maxSourceHeight);
+  hSlider.step = '0.05';
+  hSlider.value = track.height;
+  const hValue = document.createElement('input');
+  hValue.type = 'text';
+  hValue.className = 'value-input track-h-value';
+  hValue.value = track.height.toFixed(2);
+  hControl.append(hLabel, hSlider, hValue);
+
   const gainControl = document.createElement('div');
   gainControl.className = 'track-control';
   const gainLabel = document.createElement('label');
@@ -1179,14 +1517,91 @@ function createTrackListItem(track) {
   soloBtn.className = `track-solo ${track.solo ? 'active' : ''}`;
   soloBtn.textContent = 'S';
 
-  controls.append(xControl, yControl, gainControl, soloBtn);
+  const wControl = document.createElement('div');
+  wControl.className = 'track-control track-extent-control track-width-control';
+  const wLabel = document.createElement('label');
+  wLabel.textContent = 'W:';
+  wLabel.title = 'Source width (m): 0 = point; a section or choir is spread across it';
+  const wSlider = document.createElement('input');
+  wSlider.type = 'range';
+  wSlider.className = 'track-w-slider';
+  wSlider.min = String(SOURCE_WIDTH_LIMITS.min);
+  wSlider.max = String(SOURCE_WIDTH_LIMITS.max);
+  wSlider.step = String(SOURCE_WIDTH_LIMITS.step);
+  wSlider.value = track.width;
+  const wValue = document.createElement('input');
+  wValue.type = 'text';
+  wValue.className = 'value-input track-w-value';
+  wValue.value = track.width.toFixed(1);
+  const shapeSelect = document.createElement('select');
+  shapeSelect.className = 'track-shape';
+  shapeSelect.title = 'Layout of the players: a row, an arc around the conductor, or an area (two rows)';
+  for (const shape of Object.values(SOURCE_SHAPES)) {
+    shapeSelect.add(new Option(shape.name, shape.id, false, shape.id === track.shape));
+  }
+  wControl.append(wLabel, wSlider, wValue, shapeSelect, createTrackModeNote());
+  updateTrackModeNote(wControl);
+
+  controls.append(xControl, yControl, hControl, gainControl, soloBtn, wControl);
+
+  // Multichannel stems: channel layout, spacing and rotation of the channel sources
+  let stemSelect = null;
+  let spacingSlider = null;
+  let spacingValue = null;
+  let rotationSlider = null;
+  let rotationValue = null;
+  if (track.channels > 1) {
+    const stemControl = document.createElement('div');
+    stemControl.className = 'track-control track-extent-control track-stem-control';
+    const stemLabel = document.createElement('label');
+    stemLabel.textContent = 'Ch:';
+    stemLabel.title = `${track.channels}-channel stem: a mono downmix, a stereo pair, or a B-format (AmbiX) ring`;
+    stemSelect = document.createElement('select');
+    stemSelect.className = 'track-stem-format';
+    for (const format of Object.values(STEM_FORMATS)) {
+      if (format.channels <= track.channels) {
+        stemSelect.add(new Option(format.name, format.id, false, format.id === track.stemFormat));
+      }
+    }
+    spacingSlider = document.createElement('input');
+    spacingSlider.type = 'range';
+    spacingSlider.className = 'track-stem-spacing-slider';
+    spacingSlider.title = 'Spacing of the channel sources (m; ring diameter for B-format)';
+    spacingSlider.min = String(STEM_SPACING_LIMITS.min);
+    spacingSlider.max = String(STEM_SPACING_LIMITS.max);
+    spacingSlider.step = String(STEM_SPACING_LIMITS.step);
+    spacingSlider.value = track.stemSpacing;
+    spacingValue = document.createElement('input');
+    spacingValue.type = 'text';
+    spacingValue.className = 'value-input track-stem-spacing-value';
+    spacingValue.value = track.stemSpacing.toFixed(1);
+    rotationSlider = document.createElement('input');
+    rotationSlider.type = 'range';
+    rotationSlider.className = 'track-stem-rotation-slider';
+    rotationSlider.title = 'Rotation of the channel sources (degrees, on top of the facing)';
+    rotationSlider.min = String(STEM_ROTATION_LIMITS.min);
+    rotationSlider.max = String(STEM_ROTATION_LIMITS.max);
+    rotationSlider.step = String(STEM_ROTATION_LIMITS.step);
+    rotationSlider.value = track.stemRotation;
+    rotationValue = document.createElement('input');
+    rotationValue.type = 'text';
+    rotationValue.className = 'value-input track-stem-rotation-value';
+    rotationValue.value = String(Math.round(track.stemRotation));
+    stemControl.append(
+      stemLabel, stemSelect, spacingSlider, spacingValue, rotationSlider, rotationValue, createTrackModeNote()
+    );
+    updateTrackModeNote(stemControl);
+    controls.appendChild(stemControl);
+  }
   el.appendChild(controls);
+  updateSourceControls(el, track);
 
   // Event listeners
   muteCheckbox.addEventListener('change', () => {
     track.muted = !muteCheckbox.checked;
     audioEngine.updateTrackMuted(track.id, track.muted);
     stageCanvas.updateTrackMuted(track.id, track.muted);
+    recordTrackAutomation(track.id, { muted: track.muted });
     markUnsaved();
     maybeScheduleAutoMasterGainUpdate();
   });
@@ -1197,6 +1612,7 @@ function createTrackListItem(track) {
     xValue.value = x.toFixed(2);
     audioEngine.updateTrackPosition(track.id, x, track.y);
     stageCanvas.updateTrackPosition(track.id, x, track.y);
+    recordTrackAutomation(track.id, { x });
     markUnsaved();
     maybeScheduleAutoMasterGainUpdate();
   });
@@ -1207,6 +1623,30 @@ function createTrackListItem(track) {
     yValue.value = y.toFixed(2);
     audioEngine.updateTrackPosition(track.id, track.x, y);
     stageCanvas.updateTrackPosition(track.id, track.x, y);
+    recordTrackAutomation(track.id, { y });
+    markUnsaved();
+    maybeScheduleAutoMasterGainUpdate();
+  });
+
+  hSlider.addEventListener('input', () => {
+    const height = parseFloat(hSlider.value);
+    track.height = height;
+    hValue.value = height.toFixed(2);
+    audioEngine.updateTrackHeight(track.id, height);
+    stageCanvas.updateTrackHeight(track.id, height);
+    markUnsaved();
+    maybeScheduleAutoMasterGainUpdate();
+  });
+
+  hValue.addEventListener('change', () => {
+    let height = parseFloat(hValue.value);
+    if (isNaN(height)) height = STAGE_CONFIG.sourceHeight;
+    height = Math.max(STAGE_CONFIG.minSourceHeight, Math.min(STAGE_CONFIG.maxSourceHeight, height));
+    track.height = height;
+    hSlider.value = height;
+    hValue.value = height.toFixed(2);
+    audioEngine.updateTrackHeight(track.id, height);
+    stageCanvas.updateTrackHeight(track.id, height);
     markUnsaved();
     maybeScheduleAutoMasterGainUpdate();
   });
@@ -1220,6 +1660,7 @@ function createTrackListItem(track) {
     xValue.value = x.toFixed(2);
     audioEngine.updateTrackPosition(track.id, x, track.y);
     stageCanvas.updateTrackPosition(track.id, x, track.y);
+    recordTrackAutomation(track.id, { x });
     markUnsaved();
     maybeScheduleAutoMasterGainUpdate();
   });
@@ -1233,15 +1674,53 @@ function createTrackListItem(track) {
     yValue.value = y.toFixed(2);
     audioEngine.updateTrackPosition(track.id, track.x, y);
     stageCanvas.updateTrackPosition(track.id, track.x, y);
+    recordTrackAutomation(track.id, { y });
     markUnsaved();
     maybeScheduleAutoMasterGainUpdate();
   });
 
+  const setExtent = (changes) => {
+    Object.assign(track, getSourceExtent({ ...track, ...changes }));
+    wSlider.value = track.width;
+    wValue.value = track.width.toFixed(1);
+    shapeSelect.value = track.shape;
+    updateSourceControls(el, track);
+    audioEngine.updateTrackExtent(track.id, track);
+    stageCanvas.updateTrackExtent(track.id, track);
+    markUnsaved();
+    maybeScheduleAutoMasterGainUpdate();
+  };
+  wSlider.addEventListener('input', () => setExtent({ width: parseFloat(wSlider.value) }));
+  wValue.addEventListener('change', () => setExtent({ width: parseFloat(wValue.value) || 0 }));
+  shapeSelect.addEventListener('change', () => setExtent({ shape: shapeSelect.value }));
+
+  if (stemSelect) {
+    const setStemLayout = (changes) => {
+      Object.assign(track, getStemLayout({ ...track, ...changes }));
+      stemSelect.value = track.stemFormat;
+      spacingSlider.value = track.stemSpacing;
+      spacingValue.value = track.stemSpacing.toFixed(1);
+      rotationSlider.value = track.stemRotation;
+      rotationValue.value = String(Math.round(track.stemRotation));
+      updateSourceControls(el, track);
+      audioEngine.updateTrackStemLayout(track.id, track);
+      stageCanvas.updateTrackStemLayout(track.id, track);
+      markUnsaved();
+      maybeScheduleAutoMasterGainUpdate();
+    };
+    stemSelect.addEventListener('change', () => setStemLayout({ stemFormat: stemSelect.value }));
+    spacingSlider.addEventListener('input', () => setStemLayout({ stemSpacing: parseFloat(spacingSlider.value) }));
+    spacingValue.addEventListener('change', () => setStemLayout({ stemSpacing: parseFloat(spacingValue.value) || 0 }));
+    rotationSlider.addEventListener('input', () => setStemLayout({ stemRotation: parseFloat(rotationSlider.value) }));
+    rotationValue.addEventListener('change', () => setStemLayout({ stemRotation: parseFloat(rotationValue.value) || 0 }));
+  }
+
   gainSlider.addEventListener('input', () => {
     const gain = parseFloat(gainSlider.value);
     track.gain = gain;
     audioEngine.updateTrackGain(track.id, gain);
     stageCanvas.updateTrackGain(track.id, gain);
+    recordTrackAutomation(track.id, { gain });
     maybeScheduleAutoMasterGainUpdate();
     markUnsaved();
   });
@@ -1257,7 +1736,7 @@ function createTrackListItem(track) {
 
   // Click to select
   el.addEventListener('click', (e) => {
-    if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'BUTTON') {
+    if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'BUTTON' && e.target.tagName !== 'SELECT') {
       selectTrack(track.id, e.shiftKey);
       stageCanvas.selectTrack(track.id);
     }
@@ -1280,11 +1759,62 @@ function updateTrackListItem(trackId) {
   el.querySelector('.track-x-value').value = track.x.toFixed(2);
   el.querySelector('.track-y-slider').value = track.y;
   el.querySelector('.track-y-value').value = track.y.toFixed(2);
+  el.querySelector('.track-h-slider').value = track.height;
+  el.querySelector('.track-h-value').value = track.height.toFixed(2);
+  el.querySelector('.track-w-slider').value = track.width;
+  el.querySelector('.track-w-value').value = track.width.toFixed(1);
+  el.querySelector('.track-shape').value = track.shape;
+  if (track.channels > 1) {
+    el.querySelector('.track-stem-format').value = track.stemFormat;
+    el.querySelector('.track-stem-spacing-slider').value = track.stemSpacing;
+    el.querySelector('.track-stem-spacing-value').value = track.stemSpacing.toFixed(1);
+    el.querySelector('.track-stem-rotation-slider').value = track.stemRotation;
+    el.querySelector('.track-stem-rotation-value').value = String(Math.round(track.stemRotation));
+  }
+  updateSourceControls(el, track);
   el.querySelector('.track-gain-slider').value = track.gain;
   el.querySelector('.track-mute').checked = !track.muted;
   el.querySelector('.track-solo').classList.toggle('active', track.solo);
 }
 
+/**
+ * Note shown on a track's width or stem row in the modes that ignore it
+ */
+function createTrackModeNote() {
+  const note = document.createElement('span');
+  note.className = 'track-mode-note hidden';
+  return note;
+}
+
+/**
+ * Show the note on a width or stem row in binaural and loudspeaker modes, which render the
+ * track as a point (stems as a mono downmix) at its center; the setting still applies to
+ * the mic modes and exports
+ */
+function updateTrackModeNote(control) {
+  const isListenerMode = state.renderMode !== 'mics';
+  const modeName = state.renderMode === 'binaural' ? 'Binaural' : 'Loudspeaker';
+  const text = control.classList.contains('track-stem-control')
+    ? `${modeName} mode plays the stem as a mono downmix at the track's center`
+    : `${modeName} mode plays the track as a point at its center`;
+  control.classList.toggle('is-ignored', isListenerMode);
+  control.title = isListenerMode ? `${text}; this setting applies to the microphone modes` : '';
+  const note = control.querySelector('.track-mode-note');
+  note.textContent = isListenerMode ? 'ignored in this mode' : '';
+  note.classList.toggle('hidden', !isListenerMode);
+}
+
+/**
+ * Enable the width controls for mono stems only and the stem spacing/rotation for channel layouts
+ */
+function updateSourceControls(el, track) {
+  const isStem = track.stemFormat !== 'mono';
+  el.querySelector('.track-w-slider').disabled = isStem;
+  el.querySelector('.track-w-value').disabled = isStem;
+  el.querySelector('.track-shape').disabled = isStem || track.width <= 0;
+  el.querySelectorAll('.track-stem-control input').forEach(input => { input.disabled = !isStem; });
+}
+
 /**
  * Select a track
  */
@@ -1319,9 +1849,15 @@ function resetTrackPosition(trackId) {
 
   track.x = track.defaultX;
   track.y = track.defaultY;
+  track.facing = 0;
+  track.height = STAGE_CONFIG.sourceHeight;
 
   audioEngine.updateTrackPosition(trackId, track.x, track.y);
+  audioEngine.updateTrackFacing(trackId, track.facing);
+  audioEngine.updateTrackHeight(trackId, track.height);
   stageCanvas.updateTrackPosition(trackId, track.x, track.y);
+  stageCanvas.updateTrackFacing(trackId, track.facing);
+  stageCanvas.updateTrackHeight(trackId, track.height);
   updateTrackListItem(trackId);
   markUnsaved();
   maybeScheduleAutoMasterGainUpdate();
@@ -1334,8 +1870,14 @@ function resetPositions() {
   for (const [id, track] of state.tracks) {
     track.x = track.defaultX;
     track.y = track.defaultY;
+    track.facing = 0;
+    track.height = STAGE_CONFIG.sourceHeight;
     audioEngine.updateTrackPosition(id, track.x, track.y);
+    audioEngine.updateTrackFacing(id, track.facing);
+    audioEngine.updateTrackHeight(id, track.height);
     stageCanvas.updateTrackPosition(id, track.x, track.y);
+    stageCanvas.updateTrackFacing(id, track.facing);
+    stageCanvas.updateTrackHeight(id, track.height);
   }
   buildTrackList();
   markUnsaved();
@@ -1349,14 +1891,26 @@ function resetAll() {
   for (const [id, track] of state.tracks) {
     track.x = track.defaultX;
     track.y = track.defaultY;
+    track.facing = 0;
+    track.height = STAGE_CONFIG.sourceHeight;
+    track.width = 0;
+    Object.assign(track, getStemLayout({ channels: track.channels }));
     track.gain = 1;
     track.muted = false;
     track.solo = false;
     audioEngine.updateTrackPosition(id, track.x, track.y);
+    audioEngine.updateTrackFacing(id, track.facing);
+    audioEngine.updateTrackHeight(id, track.height);
+    audioEngine.updateTrackExtent(id, track);
+    audioEngine.updateTrackStemLayout(id, track);
     audioEngine.updateTrackGain(id, track.gain);
     audioEngine.updateTrackMuted(id, track.muted);
     audioEngine.updateTrackSolo(id, track.solo);
     stageCanvas.updateTrackPosition(id, track.x, track.y);
+    stageCanvas.updateTrackFacing(id, track.facing);
+    stageCanvas.updateTrackHeight(id, track.height);
+    stageCanvas.updateTrackExtent(id, track);
+    stageCanvas.updateTrackStemLayout(id, track);
   }
   buildTrackList();
   markUnsaved();
@@ -1410,6 +1964,124 @@ function handleSeek(e) {
   audioEngine.seek(time);
 }
 
+/**
+ * Arm/disarm automation recording
+ * While armed, control changes are written as keyframes at the playhead.
+ */
+function toggleAutomationRecording() {
+  if (state.tracks.size === 0) return;
+  state.automationArmed = !state.automationArmed;
+  updateAutomationUI();
+  setStatus(state.automationArmed
+    ? 'Automation armed: changes are recorded at the playhead'
+    : 'Automation recording off', 'info');
+}
+
+/**
+ * Remove all automation lanes
+ */
+function clearAutomation() {
+  audioEngine.setAutomation(null);
+  updateAutomationUI();
+  markUnsaved();
+  showToast('Automation cleared', 'info');
+}
+
+/**
+ * Write a keyframe if automation recording is armed
+ * @param {string} key - Lane key (see laneKey in automation.js)
+ * @param {number|boolean} value
+ */
+function recordAutomation(key, value) {
+  if (!state.automationArmed) return;
+  audioEngine.writeAutomation(key, value);
+  updateAutomationUI();
+}
+
+/**
+ * Record track parameters that were just changed
+ * @param {string} trackId
+ * @param {Object} values - Subset of {x, y, gain, muted}
+ */
+function recordTrackAutomation(trackId, values) {
+  for (const [param, value] of Object.entries(values)) {
+    recordAutomation(laneKey('track', param, trackId), value);
+  }
+}
+
+/**
+ * Record the automatable mic/listener parameters that differ between two mic configs
+ */
+function recordMicAutomation(previousConfig, nextConfig) {
+  if (!state.automationArmed) return;
+  for (const param of Object.keys(AUTOMATION_PARAMS.mic)) {
+    const value = nextConfig[param];
+    if (Number.isFinite(value) && value !== previousConfig[param]) {
+      recordAutomation(laneKey('mic', param), value);
+    }
+  }
+}
+
+/**
+ * Sync automation controls with the armed state and lane count
+ */
+function updateAutomationUI() {
+  const { lanes, keyframes } = countAutomation(audioEngine.getAutomation());
+  elements.automationRecBtn?.classList.toggle('active', state.automationArmed);
+  if (elements.automationRecBtn) {
+    elements.automationRecBtn.disabled = state.tracks.size === 0;
+  }
+  if (elements.automationStatus) {
+    elements.automationStatus.textContent = lanes > 0
+      ? `${lanes} lane${lanes === 1 ? '' : 's'} · ${keyframes} keys`
+      : 'No automation';
+  }
+  if (elements.automationClearBtn) {
+    elements.automationClearBtn.disabled = lanes === 0;
+  }
+}
+
+/**
+ * Reflect automated values in the UI (called by the engine during playback and on seek)
+ * Engine state is already updated; this only syncs app state, canvas and controls.
+ * @param {Object} values - Result of getAutomationValues
+ */
+function handleAutomationApply(values) {
+  for (const [id] of values.tracks) {
+    const track = state.tracks.get(id);
+    const engineTrack = audioEngine.getTrack(id);
+    if (!track || !engineTrack) continue;
+    track.x = engineTrack.x;
+    track.y = engineTrack.y;
+    track.gain = engineTrack.gain;
+    track.muted = engineTrack.muted;
+    stageCanvas.updateTrackPosition(id, track.x, track.y);
+    stageCanvas.updateTrackGain(id, track.gain);
+    stageCanvas.updateTrackMuted(id, track.muted);
+    updateTrackListItem(id);
+  }
+
+  if (Object.keys(values.mic).length > 0) {
+    state.micConfig = audioEngine.getMicConfig();
+    state.micSeparation = state.micConfig.spacing;
+    stageCanvas.setMicConfig(state.micConfig);
+    updateMicControlsUI();
+    updateListenerControlsUI();
+  }
+
+  if (Number.isFinite(values.master.gain)) {
+    state.masterGainDb = clampMasterGainDb(gainToDb(audioEngine.masterGain));
+    elements.masterGain.value = state.masterGainDb;
+    elements.masterGainValue.textContent = formatDbFixed(state.masterGainDb);
+  }
+
+  if (Number.isFinite(values.reverb.wet)) {
+    state.reverbWetDb = gainToDb(audioEngine.reverbWet);
+    elements.reverbWet.value = state.reverbWetDb;
+    elements.reverbWetValue.textContent = formatDb(state.reverbWetDb);
+  }
+}
+
 /**
  * Handle master gain change
  */
@@ -1424,6 +2096,7 @@ function handleMasterGainChange(e) {
     setMasterAutoStatus('');
   }
   setMasterGainDb(gainDb);
+  recordAutomation(laneKey('master', 'gain'), dbToGain(state.masterGainDb));
 }
 
 /**
@@ -1440,6 +2113,104 @@ function handleReverbPresetChange(e) {
   maybeScheduleAutoMasterGainUpdate();
 }
 
+/**
+ * Handle measured impulse response upload (WAV)
+ */
+async function handleIrUpload(e) {
+  const file = e.target.files[0];
+  elements.irInput.value = '';
+  if (!file) return;
+
+  try {
+    const arrayBuffer = await file.arrayBuffer();
+    const preset = await reverbManager.loadImpulseResponse(arrayBuffer, file.name);
+    updateMeasuredIrOptions();
+
+    state.reverbPreset = preset.id;
+    elements.reverbPreset.value = preset.id;
+    if (elements.reverbMode) {
+      elements.reverbMode.disabled = false;
+    }
+    updateReverb();
+
+    const ir = reverbManager.getImpulseResponse(preset.id);
+    const stored = saveImpulseResponse({
+      id: preset.id,
+      name: preset.name,
+      sampleRate: ir.sampleRate,
+      channelData: Array.from({ length: ir.numberOfChannels }, (_, c) => ir.getChannelData(c)),
+    });
+
+    const layout = { 1: 'mono', 2: 'stereo', 4: 'true stereo' }[preset.channels];
+    showToast(`Loaded IR: ${layout}, ${preset.duration.toFixed(2)}s`, 'success');
+    if (!stored) {
+      showToast('IR too large to keep in this browser — load it again after a reload', 'info');
+    }
+    markUnsaved();
+    maybeScheduleAutoMasterGainUpdate();
+  } catch (error) {
+    console.error('Failed to load impulse response:', error);
+    showToast(`Could not load IR: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Register measured IRs saved in this browser as reverb presets
+ */
+async function restoreStoredImpulseResponses() {
+  for (const ir of loadImpulseResponses()) {
+    try {
+      await reverbManager.registerImpulseResponseData(ir.id, ir.name, ir.channelData, ir.sampleRate);
+    } catch (error) {
+      console.warn(`Failed to restore impulse response ${ir.name}:`, error);
+    }
+  }
+  updateMeasuredIrOptions();
+}
+
+/**
+ * List measured IRs in the reverb preset dropdown
+ */
+function updateMeasuredIrOptions() {
+  const select = elements.reverbPreset;
+  if (!select) return;
+
+  const presets = reverbManager.getMeasuredPresets();
+  let group = select.querySelector('optgroup[data-measured]');
+  if (presets.length === 0) {
+    group?.remove();
+    return;
+  }
+  if (!group) {
+    group = document.createElement('optgroup');
+    group.label = 'Measured IRs';
+    group.dataset.measured = 'true';
+    select.appendChild(group);
+  }
+
+  group.replaceChildren(...presets.map(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    return option;
+  }));
+  select.value = state.reverbPreset;
+}
+
+/**
+ * Fall back to no reverb when a saved/shared preset refers to an IR that is not loaded
+ * @param {string} presetName - Saved preset name
+ * @param {string|null} irName - Display name of the measured IR
+ * @returns {string} - Preset to use
+ */
+function resolveReverbPreset(presetName, irName) {
+  if (!isMeasuredPreset(presetName) || reverbManager.hasPreset(presetName)) {
+    return presetName;
+  }
+  showToast(`Reverb off — load ${irName || 'the measured impulse response'} to use it`, 'info');
+  return 'none';
+}
+
 /**
  * Handle reverb mode change
  */
@@ -1677,6 +2448,7 @@ function handleReverbWetChange(e) {
   state.reverbWetDb = wetDb;
   audioEngine.setReverbWet(dbToGain(wetDb));
   elements.reverbWetValue.textContent = formatDb(wetDb);
+  recordAutomation(laneKey('reverb', 'wet'), dbToGain(wetDb));
   markUnsaved();
   maybeScheduleAutoMasterGainUpdate();
 }
@@ -1700,111 +2472,1311 @@ function handleGroundReflectionModelChange(e) {
 }
 
 /**
- * Handle mic technique change
+ * Hall shown in the modal: custom, the preset's, or the concert hall for the dry preset
  */
-function handleMicTechniqueChange(e) {
-  const techniqueId = e.target.value;
-  state.micConfig = createMicrophoneConfig(techniqueId);
-  state.micSeparation = state.micConfig.spacing;
+function getDisplayedRoomConfig() {
+  return state.roomConfig
+    || getPresetRoomConfig(state.reverbPreset)
+    || getPresetRoomConfig('concert-hall');
+}
 
-  // Update wiki link for this technique
-  if (elements.micTechniqueWiki && TECHNIQUE_WIKI[techniqueId]) {
-    elements.micTechniqueWiki.href = TECHNIQUE_WIKI[techniqueId];
-  }
+/**
+ * Show hall geometry modal
+ */
+function showRoomModal() {
+  updateRoomControlsUI();
+  elements.roomModal?.classList.remove('hidden');
+}
 
-  // Update UI visibility based on technique
-  updateMicControlsUI();
+/**
+ * Hide hall geometry modal
+ */
+function hideRoomModal() {
+  elements.roomModal?.classList.add('hidden');
+}
 
-  // Sync with audio engine and canvas
-  audioEngine.setMicConfig(state.micConfig);
-  state.micConfig = audioEngine.getMicConfig();
-  state.micSeparation = state.micConfig.spacing;
-  stageCanvas.setMicConfig(state.micConfig);
+/**
+ * Handle any hall geometry/absorption slider change (switches to a custom hall)
+ */
+function handleRoomInputChange() {
+  const room = { absorption: {} };
+  for (const [key, input] of Object.entries(elements.roomInputs)) {
+    room[key] = parseFloat(input.value);
+  }
+  for (const [key, input] of Object.entries(elements.roomAbsorptionInputs)) {
+    room.absorption[key] = parseFloat(input.value);
+  }
+
+  state.roomConfig = validateRoomConfig(room);
+  audioEngine.setRoomConfig(state.roomConfig);
+  updateRoomControlsUI();
   markUnsaved();
   maybeScheduleAutoMasterGainUpdate();
 }
 
 /**
- * Handle mic polar pattern change
+ * Go back to the reverb preset's hall
  */
-function handleMicPatternChange(e) {
-  const pattern = e.target.value;
-  audioEngine.setMicPattern(pattern);
-  state.micConfig = audioEngine.getMicConfig();
-  stageCanvas.setMicConfig(state.micConfig);
+function resetRoomConfig() {
+  state.roomConfig = null;
+  audioEngine.setRoomConfig(null);
+  updateRoomControlsUI();
   markUnsaved();
   maybeScheduleAutoMasterGainUpdate();
 }
 
 /**
- * Handle mic spacing change
+ * Handle early reflections toggle
  */
-function handleMicSpacingChange(e) {
-  const spacing = parseFloat(e.target.value);
-  state.micSeparation = spacing;
-  state.micConfig.spacing = spacing;
-  elements.micSpacingValue.textContent = `${spacing.toFixed(2)}m`;
-  audioEngine.setMicSeparation(spacing);
-  stageCanvas.setMicSeparation(spacing);
+function handleEarlyReflectionsToggle(e) {
+  state.earlyReflectionsEnabled = e.target.checked;
+  audioEngine.setEarlyReflectionsEnabled(state.earlyReflectionsEnabled);
+  updateRoomControlsUI();
   markUnsaved();
   maybeScheduleAutoMasterGainUpdate();
 }
 
 /**
- * Handle mic angle change
+ * Handle air conditions preset change
  */
-function handleMicAngleChange(e) {
-  const angle = parseFloat(e.target.value);
-  state.micConfig.angle = angle;
-  elements.micAngleValue.textContent = `${angle}°`;
-  audioEngine.setMicAngle(angle);
-  stageCanvas.setMicAngle(angle);
-  markUnsaved();
-  maybeScheduleAutoMasterGainUpdate();
+function handleAtmospherePresetChange(e) {
+  const preset = ATMOSPHERE_PRESETS[e.target.value];
+  if (!preset) return;
+  setAtmosphere({ temperature: preset.temperature, humidity: preset.humidity, pressure: preset.pressure });
 }
 
 /**
- * Handle mic center depth change (Decca Tree)
+ * Handle temperature/humidity/pressure slider change
  */
-function handleMicCenterDepthChange(e) {
-  const depth = parseFloat(e.target.value);
-  state.micConfig.centerDepth = depth;
-  elements.micCenterDepthValue.textContent = `${depth.toFixed(1)}m`;
-  audioEngine.setCenterDepth(depth);
-  stageCanvas.setCenterDepth(depth);
-  markUnsaved();
-  maybeScheduleAutoMasterGainUpdate();
+function handleAtmosphereInputChange() {
+  const atmosphere = {};
+  for (const [key, input] of Object.entries(elements.atmosphereInputs)) {
+    atmosphere[key] = parseFloat(input.value);
+  }
+  setAtmosphere(atmosphere);
 }
 
 /**
- * Handle mic center level change (Decca Tree)
+ * Apply air conditions to the engine and UI
  */
-function handleMicCenterLevelChange(e) {
-  const level = parseFloat(e.target.value);
-  state.micConfig.centerLevel = level;
-  elements.micCenterLevelValue.textContent = `${level.toFixed(1)}dB`;
-  audioEngine.setCenterLevel(level);
+function setAtmosphere(atmosphere) {
+  state.atmosphere = validateAtmosphere(atmosphere);
+  audioEngine.setAtmosphere(state.atmosphere);
+  updateAtmosphereControlsUI();
   markUnsaved();
   maybeScheduleAutoMasterGainUpdate();
 }
 
-function updateXtcReadout() {
-  if (!elements.xtcDelayValue || !elements.xtcGainValue || !audioEngine) return;
-  const { computed } = audioEngine.getXtcState();
-  const delayMs = computed?.delaySeconds ? computed.delaySeconds * 1000 : 0;
-  const gainDb = computed?.crossGainDb ?? -Infinity;
-  const gainText = Number.isFinite(gainDb) ? `${gainDb.toFixed(1)} dB` : '-inf dB';
-  elements.xtcDelayValue.textContent = `${delayMs.toFixed(2)} ms`;
-  elements.xtcGainValue.textContent = gainText;
+/**
+ * Sync air controls with state
+ */
+function updateAtmosphereControlsUI() {
+  if (!elements.atmospherePreset) return;
+
+  const { temperature, humidity, pressure } = state.atmosphere;
+  elements.atmospherePreset.value = findAtmospherePreset(state.atmosphere) || 'custom';
+  elements.atmosphereInputs.temperature.value = temperature;
+  elements.atmosphereInputs.humidity.value = humidity;
+  elements.atmosphereInputs.pressure.value = pressure;
+  document.getElementById('atmosphere-temperature-value').textContent = `${temperature}°C`;
+  document.getElementById('atmosphere-humidity-value').textContent = `${humidity}%`;
+  document.getElementById('atmosphere-pressure-value').textContent = `${pressure.toFixed(1)} kPa`;
+  elements.atmosphereSpeedValue.textContent = `${calculateSpeedOfSound(temperature).toFixed(1)} m/s`;
 }
 
-function updateXtcControlsUI() {
-  if (!elements.xtcEnabled) return;
-  if (audioEngine) {
-    const xtcState = audioEngine.getXtcState();
-    state.xtcEnabled = xtcState.enabled;
-    state.xtcConfig = { ...state.xtcConfig, ...xtcState.config };
-  }
+/**
+ * Sync hall modal controls with state
+ */
+function updateRoomControlsUI() {
+  if (!elements.roomModal) return;
+
+  const room = getDisplayedRoomConfig();
+  for (const [key, input] of Object.entries(elements.roomInputs)) {
+    input.value = room[key];
+    document.getElementById(`${input.id}-value`).textContent = `${room[key]} m`;
+  }
+  for (const [key, input] of Object.entries(elements.roomAbsorptionInputs)) {
+    input.value = room.absorption[key];
+    document.getElementById(`${input.id}-value`).textContent = `${Math.round(room.absorption[key] * 100)}%`;
+  }
+
+  if (elements.earlyReflectionsToggle) {
+    elements.earlyReflectionsToggle.checked = state.earlyReflectionsEnabled;
+  }
+  elements.roomGrid?.classList.toggle('disabled', !state.earlyReflectionsEnabled);
+  if (elements.roomResetBtn) {
+    elements.roomResetBtn.disabled = !state.roomConfig;
+  }
+
+  const presetName = reverbManager.getPresetInfo(state.reverbPreset).name;
+  let source;
+  if (state.reverbPreset === 'none') {
+    source = 'Select a reverb preset to hear early reflections.';
+  } else if (state.roomConfig) {
+    source = `Custom hall (overrides the ${presetName} hall).`;
+  } else if (isMeasuredPreset(state.reverbPreset)) {
+    source = 'The measured IR already contains its early reflections. Adjust the hall to add image-source reflections on top.';
+  } else {
+    source = `Using the ${presetName} hall.`;
+  }
+  elements.roomSourceLabel.textContent = source;
+
+  updateAtmosphereControlsUI();
+}
+
+/**
+ * Handle mic technique change
+ */
+function handleMicTechniqueChange(e) {
+  selectMicTechnique(e.target.value);
+}
+
+/**
+ * Switch the main array to a technique (built-in or custom array)
+ * @param {string} techniqueId - Technique ID
+ */
+function selectMicTechnique(techniqueId) {
+  // Keep the listener seat, array tilt, mic heights, M/S width, dual capsules, spot mics and
+  // custom arrays when switching techniques
+  state.micConfig = createMicrophoneConfig(techniqueId, {
+    listener: getListenerPose(state.micConfig),
+    tilt: state.micConfig.tilt,
+    micHeights: Object.fromEntries(state.micConfig.mics.map(mic => [mic.id, mic.height])),
+    msWidth: state.micConfig.msWidth,
+    dualCapsule: state.micConfig.dualCapsule,
+    spots: state.micConfig.spots,
+    customTechniques: state.micConfig.customTechniques,
+  });
+  state.micSeparation = state.micConfig.spacing;
+
+  // Update wiki link for this technique
+  if (elements.micTechniqueWiki) {
+    elements.micTechniqueWiki.href = TECHNIQUE_WIKI[techniqueId] || CUSTOM_TECHNIQUE_WIKI;
+  }
+
+  // Update UI visibility based on technique
+  updateMicControlsUI();
+
+  // Sync with audio engine and canvas
+  audioEngine.setMicConfig(state.micConfig);
+  state.micConfig = audioEngine.getMicConfig();
+  state.micSeparation = state.micConfig.spacing;
+  stageCanvas.setMicConfig(state.micConfig);
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Search the main-array placement for the unmuted tracks and apply it
+ */
+function handleOptimizeMics() {
+  const tracks = Array.from(state.tracks.values()).filter(track => !track.muted);
+  const result = optimizeMicPlacement(state.micConfig, tracks, {
+    speedOfSound: calculateSpeedOfSound(state.atmosphere.temperature),
+    criticalDistance: audioEngine.getCriticalDistance(),
+  });
+  if (!result) {
+    showToast('Load some tracks to optimize the mic placement', 'error');
+    return;
+  }
+  if (Object.keys(result.changes).length === 0) {
+    showToast('The current placement is already the best found', 'info');
+    return;
+  }
+
+  recordMicAutomation(state.micConfig, result.config);
+  audioEngine.setMicConfig(result.config);
+  state.micConfig = audioEngine.getMicConfig();
+  state.micSeparation = state.micConfig.spacing;
+  stageCanvas.setMicConfig(state.micConfig);
+  updateMicControlsUI();
+  updateListenerControlsUI();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+
+  const { before, after } = result;
+  const drrStr = after.drrDb === null ? '' : `, direct/reverb ${after.drrDb.toFixed(1)} dB`;
+  showToast(
+    `Mics optimized: image error ${before.imageError.toFixed(2)} → ${after.imageError.toFixed(2)}, ` +
+    `section spread ${before.levelSpreadDb.toFixed(1)} → ${after.levelSpreadDb.toFixed(1)} dB${drrStr}`,
+    'success'
+  );
+}
+
+/**
+ * Handle mic polar pattern change
+ */
+function handleMicPatternChange(e) {
+  const pattern = e.target.value;
+  audioEngine.setMicPattern(pattern);
+  state.micConfig = audioEngine.getMicConfig();
+  stageCanvas.setMicConfig(state.micConfig);
+  updatePatternAlphaUI();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle continuous pattern slider (omni on the left, figure-8 on the right)
+ */
+function handleMicPatternAlphaChange(e) {
+  const alpha = 1 - parseFloat(e.target.value);
+  audioEngine.setMicPatternAlpha(alpha);
+  state.micConfig = audioEngine.getMicConfig();
+  stageCanvas.setMicConfig(state.micConfig);
+  const mic = getPatternControlMic();
+  if (mic && elements.micPattern) {
+    elements.micPattern.value = mic.pattern;
+  }
+  updatePatternAlphaUI();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle dual-capsule mode toggle
+ */
+function handleDualCapsuleToggle(e) {
+  audioEngine.setDualCapsuleEnabled(e.target.checked);
+  state.micConfig = audioEngine.getMicConfig();
+  stageCanvas.setMicConfig(state.micConfig);
+  updatePatternAlphaUI();
+  markUnsaved();
+}
+
+/**
+ * Mic shown by the pattern controls: the first one whose pattern can be changed
+ * @returns {Object|null}
+ */
+function getPatternControlMic() {
+  const technique = getTechnique(state.micConfig);
+  return state.micConfig.mics.find(mic => !getFixedPattern(technique, mic.id)) || state.micConfig.mics[0] || null;
+}
+
+/**
+ * Sync the continuous pattern slider, its readout, the dual-capsule toggle and the capsule export
+ */
+function updatePatternAlphaUI() {
+  const mic = getPatternControlMic();
+  if (elements.micPatternAlpha && mic) {
+    elements.micPatternAlpha.value = String(1 - getPatternAlpha(mic.pattern, mic.patternAlpha));
+    elements.micPatternAlphaValue.textContent = getPatternLabel(mic.pattern, mic.patternAlpha);
+  }
+  if (elements.micDualCapsule) {
+    elements.micDualCapsule.checked = !!state.micConfig.dualCapsule;
+  }
+  elements.downloadCapsulesBtn?.classList.toggle('hidden', !state.micConfig.dualCapsule);
+}
+
+/**
+ * Handle mic spacing change
+ */
+function handleMicSpacingChange(e) {
+  const spacing = parseFloat(e.target.value);
+  state.micSeparation = spacing;
+  state.micConfig.spacing = spacing;
+  elements.micSpacingValue.textContent = `${spacing.toFixed(2)}m`;
+  audioEngine.setMicSeparation(spacing);
+  stageCanvas.setMicSeparation(spacing);
+  recordAutomation(laneKey('mic', 'spacing'), spacing);
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle mic angle change
+ */
+function handleMicAngleChange(e) {
+  const angle = parseFloat(e.target.value);
+  state.micConfig.angle = angle;
+  elements.micAngleValue.textContent = `${angle}°`;
+  audioEngine.setMicAngle(angle);
+  stageCanvas.setMicAngle(angle);
+  recordAutomation(laneKey('mic', 'angle'), angle);
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle M/S width change (Mid-Side)
+ */
+function handleMicWidthChange(e) {
+  const width = parseFloat(e.target.value);
+  elements.micWidthValue.textContent = width.toFixed(2);
+  audioEngine.setMSWidth(width);
+  state.micConfig = audioEngine.getMicConfig();
+  stageCanvas.setMicConfig(state.micConfig);
+  recordAutomation(laneKey('mic', 'msWidth'), width);
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle mic center depth change (Decca Tree)
+ */
+function handleMicCenterDepthChange(e) {
+  const depth = parseFloat(e.target.value);
+  state.micConfig.centerDepth = depth;
+  elements.micCenterDepthValue.textContent = `${depth.toFixed(1)}m`;
+  audioEngine.setCenterDepth(depth);
+  stageCanvas.setCenterDepth(depth);
+  recordAutomation(laneKey('mic', 'centerDepth'), depth);
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle mic center level change (Decca Tree)
+ */
+function handleMicCenterLevelChange(e) {
+  const level = parseFloat(e.target.value);
+  state.micConfig.centerLevel = level;
+  elements.micCenterLevelValue.textContent = `${level.toFixed(1)}dB`;
+  audioEngine.setCenterLevel(level);
+  recordAutomation(laneKey('mic', 'centerLevel'), level);
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle mic height change for the mic picked in the height target select
+ */
+function handleMicHeightChange(e) {
+  const micId = elements.micHeightTarget?.value;
+  if (!micId) return;
+  audioEngine.setMicHeight(micId, parseFloat(e.target.value));
+  state.micConfig = audioEngine.getMicConfig();
+  stageCanvas.setMicConfig(state.micConfig);
+  updateMicHeightUI();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Put the picked mic back at the array (listener) height
+ */
+function handleMicHeightReset() {
+  const micId = elements.micHeightTarget?.value;
+  if (!micId) return;
+  audioEngine.setMicHeight(micId, null);
+  state.micConfig = audioEngine.getMicConfig();
+  stageCanvas.setMicConfig(state.micConfig);
+  updateMicHeightUI();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle array tilt change (downward aim)
+ */
+function handleMicTiltChange(e) {
+  const tilt = parseFloat(e.target.value);
+  elements.micTiltValue.textContent = `${tilt}°`;
+  audioEngine.setMicTilt(tilt);
+  state.micConfig = audioEngine.getMicConfig();
+  stageCanvas.setMicConfig(state.micConfig);
+  recordAutomation(laneKey('mic', 'tilt'), state.micConfig.tilt);
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Sync the mic height control with the picked mic
+ * Mics without their own height show the array height, marked "(↕)".
+ */
+function updateMicHeightUI() {
+  if (!elements.micHeightTarget || !elements.micHeight) return;
+
+  const mics = state.micConfig.mics || [];
+  const selected = elements.micHeightTarget.value;
+  elements.micHeightTarget.replaceChildren(...mics.map(mic => (
+    new Option(`${mic.id}${Number.isFinite(mic.height) ? '' : ' (↕)'}`, mic.id)
+  )));
+  if (mics.some(mic => mic.id === selected)) {
+    elements.micHeightTarget.value = selected;
+  }
+
+  const mic = mics.find(m => m.id === elements.micHeightTarget.value);
+  const height = Number.isFinite(mic?.height) ? mic.height : getListenerPose(state.micConfig).height;
+  elements.micHeight.value = height;
+  elements.micHeightValue.textContent = `${height.toFixed(1)}m`;
+}
+
+/**
+ * Show the spot mic modal
+ */
+function showSpotModal() {
+  renderSpotMicList();
+  elements.spotModal?.classList.remove('hidden');
+}
+
+/**
+ * Hide the spot mic modal
+ */
+function hideSpotModal() {
+  elements.spotModal?.classList.add('hidden');
+}
+
+/**
+ * Add a spot mic; with one instrument selected it goes 1m in front of it, panned to its stage position
+ */
+function addSpotMic() {
+  const selectedIds = Array.from(stageCanvas.selectedIds);
+  const track = selectedIds.length === 1 ? state.tracks.get(selectedIds[0]) : null;
+  const overrides = track
+    ? {
+      label: track.name,
+      x: track.x * (STAGE_CONFIG.width / 2),
+      y: Math.max(0, track.y * STAGE_CONFIG.depth - 1),
+      pan: track.x,
+    }
+    : {};
+
+  if (!audioEngine.addSpotMic(overrides)) {
+    showToast(`Up to ${MAX_SPOT_MICS} spot mics`, 'info');
+    return;
+  }
+  syncSpotMics();
+  renderSpotMicList();
+}
+
+/**
+ * Change a spot mic
+ * @param {string} spotId - Spot ID
+ * @param {Object} changes - Fields to change
+ * @returns {Object|null} - The updated spot
+ */
+function updateSpotMic(spotId, changes) {
+  const spot = audioEngine.updateSpotMic(spotId, changes);
+  syncSpotMics();
+  return spot;
+}
+
+/**
+ * Remove a spot mic
+ * @param {string} spotId - Spot ID
+ */
+function removeSpotMic(spotId) {
+  audioEngine.removeSpotMic(spotId);
+  syncSpotMics();
+  renderSpotMicList();
+}
+
+/**
+ * Pull the spot mics back from the engine after a change
+ */
+function syncSpotMics() {
+  state.micConfig = audioEngine.getMicConfig();
+  stageCanvas.setMicConfig(state.micConfig);
+  updateSpotMicButton();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Show the spot count on the toolbar button
+ */
+function updateSpotMicButton() {
+  if (!elements.spotMicsBtn) return;
+  const count = (state.micConfig.spots || []).length;
+  elements.spotMicsBtn.textContent = count > 0 ? `🎤 Spots (${count})…` : '🎤 Spots…';
+}
+
+/**
+ * Alignment delay of a spot (travel time from the spot to the main array) in ms
+ */
+function getSpotAlignmentMs(spot) {
+  const speedOfSound = calculateSpeedOfSound(state.atmosphere.temperature);
+  return calculateSpotAlignmentDelay(spot, getListenerPose(state.micConfig), speedOfSound) * 1000;
+}
+
+/**
+ * Refresh the position and alignment readouts of a spot in the modal (e.g. while dragging)
+ * @param {Object} spot - Spot mic
+ * @param {HTMLElement} [item] - Its list item (looked up when omitted)
+ */
+function updateSpotMicReadouts(spot, item = elements.spotList?.querySelector(`[data-spot-id="${spot.id}"]`)) {
+  if (!item) return;
+  item.querySelector('.spot-position').textContent = `${spot.x.toFixed(1)}, ${spot.y.toFixed(1)}m`;
+  item.querySelector('.spot-align-value').textContent = `${getSpotAlignmentMs(spot).toFixed(1)} ms`;
+}
+
+/**
+ * Rebuild the spot mic list in the modal
+ */
+function renderSpotMicList() {
+  if (!elements.spotList) return;
+  elements.spotList.innerHTML = '';
+
+  const spots = state.micConfig.spots || [];
+  if (spots.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'room-note';
+    empty.textContent = 'No spot mics yet.';
+    elements.spotList.appendChild(empty);
+  }
+  for (const spot of spots) {
+    elements.spotList.appendChild(createSpotMicItem(spot));
+  }
+  if (elements.spotAddBtn) {
+    elements.spotAddBtn.disabled = spots.length >= MAX_SPOT_MICS;
+  }
+}
+
+/**
+ * Append a slider row (label, range, value) for a spot mic field
+ */
+function appendSpotSlider(grid, spot, field, label, { min, max, step }, format) {
+  const id = `spot-${spot.id}-${field}`;
+  const labelEl = document.createElement('label');
+  labelEl.htmlFor = id;
+  labelEl.textContent = label;
+  const input = document.createElement('input');
+  input.type = 'range';
+  input.id = id;
+  input.min = String(min);
+  input.max = String(max);
+  input.step = String(step);
+  input.value = spot[field];
+  const value = document.createElement('span');
+  value.textContent = format(spot[field]);
+  grid.append(labelEl, input, value);
+
+  input.addEventListener('input', () => {
+    const updated = updateSpotMic(spot.id, { [field]: parseFloat(input.value) });
+    if (updated) {
+      value.textContent = format(updated[field]);
+      updateSpotMicReadouts(updated);
+    }
+  });
+}
+
+/**
+ * Create the modal controls for one spot mic
+ */
+function createSpotMicItem(spot) {
+  const el = document.createElement('div');
+  el.className = `spot-item${spot.enabled ? '' : ' disabled'}`;
+  el.dataset.spotId = spot.id;
+
+  // Header: enabled, label, position, remove
+  const header = document.createElement('div');
+  header.className = 'spot-header';
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = spot.enabled;
+  enabled.title = 'Enable/Disable';
+  const id = document.createElement('strong');
+  id.textContent = spot.id;
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.className = 'spot-label';
+  label.value = spot.label;
+  label.maxLength = 24;
+  const position = document.createElement('span');
+  position.className = 'spot-position';
+  position.title = 'Drag the spot on the stage to move it';
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn secondary btn-small';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove spot mic';
+  header.append(enabled, id, label, position, removeBtn);
+
+  const grid = document.createElement('div');
+  grid.className = 'room-grid';
+
+  const patternLabel = document.createElement('label');
+  patternLabel.htmlFor = `spot-${spot.id}-pattern`;
+  patternLabel.textContent = 'Pattern';
+  const pattern = document.createElement('select');
+  pattern.id = `spot-${spot.id}-pattern`;
+  for (const option of Object.values(POLAR_PATTERNS)) {
+    pattern.add(new Option(option.name, option.id, false, option.id === spot.pattern));
+  }
+  grid.append(patternLabel, pattern, document.createElement('span'));
+
+  // Continuous pattern (omni on the left, figure-8 on the right)
+  const shapeLabel = document.createElement('label');
+  shapeLabel.htmlFor = `spot-${spot.id}-pattern-alpha`;
+  shapeLabel.textContent = 'Shape';
+  const shape = document.createElement('input');
+  shape.type = 'range';
+  shape.id = `spot-${spot.id}-pattern-alpha`;
+  shape.min = String(PATTERN_ALPHA_LIMITS.min);
+  shape.max = String(PATTERN_ALPHA_LIMITS.max);
+  shape.step = String(PATTERN_ALPHA_LIMITS.step);
+  shape.title = 'Continuous pattern: omni (left) through cardioid to figure-8 (right)';
+  const shapeValue = document.createElement('span');
+  const showShape = s => {
+    shape.value = String(1 - getPatternAlpha(s.pattern, s.patternAlpha));
+    shapeValue.textContent = getPatternLabel(s.pattern, s.patternAlpha);
+  };
+  showShape(spot);
+  grid.append(shapeLabel, shape, shapeValue);
+
+  appendSpotSlider(grid, spot, 'angle', 'Aim', { min: -180, max: 180, step: 5 }, value => `${value}°`);
+  appendSpotSlider(grid, spot, 'tilt', 'Tilt', SPOT_MIC_LIMITS.tilt, value => `${value}°`);
+  appendSpotSlider(grid, spot, 'height', 'Height', SPOT_MIC_LIMITS.height, value => `${value.toFixed(1)}m`);
+  appendSpotSlider(grid, spot, 'level', 'Level', SPOT_MIC_LIMITS.level, value => `${value.toFixed(1)}dB`);
+  appendSpotSlider(grid, spot, 'pan', 'Pan', SPOT_MIC_LIMITS.pan, value => (
+    Math.abs(value) < 0.01 ? 'C' : `${value < 0 ? 'L' : 'R'}${Math.round(Math.abs(value) * 100)}`
+  ));
+
+  const align = document.createElement('label');
+  align.className = 'room-toggle';
+  align.title = 'Delay the spot by its distance to the main array so it lines up with the main pickup';
+  const alignCheckbox = document.createElement('input');
+  alignCheckbox.type = 'checkbox';
+  alignCheckbox.checked = spot.delayCompensation;
+  const alignValue = document.createElement('span');
+  alignValue.className = 'spot-align-value';
+  align.append(alignCheckbox, 'Align to main array', alignValue);
+  grid.appendChild(align);
+
+  el.append(header, grid);
+  updateSpotMicReadouts(spot, el);
+
+  // Event listeners
+  enabled.addEventListener('change', () => {
+    updateSpotMic(spot.id, { enabled: enabled.checked });
+    el.classList.toggle('disabled', !enabled.checked);
+  });
+  label.addEventListener('change', () => {
+    const updated = updateSpotMic(spot.id, { label: label.value });
+    if (updated) label.value = updated.label;
+  });
+  removeBtn.addEventListener('click', () => removeSpotMic(spot.id));
+  pattern.addEventListener('change', () => {
+    const updated = updateSpotMic(spot.id, { pattern: pattern.value, patternAlpha: null });
+    if (updated) showShape(updated);
+  });
+  shape.addEventListener('input', () => {
+    const updated = updateSpotMic(spot.id, { patternAlpha: 1 - parseFloat(shape.value) });
+    if (!updated) return;
+    pattern.value = updated.pattern;
+    showShape(updated);
+  });
+  alignCheckbox.addEventListener('change', () => {
+    updateSpotMic(spot.id, { delayCompensation: alignCheckbox.checked });
+  });
+
+  return el;
+}
+
+/**
+ * Show the custom array editor
+ */
+function showArrayModal() {
+  renderArrayEditor();
+  elements.arrayModal?.classList.remove('hidden');
+}
+
+/**
+ * Hide the custom array editor
+ */
+function hideArrayModal() {
+  elements.arrayModal?.classList.add('hidden');
+}
+
+/**
+ * The custom array being edited (the active technique when it is a custom array)
+ * @returns {Object|null}
+ */
+function getActiveCustomArray() {
+  return (state.micConfig.customTechniques || []).find(custom => custom.id === state.micConfig.technique) || null;
+}
+
+/**
+ * Change the active custom array and pull the result back from the engine
+ * @param {Function} edit - (array) => void, edits a copy of the array in place
+ * @returns {Object|null} - The saved array, or null when the edit was rejected
+ */
+function updateCustomArray(edit) {
+  const active = getActiveCustomArray();
+  if (!active) return null;
+
+  const draft = { ...active, mics: active.mics.map(mic => ({ ...mic, route: [...mic.route] })) };
+  edit(draft);
+  const saved = audioEngine.saveCustomTechnique(draft);
+  syncCustomArrays();
+  return saved;
+}
+
+/**
+ * Pull the mic configuration back from the engine after an array change
+ */
+function syncCustomArrays() {
+  state.micConfig = audioEngine.getMicConfig();
+  state.micSeparation = state.micConfig.spacing;
+  stageCanvas.setMicConfig(state.micConfig);
+  updateMicControlsUI();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Save the current technique as a new custom array and switch to it
+ */
+function createArrayFromCurrent() {
+  const customTechniques = state.micConfig.customTechniques || [];
+  if (customTechniques.length >= MAX_CUSTOM_TECHNIQUES) {
+    showToast(`Up to ${MAX_CUSTOM_TECHNIQUES} custom arrays`, 'info');
+    return;
+  }
+
+  const id = getNextCustomTechniqueId(customTechniques);
+  if (!audioEngine.saveCustomTechnique(createCustomTechniqueFromConfig(state.micConfig, id))) return;
+  state.micConfig = audioEngine.getMicConfig();
+  selectMicTechnique(id);
+  renderArrayEditor();
+}
+
+/**
+ * Delete the active custom array (the main array falls back to a spaced pair)
+ */
+function deleteCustomArray() {
+  const active = getActiveCustomArray();
+  if (!active) return;
+  audioEngine.deleteCustomTechnique(active.id);
+  syncCustomArrays();
+  renderArrayEditor();
+  showToast(`Deleted "${active.name}"`, 'info');
+}
+
+/**
+ * Add a mic to the active custom array (at the listener seat, aimed at the stage, sent to both sides)
+ */
+function addArrayMic() {
+  const saved = updateCustomArray(custom => {
+    if (custom.mics.length >= MAX_ARRAY_MICS) return;
+    custom.mics.push({
+      id: getNextArrayMicId(custom.mics),
+      offsetX: 0,
+      offsetY: 0,
+      angle: 0,
+      pattern: 'cardioid',
+      route: [Math.SQRT1_2, Math.SQRT1_2],
+    });
+  });
+  if (saved && saved.mics.length >= MAX_ARRAY_MICS) {
+    showToast(`Up to ${MAX_ARRAY_MICS} mics per array`, 'info');
+  }
+  renderArrayEditor();
+}
+
+/**
+ * Remove a mic from the active custom array (an array keeps at least one mic)
+ * @param {string} micId - Mic ID within the array
+ */
+function removeArrayMic(micId) {
+  const active = getActiveCustomArray();
+  if (!active || active.mics.length <= 1) {
+    showToast('An array needs at least one mic', 'info');
+    return;
+  }
+  updateCustomArray(custom => {
+    custom.mics = custom.mics.filter(mic => mic.id !== micId);
+  });
+  renderArrayEditor();
+}
+
+/**
+ * Rebuild the custom array editor (array list, name and mic rows)
+ */
+function renderArrayEditor() {
+  if (!elements.arraySelect || !elements.arrayMicList) return;
+
+  const customTechniques = state.micConfig.customTechniques || [];
+  const active = getActiveCustomArray();
+
+  elements.arraySelect.innerHTML = '';
+  if (!active) {
+    elements.arraySelect.add(new Option(customTechniques.length ? 'Choose an array…' : 'No custom arrays', ''));
+  }
+  for (const custom of customTechniques) {
+    elements.arraySelect.add(new Option(custom.name, custom.id, false, custom.id === active?.id));
+  }
+  elements.arraySelect.disabled = customTechniques.length === 0;
+  elements.arrayName.value = active?.name || '';
+  elements.arrayName.disabled = !active;
+  elements.arrayAddMicBtn.disabled = !active || active.mics.length >= MAX_ARRAY_MICS;
+  elements.arrayDeleteBtn.disabled = !active;
+  elements.arrayNewBtn.disabled = customTechniques.length >= MAX_CUSTOM_TECHNIQUES;
+
+  elements.arrayMicList.innerHTML = '';
+  if (!active) {
+    const empty = document.createElement('p');
+    empty.className = 'room-note';
+    empty.textContent = 'Choose a custom array, or start one from the current technique.';
+    elements.arrayMicList.appendChild(empty);
+    return;
+  }
+
+  const header = document.createElement('div');
+  header.className = 'array-mic-row array-mic-header';
+  for (const title of ['Mic', 'Pattern', 'α', 'X', 'Y', 'Aim', 'Level', 'L', 'R', '']) {
+    const cell = document.createElement('span');
+    cell.textContent = title;
+    header.appendChild(cell);
+  }
+  elements.arrayMicList.appendChild(header);
+
+  for (const mic of active.mics) {
+    elements.arrayMicList.appendChild(createArrayMicRow(mic));
+  }
+}
+
+/**
+ * Create a number input for one field of an array mic
+ */
+function createArrayMicInput(value, { min, max, step }, title) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = String(min);
+  input.max = String(max);
+  input.step = String(step);
+  input.value = String(value);
+  input.title = title;
+  return input;
+}
+
+/**
+ * Create the editor row for one mic of the active custom array
+ */
+function createArrayMicRow(mic) {
+  const row = document.createElement('div');
+  row.className = 'array-mic-row';
+
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.value = mic.label;
+  label.maxLength = 24;
+  label.title = `Mic ${mic.id}`;
+
+  const pattern = document.createElement('select');
+  for (const option of Object.values(POLAR_PATTERNS)) {
+    pattern.add(new Option(option.shortName, option.id, false, option.id === mic.pattern));
+  }
+  const alpha = createArrayMicInput(
+    getPatternAlpha(mic.pattern, mic.patternAlpha),
+    { ...PATTERN_ALPHA_LIMITS, step: 0.05 },
+    'Continuous pattern: 1 = omni, 0.5 = cardioid, 0 = figure-8'
+  );
+
+  const offsetX = createArrayMicInput(mic.offsetX, ARRAY_MIC_LIMITS.offset, 'Offset right of the listener (m)');
+  const offsetY = createArrayMicInput(mic.offsetY, ARRAY_MIC_LIMITS.offset, 'Offset toward the stage (m)');
+  const angle = createArrayMicInput(mic.angle, { min: -180, max: 180, step: 5 }, 'Aim (degrees, negative = left)');
+  const level = createArrayMicInput(mic.level, ARRAY_MIC_LIMITS.level, 'Level (dB)');
+  const routeL = createArrayMicInput(mic.route[0], ARRAY_MIC_LIMITS.route, 'Gain into the left output');
+  const routeR = createArrayMicInput(mic.route[1], ARRAY_MIC_LIMITS.route, 'Gain into the right output');
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn secondary btn-small';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove mic';
+
+  row.append(label, pattern, alpha, offsetX, offsetY, angle, level, routeL, routeR, removeBtn);
+
+  // Each change saves the whole array; show the validated values (clamped, wrapped)
+  const update = edit => {
+    const saved = updateCustomArray(custom => edit(custom.mics.find(m => m.id === mic.id)));
+    const updated = saved?.mics.find(m => m.id === mic.id);
+    if (!updated) return;
+    label.value = updated.label;
+    pattern.value = updated.pattern;
+    alpha.value = String(getPatternAlpha(updated.pattern, updated.patternAlpha));
+    offsetX.value = String(updated.offsetX);
+    offsetY.value = String(updated.offsetY);
+    angle.value = String(updated.angle);
+    level.value = String(updated.level);
+    routeL.value = String(updated.route[0]);
+    routeR.value = String(updated.route[1]);
+  };
+  const number = input => parseFloat(input.value);
+
+  label.addEventListener('change', () => update(m => { m.label = label.value; }));
+  pattern.addEventListener('change', () => update(m => {
+    m.pattern = pattern.value;
+    m.patternAlpha = null;
+  }));
+  alpha.addEventListener('change', () => update(m => { m.patternAlpha = number(alpha); }));
+  offsetX.addEventListener('change', () => update(m => { m.offsetX = number(offsetX); }));
+  offsetY.addEventListener('change', () => update(m => { m.offsetY = number(offsetY); }));
+  angle.addEventListener('change', () => update(m => { m.angle = number(angle); }));
+  level.addEventListener('change', () => update(m => { m.level = number(level); }));
+  routeL.addEventListener('change', () => update(m => { m.route[0] = number(routeL); }));
+  routeR.addEventListener('change', () => update(m => { m.route[1] = number(routeR); }));
+  removeBtn.addEventListener('click', () => removeArrayMic(mic.id));
+
+  return row;
+}
+
+/**
+ * List the custom arrays in the technique dropdown
+ */
+function renderCustomTechniqueOptions() {
+  const group = elements.micTechniqueCustom;
+  if (!group) return;
+  const customTechniques = state.micConfig.customTechniques || [];
+  group.innerHTML = '';
+  for (const custom of customTechniques) {
+    group.appendChild(new Option(custom.name, custom.id));
+  }
+  group.hidden = customTechniques.length === 0;
+}
+
+/**
+ * Show the loudspeaker layout editor
+ */
+function showSpeakerModal() {
+  renderSpeakerEditor();
+  elements.speakerModal?.classList.remove('hidden');
+}
+
+/**
+ * Hide the loudspeaker layout editor
+ */
+function hideSpeakerModal() {
+  elements.speakerModal?.classList.add('hidden');
+}
+
+/**
+ * Send a loudspeaker layout to the engine and keep the validated result
+ * @param {Object|Array} layout - See validateSpeakerLayout
+ * @returns {Object|null} - The saved layout, or null when it was rejected
+ */
+function applySpeakerLayout(layout) {
+  const saved = audioEngine.setSpeakerLayout(layout);
+  if (!saved) {
+    showToast(state.renderMode === 'speakers'
+      ? `This device has ${audioEngine.getMaxOutputChannels()} output channels`
+      : 'A layout needs at least one speaker', 'error');
+    return null;
+  }
+  state.speakerLayout = saved;
+  updateRenderModeUI();
+  markUnsaved();
+  return saved;
+}
+
+/**
+ * Change the loudspeaker layout
+ * @param {Function} edit - (layout) => void, edits a copy of the layout in place
+ * @returns {Object|null} - The saved layout, or null when the edit was rejected
+ */
+function updateSpeakerLayout(edit) {
+  const draft = audioEngine.getSpeakerLayout();
+  edit(draft);
+  return applySpeakerLayout(draft);
+}
+
+/**
+ * Add a speaker at the front (next output channel)
+ */
+function addSpeaker() {
+  updateSpeakerLayout(layout => {
+    if (layout.speakers.length >= MAX_SPEAKERS) return;
+    layout.speakers.push({ label: String(layout.speakers.length + 1), azimuth: 0, elevation: 0 });
+  });
+  renderSpeakerEditor();
+}
+
+/**
+ * Remove a speaker (a layout keeps at least one)
+ * @param {number} index - Speaker (output channel) index
+ */
+function removeSpeaker(index) {
+  updateSpeakerLayout(layout => {
+    if (layout.speakers.length > 1) layout.speakers.splice(index, 1);
+  });
+  renderSpeakerEditor();
+}
+
+/**
+ * Replace the layout with the JSON from the editor
+ */
+function applySpeakerJson() {
+  let layout;
+  try {
+    layout = JSON.parse(elements.speakerJson.value);
+  } catch (error) {
+    showToast(`Invalid layout JSON: ${error.message}`, 'error');
+    return;
+  }
+  if (applySpeakerLayout(layout)) {
+    renderSpeakerEditor();
+    showToast(`Loudspeakers: ${state.speakerLayout.name}`, 'success');
+  }
+}
+
+/**
+ * Rebuild the loudspeaker editor (device note, name, speaker rows and JSON)
+ */
+function renderSpeakerEditor() {
+  if (!elements.speakerList) return;
+
+  const layout = audioEngine.getSpeakerLayout();
+  const maxChannels = audioEngine.getMaxOutputChannels();
+
+  if (elements.speakerDeviceNote) {
+    elements.speakerDeviceNote.textContent = maxChannels > 2
+      ? `This output device has ${maxChannels} channels.`
+      : `This output device has ${maxChannels} channels, so loudspeaker playback is unavailable. The layout is still saved with the session.`;
+  }
+  if (elements.speakerPreset && elements.speakerPreset.options.length <= 1) {
+    for (const preset of Object.values(SPEAKER_LAYOUT_PRESETS)) {
+      elements.speakerPreset.add(new Option(`${preset.name}, ${preset.speakers.length} speakers`, preset.id));
+    }
+  }
+  if (elements.speakerPreset) elements.speakerPreset.value = '';
+  elements.speakerLayoutNameInput.value = layout.name;
+  elements.speakerAddBtn.disabled = layout.speakers.length >= MAX_SPEAKERS;
+  elements.speakerJson.value = JSON.stringify(layout, null, 2);
+
+  elements.speakerList.innerHTML = '';
+  const header = document.createElement('div');
+  header.className = 'array-mic-row array-mic-header speaker-row';
+  for (const title of ['Speaker', 'Azimuth', 'Elevation', 'Gain dB', 'Delay ms', '']) {
+    const cell = document.createElement('span');
+    cell.textContent = title;
+    header.appendChild(cell);
+  }
+  elements.speakerList.appendChild(header);
+
+  layout.speakers.forEach((speaker, index) => {
+    elements.speakerList.appendChild(createSpeakerRow(speaker, index, layout.speakers.length));
+  });
+}
+
+/**
+ * Create the editor row for one loudspeaker
+ */
+function createSpeakerRow(speaker, index, count) {
+  const row = document.createElement('div');
+  row.className = 'array-mic-row speaker-row';
+
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.value = speaker.label;
+  label.maxLength = 16;
+  label.title = `Output channel ${index + 1}`;
+
+  const azimuth = createArrayMicInput(speaker.azimuth, SPEAKER_LIMITS.azimuth, 'Azimuth (degrees, 90 = left)');
+  const elevation = createArrayMicInput(speaker.elevation, SPEAKER_LIMITS.elevation, 'Elevation (degrees, 90 = up)');
+  const gainDb = createArrayMicInput(speaker.gainDb, SPEAKER_LIMITS.gainDb, 'Gain trim (dB)');
+  const delayMs = createArrayMicInput(speaker.delayMs, SPEAKER_LIMITS.delayMs, 'Delay trim (ms)');
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn secondary btn-small';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove speaker';
+  removeBtn.disabled = count <= 1;
+
+  row.append(label, azimuth, elevation, gainDb, delayMs, removeBtn);
+
+  // Each change saves the whole layout; show the validated values (clamped, wrapped)
+  const update = edit => {
+    const saved = updateSpeakerLayout(layout => edit(layout.speakers[index]));
+    const updated = saved?.speakers[index];
+    if (!updated) return;
+    label.value = updated.label;
+    azimuth.value = String(updated.azimuth);
+    elevation.value = String(updated.elevation);
+    gainDb.value = String(updated.gainDb);
+    delayMs.value = String(updated.delayMs);
+    elements.speakerJson.value = JSON.stringify(saved, null, 2);
+  };
+  const number = input => parseFloat(input.value);
+
+  label.addEventListener('change', () => update(s => { s.label = label.value; }));
+  azimuth.addEventListener('change', () => update(s => { s.azimuth = number(azimuth); }));
+  elevation.addEventListener('change', () => update(s => { s.elevation = number(elevation); }));
+  gainDb.addEventListener('change', () => update(s => { s.gainDb = number(gainDb); }));
+  delayMs.addEventListener('change', () => update(s => { s.delayMs = number(delayMs); }));
+  removeBtn.addEventListener('click', () => removeSpeaker(index));
+
+  return row;
+}
+
+/**
+ * Move/rotate the listener (the main array or binaural head moves with it)
+ * @param {Object} pose - Partial pose {x, y, height, facing}
+ */
+function applyListenerPose(pose) {
+  const previousConfig = state.micConfig;
+  audioEngine.setListenerPosition(pose);
+  state.micConfig = audioEngine.getMicConfig();
+  recordMicAutomation(previousConfig, state.micConfig);
+  stageCanvas.setMicConfig(state.micConfig);
+  updateListenerControlsUI();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle listener seat preset change
+ */
+function handleListenerSeatChange(e) {
+  const seat = LISTENER_SEATS[e.target.value];
+  if (!seat) return;
+  applyListenerPose({ x: seat.x, y: seat.y, height: seat.height, facing: seat.facing });
+}
+
+/**
+ * Handle listener height change
+ */
+function handleListenerHeightChange(e) {
+  applyListenerPose({ height: parseFloat(e.target.value) });
+}
+
+/**
+ * Handle listener facing change
+ */
+function handleListenerFacingChange(e) {
+  applyListenerPose({ facing: parseFloat(e.target.value) });
+}
+
+/**
+ * Sync listener controls with the current pose
+ */
+function updateListenerControlsUI() {
+  const pose = getListenerPose(state.micConfig);
+  const matchingSeat = Object.values(LISTENER_SEATS).find(seat =>
+    Math.abs(seat.x - pose.x) < 0.05 &&
+    Math.abs(seat.y - pose.y) < 0.05 &&
+    Math.abs(seat.height - pose.height) < 0.05 &&
+    seat.facing === pose.facing
+  );
+
+  if (elements.listenerSeat) {
+    elements.listenerSeat.value = matchingSeat ? matchingSeat.id : 'custom';
+  }
+  if (elements.listenerPositionValue) {
+    elements.listenerPositionValue.textContent = `${pose.x.toFixed(1)}, ${pose.y.toFixed(1)}m`;
+  }
+  if (elements.listenerHeight) {
+    elements.listenerHeight.value = pose.height;
+    elements.listenerHeightValue.textContent = `${pose.height.toFixed(1)}m`;
+  }
+  if (elements.listenerFacing) {
+    elements.listenerFacing.value = pose.facing;
+    elements.listenerFacingValue.textContent = `${pose.facing}°`;
+  }
+  // Mics without their own height follow the listener height
+  updateMicHeightUI();
+}
+
+/**
+ * Switch the stage between plan, imaging and side elevation views (display only, not saved)
+ */
+function handleStageViewChange(e) {
+  const mode = ['imaging', 'elevation'].includes(e.target.value) ? e.target.value : 'plan';
+  stageCanvas.setViewMode(mode);
+  // L/R/Front/Back labels only apply to the plan view
+  elements.stageLabels?.classList.toggle('hidden', mode === 'elevation');
+}
+
+/**
+ * Handle output render mode change (microphones, binaural or loudspeakers)
+ */
+function handleRenderModeChange(e) {
+  if (!audioEngine.setRenderMode(e.target.value)) {
+    showToast(`Loudspeakers need a multichannel output device (this one has ${audioEngine.getMaxOutputChannels()} channels)`, 'error');
+    e.target.value = state.renderMode;
+    return;
+  }
+  state.renderMode = e.target.value;
+  stageCanvas.setRenderMode(state.renderMode);
+  updateRenderModeUI();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Handle SOFA file upload (HRTF set for binaural mode)
+ */
+async function handleSofaUpload(e) {
+  const file = e.target.files[0];
+  elements.sofaInput.value = '';
+  if (!file) return;
+
+  if (!isSofaReaderAvailable()) {
+    showToast('SOFA reader not available', 'error');
+    return;
+  }
+
+  try {
+    const arrayBuffer = await file.arrayBuffer();
+    const hrtfSet = parseSofaFile(arrayBuffer, file.name);
+    audioEngine.setHrtfSet(hrtfSet);
+    state.hrtfId = hrtfSet.id;
+    state.hrtfName = hrtfSet.name;
+    updateRenderModeUI();
+    showToast(`Loaded HRTF: ${hrtfSet.measurements.length} directions`, 'success');
+    markUnsaved();
+    maybeScheduleAutoMasterGainUpdate();
+  } catch (error) {
+    console.error('Failed to load SOFA file:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Revert to the built-in HRTF set
+ */
+function resetHrtf() {
+  audioEngine.setHrtfSet(null);
+  state.hrtfId = DEFAULT_HRTF_ID;
+  state.hrtfName = null;
+  updateRenderModeUI();
+  markUnsaved();
+  maybeScheduleAutoMasterGainUpdate();
+}
+
+/**
+ * Update output mode controls; mic controls are hidden in binaural and loudspeaker modes,
+ * track width and stem rows get a note that these modes ignore them
+ */
+function updateRenderModeUI() {
+  const isBinaural = state.renderMode === 'binaural';
+  const isSpeakers = state.renderMode === 'speakers';
+  if (elements.renderMode) {
+    elements.renderMode.value = state.renderMode;
+  }
+  elements.hrtfControls?.classList.toggle('hidden', !isBinaural);
+  elements.speakerControls?.classList.toggle('hidden', !isSpeakers);
+  elements.micControlsPrimary?.classList.toggle('hidden', isBinaural || isSpeakers);
+  elements.micControlsSecondaryBlock?.classList.toggle('hidden', isBinaural || isSpeakers);
+  document.querySelectorAll('.track-width-control, .track-stem-control').forEach(updateTrackModeNote);
+  if (elements.speakerLayoutName) {
+    const layout = audioEngine.getSpeakerLayout();
+    elements.speakerLayoutName.textContent = layout.name;
+    elements.speakerLayoutName.title = `${layout.name}: ${layout.speakers.length} speakers`;
+  }
+  if (elements.hrtfName) {
+    elements.hrtfName.textContent = state.hrtfName || 'Built-in HRTF';
+    elements.hrtfName.title = state.hrtfName || 'Built-in spherical head model';
+  }
+  elements.resetHrtfBtn?.classList.toggle('hidden', state.hrtfId === DEFAULT_HRTF_ID);
+}
+
+function updateXtcReadout() {
+  if (!elements.xtcDelayValue || !elements.xtcGainValue || !audioEngine) return;
+  const { computed } = audioEngine.getXtcState();
+  const delayMs = computed?.delaySeconds ? computed.delaySeconds * 1000 : 0;
+  const gainDb = computed?.crossGainDb ?? -Infinity;
+  const gainText = Number.isFinite(gainDb) ? `${gainDb.toFixed(1)} dB` : '-inf dB';
+  elements.xtcDelayValue.textContent = `${delayMs.toFixed(2)} ms`;
+  elements.xtcGainValue.textContent = gainText;
+}
+
+function updateXtcControlsUI() {
+  if (!elements.xtcEnabled) return;
+  if (audioEngine) {
+    const xtcState = audioEngine.getXtcState();
+    state.xtcEnabled = xtcState.enabled;
+    state.xtcConfig = { ...state.xtcConfig, ...xtcState.config };
+  }
   elements.xtcEnabled.checked = state.xtcEnabled;
   if (elements.xtcSettings) {
     elements.xtcSettings.classList.toggle('hidden', !state.xtcEnabled);
@@ -1884,7 +3856,7 @@ function handleXtcHfChange(e) {
  * Update mic controls UI based on current technique
  */
 function updateMicControlsUI() {
-  const technique = STEREO_TECHNIQUES[state.micConfig.technique];
+  const technique = getTechnique(state.micConfig);
   if (!technique) return;
 
   // Update spacing slider
@@ -1915,6 +3887,16 @@ function updateMicControlsUI() {
     }
   }
 
+  // Update M/S width slider (Mid-Side only)
+  if (elements.micWidthControl) {
+    const hasWidth = technique.adjustable?.msWidth;
+    elements.micWidthControl.classList.toggle('hidden', !hasWidth);
+    if (hasWidth) {
+      elements.micWidth.value = state.micConfig.msWidth;
+      elements.micWidthValue.textContent = state.micConfig.msWidth.toFixed(2);
+    }
+  }
+
   // Update center controls (Decca Tree only)
   if (elements.micCenterControls) {
     const hasCenter = technique.hasCenter;
@@ -1927,21 +3909,39 @@ function updateMicControlsUI() {
     }
   }
 
-  // Update pattern dropdown (disable for fixed pattern techniques like Blumlein)
+  // Update array tilt (per-mic heights follow the listener controls below)
+  if (elements.micTilt) {
+    const tilt = state.micConfig.tilt || 0;
+    elements.micTilt.value = tilt;
+    elements.micTiltValue.textContent = `${tilt}°`;
+  }
+
+  // Update pattern dropdown (disable for fixed pattern techniques like Blumlein;
+  // custom arrays set patterns per mic in the array editor)
   if (elements.micPattern) {
-    const isFixed = !!technique.fixedPattern;
+    const isFixed = !!technique.fixedPattern || !!technique.isCustom;
     elements.micPattern.disabled = isFixed;
-    if (isFixed) {
+    if (elements.micPatternAlpha) {
+      elements.micPatternAlpha.disabled = isFixed;
+    }
+    if (technique.isCustom) {
+      elements.micPattern.value = 'per-mic';
+    } else if (isFixed) {
       elements.micPattern.value = technique.fixedPattern;
-    } else if (state.micConfig.mics[0]) {
-      elements.micPattern.value = state.micConfig.mics[0].pattern;
+    } else if (getPatternControlMic()) {
+      elements.micPattern.value = getPatternControlMic().pattern;
     }
   }
+  updatePatternAlphaUI();
 
   // Update technique dropdown
+  renderCustomTechniqueOptions();
   if (elements.micTechnique) {
     elements.micTechnique.value = state.micConfig.technique;
   }
+
+  updateListenerControlsUI();
+  updateSpotMicButton();
 }
 
 /**
@@ -2532,10 +4532,12 @@ async function reprocessTracksWithNoiseGate() {
 function updateReverb() {
   const ir = reverbManager.getImpulseResponse(state.reverbPreset);
   const presetInfo = reverbManager.getPresetInfo(state.reverbPreset);
+  state.reverbIrName = isMeasuredPreset(state.reverbPreset) ? presetInfo.name : null;
   audioEngine.setReverbPreset(state.reverbPreset, ir, presetInfo.wet || 0);
   audioEngine.setReverbWet(dbToGain(state.reverbWetDb));
   audioEngine.setReverbMode(state.reverbMode);
   updateReverbWetVisibility();
+  updateRoomControlsUI();
 }
 
 /**
@@ -2594,6 +4596,7 @@ function updateTransportUI() {
   }
   setMasterAutoStatus('');
   updateMasterMeterDisplay();
+  updateAutomationUI();
   elements.reverbPreset.value = state.reverbPreset;
   if (elements.reverbMode) {
     elements.reverbMode.value = state.reverbMode;
@@ -2614,7 +4617,7 @@ function updateTransportUI() {
  * Generate a shareable URL with compressed config
  */
 function getShareableURL() {
-  const config = createSessionState(state);
+  const config = createSessionState({ ...state, automation: audioEngine.getAutomation() });
   const json = JSON.stringify(config);
   const compressed = pako.deflate(json);
   const base64 = btoa(String.fromCharCode(...compressed))
@@ -2694,6 +4697,15 @@ function loadFromURL() {
   return false;
 }
 
+/**
+ * Escape text from a shared config for the summary HTML
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
+
 /**
  * Build human-readable summary of shared config
  */
@@ -2715,14 +4727,18 @@ function buildConfigSummary(config, isBuiltInProfile = true) {
   // Track settings
   if (config.tracks) {
     const trackCount = Object.keys(config.tracks).length;
-    let mutedCount = 0, soloCount = 0, gainAdjusted = 0;
+    let mutedCount = 0, soloCount = 0, gainAdjusted = 0, turnedCount = 0, raisedCount = 0;
     for (const t of Object.values(config.tracks)) {
       if (t.muted) mutedCount++;
       if (t.solo) soloCount++;
       if (t.gain !== undefined && t.gain !== 1) gainAdjusted++;
+      if (t.facing) turnedCount++;
+      if (t.height !== undefined && t.height !== STAGE_CONFIG.sourceHeight) raisedCount++;
     }
     const parts = [`${trackCount} tracks`];
     if (gainAdjusted > 0) parts.push(`${gainAdjusted} gain adjusted`);
+    if (turnedCount > 0) parts.push(`${turnedCount} turned`);
+    if (raisedCount > 0) parts.push(`${raisedCount} height adjusted`);
     if (mutedCount > 0) parts.push(`${mutedCount} muted`);
     if (soloCount > 0) parts.push(`${soloCount} solo`);
     lines.push(`<li>Track positions: ${parts.join(', ')}</li>`);
@@ -2736,10 +4752,31 @@ function buildConfigSummary(config, isBuiltInProfile = true) {
 
   // Reverb
   if (config.reverbPreset && config.reverbPreset !== 'none') {
-    const presetName = config.reverbPreset.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    let presetName = config.reverbPreset.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    if (isMeasuredPreset(config.reverbPreset)) {
+      const missingStr = reverbManager.hasPreset(config.reverbPreset) ? '' : ' — load the WAV to use it';
+      presetName = `${config.reverbIrName ? escapeHtml(config.reverbIrName) : 'measured IR'} (measured${missingStr})`;
+    }
     const modeStr = config.reverbMode ? ` (${config.reverbMode})` : '';
     const wetStr = config.reverbWetDb !== undefined ? `, ${config.reverbWetDb >= 0 ? '+' : ''}${config.reverbWetDb.toFixed(1)} dB wet` : '';
     lines.push(`<li>Reverb: ${presetName}${modeStr}${wetStr}</li>`);
+
+    if (config.earlyReflectionsEnabled === false) {
+      lines.push('<li>Early reflections: off</li>');
+    } else if (config.roomConfig) {
+      const room = validateRoomConfig(config.roomConfig);
+      lines.push(`<li>Hall: ${room.width.toFixed(1)} × ${room.length.toFixed(1)} × ${room.height.toFixed(1)} m (custom)</li>`);
+    }
+  }
+
+  // Air
+  if (config.atmosphere) {
+    const air = validateAtmosphere(config.atmosphere);
+    const presetKey = findAtmospherePreset(air);
+    if (presetKey !== 'standard') {
+      const presetStr = presetKey ? ` (${ATMOSPHERE_PRESETS[presetKey].name})` : '';
+      lines.push(`<li>Air: ${air.temperature}°C, ${air.humidity}% humidity, ${air.pressure.toFixed(1)} kPa${presetStr}</li>`);
+    }
   }
 
   // Speaker XTC
@@ -2751,16 +4788,74 @@ function buildConfigSummary(config, isBuiltInProfile = true) {
     );
   }
 
+  // Output mode
+  if (config.renderMode === 'binaural') {
+    const hrtfStr = config.hrtfId && config.hrtfId !== DEFAULT_HRTF_ID
+      ? ` (${config.hrtfName ? escapeHtml(config.hrtfName) : 'custom HRTF'} — load the SOFA file to use it)`
+      : ' (built-in HRTF)';
+    lines.push(`<li>Output: Binaural${hrtfStr}</li>`);
+  } else if (config.renderMode === 'speakers') {
+    // Layout names are user text, so the summary (HTML) only shows the speaker count
+    const count = config.speakerLayout?.speakers?.length || createSpeakerLayout().speakers.length;
+    lines.push(`<li>Output: Loudspeakers, ${count} speakers (VBAP)</li>`);
+  }
+
   // Mic technique
   if (config.micConfig) {
-    const technique = STEREO_TECHNIQUES[config.micConfig.technique];
-    const techniqueName = technique?.name || config.micConfig.technique;
+    // Custom array names are user text, so the summary (HTML) only shows the mic count
+    const technique = getTechnique(config.micConfig);
+    const techniqueName = technique?.isCustom
+      ? `Custom array, ${technique.mics.length} mics`
+      : technique?.name || config.micConfig.technique;
     const pattern = config.micConfig.pattern ? POLAR_PATTERNS[config.micConfig.pattern] : null;
-    const patternName = pattern?.shortName || config.micConfig.pattern || '';
+    const patternAlpha = (config.micConfig.mics || []).find(mic => Number.isFinite(mic.patternAlpha))?.patternAlpha;
+    const patternName = pattern
+      ? getPatternLabel(pattern.id, patternAlpha)
+      : config.micConfig.pattern || '';
+    const dualStr = config.micConfig.dualCapsule ? 'dual capsule' : '';
     const spacingStr = config.micConfig.spacing ? `${config.micConfig.spacing.toFixed(2)}m` : '';
     const angleStr = config.micConfig.angle ? `${config.micConfig.angle}°` : '';
-    const details = [patternName, spacingStr, angleStr].filter(Boolean).join(', ');
+    const { msWidth } = config.micConfig;
+    const widthStr = technique?.adjustable?.msWidth && Number.isFinite(msWidth)
+      ? `width ${Math.max(0, Math.min(2, msWidth)).toFixed(2)}`
+      : '';
+    const details = [patternName, dualStr, spacingStr, angleStr, widthStr].filter(Boolean).join(', ');
     lines.push(`<li>Mic technique: ${techniqueName}${details ? ` (${details})` : ''}</li>`);
+
+    const pose = getListenerPose(config.micConfig);
+    const facingStr = pose.facing ? `, facing ${pose.facing}°` : '';
+    lines.push(`<li>Listener: ${pose.x.toFixed(1)}m, ${pose.y.toFixed(1)}m, height ${pose.height.toFixed(1)}m${facingStr}</li>`);
+
+    const raisedMics = (config.micConfig.mics || []).filter(mic => Number.isFinite(mic.height));
+    // Shared configs are not validated yet: clamp the tilt like validateConfig
+    const tilt = Number(config.micConfig.tilt);
+    const tiltDeg = Number.isFinite(tilt) ? Math.max(0, Math.min(STAGE_CONFIG.maxArrayTilt, tilt)) : 0;
+    if (raisedMics.length > 0 || tiltDeg) {
+      const stands = [
+        ...raisedMics.map(mic => `${escapeHtml(mic.id)} ${mic.height.toFixed(1)}m`),
+        tiltDeg ? `tilted ${tiltDeg}° down` : '',
+      ].filter(Boolean).join(', ');
+      lines.push(`<li>Mic stands: ${stands}</li>`);
+    }
+
+    const spots = Array.isArray(config.micConfig.spots)
+      ? config.micConfig.spots.filter(spot => spot && typeof spot === 'object').map(validateSpotMic)
+      : [];
+    if (spots.length > 0) {
+      const spotStr = spots.map(spot => {
+        const patternStr = getPatternLabel(spot.pattern, spot.patternAlpha);
+        const levelStr = `${spot.level > 0 ? '+' : ''}${spot.level}dB`;
+        const flags = [spot.delayCompensation ? 'aligned' : '', spot.enabled ? '' : 'off'].filter(Boolean);
+        return `${escapeHtml(spot.id)} ${patternStr} ${levelStr}${flags.length ? ` (${flags.join(', ')})` : ''}`;
+      }).join(', ');
+      lines.push(`<li>Spot mics: ${spotStr}</li>`);
+    }
+  }
+
+  // Automation
+  const automation = countAutomation(config.automation);
+  if (automation.lanes > 0) {
+    lines.push(`<li>Automation: ${automation.lanes} lane${automation.lanes === 1 ? '' : 's'}, ${automation.keyframes} keyframes</li>`);
   }
 
   // Ground reflection
@@ -2853,12 +4948,24 @@ function applySharedConfig(config) {
       if (saved) {
         track.x = saved.x ?? track.x;
         track.y = saved.y ?? track.y;
+        track.facing = saved.facing ?? track.facing;
+        track.height = saved.height ?? track.height;
+        Object.assign(track, getSourceExtent(saved));
+        Object.assign(track, getStemLayout({ ...saved, channels: track.channels }));
         track.gain = saved.gain ?? track.gain;
         track.muted = saved.muted ?? track.muted;
         track.solo = saved.solo ?? track.solo;
 
         // Update audio engine's internal track (it maintains separate copy)
         audioEngine.updateTrackPosition(id, track.x, track.y);
+        audioEngine.updateTrackFacing(id, track.facing);
+        audioEngine.updateTrackHeight(id, track.height);
+        audioEngine.updateTrackExtent(id, track);
+        audioEngine.updateTrackStemLayout(id, track);
+        stageCanvas.updateTrackFacing(id, track.facing);
+        stageCanvas.updateTrackHeight(id, track.height);
+        stageCanvas.updateTrackExtent(id, track);
+        stageCanvas.updateTrackStemLayout(id, track);
       }
     }
   }
@@ -2876,14 +4983,14 @@ function applySharedConfig(config) {
 
   // Apply reverb settings
   if (config.reverbPreset) {
-    state.reverbPreset = config.reverbPreset;
-    elements.reverbPreset.value = config.reverbPreset;
+    state.reverbPreset = resolveReverbPreset(config.reverbPreset, config.reverbIrName);
+    elements.reverbPreset.value = state.reverbPreset;
   }
   if (config.reverbMode) {
     state.reverbMode = config.reverbMode;
     if (elements.reverbMode) {
       elements.reverbMode.value = config.reverbMode;
-      elements.reverbMode.disabled = (config.reverbPreset === 'none');
+      elements.reverbMode.disabled = (state.reverbPreset === 'none');
     }
   }
   if (config.reverbWetDb !== undefined) {
@@ -2891,6 +4998,12 @@ function applySharedConfig(config) {
     elements.reverbWet.value = config.reverbWetDb;
     elements.reverbWetValue.textContent = formatDb(config.reverbWetDb);
   }
+  state.roomConfig = config.roomConfig ? validateRoomConfig(config.roomConfig) : null;
+  state.earlyReflectionsEnabled = config.earlyReflectionsEnabled ?? true;
+  state.atmosphere = validateAtmosphere(config.atmosphere);
+  audioEngine.setRoomConfig(state.roomConfig);
+  audioEngine.setEarlyReflectionsEnabled(state.earlyReflectionsEnabled);
+  audioEngine.setAtmosphere(state.atmosphere);
   updateReverb();
 
   // Apply XTC (speaker cross-talk cancellation)
@@ -2913,6 +5026,11 @@ function applySharedConfig(config) {
     updateMicControlsUI();
   }
 
+  // Apply output mode
+  if (config.renderMode) {
+    applyRenderModeFromConfig(config);
+  }
+
   // Apply ground reflection
   if (config.groundReflectionModel) {
     state.groundReflectionModel = config.groundReflectionModel;
@@ -2936,6 +5054,8 @@ function applySharedConfig(config) {
     elements.noiseGateThresholdValue.textContent = `${config.noiseGateThreshold}dB`;
   }
 
+  applyAutomationFromConfig(config);
+
   // Rebuild audio graph and update UI
   audioEngine.rebuildGraph();
   stageCanvas.setTracks(state.tracks);
@@ -2946,6 +5066,49 @@ function applySharedConfig(config) {
   markUnsaved();
 }
 
+/**
+ * Load automation lanes from a saved/shared config (track lanes are keyed by filename)
+ */
+function applyAutomationFromConfig(config) {
+  const idByFilename = new Map(Array.from(state.tracks, ([id, track]) => [track.filename, id]));
+  audioEngine.setAutomation(config.automation
+    ? remapAutomationTracks(config.automation, filename => idByFilename.get(filename))
+    : null);
+  updateAutomationUI();
+}
+
+/**
+ * Apply render mode from a saved/shared config.
+ * SOFA data is not stored, so custom HRTFs fall back to the built-in set.
+ */
+function applyRenderModeFromConfig(config) {
+  // Layout first, so loudspeaker mode can check it against the device
+  const layout = config.speakerLayout || createSpeakerLayout();
+  let savedLayout = audioEngine.setSpeakerLayout(layout);
+  if (!savedLayout && audioEngine.getRenderMode() === 'speakers') {
+    // Too many speakers for the device while already in loudspeaker mode
+    audioEngine.setRenderMode('mics');
+    savedLayout = audioEngine.setSpeakerLayout(layout);
+  }
+  state.speakerLayout = savedLayout || audioEngine.getSpeakerLayout();
+
+  state.renderMode = ['binaural', 'speakers'].includes(config.renderMode) ? config.renderMode : 'mics';
+  state.hrtfId = DEFAULT_HRTF_ID;
+  state.hrtfName = null;
+  audioEngine.setHrtfSet(null);
+  if (!audioEngine.setRenderMode(state.renderMode)) {
+    showToast(`Using microphones — ${state.speakerLayout.name} needs ${state.speakerLayout.speakers.length} output channels`, 'info');
+    state.renderMode = 'mics';
+    audioEngine.setRenderMode('mics');
+  }
+  stageCanvas.setRenderMode(state.renderMode);
+  updateRenderModeUI();
+
+  if (state.renderMode === 'binaural' && config.hrtfId && config.hrtfId !== DEFAULT_HRTF_ID) {
+    showToast(`Using built-in HRTF — load ${config.hrtfName || 'the SOFA file'} again for the custom set`, 'info');
+  }
+}
+
 /**
  * Share current config via URL
  */
@@ -3039,6 +5202,129 @@ async function downloadMp3() {
   renderAbortController = null;
 }
 
+/**
+ * Download Ambisonics (AmbiX B-format WAV)
+ */
+async function downloadAmbisonics() {
+  if (state.tracks.size === 0) return;
+
+  const order = parseInt(elements.ambisonicOrder.value, 10);
+
+  showRenderModal();
+
+  renderAbortController = new AbortController();
+
+  try {
+    const buffer = await audioEngine.renderAmbisonics(
+      order,
+      updateRenderProgress,
+      renderAbortController.signal
+    );
+
+    const wavData = audioBufferToWav(buffer);
+    const blob = createWavBlob(wavData);
+    const filename = generateFilename(`${state.currentProfile}-ambix-o${order}`, 'wav');
+
+    downloadBlob(blob, filename);
+    hideRenderModal();
+    showToast(`AmbiX (order ${order}, ${buffer.numberOfChannels} ch) downloaded!`, 'success');
+    if (Array.from(state.tracks.values()).some(track => track.width > 0 || track.stemFormat !== 'mono')) {
+      showToast('Wide tracks and stereo/B-format stems are encoded as points at their center', 'info');
+    }
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      showToast('Render cancelled', 'info');
+    } else {
+      console.error('Failed to render Ambisonics:', error);
+      showToast('Failed to render Ambisonics', 'error');
+    }
+    hideRenderModal();
+  }
+
+  renderAbortController = null;
+}
+
+/**
+ * Download the main array as a 5.1/7.1 multichannel WAV
+ */
+async function downloadSurround() {
+  if (state.tracks.size === 0) return;
+
+  const layout = SURROUND_LAYOUTS[elements.surroundLayout.value] || SURROUND_LAYOUTS['5.1'];
+
+  showRenderModal();
+
+  renderAbortController = new AbortController();
+
+  try {
+    const buffer = await audioEngine.renderSurround(
+      layout.id,
+      updateRenderProgress,
+      renderAbortController.signal
+    );
+
+    const wavData = audioBufferToWav(buffer, { channelMask: layout.channelMask });
+    const blob = createWavBlob(wavData);
+    const filename = generateFilename(`${state.currentProfile}-surround-${layout.id}`, 'wav');
+
+    downloadBlob(blob, filename);
+    hideRenderModal();
+    showToast(`${layout.name} downloaded (channels ${layout.channels.join(', ')})`, 'success');
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      showToast('Render cancelled', 'info');
+    } else {
+      console.error('Failed to render surround:', error);
+      showToast('Failed to render surround', 'error');
+    }
+    hideRenderModal();
+  }
+
+  renderAbortController = null;
+}
+
+/**
+ * Download the main mics' front and back capsules (dual-capsule mode) as a multichannel WAV
+ */
+async function downloadCapsuleStems() {
+  if (state.tracks.size === 0) return;
+
+  const channels = audioEngine.getCapsuleChannelNames();
+  if (channels.length === 0) return;
+
+  showRenderModal();
+
+  renderAbortController = new AbortController();
+
+  try {
+    const buffer = await audioEngine.renderCapsuleStems(
+      updateRenderProgress,
+      renderAbortController.signal
+    );
+
+    const wavData = audioBufferToWav(buffer);
+    const blob = createWavBlob(wavData);
+    const filename = generateFilename(`${state.currentProfile}-capsules-${channels.length}ch`, 'wav');
+
+    downloadBlob(blob, filename);
+    hideRenderModal();
+    showToast(`Capsules downloaded (channels ${channels.join(', ')}; F = front, B = back)`, 'success');
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      showToast('Render cancelled', 'info');
+    } else {
+      console.error('Failed to render capsules:', error);
+      showToast('Failed to render capsules', 'error');
+    }
+    hideRenderModal();
+  }
+
+  renderAbortController = null;
+}
+
 /**
  * Cancel render
  */
@@ -3102,12 +5388,15 @@ async function restoreSession() {
     : gainToDb(session.masterGain ?? 1.0);
   state.masterGainDb = clampMasterGainDb(savedMasterGainDb);
   state.masterGainAuto = session.masterGainAuto ?? true;
-  state.reverbPreset = session.reverbPreset ?? 'concert-hall';
+  state.reverbPreset = resolveReverbPreset(session.reverbPreset ?? 'concert-hall', session.reverbIrName);
   state.reverbMode = session.reverbMode ?? 'depth';
   const savedWetDb = Number.isFinite(session.reverbWetDb)
     ? session.reverbWetDb
     : (Number.isFinite(session.reverbWet) ? gainToDb(session.reverbWet) : 0);
   state.reverbWetDb = Math.min(6, Math.max(-24, savedWetDb));
+  state.roomConfig = session.roomConfig ? validateRoomConfig(session.roomConfig) : null;
+  state.earlyReflectionsEnabled = session.earlyReflectionsEnabled ?? true;
+  state.atmosphere = validateAtmosphere(session.atmosphere);
   state.micSeparation = session.micSeparation ?? 2;
   state.groundReflectionEnabled = session.groundReflectionEnabled ?? false;
   state.groundReflectionModel = session.groundReflectionModel ?? state.groundReflectionModel;
@@ -3131,6 +5420,10 @@ async function restoreSession() {
   audioEngine.setXtcEnabled(state.xtcEnabled);
   audioEngine.setGroundReflection(state.groundReflectionEnabled);
   audioEngine.setGroundReflectionModel(state.groundReflectionModel);
+  audioEngine.setRoomConfig(state.roomConfig);
+  audioEngine.setEarlyReflectionsEnabled(state.earlyReflectionsEnabled);
+  audioEngine.setAtmosphere(state.atmosphere);
+  applyRenderModeFromConfig(session);
   updateReverb();
   updateTransportUI();
 
@@ -3161,14 +5454,23 @@ async function restoreSession() {
       // Update UI and audio engine
       for (const [id, track] of state.tracks) {
         audioEngine.updateTrackPosition(id, track.x, track.y);
+        audioEngine.updateTrackFacing(id, track.facing);
+        audioEngine.updateTrackHeight(id, track.height);
+        audioEngine.updateTrackExtent(id, track);
+        audioEngine.updateTrackStemLayout(id, track);
         audioEngine.updateTrackGain(id, track.gain);
         audioEngine.updateTrackMuted(id, track.muted);
         audioEngine.updateTrackSolo(id, track.solo);
         stageCanvas.updateTrackPosition(id, track.x, track.y);
+        stageCanvas.updateTrackFacing(id, track.facing);
+        stageCanvas.updateTrackHeight(id, track.height);
+        stageCanvas.updateTrackExtent(id, track);
+        stageCanvas.updateTrackStemLayout(id, track);
       }
 
       buildTrackList();
     }
+    applyAutomationFromConfig(session);
   }
 
   if (state.masterGainAuto) {
@@ -3190,14 +5492,20 @@ function saveCurrentSession() {
     masterGainAuto: state.masterGainAuto,
     reverbPreset: state.reverbPreset,
     reverbMode: state.reverbMode,
+    atmosphere: state.atmosphere,
     micSeparation: state.micSeparation,
     micConfig: state.micConfig,
+    renderMode: state.renderMode,
+    hrtfId: state.hrtfId,
+    hrtfName: state.hrtfName,
+    speakerLayout: state.speakerLayout,
     groundReflectionEnabled: state.groundReflectionEnabled,
     groundReflectionModel: state.groundReflectionModel,
     noiseGateEnabled: state.noiseGateEnabled,
     noiseGateThreshold: state.noiseGateThreshold,
     xtcEnabled: state.xtcEnabled,
     xtcConfig: state.xtcConfig,
+    automation: audioEngine.getAutomation(),
   });
 
   saveSession(sessionState);
@@ -3244,6 +5552,9 @@ function updateProfileName() {
 function enableExportButtons() {
   elements.downloadWavBtn.disabled = false;
   elements.downloadMp3Btn.disabled = false;
+  elements.downloadAmbixBtn.disabled = false;
+  elements.downloadSurroundBtn.disabled = false;
+  if (elements.downloadCapsulesBtn) elements.downloadCapsulesBtn.disabled = false;
 }
 
 /**
@@ -3252,6 +5563,9 @@ function enableExportButtons() {
 function disableExportButtons() {
   elements.downloadWavBtn.disabled = true;
   elements.downloadMp3Btn.disabled = true;
+  elements.downloadAmbixBtn.disabled = true;
+  elements.downloadSurroundBtn.disabled = true;
+  if (elements.downloadCapsulesBtn) elements.downloadCapsulesBtn.disabled = true;
 }
 
 /**
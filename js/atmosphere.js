@@ -0,0 +1,110 @@
+// Atmospheric conditions: ISO 9613-1 air absorption and temperature-dependent speed of sound
+
+import { AIR_ABSORPTION_BANDS } from './physics-constants.js';
+
+const REFERENCE_PRESSURE_KPA = 101.325;
+const REFERENCE_TEMPERATURE_K = 293.15; // 20°C
+const TRIPLE_POINT_K = 273.16;
+const KELVIN_OFFSET = 273.15;
+
+export const DEFAULT_ATMOSPHERE = {
+  temperature: 20, // °C
+  humidity: 50, // % relative humidity
+  pressure: REFERENCE_PRESSURE_KPA, // kPa
+};
+
+export const ATMOSPHERE_LIMITS = {
+  temperature: { min: -20, max: 45 },
+  humidity: { min: 5, max: 100 },
+  pressure: { min: 70, max: 108 },
+};
+
+// Typical venues; values follow DEFAULT_ATMOSPHERE units
+export const ATMOSPHERE_PRESETS = {
+  standard: { name: 'Standard (20°C, 50%)', temperature: 20, humidity: 50, pressure: REFERENCE_PRESSURE_KPA },
+  'winter-hall': { name: 'Dry winter hall', temperature: 19, humidity: 20, pressure: REFERENCE_PRESSURE_KPA },
+  'summer-open-air': { name: 'Humid summer open air', temperature: 30, humidity: 85, pressure: REFERENCE_PRESSURE_KPA },
+  'mountain-festival': { name: 'Mountain festival (1800 m)', temperature: 12, humidity: 60, pressure: 81.5 },
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Clamp atmospheric conditions to the supported range (missing values use the defaults)
+ * @param {Object|null} atmosphere - {temperature, humidity, pressure}
+ * @returns {{temperature: number, humidity: number, pressure: number}}
+ */
+export function validateAtmosphere(atmosphere) {
+  const result = {};
+  for (const [key, { min, max }] of Object.entries(ATMOSPHERE_LIMITS)) {
+    const value = atmosphere?.[key];
+    result[key] = Number.isFinite(value) ? clamp(value, min, max) : DEFAULT_ATMOSPHERE[key];
+  }
+  return result;
+}
+
+/**
+ * Find the preset matching some conditions
+ * @param {Object} atmosphere - {temperature, humidity, pressure}
+ * @returns {string|null} - Preset key, or null for custom conditions
+ */
+export function findAtmospherePreset(atmosphere) {
+  const entry = Object.entries(ATMOSPHERE_PRESETS).find(([, preset]) =>
+    Math.abs(preset.temperature - atmosphere.temperature) < 0.05 &&
+    Math.abs(preset.humidity - atmosphere.humidity) < 0.05 &&
+    Math.abs(preset.pressure - atmosphere.pressure) < 0.05
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Speed of sound in dry air (humidity adds well under 1%)
+ * @param {number} temperature - °C
+ * @returns {number} - m/s (343.2 at 20°C)
+ */
+export function calculateSpeedOfSound(temperature) {
+  return 331.3 * Math.sqrt(1 + temperature / KELVIN_OFFSET);
+}
+
+/**
+ * Pure-tone atmospheric absorption coefficient (ISO 9613-1:1993, equations 3–5 and B.1)
+ * @param {number} freq - Hz
+ * @param {Object} atmosphere - {temperature (°C), humidity (%), pressure (kPa)}
+ * @returns {number} - dB per meter
+ */
+export function calculateAbsorptionCoefficient(freq, { temperature, humidity, pressure }) {
+  const T = temperature + KELVIN_OFFSET;
+  const pRatio = pressure / REFERENCE_PRESSURE_KPA;
+  const tRatio = T / REFERENCE_TEMPERATURE_K;
+
+  // Molar concentration of water vapour (%) from relative humidity
+  const satExponent = -6.8346 * Math.pow(TRIPLE_POINT_K / T, 1.261) + 4.6151;
+  const h = humidity * Math.pow(10, satExponent) / pRatio;
+
+  // Relaxation frequencies of oxygen and nitrogen
+  const frO = pRatio * (24 + 4.04e4 * h * (0.02 + h) / (0.391 + h));
+  const frN = pRatio * Math.pow(tRatio, -0.5) * (9 + 280 * h * Math.exp(-4.170 * (Math.pow(tRatio, -1 / 3) - 1)));
+
+  const f2 = freq * freq;
+  return 8.686 * f2 * (
+    1.84e-11 / pRatio * Math.sqrt(tRatio) +
+    Math.pow(tRatio, -2.5) * (
+      0.01275 * Math.exp(-2239.1 / T) / (frO + f2 / frO) +
+      0.1068 * Math.exp(-3352.0 / T) / (frN + f2 / frN)
+    )
+  );
+}
+
+/**
+ * Absorption table for the filter bank bands
+ * @param {Object} atmosphere - {temperature, humidity, pressure}
+ * @returns {Array} - [{freq, alpha}] with alpha in dB per 100 meters
+ */
+export function calculateAirAbsorptionTable(atmosphere) {
+  return AIR_ABSORPTION_BANDS.map(freq => ({
+    freq,
+    alpha: calculateAbsorptionCoefficient(freq, atmosphere) * 100,
+  }));
+}
@@ -1,6 +1,17 @@
 // Web Audio API engine with physically accurate stereo simulation
 // Features: ITD, 1/d amplitude, frequency-dependent air absorption, optional ground reflection
-// Microphone modeling: polar patterns, stereo techniques (AB, XY, ORTF, Blumlein, Decca Tree)
+// Microphone modeling: polar patterns, stereo techniques (AB, XY, ORTF, Blumlein, Decca Tree, NOS, DIN, ...)
+// and user-defined arrays, every mic on its own chain routed into L/R through a matrix
+// Binaural mode: listener head with HRTF convolution instead of the mic array
+// Loudspeaker mode: VBAP panning from the listener to a multichannel speaker layout (realtime only)
+// Ambisonics export: offline AmbiX (ACN/SN3D) encoding around a listening point
+// Surround export: main-array mics routed into 5.1/7.1 channels (surround arrays feed their own channels)
+// Early reflections: image-source model of a rectangular hall, per track and per receiver
+// Instrument radiation: parametric per-band directivity for single-recording tracks
+// Automation: keyframed parameters applied during playback and scheduled in offline renders
+// Spot mics: extra stage mics panned into the stereo mix, optionally time-aligned to the main array
+// Extended sources: wide tracks (sections, choirs) picked up as several decorrelated sub-sources
+// Multichannel stems: stereo channels as a pair of sources, B-format decoded to a ring of sources
 
 import {
   createMicrophoneConfig,
@@ -8,9 +19,25 @@ import {
   cloneMicConfig,
   applyTechniqueLayout,
   validateConfig,
-  STEREO_TECHNIQUES,
-  POLAR_PATTERNS,
-  RECORDING_PRESETS,
+  getListenerPose,
+  createSpotMic,
+  getNextSpotMicId,
+  validateSpotMic,
+  MAX_SPOT_MICS,
+  getTechnique,
+  getFixedPattern,
+  getMicPolarPattern,
+  validatePatternAlpha,
+  getNearestPattern,
+  wrapDegrees,
+  validateCustomTechnique,
+  MAX_CUSTOM_TECHNIQUES,
+  POLAR_BANDS,
+  POLAR_REFERENCE_HZ,
+  SURROUND_LAYOUTS,
+  DEFAULT_SURROUND_LAYOUT,
+  getSurroundRoute,
+  mapSurroundFeed,
 } from './microphone-types.js';
 
 import {
@@ -18,13 +45,67 @@ import {
   calculatePolarGain,
   calculateGroundReflectionPolarGain,
   getPolarPatternPoints,
+  getMicWorldPosition,
+  calculateSpotResponse,
+  calculateSpotAlignmentDelay,
+  calculatePanGains,
+  calculateMicRouting,
 } from './microphone-math.js';
 
-import { STAGE_CONFIG, AIR_ABSORPTION, MIC_CONSTANTS } from './physics-constants.js';
+import { STAGE_CONFIG, AIR_ABSORPTION_BANDS, MIC_CONSTANTS } from './physics-constants.js';
+import {
+  DEFAULT_ATMOSPHERE,
+  validateAtmosphere,
+  calculateSpeedOfSound,
+  calculateAirAbsorptionTable,
+} from './atmosphere.js';
 import { DEFAULT_XTC_CONFIG } from './xtc-config.js';
+import {
+  createDefaultHrtfSet,
+  findNearestMeasurement,
+  getHrirBuffer,
+  vectorToDirection,
+} from './hrtf.js';
+import {
+  createSpeakerLayout,
+  validateSpeakerLayout,
+  prepareVbap,
+  calculateVbapGains,
+  calculateStereoSpreadGains,
+  SPEAKER_LIMITS,
+} from './loudspeakers.js';
+import { getSourceExtent, getStemLayout, getSubSources } from './source-extent.js';
+import {
+  encodeAmbisonicGains,
+  getAmbisonicChannelCount,
+  normalizeAmbisonicOrder,
+} from './ambisonics.js';
+import { DECORRELATION_CROSSOVER_HZ, getDecorrelationShelfDb, getDecorrelationFilters } from './decorrelation.js';
+import {
+  REVERB_PRESETS,
+  computeImageSources,
+  renderEarlyReflections,
+  getPresetRoomConfig,
+  validateRoomConfig,
+  calculateCriticalDistance,
+} from './reverb.js';
+import {
+  RADIATION_BANDS,
+  getRadiationModel,
+  calculateRadiationGains,
+} from './instrument-directivity.js';
+import {
+  createAutomation,
+  hasAutomation,
+  laneKey,
+  parseLaneKey,
+  writeKeyframe,
+  getAutomationValues,
+  getAutomationTimes,
+} from './automation.js';
 
 // Physical constants
-const SPEED_OF_SOUND = 343; // m/s at 20°C
+const SPEED_OF_SOUND = 343; // m/s at 20°C (playback room, for XTC; hall paths use this.speedOfSound)
 const PATTERN_GAIN_EPS = 1e-4;
 const VISUAL_NOISE_MARGIN_DB = 12;
 const VISUAL_DYNAMIC_RANGE_DB = 40;
@@ -37,6 +118,23 @@ const GRAPH_REBUILD_DEBOUNCE_MS = 140;
 const DEFAULT_GRAPH_SWAP_MODE = 'nonOverlap';
 const TOGGLE_CROSSFADE_SECONDS = 0.08;
 const PARAM_RAMP_SECONDS = 0.03;
+const EARLY_REFLECTION_UPDATE_MS = 60; // Debounce IR recomputation while dragging
+const EARLY_REFLECTION_OFFLINE_STEP_SECONDS = 0.25; // Shortest time between reflection sets in offline renders
+const EARLY_REFLECTION_CROSSFADE_SECONDS = 0.05; // Fade between reflection sets in offline renders
+const EAR_OFFSET_METERS = 0.0875; // Half head width for binaural reflection receivers
+const HRIR_CROSSFADE_SECONDS = 0.03; // Linear fade between the two HRIR convolvers of a binaural track
+const AUTOMATION_UPDATE_SECONDS = 0.05; // Realtime automation apply interval
+const AUTOMATION_STEP_SECONDS = 0.05; // Offline schedule grid while a lane is moving (keeps Doppler smooth)
+const AUTOMATION_TOUCH_MS = 500; // A lane being written is not played back for this long
+const DELAY_GLIDE_MIN_SECONDS = 0.01; // Shortest propagation-delay glide (fast pointer updates)
+const DELAY_GLIDE_MAX_SECONDS = 0.1; // Longest glide (first update after the source was still)
+const MAX_DELAY_SLOPE = 0.5; // |d(delay)/dt| cap: Doppler pitch ratio stays within 0.5–1.5
+const SPOT_MAX_DELAY_SECONDS = 0.25; // Spot path plus time alignment to a distant main array
+
+// Off-axis filters: one per polar band except the 1 kHz reference, which the flat pattern gain covers
+const OFF_AXIS_FILTER_BANDS = POLAR_BANDS
+  .map((freq, index) => ({ freq, index }))
+  .filter(({ freq }) => freq !== POLAR_REFERENCE_HZ);
 
 function safePatternGain(gain) {
   if (!Number.isFinite(gain)) return PATTERN_GAIN_EPS;
@@ -59,8 +157,42 @@ function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
 }
 
+/**
+ * Move an AudioParam toward a value: a short exponential approach from `now`,
+ * or (offline automation) a linear ramp that reaches it exactly at `at`
+ */
+function rampParam(param, value, now, rampTime, at = null) {
+  if (at === null) {
+    param.setTargetAtTime(value, now, rampTime);
+  } else {
+    param.linearRampToValueAtTime(value, at);
+  }
+}
+
+/**
+ * Move a propagation delay continuously: a linear glide from the current delay that lasts until the
+ * next expected update. While a source moves the delay slope stays constant between updates, which is
+ * the Doppler shift (pitch ratio 1 - d(delay)/dt) without zipper steps. Jumps are slowed to MAX_DELAY_SLOPE.
+ * Offline (`at` set) the automation schedule is already piecewise linear.
+ */
+function glideDelay(param, value, now, duration, at = null) {
+  if (at !== null) {
+    param.linearRampToValueAtTime(value, at);
+    return;
+  }
+  if (typeof param.cancelAndHoldAtTime === 'function') {
+    param.cancelAndHoldAtTime(now);
+  } else {
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+  }
+  const glide = Math.max(duration, Math.abs(value - param.value) / MAX_DELAY_SLOPE);
+  param.linearRampToValueAtTime(value, now + glide);
+}
+
 const MAX_REVERB_WET = dbToLinear(6); // Match UI max (+6 dB)
 const XTC_MAX_DELAY = 0.01; // 10ms safety cap
+const SPEAKER_MAX_DELAY = SPEAKER_LIMITS.delayMs.max / 1000;
 const XTC_RAMP_SECONDS = 0.05;
 
 const CENTER_PAN_GAIN = Math.SQRT1_2; // -3dB equal-power pan for center mic
@@ -75,6 +207,14 @@ const GROUND_REFLECTION_MODELS = {
 
 const DEFAULT_GROUND_REFLECTION_MODEL = 'stage';
 
+// Output rendering: virtual microphones (stereo), listener head (binaural HRTF)
+// or loudspeakers around the listener (VBAP, needs a multichannel output device)
+const RENDER_MODES = {
+  mics: { id: 'mics', label: 'Microphones (stereo)' },
+  binaural: { id: 'binaural', label: 'Binaural (headphones)' },
+  speakers: { id: 'speakers', label: 'Loudspeakers (VBAP)' },
+};
+
 export class AudioEngine {
   constructor() {
     this.context = null;
@@ -109,9 +249,23 @@ export class AudioEngine {
     this.xtcConfig = { ...DEFAULT_XTC_CONFIG };
     this.xtcNodes = null;
     this.xtcComputed = null;
+    this.renderMode = 'mics';
+    this.speakerLayout = createSpeakerLayout();
+    this.vbap = prepareVbap(this.speakerLayout);
+    this.speakerOutput = null; // Per-speaker trims in loudspeaker mode
+    this.hrtfSet = null; // Lazily created built-in set when null
+    this.roomConfig = null; // Custom hall; null uses the reverb preset's hall
+    this.atmosphere = { ...DEFAULT_ATMOSPHERE };
+    this.speedOfSound = calculateSpeedOfSound(this.atmosphere.temperature);
+    this.airAbsorptionTable = calculateAirAbsorptionTable(this.atmosphere);
+    this.earlyReflectionsEnabled = true;
+    this.automation = createAutomation();
+    this.automationTouches = new Map(); // laneKey -> {time, touchedAt} while the user writes a lane
+    this.lastAutomationTime = null;
 
     this.onTimeUpdate = null;
     this.onPlaybackEnd = null;
+    this.onAutomationApply = null;
     this.animationFrame = null;
     this.graphRebuildTimer = null;
     this.graphRebuildPending = null;
@@ -123,46 +277,34 @@ export class AudioEngine {
     // Microphone configuration (techniques, polar patterns, positions)
     this.micConfig = createMicrophoneConfig('spaced-pair');
 
-    // Legacy mic positions (derived from micConfig for backward compatibility)
-    this.micL = { x: -STAGE_CONFIG.micSpacing / 2, y: STAGE_CONFIG.micY };
-    this.micR = { x: STAGE_CONFIG.micSpacing / 2, y: STAGE_CONFIG.micY };
-    this.micC = null;
-    this._updateLegacyMicPositions();
+    // Hall positions of the enabled array mics (derived from micConfig)
+    this.arrayMics = [];
+    this._updateArrayMicPositions();
   }
 
   /**
-   * Update legacy mic positions from current micConfig
-   * Used for backward compatibility with existing code
-   * Also stores mic pattern and angle for ground reflection calculations
+   * Place the enabled mics of the current array in the hall (offsets rotated around the listener)
+   * Also stores each mic's pattern, aim and tilt for directivity, radiation and ground reflection
    */
-  _updateLegacyMicPositions() {
+  _updateArrayMicPositions() {
     const layoutConfig = applyTechniqueLayout(cloneMicConfig(this.micConfig));
-    const baseY = this.micConfig.micY;
-
-    // Find L, R, and C mics
-    const micL = layoutConfig.mics.find(m => m.id === 'L');
-    const micR = layoutConfig.mics.find(m => m.id === 'R');
-    const micC = layoutConfig.mics.find(m => m.id === 'C');
-
-    if (micL) {
-      this.micL = { x: micL.offsetX, y: baseY + (micL.offsetY || 0) };
-      this.micLPattern = micL.pattern || 'omni';
-      this.micLAngle = micL.angle || 0;
-    }
-    if (micR) {
-      this.micR = { x: micR.offsetX, y: baseY + (micR.offsetY || 0) };
-      this.micRPattern = micR.pattern || 'omni';
-      this.micRAngle = micR.angle || 0;
-    }
-    if (micC) {
-      this.micC = { x: micC.offsetX, y: baseY + (micC.offsetY || 0) };
-      this.micCPattern = micC.pattern || 'omni';
-      this.micCAngle = micC.angle || 0;
-    } else {
-      this.micC = null;
-      this.micCPattern = null;
-      this.micCAngle = null;
-    }
+    const pose = getListenerPose(this.micConfig);
+
+    this.arrayMics = layoutConfig.mics
+      .filter(mic => mic.enabled)
+      .map(mic => {
+        const world = getMicWorldPosition(mic, pose);
+        return {
+          id: mic.id,
+          x: world.x,
+          y: world.y,
+          height: world.height,
+          pattern: getMicPolarPattern({ ...mic, dualCapsule: this.micConfig.dualCapsule }),
+          angle: world.angle,
+          tilt: world.tilt,
+          level: mic.level || 0,
+        };
+      });
   }
 
   /**
@@ -382,16 +524,23 @@ export class AudioEngine {
 
   /**
    * Create a mix bus with its own stereo merger + reverb chain.
+   * In loudspeaker mode the merger has one input per speaker and the reverb is spread over them.
    */
   _createBus({ initialGain = 0 } = {}) {
-    const stereoMerger = this.context.createChannelMerger(2);
+    const speakerLayout = this.renderMode === 'speakers' ? this.speakerLayout : null;
+    const stereoMerger = this.context.createChannelMerger(speakerLayout ? speakerLayout.speakers.length : 2);
     const outputGain = this.context.createGain();
     outputGain.gain.value = initialGain;
     stereoMerger.connect(outputGain);
 
     const reverbGainNode = this.context.createGain();
     reverbGainNode.gain.value = this.reverbPreset === 'none' ? 0 : 1;
-    reverbGainNode.connect(outputGain);
+    let reverbSpread = [];
+    if (speakerLayout) {
+      reverbSpread = this._spreadStereoOverSpeakers(this.context, reverbGainNode, stereoMerger);
+    } else {
+      reverbGainNode.connect(outputGain);
+    }
 
     const reverbNode = this.context.createConvolver();
     if (this.reverbImpulseBuffer) {
@@ -405,7 +554,9 @@ export class AudioEngine {
       stereoMerger,
       reverbNode,
       reverbGainNode,
+      reverbSpread,
       outputGain,
+      speakerLayout,
     };
   }
 
@@ -422,7 +573,7 @@ export class AudioEngine {
 
   _disconnectBus(bus) {
     if (!bus) return;
-    for (const node of [bus.stereoMerger, bus.reverbNode, bus.reverbGainNode, bus.outputGain]) {
+    for (const node of [bus.stereoMerger, bus.reverbNode, bus.reverbGainNode, ...bus.reverbSpread, bus.outputGain]) {
       if (node && typeof node.disconnect === 'function') {
         try {
           node.disconnect();
@@ -439,6 +590,15 @@ export class AudioEngine {
 
     nodes.isSuperseded = true;
 
+    if (nodes.earlyTimer) {
+      clearTimeout(nodes.earlyTimer);
+      nodes.earlyTimer = null;
+    }
+    if (nodes.hrirTimer) {
+      clearTimeout(nodes.hrirTimer);
+      nodes.hrirTimer = null;
+    }
+
     // Stop all sources
     try {
       if (nodes.sourceFront) nodes.sourceFront.stop();
@@ -452,7 +612,17 @@ export class AudioEngine {
     }
 
     // Disconnect all nodes
-    Object.values(nodes).forEach(node => {
+    [
+      ...Object.values(nodes),
+      ...(nodes.earlyConvolvers || []),
+      ...(nodes.panGains || []),
+      ...(nodes.hrirConvolvers || []),
+      ...(nodes.hrirGains || []),
+      ...(nodes.subSourceNodes || []),
+      ...(nodes.downmixNodes || []),
+      ...(nodes.micChains || []).flatMap(chain => Object.values(chain)),
+      ...(nodes.spotChains || []).flatMap(chain => Object.values(chain)),
+    ].forEach(node => {
       if (node && typeof node.disconnect === 'function') {
         try {
           node.disconnect();
@@ -713,13 +883,13 @@ export class AudioEngine {
 
   /**
    * Calculate directivity blend factor for a mic position
-   * Instruments face toward audience (negative Y direction)
+   * Facing 0 points toward the audience (negative Y); positive turns to the player's right
    * Returns { front: 0-1, bell: 0-1 } blend weights
    */
-  calculateDirectivityBlend(sourcePos, micPos) {
-    // Instrument facing direction (toward audience, negative Y)
-    const facingX = 0;
-    const facingY = -1;
+  calculateDirectivityBlend(sourcePos, micPos, facing = 0) {
+    const facingRad = (facing * Math.PI) / 180;
+    const facingX = -Math.sin(facingRad);
+    const facingY = -Math.cos(facingRad);
 
     // Direction from source to mic
     const toMicX = micPos.x - sourcePos.x;
@@ -748,81 +918,148 @@ export class AudioEngine {
     return { front: frontWeight, bell: bellWeight };
   }
 
-  _getTrackSpatialParams(track, { hasCenter } = {}) {
+  /**
+   * Source height of a track in meters
+   */
+  _getSourceHeight(track) {
+    return Number.isFinite(track.height) ? track.height : STAGE_CONFIG.sourceHeight;
+  }
+
+  /**
+   * Gain, distance and timing of a track at every main-array mic
+   * Each mic has its own delay line: baseDelay (mean arrival, which preserves depth timing cues)
+   * plus its ITD, the lag behind the earliest mic.
+   * @param {Object} track - Engine track
+   * @param {Object} [options] - {capsules}: split each mic into its front/back capsules (see _getCapsuleMics);
+   *   {surroundLayout}: route each mic into a surround layout (see _getSurroundMics)
+   * @returns {Object} - {sourcePosMeters, sourceHeight, mics: [{id, position, amp, directPattern, offAxisDb,
+   *   proximityDb, distance, delay, itd, route}], baseDelay, minTime}
+   */
+  _getTrackSpatialParams(track, { capsules = false, surroundLayout = null } = {}) {
     const sourcePosNormalized = { x: track.x, y: track.y };
     const sourcePosMeters = this.normalizedToMeters(track.x, track.y);
-    const stereoResponse = calculateStereoResponse(sourcePosNormalized, this.micConfig, STAGE_CONFIG);
-
-    const micResponses = stereoResponse.micResponses || {};
-    const resolvedHasCenter = hasCenter ?? STEREO_TECHNIQUES[this.micConfig.technique]?.hasCenter;
-    const responseL = micResponses.L;
-    const responseR = micResponses.R;
-    const responseC = resolvedHasCenter ? micResponses.C : null;
-
-    const ampL = resolvedHasCenter && responseL ? responseL.gain : stereoResponse.left.gain;
-    const ampR = resolvedHasCenter && responseR ? responseR.gain : stereoResponse.right.gain;
-    const ampC = responseC ? responseC.gain : 0;
-
-    const directPatternL = responseL?.patternGain ?? 1;
-    const directPatternR = responseR?.patternGain ?? 1;
-    const directPatternC = responseC?.patternGain ?? 1;
-
-    const distL = responseL?.distance || MIC_CONSTANTS.refDistance;
-    const distR = responseR?.distance || MIC_CONSTANTS.refDistance;
-    const distC = responseC?.distance || MIC_CONSTANTS.refDistance;
-
-    const delayL = responseL?.delay ?? stereoResponse.left.delay;
-    const delayR = responseR?.delay ?? stereoResponse.right.delay;
-    const delayC = responseC?.delay ?? null;
-
-    // Base delay: average propagation time preserves depth timing cues
-    const refDistance = Math.abs(this.micConfig.micY);
-    const refTime = refDistance / SPEED_OF_SOUND;
-    const avgTime = (delayL + delayR) / 2;
-    const baseDelay = Math.max(0, avgTime - refTime);
-
-    // ITD: additional delay for the further channel
-    const minTime = (resolvedHasCenter && delayC !== null)
-      ? Math.min(delayL, delayR, delayC)
-      : Math.min(delayL, delayR);
-    const itdL = delayL - minTime;
-    const itdR = delayR - minTime;
-    const itdC = (resolvedHasCenter && delayC !== null) ? delayC - minTime : 0;
+    const sourceHeight = this._getSourceHeight(track);
+    const stereoResponse = calculateStereoResponse(
+      sourcePosNormalized, this.micConfig, { ...STAGE_CONFIG, sourceHeight, speedOfSound: this.speedOfSound }
+    );
+
+    const responses = stereoResponse.micResponses || {};
+    const mics = this.arrayMics
+      .filter(mic => responses[mic.id])
+      .map(mic => ({
+        id: mic.id,
+        position: mic,
+        amp: responses[mic.id].gain,
+        directPattern: responses[mic.id].patternGain ?? 1,
+        offAxisDb: responses[mic.id].offAxisDb || null,
+        proximityDb: responses[mic.id].proximityDb || 0,
+        distance: responses[mic.id].distance || MIC_CONSTANTS.refDistance,
+        delay: responses[mic.id].delay,
+        itd: 0,
+        route: stereoResponse.routing[mic.id] || [0, 0],
+      }));
+
+    const refTime = this._getReferenceTime(getListenerPose(this.micConfig));
+    const delays = mics.map(mic => mic.delay);
+    const meanTime = delays.length > 0 ? delays.reduce((sum, d) => sum + d, 0) / delays.length : refTime;
+    const minTime = delays.length > 0 ? Math.min(...delays) : refTime;
+    const baseDelay = Math.max(0, meanTime - refTime);
+    for (const mic of mics) {
+      mic.itd = mic.delay - minTime;
+    }
 
     return {
       sourcePosNormalized,
       sourcePosMeters,
-      hasCenter: !!resolvedHasCenter,
-      responseL,
-      responseR,
-      responseC,
-      ampL,
-      ampR,
-      ampC,
-      directPatternL,
-      directPatternR,
-      directPatternC,
-      distL,
-      distR,
-      distC,
-      delayL,
-      delayR,
-      delayC,
+      sourceHeight,
+      mics: capsules
+        ? this._getCapsuleMics(mics, sourcePosMeters, sourceHeight)
+        : surroundLayout ? this._getSurroundMics(mics, surroundLayout) : mics,
       baseDelay,
-      itdL,
-      itdR,
-      itdC,
+      minTime,
     };
   }
 
-  _getDirectivityBlends(sourcePosMeters, hasCenter) {
-    const blendL = this.calculateDirectivityBlend(sourcePosMeters, this.micL);
-    const blendR = this.calculateDirectivityBlend(sourcePosMeters, this.micR);
-    const blendC = (hasCenter && this.micC)
-      ? this.calculateDirectivityBlend(sourcePosMeters, this.micC)
-      : { front: 1, bell: 0 };
+  /**
+   * Dual-diaphragm emulation: the front and back cardioid capsules of each main mic
+   * (IDs "<mic>F" and "<mic>B"). Both share their mic's position and timing; the back capsule
+   * faces the other way. Any first-order pattern is F + k * B (k = 1 omni, 0 cardioid, -1 figure-8).
+   * Each capsule gets its own output, so its route is [1, 0].
+   * @param {Array} mics - Mics from _getTrackSpatialParams
+   * @param {Object} sourcePosMeters - {x, y}
+   * @param {number} sourceHeight - Meters
+   * @returns {Array} - Capsules, same shape as the mics
+   */
+  _getCapsuleMics(mics, sourcePosMeters, sourceHeight) {
+    return mics.flatMap(mic => ['F', 'B'].map(side => {
+      const isBack = side === 'B';
+      const position = {
+        ...mic.position,
+        pattern: 'cardioid',
+        angle: isBack ? wrapDegrees(mic.position.angle + 180) : mic.position.angle,
+        tilt: isBack ? -mic.position.tilt : mic.position.tilt,
+      };
+      const response = calculateSpotResponse(sourcePosMeters, position, {
+        sourceHeight,
+        speedOfSound: this.speedOfSound,
+      });
+      return {
+        ...mic,
+        id: `${mic.id}${side}`,
+        position,
+        amp: response.gain,
+        directPattern: response.patternGain,
+        offAxisDb: response.offAxisDb,
+        proximityDb: response.proximityDb,
+        route: [1, 0],
+      };
+    }));
+  }
+
+  /**
+   * Main-array mics routed into a surround layout. A mic chain has two routes, so each mic
+   * feeds the two layout channels with the largest gains (in channel order, so automation keeps
+   * them); the stereo route still drives its reverb send.
+   * @param {Array} mics - Mics from _getTrackSpatialParams
+   * @param {string} layoutId - Key of SURROUND_LAYOUTS
+   * @returns {Array} - Mics with route (gains of the two channels), outputChannels and reverbRoute
+   */
+  _getSurroundMics(mics, layoutId) {
+    const technique = getTechnique(this.micConfig);
+    return mics.map(mic => {
+      const gains = getSurroundRoute(technique, mic, layoutId);
+      const outputChannels = gains
+        .map((gain, channel) => ({ gain: Math.abs(gain), channel }))
+        .sort((a, b) => b.gain - a.gain || a.channel - b.channel)
+        .slice(0, 2)
+        .map(({ channel }) => channel)
+        .sort((a, b) => a - b);
+      return {
+        ...mic,
+        route: outputChannels.map(channel => gains[channel]),
+        outputChannels,
+        reverbRoute: mic.route,
+      };
+    });
+  }
+
+  /**
+   * Output channel names of a capsule render (see renderCapsuleStems)
+   * @returns {string[]} - e.g. ['LF', 'LB', 'RF', 'RB']
+   */
+  getCapsuleChannelNames() {
+    return this.arrayMics.flatMap(mic => [`${mic.id}F`, `${mic.id}B`]);
+  }
 
-    return { blendL, blendR, blendC };
+  /**
+   * Propagation time from the listener to the stage front edge.
+   * Subtracted from every path so playback latency does not grow with seat distance
+   * (zero when the listener stands on the stage).
+   * @param {{y: number}} listener - Listener pose in meters
+   * @returns {number} - Seconds
+   */
+  _getReferenceTime(listener) {
+    return Math.max(0, -listener.y) / this.speedOfSound;
   }
 
   _getGroundReflectionParams(spatial) {
@@ -834,20 +1071,19 @@ export class AudioEngine {
     const crossFreq = groundModel.crossoverHz;
     const refDist = MIC_CONSTANTS.refDistance;
 
-    const buildParams = (micPos, micPattern, micAngle, directPattern, effectiveDist, directDelay, itd) => {
-      if (!micPos) return null;
-
+    const buildParams = (micPos, directPattern, effectiveDist, directDelay, itd) => {
+      const micHeight = micPos.height ?? STAGE_CONFIG.micHeight;
       const groundDist = this.calculateGroundReflectionDistance(
-        spatial.sourcePosMeters, micPos, STAGE_CONFIG.sourceHeight, STAGE_CONFIG.micHeight
+        spatial.sourcePosMeters, micPos, spatial.sourceHeight, micHeight
       );
-      const groundTime = groundDist / SPEED_OF_SOUND;
+      const groundTime = groundDist / this.speedOfSound;
       const groundExtra = Math.max(0, groundTime - directDelay);
 
       const directGain = refDist / effectiveDist;
       const groundGain = refDist / groundDist;
       const groundPolar = calculateGroundReflectionPolarGain(
-        micPattern, spatial.sourcePosMeters, micPos, micAngle,
-        STAGE_CONFIG.sourceHeight, STAGE_CONFIG.micHeight
+        micPos.pattern, spatial.sourcePosMeters, micPos, micPos.angle,
+        spatial.sourceHeight, micHeight, micPos.tilt
       );
       const patternRatio = groundPolar / safePatternGain(directPattern);
       const baseAmp = (groundGain / directGain) * patternRatio;
@@ -864,12 +1100,403 @@ export class AudioEngine {
       lowGain,
       highGain,
       crossFreq,
-      L: buildParams(this.micL, this.micLPattern, this.micLAngle, spatial.directPatternL, spatial.distL, spatial.delayL, spatial.itdL),
-      R: buildParams(this.micR, this.micRPattern, this.micRAngle, spatial.directPatternR, spatial.distR, spatial.delayR, spatial.itdR),
-      C: spatial.hasCenter
-        ? buildParams(this.micC, this.micCPattern, this.micCAngle, spatial.directPatternC, spatial.distC, spatial.delayC, spatial.itdC)
-        : null,
+      // micId -> {dist, delayTime, baseAmp, airAbsorption}
+      mics: Object.fromEntries(spatial.mics.map(mic => [
+        mic.id,
+        buildParams(mic.position, mic.directPattern, mic.distance, mic.delay, mic.itd),
+      ])),
+    };
+  }
+
+  /**
+   * Hall used for early reflections (null when disabled or with the dry preset)
+   * @returns {Object|null}
+   */
+  _getActiveRoom() {
+    if (!this.earlyReflectionsEnabled || this.reverbPreset === 'none') return null;
+    return this.roomConfig || getPresetRoomConfig(this.reverbPreset);
+  }
+
+  /**
+   * Receivers for the image-source renderer, one per output channel before folding
+   * @param {'mics'|'binaural'|'ambisonic'|'speakers'} mode - Output being rendered
+   * @param {{x: number, y: number, height: number, facing: number}} listener - Listener pose in meters
+   * @param {number} order - Ambisonic order (ambisonic mode only)
+   * @returns {Array} - [{id, x, y, height, gain(dx, dy, dz)}]
+   */
+  _getEarlyReflectionReceivers(mode, listener, order = 1) {
+    const facingRad = ((listener.facing || 0) * Math.PI) / 180;
+    const cos = Math.cos(facingRad);
+    const sin = Math.sin(facingRad);
+
+    if (mode === 'ambisonic') {
+      // One receiver per ACN channel at the listening point
+      return Array.from({ length: getAmbisonicChannelCount(order) }, (_, acn) => ({
+        id: acn,
+        x: listener.x,
+        y: listener.y,
+        height: listener.height,
+        gain: (dx, dy, dz) => {
+          const { azimuth, elevation } = vectorToDirection(dx * cos - dy * sin, dx * sin + dy * cos, dz);
+          return encodeAmbisonicGains(azimuth, elevation, order)[acn];
+        },
+      }));
+    }
+
+    if (mode === 'speakers') {
+      // One receiver per loudspeaker at the listening point, panned from each image direction
+      return this.speakerLayout.speakers.map((_, speaker) => ({
+        id: speaker,
+        x: listener.x,
+        y: listener.y,
+        height: listener.height,
+        gain: (dx, dy, dz) => {
+          const { azimuth, elevation } = vectorToDirection(dx * cos - dy * sin, dx * sin + dy * cos, dz);
+          return calculateVbapGains(this.vbap, azimuth, elevation)[speaker];
+        },
+      }));
+    }
+
+    if (mode === 'binaural') {
+      // Two ears with a simple head shadow; the direct path carries the HRTF cues
+      return [['L', -1], ['R', 1]].map(([id, side]) => ({
+        id,
+        x: listener.x + side * EAR_OFFSET_METERS * cos,
+        y: listener.y - side * EAR_OFFSET_METERS * sin,
+        height: listener.height,
+        gain: (dx, dy, dz) => {
+          const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+          const lateral = (dx * cos - dy * sin) / dist;
+          return 0.75 + 0.25 * side * lateral;
+        },
+      }));
+    }
+
+    const layoutConfig = applyTechniqueLayout(cloneMicConfig(this.micConfig));
+
+    return layoutConfig.mics
+      .filter(mic => mic.enabled)
+      .map(mic => {
+        const world = getMicWorldPosition(mic, listener);
+        const axisRad = ((90 - world.angle) * Math.PI) / 180;
+        const tiltRad = (world.tilt * Math.PI) / 180;
+        const axisX = Math.cos(axisRad) * Math.cos(tiltRad);
+        const axisY = Math.sin(axisRad) * Math.cos(tiltRad);
+        const axisZ = -Math.sin(tiltRad);
+        const levelGain = Math.pow(10, (mic.level || 0) / 20);
+        const pattern = getMicPolarPattern({ ...mic, dualCapsule: this.micConfig.dualCapsule });
+
+        return {
+          id: mic.id,
+          x: world.x,
+          y: world.y,
+          height: world.height,
+          gain: (dx, dy, dz) => {
+            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (dist < 0.001) return levelGain;
+            const cosTheta = clamp((dx * axisX + dy * axisY + dz * axisZ) / dist, -1, 1);
+            return calculatePolarGain(pattern, Math.acos(cosTheta)) * levelGain;
+          },
+        };
+      });
+  }
+
+  /**
+   * Compute early-reflection impulse responses for a track
+   * Mics: every array mic folded into L/R through the routing matrix, timed against the earliest direct arrival.
+   * Binaural/Ambisonics/loudspeakers: one response per ear/ACN channel/speaker, timed like the listener path.
+   * @param {Object} track - Engine track
+   * @param {number} sampleRate - Target sample rate
+   * @param {Object} options - {mode, listener, order}
+   * @returns {{responses: Float32Array[], delay: number}|null} - null when no hall is active
+   */
+  _computeEarlyReflections(track, sampleRate, { mode = 'mics', listener = this.getListenerPosition(), order = 1 } = {}) {
+    const room = this._getActiveRoom();
+    if (!room) return null;
+
+    const sourcePosMeters = this.normalizedToMeters(track.x, track.y);
+    const images = computeImageSources(
+      { ...sourcePosMeters, z: this._getSourceHeight(track) },
+      room,
+      // The first floor bounce is already the ground reflection path
+      { skipFloor: mode === 'mics' && this.groundReflectionEnabled }
+    );
+    const receivers = this._getEarlyReflectionReceivers(mode, listener, order);
+
+    if (mode !== 'mics') {
+      return {
+        responses: renderEarlyReflections(images, receivers, {
+          sampleRate,
+          refTime: this._getReferenceTime(listener),
+          speedOfSound: this.speedOfSound,
+        }),
+        delay: 0,
+      };
+    }
+
+    // Input is delayed by baseDelay like the direct path, so taps start at the earliest mic arrival
+    const spatial = this._getTrackSpatialParams(track);
+    const rendered = renderEarlyReflections(images, receivers, {
+      sampleRate,
+      refTime: spatial.minTime,
+      speedOfSound: this.speedOfSound,
+    });
+
+    const length = Math.max(0, ...rendered.map(response => response.length));
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    const routing = calculateMicRouting(this.micConfig);
+    receivers.forEach((receiver, r) => {
+      const [routeL, routeR] = routing[receiver.id] || [0, 0];
+      const response = rendered[r];
+      for (let i = 0; i < response.length; i++) {
+        left[i] += response[i] * routeL;
+        right[i] += response[i] * routeR;
+      }
+    });
+
+    return { responses: [left, right], delay: spatial.baseDelay };
+  }
+
+  /**
+   * Build the early-reflection path for a track.
+   * Sources → input gain → gate → delay → one mono convolver per output channel
+   * Convolver buffers are empty (silent) until _applyEarlyReflections. The gate stays open in realtime;
+   * offline renders crossfade it to later reflection sets (see _scheduleOfflineEarlyReflections).
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {AudioBufferSourceNode[]} sources - Track sources (front and bell are summed)
+   * @param {Array<[AudioNode, number]>} outputs - [node, input index] per response
+   * @returns {{earlyInput: GainNode, earlyGate: GainNode, earlyDelay: DelayNode, earlyConvolvers: ConvolverNode[],
+   *   earlyOutputs: Array}}
+   */
+  _createEarlyReflectionChain(ctx, sources, outputs) {
+    const earlyInput = ctx.createGain();
+    const activeSources = sources.filter(Boolean);
+    // Reflections leave the instrument in every direction: average front and bell
+    earlyInput.gain.value = 1 / Math.max(1, activeSources.length);
+    activeSources.forEach(source => source.connect(earlyInput));
+
+    const earlyGate = ctx.createGain();
+    earlyInput.connect(earlyGate);
+
+    return { earlyInput, earlyGate, ...this._createEarlyReflectionTaps(ctx, earlyGate, outputs), earlyOutputs: outputs };
+  }
+
+  /**
+   * Delay → one mono convolver per output channel (one reflection set, see _createEarlyReflectionChain)
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {AudioNode} input - Node feeding the set
+   * @param {Array<[AudioNode, number]>} outputs - [node, input index] per response
+   * @returns {{earlyDelay: DelayNode, earlyConvolvers: ConvolverNode[]}}
+   */
+  _createEarlyReflectionTaps(ctx, input, outputs) {
+    const earlyDelay = ctx.createDelay(0.1);
+    input.connect(earlyDelay);
+
+    const earlyConvolvers = outputs.map(([node, channel]) => {
+      const convolver = ctx.createConvolver();
+      convolver.normalize = false;
+      earlyDelay.connect(convolver);
+      convolver.connect(node, 0, channel);
+      return convolver;
+    });
+
+    return { earlyDelay, earlyConvolvers };
+  }
+
+  /**
+   * Load computed early reflections into a chain's convolvers
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {Object} nodes - Object with earlyDelay and earlyConvolvers
+   * @param {Object|null} early - Result of _computeEarlyReflections
+   */
+  _applyEarlyReflections(ctx, nodes, early) {
+    nodes.earlyConvolvers.forEach((convolver, i) => {
+      const response = early?.responses[i];
+      if (!response || response.length === 0) {
+        convolver.buffer = null;
+        return;
+      }
+      const buffer = ctx.createBuffer(1, response.length, ctx.sampleRate);
+      buffer.copyToChannel(response, 0);
+      convolver.buffer = buffer;
+    });
+    nodes.earlyDelay.delayTime.setValueAtTime(early ? early.delay : 0, ctx.currentTime);
+  }
+
+  /**
+   * Recompute a realtime track's early reflections when anything they depend on changed.
+   * The first update is immediate; later ones are debounced (convolver swaps are costly).
+   */
+  _scheduleEarlyReflectionUpdate(track, nodes, mode) {
+    if (!nodes.earlyConvolvers) return;
+
+    const signature = this._getEarlyReflectionSignature(track, mode, this.getListenerPosition());
+    if (signature === nodes.earlySignature) return;
+
+    const isFirst = nodes.earlySignature === undefined;
+    nodes.earlySignature = signature;
+    if (nodes.earlyTimer) {
+      clearTimeout(nodes.earlyTimer);
+      nodes.earlyTimer = null;
+    }
+
+    const apply = () => {
+      nodes.earlyTimer = null;
+      if (nodes.isSuperseded || !this.context) return;
+      const early = this._computeEarlyReflections(track, this.context.sampleRate, { mode });
+      this._applyEarlyReflections(this.context, nodes, early);
     };
+
+    if (isFirst) {
+      apply();
+    } else {
+      nodes.earlyTimer = setTimeout(apply, EARLY_REFLECTION_UPDATE_MS);
+    }
+  }
+
+  /**
+   * Everything a track's early reflections depend on, as a string to compare
+   * @param {Object} track - Engine track
+   * @param {string} mode - Receivers (see _getEarlyReflectionReceivers)
+   * @param {{x: number, y: number, height: number}} listener - Listening point in meters
+   * @returns {string}
+   */
+  _getEarlyReflectionSignature(track, mode, listener) {
+    return JSON.stringify([
+      mode, track.x, track.y, track.height, listener, this._getActiveRoom(), this.micConfig,
+      this.groundReflectionEnabled, this.speedOfSound, mode === 'speakers' ? this.speakerLayout.speakers : null,
+    ]);
+  }
+
+  /**
+   * Offline counterpart of _scheduleEarlyReflectionUpdate. Convolver buffers cannot change while a
+   * render runs, so a new reflection set gets its own delay and convolvers behind a gate, and the gates
+   * crossfade at the automation time. Sets start at least EARLY_REFLECTION_OFFLINE_STEP_SECONDS apart;
+   * a change held back by that is caught up by the next change or _finishOfflineEarlyReflections.
+   * @param {OfflineAudioContext} ctx - Render context
+   * @param {Object} track - Engine track (holding the automated state at `at`)
+   * @param {Object} nodes - Chain built by _renderOfflineGraph
+   * @param {Object} options - {mode, listener, order}: see _computeEarlyReflections; {at}: automation time
+   */
+  _scheduleOfflineEarlyReflections(ctx, track, nodes, { mode, listener, order, at }) {
+    if (!nodes.earlyConvolvers) return;
+    const signature = this._getEarlyReflectionSignature(track, mode, listener);
+    if (!nodes.earlySegments) {
+      // First automation time (0): the chain was built with this state
+      nodes.earlySegments = [{ gate: nodes.earlyGate, start: at }];
+      nodes.earlySignature = signature;
+      return;
+    }
+
+    nodes.earlyPendingAt = null;
+    if (signature === nodes.earlySignature) return;
+    const previous = nodes.earlySegments[nodes.earlySegments.length - 1];
+    if (at - previous.start < EARLY_REFLECTION_OFFLINE_STEP_SECONDS) {
+      nodes.earlyPendingAt = at;
+      return;
+    }
+    this._addOfflineEarlyReflectionSet(ctx, track, nodes, { mode, listener, order, at });
+  }
+
+  /**
+   * Apply a reflection change _scheduleOfflineEarlyReflections held back (after the last automation
+   * time, so the engine holds the track's final state)
+   * @param {OfflineAudioContext} ctx - Render context
+   * @param {Object} track - Engine track
+   * @param {Object} nodes - Chain built by _renderOfflineGraph
+   * @param {Object} options - {mode, listener, order}: see _computeEarlyReflections
+   */
+  _finishOfflineEarlyReflections(ctx, track, nodes, { mode, listener, order }) {
+    if (nodes.earlyPendingAt === null || nodes.earlyPendingAt === undefined) return;
+    const previous = nodes.earlySegments[nodes.earlySegments.length - 1];
+    const at = Math.max(nodes.earlyPendingAt, previous.start + EARLY_REFLECTION_OFFLINE_STEP_SECONDS);
+    nodes.earlyPendingAt = null;
+    if (at < this.duration) {
+      this._addOfflineEarlyReflectionSet(ctx, track, nodes, { mode, listener, order, at });
+    }
+  }
+
+  // New reflection set for the current state, crossfaded in at `at` (see _scheduleOfflineEarlyReflections)
+  _addOfflineEarlyReflectionSet(ctx, track, nodes, { mode, listener, order, at }) {
+    const gate = ctx.createGain();
+    gate.gain.value = 0;
+    nodes.earlyInput.connect(gate);
+    const taps = this._createEarlyReflectionTaps(ctx, gate, nodes.earlyOutputs);
+    this._applyEarlyReflections(ctx, taps, this._computeEarlyReflections(track, ctx.sampleRate, { mode, listener, order }));
+
+    const previous = nodes.earlySegments[nodes.earlySegments.length - 1];
+    previous.gate.gain.setValueAtTime(1, at);
+    previous.gate.gain.linearRampToValueAtTime(0, at + EARLY_REFLECTION_CROSSFADE_SECONDS);
+    gate.gain.setValueAtTime(0, at);
+    gate.gain.linearRampToValueAtTime(1, at + EARLY_REFLECTION_CROSSFADE_SECONDS);
+
+    nodes.earlySegments.push({ gate, start: at });
+    nodes.earlySignature = this._getEarlyReflectionSignature(track, mode, listener);
+  }
+
+  /**
+   * Set a custom hall for early reflections
+   * @param {Object|null} room - Room config, or null to follow the reverb preset
+   */
+  setRoomConfig(room) {
+    this.roomConfig = room ? validateRoomConfig(room) : null;
+    this._updateAllTracks();
+  }
+
+  /**
+   * Set temperature, humidity and pressure of the air in the hall
+   * Drives the speed of sound (all propagation delays) and the air absorption filter banks.
+   * @param {Object|null} atmosphere - {temperature °C, humidity %, pressure kPa}; null restores the defaults
+   */
+  setAtmosphere(atmosphere) {
+    this.atmosphere = validateAtmosphere(atmosphere || DEFAULT_ATMOSPHERE);
+    this.speedOfSound = calculateSpeedOfSound(this.atmosphere.temperature);
+    this.airAbsorptionTable = calculateAirAbsorptionTable(this.atmosphere);
+    this._updateAllTracks();
+  }
+
+  /**
+   * Current atmospheric conditions
+   * @returns {{temperature: number, humidity: number, pressure: number}}
+   */
+  getAtmosphere() {
+    return { ...this.atmosphere };
+  }
+
+  /**
+   * Get the hall currently used for early reflections (custom or preset)
+   * @returns {Object|null}
+   */
+  getRoomConfig() {
+    return this.roomConfig || getPresetRoomConfig(this.reverbPreset);
+  }
+
+  /**
+   * Critical distance of the current hall (size from the hall, RT60 from the reverb preset)
+   * @returns {number|null} - Meters, or null for no reverb or a measured IR
+   */
+  getCriticalDistance() {
+    return calculateCriticalDistance(this.getRoomConfig(), REVERB_PRESETS[this.reverbPreset]?.rt60);
+  }
+
+  /**
+   * Whether a custom hall overrides the preset's hall
+   */
+  hasCustomRoomConfig() {
+    return this.roomConfig !== null;
+  }
+
+  /**
+   * Enable/disable image-source early reflections
+   */
+  setEarlyReflectionsEnabled(enabled) {
+    this.earlyReflectionsEnabled = !!enabled;
+    this._updateAllTracks();
+  }
+
+  getEarlyReflectionsEnabled() {
+    return this.earlyReflectionsEnabled;
   }
 
   /**
@@ -881,6 +1508,15 @@ export class AudioEngine {
       buffer,
       x: options.x ?? 0,
       y: options.y ?? 0.1,
+      // Degrees; 0 = toward the audience, positive = turned to the player's right
+      facing: options.facing ?? 0,
+      // Meters above the floor (risers, standing players, raised soloist)
+      height: Number.isFinite(options.height) ? options.height : STAGE_CONFIG.sourceHeight,
+      // Meters across the facing (0 = point source) and layout of the sub-sources: line, arc or area
+      ...getSourceExtent(options),
+      // Channels of the buffer and how they are placed: mono downmix, stereo pair or B-format ring
+      channels: buffer?.numberOfChannels ?? 1,
+      ...getStemLayout({ ...options, channels: buffer?.numberOfChannels ?? 1 }),
       gain: options.gain ?? 1,
       muted: options.muted ?? false,
       solo: options.solo ?? false,
@@ -891,6 +1527,10 @@ export class AudioEngine {
       noiseFloorDb: Number.isFinite(options.noiseFloorDb) ? options.noiseFloorDb : DEFAULT_NOISE_FLOOR_DB,
       noiseFloorByMic: options.noiseFloorByMic ?? null,
       primaryMicPosition: options.primaryMicPosition ?? '6',
+      // Parametric radiation model, used when front/bell recordings are not available
+      radiationModel: options.radiationModel !== undefined
+        ? options.radiationModel
+        : getRadiationModel(options.name || ''),
     };
 
     // Extract front (mic 6) and bell (mic 8) buffers for directivity
@@ -937,6 +1577,7 @@ export class AudioEngine {
     this.soloCount = 0;
     this.hasSolo = false;
     this.duration = 0;
+    this.setAutomation(null);
   }
 
   /**
@@ -1003,127 +1644,259 @@ export class AudioEngine {
   }
 
   /**
-   * Set mic separation (DECCA-style, tied on Y axis)
-   * @param {number} separation - Total separation in meters (L and R are ±separation/2 from center)
+   * Set output rendering mode
+   * @param {string} mode - 'mics' (virtual microphones), 'binaural' (HRTF listener head)
+   *   or 'speakers' (VBAP to the loudspeaker layout)
+   * @returns {boolean} - false when the mode is unknown or the output device has too few channels
    */
-  setMicSeparation(separation) {
-    this.micConfig.spacing = separation;
-    this.micConfig = validateConfig(this.micConfig);
-    this._updateLegacyMicPositions();
+  setRenderMode(mode) {
+    if (!RENDER_MODES[mode]) {
+      console.warn(`Unknown render mode: ${mode}`);
+      return false;
+    }
+    if (mode === 'speakers' && !this.canUseSpeakerOutput()) {
+      console.warn(`Loudspeaker mode needs ${this.speakerLayout.speakers.length} output channels, ` +
+        `the device has ${this.getMaxOutputChannels()}`);
+      return false;
+    }
+    if (mode === this.renderMode) return true;
+
+    const wasSpeakers = this.renderMode === 'speakers';
+    this.renderMode = mode;
+    if (wasSpeakers || mode === 'speakers') {
+      this._connectMasterOutput();
+    }
     if (this.isPlaying) {
-      this.scheduleGraphRebuild();
-    } else {
-      this._updateAllTracks();
+      this.scheduleGraphRebuild({
+        delayMs: 0,
+        mode: 'overlap',
+        duration: TOGGLE_CROSSFADE_SECONDS,
+      });
     }
+    return true;
   }
 
   /**
-   * Get current mic separation
+   * Get output rendering mode
    */
-  getMicSeparation() {
-    return this.micConfig.spacing;
+  getRenderMode() {
+    return this.renderMode;
   }
 
   /**
-   * Set mic Y position (distance from stage)
-   * @param {number} micY - Y position in meters (negative = in audience)
+   * Channels the output device accepts (destination.maxChannelCount)
+   * @returns {number}
    */
-  setMicY(micY) {
-    this.micConfig.micY = micY;
-    this.micConfig = validateConfig(this.micConfig);
-    this._updateLegacyMicPositions();
-    if (this.isPlaying) {
-      this.scheduleGraphRebuild();
-    } else {
-      this._updateAllTracks();
-    }
+  getMaxOutputChannels() {
+    return this.context?.destination?.maxChannelCount || 2;
   }
 
   /**
-   * Get current mic Y position
+   * Whether loudspeaker mode can play a layout: the device needs more than two channels,
+   * and at least one per speaker
+   * @param {Object} [layout] - Validated layout (default: the current one)
+   * @returns {boolean}
    */
-  getMicY() {
-    return this.micConfig.micY;
+  canUseSpeakerOutput(layout = this.speakerLayout) {
+    const maxChannels = this.getMaxOutputChannels();
+    return maxChannels > 2 && layout.speakers.length <= maxChannels;
   }
 
   /**
-   * Set stereo recording technique
-   * @param {string} techniqueId - Technique ID (spaced-pair, xy-coincident, ortf, blumlein, decca-tree)
+   * Set the loudspeaker layout (speaker directions in output channel order, plus gain and delay trims)
+   * Trim-only changes are applied in place; new directions re-pan every track.
+   * @param {Object|Array} layout - See validateSpeakerLayout
+   * @returns {Object|null} - The validated layout, or null when it has no speakers or, in
+   *   loudspeaker mode, more speakers than the device has channels
    */
-  setTechnique(techniqueId) {
-    const oldConfig = this.micConfig;
-    this.micConfig = createMicrophoneConfig(techniqueId, {
-      spacing: oldConfig.spacing,
-      micY: oldConfig.micY,
-      msDecodeEnabled: oldConfig.msDecodeEnabled,
-      msWidth: oldConfig.msWidth,
-    });
-    this._updateLegacyMicPositions();
+  setSpeakerLayout(layout) {
+    const validated = validateSpeakerLayout(layout);
+    if (!validated) return null;
+    if (this.renderMode === 'speakers' && !this.canUseSpeakerOutput(validated)) {
+      console.warn(`Layout needs ${validated.speakers.length} output channels, the device has ${this.getMaxOutputChannels()}`);
+      return null;
+    }
 
-    if (this.isPlaying) {
-      this.scheduleGraphRebuild();
+    const previous = this.speakerLayout.speakers;
+    const sameDirections = previous.length === validated.speakers.length && previous.every((speaker, i) => (
+      speaker.azimuth === validated.speakers[i].azimuth && speaker.elevation === validated.speakers[i].elevation
+    ));
+    this.speakerLayout = validated;
+    this.vbap = prepareVbap(validated);
+    if (this.renderMode !== 'speakers') return validated;
+
+    if (this.speakerOutput && previous.length === validated.speakers.length) {
+      this._applySpeakerTrims();
     } else {
-      this._updateAllTracks();
+      this._connectMasterOutput();
+    }
+    if (!sameDirections && this.isPlaying) {
+      this.scheduleGraphRebuild({
+        delayMs: 0,
+        mode: 'overlap',
+        duration: TOGGLE_CROSSFADE_SECONDS,
+      });
     }
+    return validated;
   }
 
   /**
-   * Get current technique ID
+   * Get the loudspeaker layout
+   * @returns {Object} - {name, speakers}
    */
-  getTechnique() {
-    return this.micConfig.technique;
+  getSpeakerLayout() {
+    return {
+      ...this.speakerLayout,
+      speakers: this.speakerLayout.speakers.map(speaker => ({ ...speaker })),
+    };
   }
 
   /**
-   * Set mic angle (for angled techniques like XY, ORTF, Blumlein)
-   * @param {number} angle - Total angle in degrees
+   * Route the master gain to the stereo output (XTC → limiter) or, in loudspeaker mode,
+   * through the per-speaker trims to a multichannel destination. The limiter is stereo-only,
+   * so loudspeaker output is not limited.
    */
-  setMicAngle(angle) {
-    this.micConfig.angle = angle;
-    this.micConfig = validateConfig(this.micConfig);
-    this._updateLegacyMicPositions();
-    if (this.isPlaying) {
-      this.scheduleGraphRebuild();
+  _connectMasterOutput() {
+    if (!this.context) return;
+    const destination = this.context.destination;
+
+    this.masterGainNode.disconnect();
+    if (this.speakerOutput) {
+      const { input, output, meter } = this.speakerOutput;
+      for (const node of [input, output, meter, ...this.speakerOutput.trims.flatMap(
+        trim => [trim.gain, trim.delay]
+      )]) {
+        node.disconnect();
+      }
+      this.speakerOutput = null;
+    }
+
+    if (this.renderMode === 'speakers') {
+      const count = this.speakerLayout.speakers.length;
+      destination.channelCount = count;
+      destination.channelCountMode = 'explicit';
+      destination.channelInterpretation = 'discrete';
+      this.speakerOutput = this._createSpeakerOutput(count);
+      this.masterGainNode.connect(this.speakerOutput.input);
+      this.speakerOutput.output.connect(destination);
+      this.speakerOutput.meter.connect(this.masterAnalyser);
     } else {
-      this._updateAllTracks();
+      destination.channelCount = 2;
+      destination.channelCountMode = 'explicit';
+      destination.channelInterpretation = 'speakers';
+      this.masterGainNode.connect(this.xtcNodes.input);
     }
   }
 
   /**
-   * Get current mic angle
+   * Per-speaker output stage: splitter → trim gain → trim delay → merger
+   * The master meter gets the mono sum of the speakers: an analyser would downmix the merger by
+   * channel layout, which for counts other than 1/2/4/6 keeps only the first speaker.
+   * @param {number} count - Speakers in the layout
+   * @returns {Object} - {input, output, meter, trims: [{gain, delay}]}
    */
-  getMicAngle() {
-    return this.micConfig.angle;
+  _createSpeakerOutput(count) {
+    const input = this.context.createChannelSplitter(count);
+    const output = this.context.createChannelMerger(count);
+    const meter = this.context.createGain();
+    meter.channelCount = 1;
+    meter.channelCountMode = 'explicit';
+    const trims = this.speakerLayout.speakers.map((speaker, i) => {
+      const gain = this.context.createGain();
+      gain.gain.value = dbToLinear(speaker.gainDb);
+      const delay = this.context.createDelay(SPEAKER_MAX_DELAY);
+      delay.delayTime.value = speaker.delayMs / 1000;
+      input.connect(gain, i);
+      gain.connect(delay);
+      delay.connect(output, 0, i);
+      delay.connect(meter);
+      return { gain, delay };
+    });
+    return { input, output, meter, trims };
+  }
+
+  _applySpeakerTrims() {
+    this.speakerLayout.speakers.forEach((speaker, i) => {
+      const trim = this.speakerOutput.trims[i];
+      this._applyParam(trim.gain.gain, dbToLinear(speaker.gainDb));
+      this._applyParam(trim.delay.delayTime, speaker.delayMs / 1000);
+    });
   }
 
   /**
-   * Set polar pattern for all mics (or specific mic)
-   * @param {string} pattern - Pattern ID (omni, cardioid, supercardioid, hypercardioid, figure8)
-   * @param {string} micId - Optional specific mic ID (L, R, C)
+   * Spread a stereo signal (reverb return) over the loudspeakers (see calculateStereoSpreadGains)
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {AudioNode} input - Stereo source node
+   * @param {ChannelMergerNode} output - Merger with one input per speaker
+   * @returns {AudioNode[]} - Created nodes
    */
-  setMicPattern(pattern, micId = null) {
-    const technique = STEREO_TECHNIQUES[this.micConfig.technique];
-
-    // Check if pattern can be changed
-    if (technique?.fixedPattern) {
-      console.warn(`Cannot change pattern for ${this.micConfig.technique} - fixed to ${technique.fixedPattern}`);
-      return;
+  _spreadStereoOverSpeakers(ctx, input, output) {
+    const splitter = ctx.createChannelSplitter(2);
+    input.connect(splitter);
+    const nodes = [splitter];
+    calculateStereoSpreadGains(this.speakerLayout).forEach((sides, speaker) => {
+      sides.forEach((value, side) => {
+        if (value === 0) return;
+        const gain = ctx.createGain();
+        gain.gain.value = value;
+        splitter.connect(gain, side);
+        gain.connect(output, 0, speaker);
+        nodes.push(gain);
+      });
+    });
+    return nodes;
+  }
+
+  /**
+   * Set the HRTF set used in binaural mode
+   * @param {Object|null} hrtfSet - Set from hrtf.js (null = built-in default)
+   */
+  setHrtfSet(hrtfSet) {
+    this.hrtfSet = hrtfSet || null;
+    if (this.isPlaying && this.renderMode === 'binaural') {
+      this.scheduleGraphRebuild({
+        delayMs: 0,
+        mode: 'overlap',
+        duration: TOGGLE_CROSSFADE_SECONDS,
+      });
     }
+  }
 
-    if (micId) {
-      // Set specific mic
-      const mic = this.micConfig.mics.find(m => m.id === micId);
-      if (mic) {
-        mic.pattern = pattern;
-      }
-    } else {
-      // Set all mics
-      for (const mic of this.micConfig.mics) {
-        mic.pattern = pattern;
-      }
+  /**
+   * Get the active HRTF set (creates the built-in default on first use)
+   */
+  getHrtfSet() {
+    if (!this.hrtfSet) {
+      const sampleRate = this.context ? this.context.sampleRate : undefined;
+      this.hrtfSet = createDefaultHrtfSet(sampleRate);
     }
+    return this.hrtfSet;
+  }
+
+  /**
+   * Get the listener pose in meters (binaural head, Ambisonics listening point,
+   * and the anchor the main array is mounted on)
+   * @returns {{x: number, y: number, height: number, facing: number}}
+   */
+  getListenerPosition() {
+    return getListenerPose(this.micConfig);
+  }
 
-    this._updateLegacyMicPositions();
+  /**
+   * Move/rotate the listener (and the main array with it)
+   * @param {Object} pose - Partial pose {x, y, height, facing}
+   */
+  setListenerPosition(pose) {
+    const current = getListenerPose(this.micConfig);
+    const next = { ...current, ...pose };
+    this.micConfig = validateConfig({
+      ...this.micConfig,
+      micY: next.y,
+      listenerX: next.x,
+      listenerHeight: next.height,
+      listenerFacing: next.facing,
+    });
+    this._updateArrayMicPositions();
     if (this.isPlaying) {
       this.scheduleGraphRebuild();
     } else {
@@ -1132,21 +1905,65 @@ export class AudioEngine {
   }
 
   /**
-   * Get polar pattern for a mic
-   * @param {string} micId - Mic ID (L, R, C)
+   * Compute direction, distance and timing of a track relative to a listening point
+   * @param {Object} track - Engine track
+   * @param {{x: number, y: number, height: number, facing?: number}} listener - Listening point in meters
    */
-  getMicPattern(micId = 'L') {
-    const mic = this.micConfig.mics.find(m => m.id === micId);
-    return mic?.pattern || 'omni';
+  _getListenerParams(track, listener) {
+    const sourcePosMeters = this.normalizedToMeters(track.x, track.y);
+
+    const dx = sourcePosMeters.x - listener.x;
+    const dy = sourcePosMeters.y - listener.y;
+    const dz = this._getSourceHeight(track) - listener.height;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const effectiveDistance = Math.max(MIC_CONSTANTS.minDistance, distance);
+
+    // Same 1/d law and depth timing as the mic path
+    const gain = MIC_CONSTANTS.refDistance / effectiveDistance;
+    const refTime = this._getReferenceTime(listener);
+    const delay = Math.max(0, distance / this.speedOfSound - refTime);
+
+    // Rotate into the head frame (facing 0 = +Y, positive = turned right)
+    const facingRad = ((listener.facing || 0) * Math.PI) / 180;
+    const localX = dx * Math.cos(facingRad) - dy * Math.sin(facingRad);
+    const localY = dx * Math.sin(facingRad) + dy * Math.cos(facingRad);
+    const { azimuth, elevation } = vectorToDirection(localX, localY, dz);
+
+    return {
+      sourcePosMeters,
+      azimuth,
+      elevation,
+      distance: effectiveDistance,
+      gain,
+      delay,
+      blend: this.calculateDirectivityBlend(sourcePosMeters, listener, track.facing),
+      radiationDb: this._getRadiationGainsDb(track, listener),
+    };
   }
 
   /**
-   * Set center mic level (for Decca Tree)
-   * @param {number} level - Level in dB
+   * Compute binaural parameters for a track relative to the listener head
    */
-  setCenterLevel(level) {
-    this.micConfig.centerLevel = level;
+  _getBinauralParams(track) {
+    const params = this._getListenerParams(track, this.getListenerPosition());
+    const hrtfSet = this.getHrtfSet();
+    const measurement = findNearestMeasurement(hrtfSet, params.azimuth, params.elevation);
+
+    return {
+      ...params,
+      hrtfSet,
+      hrirIndex: measurement.index,
+    };
+  }
+
+  /**
+   * Set mic separation (DECCA-style, tied on Y axis)
+   * @param {number} separation - Total separation in meters (L and R are ±separation/2 from center)
+   */
+  setMicSeparation(separation) {
+    this.micConfig.spacing = separation;
     this.micConfig = validateConfig(this.micConfig);
+    this._updateArrayMicPositions();
     if (this.isPlaying) {
       this.scheduleGraphRebuild();
     } else {
@@ -1155,20 +1972,20 @@ export class AudioEngine {
   }
 
   /**
-   * Get center mic level
+   * Get current mic separation
    */
-  getCenterLevel() {
-    return this.micConfig.centerLevel;
+  getMicSeparation() {
+    return this.micConfig.spacing;
   }
 
   /**
-   * Set center mic depth (for Decca Tree)
-   * @param {number} depth - Depth in meters
+   * Set mic Y position (distance from stage)
+   * @param {number} micY - Y position in meters (negative = in audience)
    */
-  setCenterDepth(depth) {
-    this.micConfig.centerDepth = depth;
+  setMicY(micY) {
+    this.micConfig.micY = micY;
     this.micConfig = validateConfig(this.micConfig);
-    this._updateLegacyMicPositions();
+    this._updateArrayMicPositions();
     if (this.isPlaying) {
       this.scheduleGraphRebuild();
     } else {
@@ -1177,18 +1994,32 @@ export class AudioEngine {
   }
 
   /**
-   * Get center mic depth
+   * Get current mic Y position
    */
-  getCenterDepth() {
-    return this.micConfig.centerDepth;
+  getMicY() {
+    return this.micConfig.micY;
   }
 
   /**
-   * Enable/disable M/S decode processing
-   * @param {boolean} enabled
+   * Set stereo recording technique
+   * @param {string} techniqueId - Built-in technique ID (spaced-pair, ortf, decca-tree, ...) or custom array ID
    */
-  setMSDecodeEnabled(enabled) {
-    this.micConfig.msDecodeEnabled = enabled;
+  setTechnique(techniqueId) {
+    const oldConfig = this.micConfig;
+    // Keeps the same settings as a switch in the app (plus spacing and M/S decoding)
+    this.micConfig = createMicrophoneConfig(techniqueId, {
+      spacing: oldConfig.spacing,
+      listener: getListenerPose(oldConfig),
+      tilt: oldConfig.tilt,
+      micHeights: Object.fromEntries(oldConfig.mics.map(mic => [mic.id, mic.height])),
+      msDecodeEnabled: oldConfig.msDecodeEnabled,
+      msWidth: oldConfig.msWidth,
+      dualCapsule: oldConfig.dualCapsule,
+      spots: oldConfig.spots,
+      customTechniques: oldConfig.customTechniques,
+    });
+    this._updateArrayMicPositions();
+
     if (this.isPlaying) {
       this.scheduleGraphRebuild();
     } else {
@@ -1197,19 +2028,20 @@ export class AudioEngine {
   }
 
   /**
-   * Get M/S decode enabled state
+   * Get current technique ID
    */
-  getMSDecodeEnabled() {
-    return this.micConfig.msDecodeEnabled;
+  getTechnique() {
+    return this.micConfig.technique;
   }
 
   /**
-   * Set M/S decode width
-   * @param {number} width - 0=mono, 1=normal, 2=extra wide
+   * Set mic angle (for angled techniques like XY, ORTF, Blumlein)
+   * @param {number} angle - Total angle in degrees
    */
-  setMSWidth(width) {
-    this.micConfig.msWidth = width;
+  setMicAngle(angle) {
+    this.micConfig.angle = angle;
     this.micConfig = validateConfig(this.micConfig);
+    this._updateArrayMicPositions();
     if (this.isPlaying) {
       this.scheduleGraphRebuild();
     } else {
@@ -1218,20 +2050,25 @@ export class AudioEngine {
   }
 
   /**
-   * Get M/S decode width
+   * Get current mic angle
    */
-  getMSWidth() {
-    return this.micConfig.msWidth;
+  getMicAngle() {
+    return this.micConfig.angle;
   }
 
   /**
-   * Apply a recording preset
-   * @param {string} presetId - Preset ID
+   * Set polar pattern for all mics (or specific mic)
+   * @param {string} pattern - Pattern ID from POLAR_PATTERNS
+   * @param {string} micId - Optional specific mic ID (L, R, C)
    */
-  applyPreset(presetId) {
-    this.micConfig = createConfigFromPreset(presetId);
-    this._updateLegacyMicPositions();
+  setMicPattern(pattern, micId = null) {
+    const changed = this._editMicPatterns(micId, mic => {
+      mic.pattern = pattern;
+      mic.patternAlpha = null;
+    });
+    if (!changed) return;
 
+    this._updateArrayMicPositions();
     if (this.isPlaying) {
       this.scheduleGraphRebuild();
     } else {
@@ -1240,20 +2077,67 @@ export class AudioEngine {
   }
 
   /**
-   * Get current microphone configuration
+   * Set a continuous polar pattern for all mics (or specific mic), as on a multi-pattern mic.
+   * Only gains and filters change, so this is smooth while dragging.
+   * @param {number} patternAlpha - 1 = omni ... 0.5 = cardioid ... 0 = figure-8
+   * @param {string} micId - Optional specific mic ID (L, R, C)
    */
-  getMicConfig() {
-    return cloneMicConfig(this.micConfig);
+  setMicPatternAlpha(patternAlpha, micId = null) {
+    const alpha = validatePatternAlpha(patternAlpha);
+    if (alpha === null) return;
+    const changed = this._editMicPatterns(micId, mic => {
+      mic.pattern = getNearestPattern(alpha);
+      mic.patternAlpha = alpha;
+    });
+    if (!changed) return;
+
+    this._updateArrayMicPositions();
+    this._updateAllTracks();
   }
 
   /**
-   * Set full microphone configuration
-   * @param {Object} config - Configuration object
+   * Apply a pattern change to the mics whose pattern is adjustable
+   * @param {string|null} micId - Specific mic ID, or null for all mics
+   * @param {Function} edit - (mic) => void
+   * @returns {boolean} - False when the technique does not allow the change
    */
-  setMicConfig(config) {
-    this.micConfig = validateConfig({ ...config });
-    this._updateLegacyMicPositions();
+  _editMicPatterns(micId, edit) {
+    const technique = getTechnique(this.micConfig);
+
+    // Check if pattern can be changed (per-mic locks such as the M/S side mic are skipped below)
+    if (technique?.fixedPattern) {
+      console.warn(`Cannot change pattern for ${this.micConfig.technique} - fixed to ${technique.fixedPattern}`);
+      return false;
+    }
+    if (technique?.isCustom && !micId) {
+      console.warn(`Cannot change all patterns of custom array ${this.micConfig.technique} - edit its mics instead`);
+      return false;
+    }
+
+    for (const mic of this.micConfig.mics) {
+      if ((!micId || mic.id === micId) && !getFixedPattern(technique, mic.id)) {
+        edit(mic);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Get polar pattern for a mic
+   * @param {string} micId - Mic ID (L, R, C)
+   */
+  getMicPattern(micId = 'L') {
+    const mic = this.micConfig.mics.find(m => m.id === micId);
+    return mic?.pattern || 'omni';
+  }
 
+  /**
+   * Set center mic level (for Decca Tree)
+   * @param {number} level - Level in dB
+   */
+  setCenterLevel(level) {
+    this.micConfig.centerLevel = level;
+    this.micConfig = validateConfig(this.micConfig);
     if (this.isPlaying) {
       this.scheduleGraphRebuild();
     } else {
@@ -1262,270 +2146,1768 @@ export class AudioEngine {
   }
 
   /**
-   * Update all track audio params
+   * Get center mic level
    */
-  _updateAllTracks() {
-    const nodeMaps = [this.trackNodes, this.pendingTrackNodes].filter(Boolean);
-    for (const nodeMap of nodeMaps) {
-      for (const [id, nodes] of nodeMap.entries()) {
-        const track = this.tracks.get(id);
-        if (track) {
-          this.updateTrackAudioParams(id, track, nodes);
-        }
-      }
-    }
+  getCenterLevel() {
+    return this.micConfig.centerLevel;
   }
 
   /**
-   * Update track position
+   * Set center mic depth (for Decca Tree)
+   * @param {number} depth - Depth in meters
    */
-  updateTrackPosition(id, x, y) {
-    const track = this.tracks.get(id);
-    if (!track) return;
-
-    track.x = x;
-    track.y = y;
-
+  setCenterDepth(depth) {
+    this.micConfig.centerDepth = depth;
+    this.micConfig = validateConfig(this.micConfig);
+    this._updateArrayMicPositions();
     if (this.isPlaying) {
       this.scheduleGraphRebuild();
-      return;
+    } else {
+      this._updateAllTracks();
     }
+  }
 
-    const nodeMaps = [this.trackNodes, this.pendingTrackNodes].filter(Boolean);
-    for (const nodeMap of nodeMaps) {
-      const nodes = nodeMap.get(id);
-      if (nodes) {
-        this.updateTrackAudioParams(id, track, nodes);
-      }
-    }
+  /**
+   * Get center mic depth
+   */
+  getCenterDepth() {
+    return this.micConfig.centerDepth;
   }
 
-  getNoiseFloorForMic(track, micPos) {
-    const fallback = Number.isFinite(track.noiseFloorDb) ? track.noiseFloorDb : DEFAULT_NOISE_FLOOR_DB;
-    const map = track.noiseFloorByMic;
-    if (!map) return fallback;
-    if (map instanceof Map) {
-      const value = map.get(micPos);
-      return Number.isFinite(value) ? value : fallback;
-    }
-    if (typeof map === 'object') {
-      const value = map[micPos];
-      return Number.isFinite(value) ? value : fallback;
+  /**
+   * Set the downward aim of the main array
+   * @param {number} tilt - Degrees below horizontal
+   */
+  setMicTilt(tilt) {
+    this.micConfig.tilt = tilt;
+    this.micConfig = validateConfig(this.micConfig);
+    this._updateArrayMicPositions();
+    if (this.isPlaying) {
+      this.scheduleGraphRebuild();
+    } else {
+      this._updateAllTracks();
     }
-    return fallback;
   }
 
   /**
-   * Update audio parameters for a track based on position
-   * Uses polar pattern aware stereo response calculation
+   * Set one mic's height above the floor
+   * @param {string} micId - Mic ID (L, R, C, ...)
+   * @param {number|null} height - Meters, or null to follow the array (listener) height
    */
-  updateTrackAudioParams(id, track, nodes) {
-    const spatial = this._getTrackSpatialParams(track, { hasCenter: nodes.hasCenter });
-    const {
-      sourcePosMeters,
-      hasCenter,
-      ampL,
-      ampR,
-      ampC,
-      directPatternL,
-      directPatternR,
-      directPatternC,
-      distL,
-      distR,
-      distC,
-      delayL,
-      delayR,
-      delayC,
-      baseDelay,
-      itdL,
-      itdR,
-      itdC,
-    } = spatial;
+  setMicHeight(micId, height) {
+    const mic = this.micConfig.mics.find(m => m.id === micId);
+    if (!mic) return;
 
-    // Apply track gain and mute/solo
-    const hasSolo = this.hasSolo;
-    let gainMultiplier = track.gain;
-    if (track.muted || (hasSolo && !track.solo)) {
-      gainMultiplier = 0;
+    mic.height = height;
+    this.micConfig = validateConfig(this.micConfig);
+    this._updateArrayMicPositions();
+    if (this.isPlaying) {
+      this.scheduleGraphRebuild();
+    } else {
+      this._updateAllTracks();
     }
+  }
 
-    // === INSTRUMENT DIRECTIVITY BLENDING ===
-    // This is separate from mic polar patterns - it's the instrument radiation pattern
-    // (blending between front mic 6 and bell mic 8 recordings)
-    const { blendL, blendR, blendC } = this._getDirectivityBlends(sourcePosMeters, hasCenter);
+  /**
+   * Get a copy of the spot mics
+   * @returns {Array}
+   */
+  getSpotMics() {
+    return cloneMicConfig(this.micConfig).spots;
+  }
 
-    // Use setTargetAtTime for smooth transitions to avoid zipper noise during dragging
-    const now = this.context.currentTime;
-    const rampTime = 0.02; // 20ms ramp for smooth transitions
+  /**
+   * Add a spot mic
+   * @param {Object} overrides - Spot fields (see createSpotMic)
+   * @returns {Object|null} - The new spot, or null when MAX_SPOT_MICS are already placed
+   */
+  addSpotMic(overrides = {}) {
+    const spots = this.micConfig.spots || [];
+    if (spots.length >= MAX_SPOT_MICS) return null;
+
+    const spot = createSpotMic(getNextSpotMicId(spots), overrides);
+    this.micConfig.spots = [...spots, spot];
+    this._applySpotMicChange(true);
+    return { ...spot };
+  }
 
-    if (nodes.hasDirectivity) {
-      // Apply directivity: front and bell sources are blended per channel
-      // Mic polar pattern gain (ampL/ampR) combined with instrument directivity (blendL/blendR)
-      const frontGainLValue = ampL * gainMultiplier * blendL.front;
-      const frontGainRValue = ampR * gainMultiplier * blendR.front;
-      const bellGainLValue = ampL * gainMultiplier * blendL.bell;
-      const bellGainRValue = ampR * gainMultiplier * blendR.bell;
-
-      nodes.frontGainL.gain.setTargetAtTime(frontGainLValue, now, rampTime);
-      nodes.frontGainR.gain.setTargetAtTime(frontGainRValue, now, rampTime);
-      nodes.bellGainL.gain.setTargetAtTime(bellGainLValue, now, rampTime);
-      nodes.bellGainR.gain.setTargetAtTime(bellGainRValue, now, rampTime);
-      if (nodes.frontGainC) {
-        nodes.frontGainC.gain.setTargetAtTime(ampC * gainMultiplier * blendC.front, now, rampTime);
-      }
-      if (nodes.bellGainC) {
-        nodes.bellGainC.gain.setTargetAtTime(ampC * gainMultiplier * blendC.bell, now, rampTime);
-      }
+  /**
+   * Change a spot mic (position, aim, pattern, level, pan, delay compensation, enabled)
+   * @param {string} id - Spot ID
+   * @param {Object} changes - Fields to change
+   * @returns {Object|null} - The updated spot, or null for an unknown ID
+   */
+  updateSpotMic(id, changes) {
+    const spots = this.micConfig.spots || [];
+    const current = spots.find(spot => spot.id === id);
+    if (!current) return null;
+
+    const spot = validateSpotMic({ ...current, ...changes, id });
+    this.micConfig.spots = spots.map(s => (s.id === id ? spot : s));
+    this._applySpotMicChange(spot.enabled !== current.enabled);
+    return { ...spot };
+  }
 
-      const noiseFrontDb = this.getNoiseFloorForMic(track, track.primaryMicPosition);
-      const noiseBellDb = this.getNoiseFloorForMic(track, '8');
-      const noiseFront = dbToLinear(noiseFrontDb);
-      const noiseBell = dbToLinear(noiseBellDb);
-      const noiseL = Math.sqrt(
-        Math.pow(Math.abs(frontGainLValue) * noiseFront, 2) +
-        Math.pow(Math.abs(bellGainLValue) * noiseBell, 2)
-      );
-      nodes.visualNoiseFloorDb = linearToDb(noiseL);
-    } else {
-      // No instrument directivity: apply mic polar pattern gain directly
-      const gainLValue = ampL * gainMultiplier;
-      const gainRValue = ampR * gainMultiplier;
-      nodes.frontGainL.gain.setTargetAtTime(gainLValue, now, rampTime);
-      nodes.frontGainR.gain.setTargetAtTime(gainRValue, now, rampTime);
-      if (nodes.frontGainC) {
-        nodes.frontGainC.gain.setTargetAtTime(ampC * gainMultiplier, now, rampTime);
-      }
+  /**
+   * Remove a spot mic
+   * @param {string} id - Spot ID
+   */
+  removeSpotMic(id) {
+    const spots = this.micConfig.spots || [];
+    if (!spots.some(spot => spot.id === id)) return;
 
-      const noiseDb = this.getNoiseFloorForMic(track, track.primaryMicPosition);
-      const noiseL = Math.abs(gainLValue) * dbToLinear(noiseDb);
-      nodes.visualNoiseFloorDb = linearToDb(noiseL);
-    }
+    this.micConfig.spots = spots.filter(spot => spot.id !== id);
+    this._applySpotMicChange(true);
+  }
 
-    // === DELAYS (ITD) ===
-    // Use delays from stereo response
-    nodes.delayL.delayTime.setTargetAtTime(baseDelay + itdL, now, rampTime);
-    nodes.delayR.delayTime.setTargetAtTime(baseDelay + itdR, now, rampTime);
-    if (nodes.delayC) {
-      nodes.delayC.delayTime.setTargetAtTime(baseDelay + itdC, now, rampTime);
+  /**
+   * Apply a spot mic change: adding or removing chains needs a graph rebuild while playing,
+   * anything else only updates params (so a spot can be dragged live)
+   * @param {boolean} structural - Chains were added or removed
+   */
+  _applySpotMicChange(structural) {
+    if (structural && this.isPlaying) {
+      this.scheduleGraphRebuild();
+    } else {
+      this._updateAllTracks();
     }
+  }
 
-    // Air absorption - update filter banks (ISO 9613-1 frequency-dependent)
-    this.updateAirAbsorptionFilters(nodes.airAbsorbL, distL, now, rampTime);
-    this.updateAirAbsorptionFilters(nodes.airAbsorbR, distR, now, rampTime);
-    if (nodes.airAbsorbC) {
-      this.updateAirAbsorptionFilters(nodes.airAbsorbC, distC, now, rampTime);
+  /**
+   * Get the user-defined arrays
+   * @returns {Array} - Copies of {id, name, mics}
+   */
+  getCustomTechniques() {
+    return cloneMicConfig(this.micConfig).customTechniques;
+  }
+
+  /**
+   * Add or replace a user-defined array. When it is the active technique its mics are rebuilt
+   * (listener, tilt, per-mic heights and spots are kept).
+   * @param {Object} def - {id, name, mics}; a new ID comes from getNextCustomTechniqueId
+   * @returns {Object|null} - The validated array, or null when invalid or over the limit
+   */
+  saveCustomTechnique(def) {
+    const validated = validateCustomTechnique(def);
+    if (!validated) return null;
+
+    const customTechniques = [...(this.micConfig.customTechniques || [])];
+    const index = customTechniques.findIndex(custom => custom.id === validated.id);
+    if (index >= 0) {
+      customTechniques[index] = validated;
+    } else if (customTechniques.length >= MAX_CUSTOM_TECHNIQUES) {
+      return null;
+    } else {
+      customTechniques.push(validated);
     }
 
-    // Ground reflection (if enabled and nodes exist)
-    if (nodes.groundDelayL && nodes.groundBaseGainL) {
-      const groundParams = this._getGroundReflectionParams(spatial);
-      if (groundParams && groundParams.L && groundParams.R) {
-        const { lowGain, highGain, crossFreq } = groundParams;
+    if (this.micConfig.technique === validated.id) {
+      this._useCustomTechniques(customTechniques, validated.id);
+    } else {
+      this.micConfig = validateConfig({ ...this.micConfig, customTechniques });
+    }
+    return validated;
+  }
 
-        nodes.groundDelayL.delayTime.setTargetAtTime(groundParams.L.delayTime, now, rampTime);
-        nodes.groundDelayR.delayTime.setTargetAtTime(groundParams.R.delayTime, now, rampTime);
+  /**
+   * Remove a user-defined array (the active one falls back to a spaced pair)
+   * @param {string} id - Custom technique ID
+   */
+  deleteCustomTechnique(id) {
+    const customTechniques = (this.micConfig.customTechniques || []).filter(custom => custom.id !== id);
+    if (this.micConfig.technique === id) {
+      this._useCustomTechniques(customTechniques, 'spaced-pair');
+    } else {
+      this.micConfig = validateConfig({ ...this.micConfig, customTechniques });
+    }
+  }
 
-        nodes.groundBaseGainL.gain.setTargetAtTime(groundParams.L.baseAmp, now, rampTime);
-        nodes.groundBaseGainR.gain.setTargetAtTime(groundParams.R.baseAmp, now, rampTime);
+  /**
+   * Rebuild the mic configuration for a technique with a new set of user-defined arrays
+   * Each mic has its own chain, so the graph is only rebuilt when mics are added or removed.
+   */
+  _useCustomTechniques(customTechniques, techniqueId) {
+    const oldConfig = this.micConfig;
+    const micIds = config => config.mics.filter(mic => mic.enabled).map(mic => mic.id).join(',');
+    this.micConfig = validateConfig(createMicrophoneConfig(techniqueId, {
+      listener: getListenerPose(oldConfig),
+      tilt: oldConfig.tilt,
+      micHeights: Object.fromEntries(oldConfig.mics.map(mic => [mic.id, mic.height])),
+      msDecodeEnabled: oldConfig.msDecodeEnabled,
+      msWidth: oldConfig.msWidth,
+      spots: oldConfig.spots,
+      customTechniques,
+    }));
+    this._updateArrayMicPositions();
 
-        if (nodes.groundAirAbsorbL) {
-          groundParams.L.airAbsorption.forEach((filter, i) => {
-            nodes.groundAirAbsorbL[i].gain.setTargetAtTime(filter.gainDb, now, rampTime);
-          });
-        }
-        if (nodes.groundAirAbsorbR) {
-          groundParams.R.airAbsorption.forEach((filter, i) => {
-            nodes.groundAirAbsorbR[i].gain.setTargetAtTime(filter.gainDb, now, rampTime);
-          });
-        }
+    if (this.isPlaying && micIds(oldConfig) !== micIds(this.micConfig)) {
+      this.scheduleGraphRebuild();
+    } else {
+      this._updateAllTracks();
+    }
+  }
 
-        nodes.groundLowGainL.gain.setTargetAtTime(lowGain, now, rampTime);
-        nodes.groundHighGainL.gain.setTargetAtTime(highGain, now, rampTime);
-        nodes.groundLowGainR.gain.setTargetAtTime(lowGain, now, rampTime);
-        nodes.groundHighGainR.gain.setTargetAtTime(highGain, now, rampTime);
-
-        nodes.groundLowFilterL.frequency.setTargetAtTime(crossFreq, now, rampTime);
-        nodes.groundHighFilterL.frequency.setTargetAtTime(crossFreq, now, rampTime);
-        nodes.groundLowFilterR.frequency.setTargetAtTime(crossFreq, now, rampTime);
-        nodes.groundHighFilterR.frequency.setTargetAtTime(crossFreq, now, rampTime);
-
-        if (nodes.groundDelayC && nodes.groundBaseGainC && groundParams.C) {
-          nodes.groundDelayC.delayTime.setTargetAtTime(groundParams.C.delayTime, now, rampTime);
-          nodes.groundBaseGainC.gain.setTargetAtTime(groundParams.C.baseAmp, now, rampTime);
-          if (nodes.groundAirAbsorbC) {
-            groundParams.C.airAbsorption.forEach((filter, i) => {
-              nodes.groundAirAbsorbC[i].gain.setTargetAtTime(filter.gainDb, now, rampTime);
-            });
-          }
-          nodes.groundLowGainC.gain.setTargetAtTime(lowGain, now, rampTime);
-          nodes.groundHighGainC.gain.setTargetAtTime(highGain, now, rampTime);
-          nodes.groundLowFilterC.frequency.setTargetAtTime(crossFreq, now, rampTime);
-          nodes.groundHighFilterC.frequency.setTargetAtTime(crossFreq, now, rampTime);
+  /**
+   * Enable/disable M/S decode processing
+   * The decode is part of each mic's routing gains, so no graph rebuild is needed.
+   * @param {boolean} enabled
+   */
+  setMSDecodeEnabled(enabled) {
+    this.micConfig.msDecodeEnabled = enabled;
+    this._updateAllTracks();
+  }
+
+  /**
+   * Model the main mics as dual-diaphragm mics (front and back cardioid capsules)
+   * Changes the frequency behavior of in-between patterns and enables renderCapsuleStems in the UI.
+   * @param {boolean} enabled
+   */
+  setDualCapsuleEnabled(enabled) {
+    this.micConfig.dualCapsule = !!enabled;
+    this._updateArrayMicPositions();
+    this._updateAllTracks();
+  }
+
+  /**
+   * Get M/S decode enabled state
+   */
+  getMSDecodeEnabled() {
+    return this.micConfig.msDecodeEnabled;
+  }
+
+  /**
+   * Set M/S decode width
+   * @param {number} width - 0=mono, 1=normal, 2=extra wide
+   */
+  setMSWidth(width) {
+    this.micConfig.msWidth = width;
+    this.micConfig = validateConfig(this.micConfig);
+    this._updateAllTracks();
+  }
+
+  /**
+   * Get M/S decode width
+   */
+  getMSWidth() {
+    return this.micConfig.msWidth;
+  }
+
+  /**
+   * Apply a recording preset
+   * @param {string} presetId - Preset ID
+   */
+  applyPreset(presetId) {
+    const { spots, customTechniques } = this.micConfig;
+    this.micConfig = validateConfig({ ...createConfigFromPreset(presetId), spots, customTechniques });
+    this._updateArrayMicPositions();
+
+    if (this.isPlaying) {
+      this.scheduleGraphRebuild();
+    } else {
+      this._updateAllTracks();
+    }
+  }
+
+  /**
+   * Get current microphone configuration
+   */
+  getMicConfig() {
+    return cloneMicConfig(this.micConfig);
+  }
+
+  /**
+   * Set full microphone configuration
+   * @param {Object} config - Configuration object
+   */
+  setMicConfig(config) {
+    this.micConfig = validateConfig({ ...config });
+    this._updateArrayMicPositions();
+
+    if (this.isPlaying) {
+      this.scheduleGraphRebuild();
+    } else {
+      this._updateAllTracks();
+    }
+  }
+
+  /**
+   * Update all track audio params
+   */
+  _updateAllTracks() {
+    const nodeMaps = [this.trackNodes, this.pendingTrackNodes].filter(Boolean);
+    for (const nodeMap of nodeMaps) {
+      for (const [id, nodes] of nodeMap.entries()) {
+        const track = this.tracks.get(id);
+        if (track) {
+          this.updateTrackAudioParams(id, track, nodes);
         }
+      }
+    }
+  }
+
+  /**
+   * Replace the automation set
+   * @param {Object|null} automation - From createAutomation (null clears all lanes)
+   */
+  setAutomation(automation) {
+    this.automation = automation || createAutomation();
+    this.automationTouches.clear();
+    this.lastAutomationTime = null;
+  }
+
+  /**
+   * Current automation set (live object; writeAutomation adds to it)
+   * @returns {Object}
+   */
+  getAutomation() {
+    return this.automation;
+  }
+
+  /**
+   * Record a keyframe at the playhead
+   * While playing, repeated writes to a lane replace the keyframes passed over since the
+   * previous write, and the lane is not played back until the user lets go of it.
+   * @param {string} key - Lane key (see laneKey in automation.js)
+   * @param {number|boolean} value
+   */
+  writeAutomation(key, value) {
+    const time = this.getCurrentTime();
+    const touch = this.automationTouches.get(key);
+    const replaceFrom = this.isPlaying && touch && touch.time <= time ? touch.time : null;
+    writeKeyframe(this.automation, key, time, value, { replaceFrom });
+    this.automationTouches.set(key, { time, touchedAt: performance.now() });
+  }
+
+  /**
+   * Lanes written within AUTOMATION_TOUCH_MS (skipped on playback so they do not fight the user)
+   * @returns {Set<string>}
+   */
+  _getTouchedLanes() {
+    const now = performance.now();
+    const touched = new Set();
+    for (const [key, touch] of this.automationTouches) {
+      if (now - touch.touchedAt < AUTOMATION_TOUCH_MS) {
+        touched.add(key);
       } else {
-        nodes.groundBaseGainL.gain.setTargetAtTime(0, now, rampTime);
-        nodes.groundBaseGainR.gain.setTargetAtTime(0, now, rampTime);
-        if (nodes.groundBaseGainC) {
-          nodes.groundBaseGainC.gain.setTargetAtTime(0, now, rampTime);
-        }
+        this.automationTouches.delete(key);
+      }
+    }
+    return touched;
+  }
+
+  /**
+   * Write automated values into engine state (tracks, mic config, master gain, reverb wet)
+   * Audio nodes are not touched.
+   * @param {Object} values - Result of getAutomationValues
+   */
+  _setAutomatedState(values) {
+    for (const [id, trackValues] of values.tracks) {
+      const track = this.tracks.get(id);
+      if (!track) continue;
+      if (Number.isFinite(trackValues.x)) track.x = clamp(trackValues.x, -1, 1);
+      if (Number.isFinite(trackValues.y)) track.y = clamp(trackValues.y, 0, 1);
+      if (Number.isFinite(trackValues.gain)) track.gain = Math.max(0, trackValues.gain);
+      if (trackValues.muted !== undefined) track.muted = !!trackValues.muted;
+    }
+
+    if (Object.keys(values.mic).length > 0) {
+      this.micConfig = validateConfig({ ...this.micConfig, ...values.mic });
+      this._updateArrayMicPositions();
+    }
+
+    if (Number.isFinite(values.master.gain)) {
+      this.masterGain = Math.max(0, values.master.gain);
+    }
+
+    if (Number.isFinite(values.reverb.wet)) {
+      this.reverbWet = clamp(values.reverb.wet, 0, MAX_REVERB_WET);
+      this.reverbMix = this.reverbPresetWet * this.reverbWet;
+    }
+  }
+
+  /**
+   * Snapshot of the state automation can change (restored after offline renders)
+   */
+  _captureAutomatedState() {
+    return {
+      tracks: new Map(Array.from(this.tracks, ([id, track]) => [
+        id,
+        { x: track.x, y: track.y, gain: track.gain, muted: track.muted },
+      ])),
+      micConfig: this.micConfig,
+      masterGain: this.masterGain,
+      reverbWet: this.reverbWet,
+      reverbMix: this.reverbMix,
+    };
+  }
+
+  _restoreAutomatedState(snapshot) {
+    for (const [id, saved] of snapshot.tracks) {
+      const track = this.tracks.get(id);
+      if (track) {
+        Object.assign(track, saved);
+      }
+    }
+    this.micConfig = snapshot.micConfig;
+    this._updateArrayMicPositions();
+    this.masterGain = snapshot.masterGain;
+    this.reverbWet = snapshot.reverbWet;
+    this.reverbMix = snapshot.reverbMix;
+  }
+
+  /**
+   * Apply automation at a playback time to the running graph and notify the UI
+   * @param {number} time - Seconds
+   * @param {Object} [options] - {force}: apply even when the last update was less than AUTOMATION_UPDATE_SECONDS ago
+   */
+  _applyAutomation(time, { force = false } = {}) {
+    if (!hasAutomation(this.automation)) return;
+    if (!force && this.lastAutomationTime !== null
+      && Math.abs(time - this.lastAutomationTime) < AUTOMATION_UPDATE_SECONDS) {
+      return;
+    }
+    this.lastAutomationTime = time;
+
+    const values = getAutomationValues(this.automation, time, { skip: this._getTouchedLanes() });
+    this._setAutomatedState(values);
+
+    if (this.masterGainNode && Number.isFinite(values.master.gain)) {
+      this._applyParam(this.masterGainNode.gain, this.masterGain);
+    }
+    // Param updates only: a graph rebuild every few frames would crossfade constantly
+    this._updateAllTracks();
+
+    if (this.onAutomationApply) {
+      this.onAutomationApply(values);
+    }
+  }
+
+  /**
+   * Update track position
+   */
+  updateTrackPosition(id, x, y) {
+    const track = this.tracks.get(id);
+    if (!track) return;
+
+    track.x = x;
+    track.y = y;
+
+    // Params only, also while playing: delays glide, so a moving source is heard with its Doppler shift
+    const nodeMaps = [this.trackNodes, this.pendingTrackNodes].filter(Boolean);
+    for (const nodeMap of nodeMaps) {
+      const nodes = nodeMap.get(id);
+      if (nodes) {
+        this.updateTrackAudioParams(id, track, nodes);
+      }
+    }
+  }
+
+  /**
+   * Update track source height
+   * @param {string} id - Track ID
+   * @param {number} height - Meters above the floor
+   */
+  updateTrackHeight(id, height) {
+    const track = this.tracks.get(id);
+    if (!track) return;
+
+    track.height = height;
+
+    // Delays change with height and glide like a position change
+    const nodeMaps = [this.trackNodes, this.pendingTrackNodes].filter(Boolean);
+    for (const nodeMap of nodeMaps) {
+      const nodes = nodeMap.get(id);
+      if (nodes) {
+        this.updateTrackAudioParams(id, track, nodes);
+      }
+    }
+  }
+
+  /**
+   * Update track facing angle
+   * Only gains and filters depend on facing, so no graph rebuild is needed during playback
+   * @param {string} id - Track ID
+   * @param {number} facing - Degrees; 0 = toward the audience, positive = turned to the player's right
+   */
+  updateTrackFacing(id, facing) {
+    const track = this.tracks.get(id);
+    if (!track) return;
+
+    track.facing = facing;
+
+    const nodeMaps = [this.trackNodes, this.pendingTrackNodes].filter(Boolean);
+    for (const nodeMap of nodeMaps) {
+      const nodes = nodeMap.get(id);
+      if (nodes) {
+        this.updateTrackAudioParams(id, track, nodes);
+      }
+    }
+  }
+
+  /**
+   * Update track width and shape (extended source)
+   * A change in the number of sub-sources needs a graph rebuild while playing; otherwise only
+   * the sub-source positions move. Listener modes render the track at its center.
+   * @param {string} id - Track ID
+   * @param {{width: number, shape: string}} extent - Meters across the facing (0 = point) and shape
+   */
+  updateTrackExtent(id, extent) {
+    const track = this.tracks.get(id);
+    if (!track) return;
+
+    const previousCount = getSubSources(track).length;
+    Object.assign(track, getSourceExtent(extent));
+
+    if (this.isPlaying && getSubSources(track).length !== previousCount) {
+      this.scheduleGraphRebuild();
+      return;
+    }
+    const nodeMaps = [this.trackNodes, this.pendingTrackNodes].filter(Boolean);
+    for (const nodeMap of nodeMaps) {
+      const nodes = nodeMap.get(id);
+      if (nodes) {
+        this.updateTrackAudioParams(id, track, nodes);
+      }
+    }
+  }
+
+  /**
+   * Update how a multichannel stem is placed (format, spacing, rotation)
+   * A format change rewires the track's sources and needs a graph rebuild while playing.
+   * @param {string} id - Track ID
+   * @param {{stemFormat: string, stemSpacing: number, stemRotation: number}} layout - See getStemLayout
+   */
+  updateTrackStemLayout(id, layout) {
+    const track = this.tracks.get(id);
+    if (!track) return;
+
+    const previousFormat = track.stemFormat;
+    Object.assign(track, getStemLayout({ ...layout, channels: track.channels }));
+
+    if (this.isPlaying && track.stemFormat !== previousFormat) {
+      this.scheduleGraphRebuild();
+      return;
+    }
+    const nodeMaps = [this.trackNodes, this.pendingTrackNodes].filter(Boolean);
+    for (const nodeMap of nodeMaps) {
+      const nodes = nodeMap.get(id);
+      if (nodes) {
+        this.updateTrackAudioParams(id, track, nodes);
       }
     }
+  }
 
-    // Reverb send based on mode (stereo - L and R have same level)
-    if (nodes.reverbSendL && nodes.reverbSendR) {
-      const reverbLevel = this.calculateReverbSend(track.y);
-      nodes.reverbSendL.gain.setTargetAtTime(reverbLevel, now, rampTime);
-      nodes.reverbSendR.gain.setTargetAtTime(reverbLevel, now, rampTime);
-      if (nodes.reverbSendC) {
-        nodes.reverbSendC.gain.setTargetAtTime(reverbLevel * CENTER_PAN_GAIN, now, rampTime);
+  getNoiseFloorForMic(track, micPos) {
+    const fallback = Number.isFinite(track.noiseFloorDb) ? track.noiseFloorDb : DEFAULT_NOISE_FLOOR_DB;
+    const map = track.noiseFloorByMic;
+    if (!map) return fallback;
+    if (map instanceof Map) {
+      const value = map.get(micPos);
+      return Number.isFinite(value) ? value : fallback;
+    }
+    if (typeof map === 'object') {
+      const value = map[micPos];
+      return Number.isFinite(value) ? value : fallback;
+    }
+    return fallback;
+  }
+
+  /**
+   * Update audio parameters for a track based on position
+   * Uses polar pattern aware stereo response calculation
+   * @param {Object} [options] - {at}: offline automation time; params ramp linearly to reach their values then
+   */
+  updateTrackAudioParams(id, track, nodes, { at = null } = {}) {
+    if (nodes.isBinaural) {
+      this._updateBinauralTrackParams(track, nodes, { at });
+      return;
+    }
+    if (nodes.isSpeakers) {
+      this._updateSpeakerTrackParams(track, nodes);
+      return;
+    }
+
+    // One set of spatial params per sub-source (a single one for a point source)
+    const subSources = this._getSubSourceTracks(track).map(({ track: subTrack, weight }) => {
+      const spatial = this._getTrackSpatialParams(subTrack, {
+        capsules: !!nodes.capsules,
+        surroundLayout: nodes.surroundLayout || null,
+      });
+      return { track: subTrack, weight, spatial, ground: this._getGroundReflectionParams(spatial) };
+    });
+
+    // Apply track gain and mute/solo
+    const hasSolo = this.hasSolo;
+    let gainMultiplier = track.gain;
+    if (track.muted || (hasSolo && !track.solo)) {
+      gainMultiplier = 0;
+    }
+
+    // Use setTargetAtTime for smooth transitions to avoid zipper noise during dragging
+    const now = this.context ? this.context.currentTime : 0;
+    const rampTime = 0.02; // 20ms ramp for smooth transitions
+    // Delay glides give moving sources their Doppler shift
+    const delayGlide = this._getDelayGlide(nodes, now);
+
+    const reverbLevel = this.calculateReverbSend(track.y);
+    const noiseFront = dbToLinear(this.getNoiseFloorForMic(track, track.primaryMicPosition));
+    const noiseBell = nodes.hasDirectivity ? dbToLinear(this.getNoiseFloorForMic(track, '8')) : 0;
+    let noise = 0;
+
+    for (const chain of nodes.micChains || []) {
+      const subSource = subSources[chain.subSource || 0];
+      const mic = subSource?.spatial.mics.find(m => m.id === chain.micId);
+      if (!mic) {
+        // Mic or sub-source removed since the chain was built: silent until the graph is rebuilt
+        rampParam(chain.mixer.gain, 0, now, rampTime, at);
+        continue;
+      }
+
+      const values = this._getArrayMicValues(
+        subSource.track, mic, subSource.spatial, subSource.ground, gainMultiplier * subSource.weight, reverbLevel
+      );
+      this._updateArrayMicChain(chain, values, { now, rampTime, delayGlide, at });
+      // Visual noise floor follows the loudest mic
+      noise = Math.max(noise, Math.hypot(values.frontGain * noiseFront, values.bellGain * noiseBell));
+    }
+    nodes.visualNoiseFloorDb = linearToDb(noise);
+
+    // Early reflections (image-source hall model)
+    if (nodes.earlyInput) {
+      const sourceMix = nodes.hasDirectivity ? 0.5 : 1;
+      rampParam(nodes.earlyInput.gain, gainMultiplier * sourceMix, now, rampTime, at);
+      if (at === null) {
+        this._scheduleEarlyReflectionUpdate(track, nodes, 'mics');
+      }
+    }
+
+    // Spot mics
+    if (nodes.spotChains) {
+      for (const chain of nodes.spotChains) {
+        this._updateSpotChain(track, chain, gainMultiplier, { now, rampTime, delayGlide, at });
+      }
+    }
+  }
+
+  /**
+   * Glide time for a chain's delays: the interval since its previous update, so consecutive
+   * glides join into one continuous delay curve while a source is dragged or automated
+   * @param {Object} nodes - Track chain (stores the last update time)
+   * @param {number} now - Current audio context time
+   * @returns {number} - Seconds
+   */
+  _getDelayGlide(nodes, now) {
+    const last = nodes.lastDelayUpdate;
+    nodes.lastDelayUpdate = now;
+    if (last === undefined) return DELAY_GLIDE_MIN_SECONDS;
+    return clamp(now - last, DELAY_GLIDE_MIN_SECONDS, DELAY_GLIDE_MAX_SECONDS);
+  }
+
+  /**
+   * Update audio parameters for a binaural (HRTF) track chain
+   */
+  _updateBinauralTrackParams(track, nodes, { at = null } = {}) {
+    const params = this._getBinauralParams(track);
+    this._updatePointSourceParams(track, nodes, params, { mode: 'binaural', at });
+
+    // Change HRIR only when the nearest measurement changes (offline: see _scheduleOfflineHrir)
+    if (at === null && (nodes.hrirIndex !== params.hrirIndex || nodes.hrtfSet !== params.hrtfSet)) {
+      nodes.hrirIndex = params.hrirIndex;
+      nodes.hrtfSet = params.hrtfSet;
+      this._crossfadeHrir(nodes);
+    }
+  }
+
+  /**
+   * Load the chain's current HRIR (nodes.hrirIndex/hrtfSet) into the idle convolver and fade over to it.
+   * Swapping a running convolver's buffer clicks, so the idle one is only reloaded once it is silent;
+   * changes arriving mid-fade wait for the fade to end and then jump to the latest HRIR.
+   */
+  _crossfadeHrir(nodes) {
+    if (nodes.hrirTimer || nodes.isSuperseded) return;
+    const now = this.context.currentTime;
+    if (now < nodes.hrirFadeEnd) {
+      nodes.hrirTimer = setTimeout(() => {
+        nodes.hrirTimer = null;
+        this._crossfadeHrir(nodes);
+      }, (nodes.hrirFadeEnd - now) * 1000 + 5);
+      return;
+    }
+    const buffer = getHrirBuffer(nodes.hrtfSet, nodes.hrirIndex, this.context);
+    if (nodes.hrirConvolvers[nodes.hrirActive].buffer === buffer) return;
+
+    const next = 1 - nodes.hrirActive;
+    nodes.hrirConvolvers[next].buffer = buffer;
+    nodes.hrirGains.forEach((gainNode, i) => {
+      gainNode.gain.cancelScheduledValues(now);
+      gainNode.gain.setValueAtTime(i === next ? 0 : 1, now);
+      gainNode.gain.linearRampToValueAtTime(i === next ? 1 : 0, now + HRIR_CROSSFADE_SECONDS);
+    });
+    nodes.hrirActive = next;
+    nodes.hrirFadeEnd = now + HRIR_CROSSFADE_SECONDS;
+  }
+
+  /**
+   * Offline counterpart of _crossfadeHrir: a render cannot reload a convolver, so each change of the
+   * nearest HRIR gets a new convolver behind a gate, and the gates crossfade at the automation time
+   * (or when the previous fade ends).
+   * @param {OfflineAudioContext} ctx - Render context
+   * @param {Object} track - Engine track (holding the automated state at `at`)
+   * @param {Object} nodes - Result of _createBinauralTrackChain
+   * @param {number} at - Automation time
+   */
+  _scheduleOfflineHrir(ctx, track, nodes, at) {
+    const params = this._getBinauralParams(track);
+    if (nodes.hrirIndex === params.hrirIndex && nodes.hrtfSet === params.hrtfSet) return;
+    nodes.hrirIndex = params.hrirIndex;
+    nodes.hrtfSet = params.hrtfSet;
+
+    const gate = ctx.createGain();
+    gate.gain.value = 0;
+    const convolver = ctx.createConvolver();
+    convolver.normalize = false;
+    convolver.buffer = getHrirBuffer(params.hrtfSet, params.hrirIndex, ctx);
+    nodes.hrirInput.connect(gate);
+    gate.connect(convolver);
+    convolver.connect(nodes.hrirOutput);
+
+    const start = Math.max(at, nodes.hrirFadeEnd);
+    const previous = nodes.hrirGains[nodes.hrirActive];
+    previous.gain.setValueAtTime(1, start);
+    previous.gain.linearRampToValueAtTime(0, start + HRIR_CROSSFADE_SECONDS);
+    gate.gain.setValueAtTime(0, start);
+    gate.gain.linearRampToValueAtTime(1, start + HRIR_CROSSFADE_SECONDS);
+
+    nodes.hrirConvolvers.push(convolver);
+    nodes.hrirGains.push(gate);
+    nodes.hrirActive = nodes.hrirGains.length - 1;
+    nodes.hrirFadeEnd = start + HRIR_CROSSFADE_SECONDS;
+  }
+
+  /**
+   * Update audio parameters for a loudspeaker (VBAP) track chain (realtime only)
+   */
+  _updateSpeakerTrackParams(track, nodes) {
+    const params = this._getListenerParams(track, this.getListenerPosition());
+    this._updatePointSourceParams(track, nodes, params, { mode: 'speakers', at: null });
+
+    const now = this.context ? this.context.currentTime : 0;
+    calculateVbapGains(this.vbap, params.azimuth, params.elevation).forEach((value, speaker) => {
+      if (nodes.panGains[speaker]) {
+        rampParam(nodes.panGains[speaker].gain, value, now, 0.02, null);
+      }
+    });
+  }
+
+  /**
+   * Update the point-source part of a listener chain (see _createPointSourceChain) plus its
+   * reverb send and early reflections
+   * @param {Object} track - Engine track
+   * @param {Object} nodes - Listener chain
+   * @param {Object} params - Result of _getListenerParams
+   * @param {Object} options - {mode}: early reflection receivers; {at}: offline automation time
+   */
+  _updatePointSourceParams(track, nodes, params, { mode, at }) {
+    let gainMultiplier = track.gain;
+    if (track.muted || (this.hasSolo && !track.solo)) {
+      gainMultiplier = 0;
+    }
+
+    const now = this.context ? this.context.currentTime : 0;
+    const rampTime = 0.02;
+    const amp = params.gain * gainMultiplier;
+
+    if (nodes.hasDirectivity) {
+      rampParam(nodes.frontGain.gain, amp * params.blend.front, now, rampTime, at);
+      rampParam(nodes.bellGain.gain, amp * params.blend.bell, now, rampTime, at);
+    } else {
+      rampParam(nodes.frontGain.gain, amp, now, rampTime, at);
+    }
+
+    const noiseDb = this.getNoiseFloorForMic(track, track.primaryMicPosition);
+    nodes.visualNoiseFloorDb = linearToDb(Math.abs(amp) * dbToLinear(noiseDb));
+
+    glideDelay(nodes.delay.delayTime, params.delay, now, this._getDelayGlide(nodes, now), at);
+    this.updateAirAbsorptionFilters(nodes.airAbsorb, params.distance, now, rampTime, at);
+    if (nodes.radiation && params.radiationDb) {
+      this.updateRadiationFilters(nodes.radiation, params.radiationDb, now, rampTime, at);
+    }
+
+    if (nodes.reverbSend) {
+      rampParam(nodes.reverbSend.gain, this.calculateReverbSend(track.y), now, rampTime, at);
+    }
+
+    if (nodes.earlyInput) {
+      const sourceMix = nodes.hasDirectivity ? 0.5 : 1;
+      rampParam(nodes.earlyInput.gain, gainMultiplier * sourceMix, now, rampTime, at);
+      if (at === null) {
+        this._scheduleEarlyReflectionUpdate(track, nodes, mode);
+      }
+    }
+  }
+
+  /**
+   * Build the mono point-source part of a listener chain (binaural, loudspeakers or Ambisonics).
+   * Source(s) → mono downmix → directivity gains → mixer → delay → radiation filters → air absorption
+   * Sources are created but not started.
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {Object} track - Engine track
+   * @param {Object} params - Result of _getListenerParams
+   * @returns {Object} - Created nodes; `output` is the last air absorption filter, `monoFront`/`monoBell`
+   *   the downmixed sources (see _createMonoSources)
+   */
+  _createPointSourceChain(ctx, track, params) {
+    const hasDirectivity = !!(track.frontBuffer && track.bellBuffer);
+    const amp = params.gain * track.gain;
+
+    const mixer = ctx.createGain();
+
+    const sourceFront = ctx.createBufferSource();
+    sourceFront.buffer = hasDirectivity ? track.frontBuffer : track.buffer;
+    let sourceBell = null;
+    if (hasDirectivity) {
+      sourceBell = ctx.createBufferSource();
+      sourceBell.buffer = track.bellBuffer;
+    }
+    const mono = this._createMonoSources(ctx, track, { sourceFront, sourceBell });
+
+    const frontGain = ctx.createGain();
+    frontGain.gain.value = hasDirectivity ? amp * params.blend.front : amp;
+    mono.monoFront.connect(frontGain);
+    frontGain.connect(mixer);
+
+    let bellGain = null;
+    if (hasDirectivity) {
+      bellGain = ctx.createGain();
+      bellGain.gain.value = amp * params.blend.bell;
+      mono.monoBell.connect(bellGain);
+      bellGain.connect(mixer);
+    }
+
+    const delay = ctx.createDelay(0.1);
+    delay.delayTime.value = params.delay;
+    mixer.connect(delay);
+
+    const { filters: radiation, output: radiationOutput } =
+      this._chainRadiationFilters(ctx, params.radiationDb, delay);
+
+    const airAbsorb = this.createAirAbsorptionFilterBank(ctx);
+    const absorption = this.calculateAirAbsorption(params.distance);
+    airAbsorb.forEach((filter, i) => { filter.gain.value = absorption[i].gainDb; });
+    let prevNode = radiationOutput;
+    for (const filter of airAbsorb) {
+      prevNode.connect(filter);
+      prevNode = filter;
+    }
+
+    return {
+      sourceFront,
+      sourceBell,
+      ...mono,
+      frontGain,
+      bellGain,
+      mixer,
+      delay,
+      radiation,
+      airAbsorb,
+      output: prevNode,
+      hasDirectivity,
+    };
+  }
+
+  /**
+   * Parameter values of one main-array mic chain for a track
+   * @param {Object} track - Engine track
+   * @param {Object} mic - Entry of _getTrackSpatialParams().mics
+   * @param {Object} spatial - Result of _getTrackSpatialParams
+   * @param {Object|null} ground - Result of _getGroundReflectionParams
+   * @param {number} gainMultiplier - Track gain after mute/solo
+   * @param {number} reverbLevel - Track reverb send
+   * @returns {Object} - {frontGain, bellGain, delay, distance, radiationDb, offAxisDb, proximityDb, route,
+   *   reverbRoute, reverbLevel, ground}
+   */
+  _getArrayMicValues(track, mic, spatial, ground, gainMultiplier, reverbLevel) {
+    // Mic polar pattern gain combined with instrument directivity
+    // (blending between the front mic 6 and bell mic 8 recordings)
+    const amp = mic.amp * gainMultiplier;
+    const hasDirectivity = !!(track.frontBuffer && track.bellBuffer);
+    const blend = hasDirectivity
+      ? this.calculateDirectivityBlend(spatial.sourcePosMeters, mic.position, track.facing)
+      : { front: 1, bell: 0 };
+
+    return {
+      frontGain: amp * blend.front,
+      bellGain: amp * blend.bell,
+      delay: spatial.baseDelay + mic.itd,
+      distance: mic.distance,
+      radiationDb: this._getRadiationGainsDb(track, mic.position),
+      offAxisDb: mic.offAxisDb,
+      proximityDb: mic.proximityDb,
+      route: mic.route,
+      reverbRoute: mic.reverbRoute || mic.route,
+      reverbLevel,
+      ground: ground?.mics[mic.id]
+        ? { ...ground.mics[mic.id], lowGain: ground.lowGain, highGain: ground.highGain, crossFreq: ground.crossFreq }
+        : null,
+    };
+  }
+
+  /**
+   * Build the chain of one main-array mic for a track (realtime or offline).
+   * Sources → directivity gains → mixer → delay → radiation filters → off-axis filters → proximity shelf
+   *   → air absorption → route L/R → stereo output
+   * Ground reflection (when enabled): mixer → gain → delay → air absorption → low/high split → route L/R
+   * Reverb sends tap the direct path, routed like it (by values.reverbRoute).
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {string} micId - Array mic ID
+   * @param {Object} values - Initial values from _getArrayMicValues
+   * @param {{sourceFront: AudioNode, sourceBell: AudioNode|null}} sources - The track chain's sources
+   * @param {AudioNode} output - Stereo merger (input 0 = left, 1 = right)
+   * @param {AudioNode|null} reverbInput - Stereo merger feeding the reverb (optional)
+   * @param {[number, number]} [outputChannels] - Merger inputs of the left and right routes
+   * @returns {Object} - Created nodes, tagged with micId
+   */
+  _createArrayMicChain(ctx, micId, values, { sourceFront, sourceBell }, output, reverbInput, outputChannels = [0, 1]) {
+    const mixer = ctx.createGain();
+    const frontGain = ctx.createGain();
+    frontGain.gain.value = values.frontGain;
+    sourceFront.connect(frontGain);
+    frontGain.connect(mixer);
+
+    let bellGain = null;
+    if (sourceBell) {
+      bellGain = ctx.createGain();
+      bellGain.gain.value = values.bellGain;
+      sourceBell.connect(bellGain);
+      bellGain.connect(mixer);
+    }
+
+    const delay = ctx.createDelay(0.1); // Max 100ms delay
+    delay.delayTime.value = values.delay;
+    mixer.connect(delay);
+
+    const { filters: radiation, output: radiationOutput } =
+      this._chainRadiationFilters(ctx, values.radiationDb, delay);
+    const { filters: offAxis, output: offAxisOutput } =
+      this._chainOffAxisFilters(ctx, values.offAxisDb, radiationOutput);
+    const proximity = this._chainProximityFilter(ctx, values.proximityDb, offAxisOutput);
+
+    // Frequency-dependent air absorption (ISO 9613-1)
+    const airAbsorb = this.createAirAbsorptionFilterBank(ctx);
+    const absorption = this.calculateAirAbsorption(values.distance);
+    airAbsorb.forEach((filter, i) => { filter.gain.value = absorption[i].gainDb; });
+    let prevNode = proximity;
+    for (const filter of airAbsorb) {
+      prevNode.connect(filter);
+      prevNode = filter;
+    }
+
+    const routeL = ctx.createGain();
+    const routeR = ctx.createGain();
+    routeL.gain.value = values.route[0];
+    routeR.gain.value = values.route[1];
+    prevNode.connect(routeL);
+    prevNode.connect(routeR);
+    routeL.connect(output, 0, outputChannels[0]);
+    routeR.connect(output, 0, outputChannels[1]);
+
+    const chain = {
+      micId,
+      frontGain,
+      bellGain,
+      mixer,
+      delay,
+      radiation,
+      offAxis,
+      proximity,
+      airAbsorb,
+      routeL,
+      routeR,
+      reverbSendL: null,
+      reverbSendR: null,
+    };
+
+    if (values.ground) {
+      const { baseAmp, delayTime, airAbsorption, lowGain, highGain, crossFreq } = values.ground;
+      const groundBaseGain = ctx.createGain();
+      groundBaseGain.gain.value = baseAmp;
+      const groundDelay = ctx.createDelay(0.1);
+      groundDelay.delayTime.value = delayTime;
+      const groundAirAbsorb = this.createAirAbsorptionFilterBank(ctx);
+      airAbsorption.forEach((filter, i) => { groundAirAbsorb[i].gain.value = filter.gainDb; });
+      const groundLowFilter = ctx.createBiquadFilter();
+      groundLowFilter.type = 'lowpass';
+      groundLowFilter.frequency.value = crossFreq;
+      groundLowFilter.Q.value = 0.7;
+      const groundHighFilter = ctx.createBiquadFilter();
+      groundHighFilter.type = 'highpass';
+      groundHighFilter.frequency.value = crossFreq;
+      groundHighFilter.Q.value = 0.7;
+      const groundLowGain = ctx.createGain();
+      groundLowGain.gain.value = lowGain;
+      const groundHighGain = ctx.createGain();
+      groundHighGain.gain.value = highGain;
+      const groundSum = ctx.createGain();
+
+      mixer.connect(groundBaseGain);
+      groundBaseGain.connect(groundDelay);
+      let prevGround = groundDelay;
+      for (const filter of groundAirAbsorb) {
+        prevGround.connect(filter);
+        prevGround = filter;
+      }
+      prevGround.connect(groundLowFilter);
+      groundLowFilter.connect(groundLowGain);
+      groundLowGain.connect(groundSum);
+      prevGround.connect(groundHighFilter);
+      groundHighFilter.connect(groundHighGain);
+      groundHighGain.connect(groundSum);
+      groundSum.connect(routeL);
+      groundSum.connect(routeR);
+
+      Object.assign(chain, {
+        groundBaseGain,
+        groundDelay,
+        groundAirAbsorb,
+        groundLowFilter,
+        groundHighFilter,
+        groundLowGain,
+        groundHighGain,
+        groundSum,
+      });
+    }
+
+    // Reverb send (post-distance/absorption for realistic depth)
+    if (reverbInput) {
+      chain.reverbSendL = ctx.createGain();
+      chain.reverbSendR = ctx.createGain();
+      chain.reverbSendL.gain.value = values.reverbLevel * values.reverbRoute[0];
+      chain.reverbSendR.gain.value = values.reverbLevel * values.reverbRoute[1];
+      prevNode.connect(chain.reverbSendL);
+      prevNode.connect(chain.reverbSendR);
+      chain.reverbSendL.connect(reverbInput, 0, 0);
+      chain.reverbSendR.connect(reverbInput, 0, 1);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Update a main-array mic chain
+   * @param {Object} chain - Result of _createArrayMicChain
+   * @param {Object} values - From _getArrayMicValues
+   * @param {Object} timing - {now, rampTime, delayGlide, at}
+   */
+  _updateArrayMicChain(chain, values, { now, rampTime, delayGlide, at }) {
+    rampParam(chain.mixer.gain, 1, now, rampTime, at);
+    rampParam(chain.frontGain.gain, values.frontGain, now, rampTime, at);
+    if (chain.bellGain) {
+      rampParam(chain.bellGain.gain, values.bellGain, now, rampTime, at);
+    }
+
+    glideDelay(chain.delay.delayTime, values.delay, now, delayGlide, at);
+    this.updateAirAbsorptionFilters(chain.airAbsorb, values.distance, now, rampTime, at);
+    if (chain.radiation && values.radiationDb) {
+      this.updateRadiationFilters(chain.radiation, values.radiationDb, now, rampTime, at);
+    }
+    this.updateOffAxisFilters(chain.offAxis, values.offAxisDb, now, rampTime, at);
+    rampParam(chain.proximity.gain, values.proximityDb ?? 0, now, rampTime, at);
+
+    rampParam(chain.routeL.gain, values.route[0], now, rampTime, at);
+    rampParam(chain.routeR.gain, values.route[1], now, rampTime, at);
+
+    if (chain.groundBaseGain) {
+      const ground = values.ground;
+      if (ground) {
+        glideDelay(chain.groundDelay.delayTime, ground.delayTime, now, delayGlide, at);
+        rampParam(chain.groundBaseGain.gain, ground.baseAmp, now, rampTime, at);
+        ground.airAbsorption.forEach((filter, i) => {
+          rampParam(chain.groundAirAbsorb[i].gain, filter.gainDb, now, rampTime, at);
+        });
+        rampParam(chain.groundLowGain.gain, ground.lowGain, now, rampTime, at);
+        rampParam(chain.groundHighGain.gain, ground.highGain, now, rampTime, at);
+        rampParam(chain.groundLowFilter.frequency, ground.crossFreq, now, rampTime, at);
+        rampParam(chain.groundHighFilter.frequency, ground.crossFreq, now, rampTime, at);
+      } else {
+        rampParam(chain.groundBaseGain.gain, 0, now, rampTime, at);
+      }
+    }
+
+    if (chain.reverbSendL) {
+      rampParam(chain.reverbSendL.gain, values.reverbLevel * values.reverbRoute[0], now, rampTime, at);
+      rampParam(chain.reverbSendR.gain, values.reverbLevel * values.reverbRoute[1], now, rampTime, at);
+    }
+  }
+
+  /**
+   * Sub-sources of a track as positioned copies of it (see getSubSources); one for a point source
+   * @param {Object} track - Engine track
+   * @returns {Array<{track: Object, weight: number, channelMix?: number[]}>} - Amplitude weights keep the summed power;
+   *   channelMix is set for the channels of a multichannel stem
+   */
+  _getSubSourceTracks(track) {
+    return getSubSources(track).map(({ x, y, weight, channelMix }) => ({ track: { ...track, x, y }, weight, channelMix }));
+  }
+
+  /**
+   * Mono mix of a multichannel source's channels for one sub-source (a stem channel or B-format decode)
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {AudioNode} input - Track source
+   * @param {number[]} channelMix - Gain per buffer channel
+   * @returns {{output: AudioNode, nodes: AudioNode[]}}
+   */
+  _createChannelMix(ctx, input, channelMix) {
+    const splitter = ctx.createChannelSplitter(channelMix.length);
+    input.connect(splitter);
+    const output = ctx.createGain();
+
+    const nodes = [splitter, output];
+    channelMix.forEach((amount, channel) => {
+      if (amount === 0) return;
+      const gain = ctx.createGain();
+      gain.gain.value = amount;
+      splitter.connect(gain, channel);
+      gain.connect(output);
+      nodes.push(gain);
+    });
+    return { output, nodes };
+  }
+
+  /**
+   * Mono downmix of a track's sources for the paths that place the track as one point (listener
+   * chains, early reflections and spot mics): W of a B-format stem, the speaker downmix of other
+   * multichannel buffers (L/R averaged for stereo). Mono buffers pass through.
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {Object} track - Engine track
+   * @param {{sourceFront: AudioNode, sourceBell: AudioNode|null}} sources - The track chain's sources
+   * @returns {{monoFront: AudioNode, monoBell: AudioNode|null, downmixNodes: AudioNode[]}}
+   */
+  _createMonoSources(ctx, track, { sourceFront, sourceBell }) {
+    const downmixNodes = [];
+    const downmix = source => {
+      if (!source || (source.buffer?.numberOfChannels ?? 1) < 2) return source;
+      if (track.stemFormat === 'bformat') {
+        const { output, nodes } = this._createChannelMix(ctx, source, [1, 0, 0, 0]);
+        downmixNodes.push(...nodes);
+        return output;
+      }
+      const output = ctx.createGain();
+      output.channelCount = 1;
+      output.channelCountMode = 'explicit';
+      output.channelInterpretation = 'speakers';
+      source.connect(output);
+      downmixNodes.push(output);
+      return output;
+    };
+    return { monoFront: downmix(sourceFront), monoBell: downmix(sourceBell), downmixNodes };
+  }
+
+  /**
+   * Decorrelated copy of a source for one sub-source (see decorrelation.js): the first keeps the dry
+   * signal through a low shelf, the others go through random-phase FIRs
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {AudioNode} input - Track source
+   * @param {number} index - Sub-source index
+   * @param {number} count - Number of sub-sources
+   * @returns {{output: AudioNode, nodes: AudioNode[]}}
+   */
+  _createDecorrelator(ctx, input, index, count) {
+    if (index === 0) {
+      const shelf = ctx.createBiquadFilter();
+      shelf.type = 'lowshelf';
+      shelf.frequency.value = DECORRELATION_CROSSOVER_HZ;
+      shelf.gain.value = getDecorrelationShelfDb(count);
+      input.connect(shelf);
+      return { output: shelf, nodes: [shelf] };
+    }
+
+    const response = getDecorrelationFilters(ctx.sampleRate, count)[index - 1];
+    const buffer = ctx.createBuffer(1, response.length, ctx.sampleRate);
+    buffer.getChannelData(0).set(response);
+    const convolver = ctx.createConvolver();
+    convolver.normalize = false;
+    convolver.buffer = buffer;
+    input.connect(convolver);
+    return { output: convolver, nodes: [convolver] };
+  }
+
+  /**
+   * Build the main-array mic chains of a track (realtime or offline): one per mic, or one per mic
+   * and sub-source for an extended track, each sub-source fed by a decorrelated copy of the sources.
+   * The sub-sources of a multichannel stem are fed by their own mix of the channels instead.
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {Object} track - Engine track
+   * @param {{sourceFront: AudioNode, sourceBell: AudioNode|null}} sources - The track chain's sources
+   * @param {AudioNode} output - Merger the mics are routed into
+   * @param {AudioNode|null} reverbInput - Stereo merger feeding the reverb (optional)
+   * @param {Object} [options] - {capsules}: one chain per capsule, each into its own channel (no reverb);
+   *   {surroundLayout}: route into a surround layout (see _getTrackSpatialParams)
+   * @returns {{micChains: Array, subSourceNodes: AudioNode[]}} - Chains tagged with micId and subSource,
+   *   and the decorrelation and channel mix nodes feeding them
+   */
+  _createTrackMicChains(ctx, track, { sourceFront, sourceBell }, output, reverbInput, { capsules = false, surroundLayout = null } = {}) {
+    const reverbLevel = capsules ? 0 : this.calculateReverbSend(track.y);
+    const subSourceNodes = [];
+
+    const subSources = this._getSubSourceTracks(track);
+    const micChains = subSources.flatMap(({ track: subTrack, weight, channelMix }, subSource) => {
+      let sources = { sourceFront, sourceBell };
+      if (channelMix || subSources.length > 1) {
+        const feed = input => (channelMix
+          ? this._createChannelMix(ctx, input, channelMix)
+          : this._createDecorrelator(ctx, input, subSource, subSources.length));
+        const front = feed(sourceFront);
+        const bell = sourceBell ? feed(sourceBell) : null;
+        subSourceNodes.push(...front.nodes, ...(bell ? bell.nodes : []));
+        sources = { sourceFront: front.output, sourceBell: bell ? bell.output : null };
+      }
+
+      const spatial = this._getTrackSpatialParams(subTrack, { capsules, surroundLayout });
+      const ground = this._getGroundReflectionParams(spatial);
+      return spatial.mics.map((mic, channel) => {
+        const chain = this._createArrayMicChain(
+          ctx,
+          mic.id,
+          this._getArrayMicValues(subTrack, mic, spatial, ground, track.gain * weight, reverbLevel),
+          sources,
+          output,
+          reverbInput,
+          capsules ? [channel, channel] : mic.outputChannels
+        );
+        chain.subSource = subSource;
+        return chain;
+      });
+    });
+
+    return { micChains, subSourceNodes };
+  }
+
+  /**
+   * Enabled spot mics of the current configuration
+   * @returns {Array}
+   */
+  _getActiveSpots() {
+    return (this.micConfig.spots || []).filter(spot => spot.enabled);
+  }
+
+  /**
+   * Compute gain, timing and pan of a track picked up by a spot mic
+   * Delay is measured like the main array's (minus the reference time); with delay compensation the
+   * spot is held back by its own distance to the array.
+   * @param {Object} track - Engine track
+   * @param {Object} spot - Spot mic from micConfig.spots
+   */
+  _getSpotParams(track, spot) {
+    const sourcePosMeters = this.normalizedToMeters(track.x, track.y);
+    const response = calculateSpotResponse(sourcePosMeters, spot, {
+      sourceHeight: this._getSourceHeight(track),
+      speedOfSound: this.speedOfSound,
+    });
+    const pose = getListenerPose(this.micConfig);
+    const alignment = spot.delayCompensation
+      ? calculateSpotAlignmentDelay(spot, pose, this.speedOfSound)
+      : 0;
+
+    return {
+      gain: response.gain,
+      distance: response.distance,
+      delay: clamp(response.delay + alignment - this._getReferenceTime(pose), 0, SPOT_MAX_DELAY_SECONDS),
+      blend: this.calculateDirectivityBlend(sourcePosMeters, spot, track.facing),
+      radiationDb: this._getRadiationGainsDb(track, spot),
+      offAxisDb: response.offAxisDb,
+      proximityDb: response.proximityDb,
+      pan: calculatePanGains(spot.pan),
+    };
+  }
+
+  /**
+   * Build a spot mic chain fed by a track's sources (realtime or offline).
+   * Sources → directivity gains → mixer → delay → radiation filters → off-axis filters → proximity shelf
+   *   → air absorption → pan → stereo output
+   * The spot hears the direct sound only; reflections come through the main array.
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {Object} track - Engine track
+   * @param {Object} spot - Spot mic from micConfig.spots
+   * @param {{sourceFront: AudioNode, sourceBell: AudioNode|null}} sources - The track chain's sources
+   * @param {AudioNode} output - Stereo merger (input 0 = left, 1 = right)
+   * @param {AudioNode|null} reverbInput - Reverb convolver input (optional)
+   * @returns {Object} - Created nodes, tagged with spotId
+   */
+  _createSpotChain(ctx, track, spot, { sourceFront, sourceBell }, output, reverbInput) {
+    const params = this._getSpotParams(track, spot);
+    const amp = params.gain * track.gain;
+
+    const mixer = ctx.createGain();
+    const frontGain = ctx.createGain();
+    frontGain.gain.value = sourceBell ? amp * params.blend.front : amp;
+    sourceFront.connect(frontGain);
+    frontGain.connect(mixer);
+
+    let bellGain = null;
+    if (sourceBell) {
+      bellGain = ctx.createGain();
+      bellGain.gain.value = amp * params.blend.bell;
+      sourceBell.connect(bellGain);
+      bellGain.connect(mixer);
+    }
+
+    const delay = ctx.createDelay(SPOT_MAX_DELAY_SECONDS);
+    delay.delayTime.value = params.delay;
+    mixer.connect(delay);
+
+    const { filters: radiation, output: radiationOutput } =
+      this._chainRadiationFilters(ctx, params.radiationDb, delay);
+    const { filters: offAxis, output: offAxisOutput } =
+      this._chainOffAxisFilters(ctx, params.offAxisDb, radiationOutput);
+    const proximity = this._chainProximityFilter(ctx, params.proximityDb, offAxisOutput);
+
+    const airAbsorb = this.createAirAbsorptionFilterBank(ctx);
+    const absorption = this.calculateAirAbsorption(params.distance);
+    airAbsorb.forEach((filter, i) => { filter.gain.value = absorption[i].gainDb; });
+    let prevNode = proximity;
+    for (const filter of airAbsorb) {
+      prevNode.connect(filter);
+      prevNode = filter;
+    }
+
+    const panL = ctx.createGain();
+    const panR = ctx.createGain();
+    panL.gain.value = params.pan.left;
+    panR.gain.value = params.pan.right;
+    prevNode.connect(panL);
+    prevNode.connect(panR);
+    panL.connect(output, 0, 0);
+    panR.connect(output, 0, 1);
+
+    let reverbSend = null;
+    if (reverbInput) {
+      reverbSend = ctx.createGain();
+      reverbSend.gain.value = this.calculateReverbSend(track.y) * CENTER_PAN_GAIN;
+      prevNode.connect(reverbSend);
+      reverbSend.connect(reverbInput);
+    }
+
+    return {
+      spotId: spot.id,
+      frontGain,
+      bellGain,
+      mixer,
+      delay,
+      radiation,
+      offAxis,
+      proximity,
+      airAbsorb,
+      panL,
+      panR,
+      reverbSend,
+    };
+  }
+
+  /**
+   * Update a spot mic chain (a spot removed or disabled since the chain was built is silenced
+   * until the graph is rebuilt)
+   * @param {Object} track - Engine track
+   * @param {Object} chain - Result of _createSpotChain
+   * @param {number} gainMultiplier - Track gain after mute/solo
+   * @param {Object} timing - {now, rampTime, delayGlide, at}
+   */
+  _updateSpotChain(track, chain, gainMultiplier, { now, rampTime, delayGlide, at }) {
+    const spot = this._getActiveSpots().find(s => s.id === chain.spotId);
+    if (!spot) {
+      rampParam(chain.mixer.gain, 0, now, rampTime, at);
+      return;
+    }
+
+    const params = this._getSpotParams(track, spot);
+    const amp = params.gain * gainMultiplier;
+    rampParam(chain.mixer.gain, 1, now, rampTime, at);
+    if (chain.bellGain) {
+      rampParam(chain.frontGain.gain, amp * params.blend.front, now, rampTime, at);
+      rampParam(chain.bellGain.gain, amp * params.blend.bell, now, rampTime, at);
+    } else {
+      rampParam(chain.frontGain.gain, amp, now, rampTime, at);
+    }
+
+    glideDelay(chain.delay.delayTime, params.delay, now, delayGlide, at);
+    this.updateAirAbsorptionFilters(chain.airAbsorb, params.distance, now, rampTime, at);
+    if (chain.radiation && params.radiationDb) {
+      this.updateRadiationFilters(chain.radiation, params.radiationDb, now, rampTime, at);
+    }
+    this.updateOffAxisFilters(chain.offAxis, params.offAxisDb, now, rampTime, at);
+    rampParam(chain.proximity.gain, params.proximityDb ?? 0, now, rampTime, at);
+
+    rampParam(chain.panL.gain, params.pan.left, now, rampTime, at);
+    rampParam(chain.panR.gain, params.pan.right, now, rampTime, at);
+    if (chain.reverbSend) {
+      rampParam(chain.reverbSend.gain, this.calculateReverbSend(track.y) * CENTER_PAN_GAIN, now, rampTime, at);
+    }
+  }
+
+  /**
+   * Build a binaural track chain in any context (realtime or offline).
+   * Point source chain → two HRIR convolvers (crossfaded on HRIR changes) → HRIR output
+   * Sources are created but not started.
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {Object} track - Engine track
+   * @param {AudioNode} output - Stereo destination for the convolver output
+   * @param {AudioNode|null} reverbInput - Reverb convolver input (optional)
+   * @returns {Object} - Created nodes
+   */
+  _createBinauralTrackChain(ctx, track, output, reverbInput) {
+    const params = this._getBinauralParams(track);
+    const { output: sourceOutput, ...sourceNodes } = this._createPointSourceChain(ctx, track, params);
+
+    // Stereo HRIR (L/R ears); mono input is upmixed by the convolvers. The second one starts silent.
+    const hrirOutput = ctx.createGain();
+    const hrirConvolvers = [];
+    const hrirGains = [];
+    for (let i = 0; i < 2; i++) {
+      const convolver = ctx.createConvolver();
+      convolver.normalize = false;
+      if (i === 0) convolver.buffer = getHrirBuffer(params.hrtfSet, params.hrirIndex, ctx);
+      const gainNode = ctx.createGain();
+      gainNode.gain.value = i === 0 ? 1 : 0;
+      sourceOutput.connect(convolver);
+      convolver.connect(gainNode);
+      gainNode.connect(hrirOutput);
+      hrirConvolvers.push(convolver);
+      hrirGains.push(gainNode);
+    }
+    hrirOutput.connect(output);
+
+    let reverbSend = null;
+    if (reverbInput) {
+      reverbSend = ctx.createGain();
+      reverbSend.gain.value = this.calculateReverbSend(track.y);
+      hrirOutput.connect(reverbSend);
+      reverbSend.connect(reverbInput);
+    }
+
+    // Early reflections at the two ears (buffers are loaded by the caller)
+    const earlyMerger = ctx.createChannelMerger(2);
+    earlyMerger.connect(output);
+    const early = this._createEarlyReflectionChain(
+      ctx,
+      [sourceNodes.monoFront, sourceNodes.monoBell],
+      [[earlyMerger, 0], [earlyMerger, 1]]
+    );
+    early.earlyInput.gain.value *= track.gain;
+
+    return {
+      ...sourceNodes,
+      ...early,
+      earlyMerger,
+      hrirInput: sourceOutput,
+      hrirOutput,
+      hrirConvolvers,
+      hrirGains,
+      hrirActive: 0,
+      hrirFadeEnd: 0,
+      reverbSend,
+      hrirIndex: params.hrirIndex,
+      hrtfSet: params.hrtfSet,
+      isBinaural: true,
+    };
+  }
+
+  /**
+   * Build a loudspeaker (VBAP) chain for a track.
+   * Point source chain → one pan gain per speaker → speaker merger
+   * Sources are created but not started; early reflections are loaded by the first update.
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {Object} track - Engine track
+   * @param {{x: number, y: number, height: number}} listener - Listening point in meters
+   * @param {ChannelMergerNode} output - Merger with one input per speaker
+   * @param {AudioNode|null} reverbInput - Reverb convolver input (optional)
+   * @returns {Object} - Created nodes
+   */
+  _createSpeakerTrackChain(ctx, track, listener, output, reverbInput) {
+    const params = this._getListenerParams(track, listener);
+    const { output: sourceOutput, ...sourceNodes } = this._createPointSourceChain(ctx, track, params);
+
+    const panGains = calculateVbapGains(this.vbap, params.azimuth, params.elevation).map((value, speaker) => {
+      const gain = ctx.createGain();
+      gain.gain.value = value;
+      sourceOutput.connect(gain);
+      gain.connect(output, 0, speaker);
+      return gain;
+    });
+
+    let reverbSend = null;
+    if (reverbInput) {
+      reverbSend = ctx.createGain();
+      reverbSend.gain.value = this.calculateReverbSend(track.y);
+      sourceOutput.connect(reverbSend);
+      reverbSend.connect(reverbInput);
+    }
+
+    // Early reflections panned per speaker from each image direction
+    const early = this._createEarlyReflectionChain(
+      ctx,
+      [sourceNodes.monoFront, sourceNodes.monoBell],
+      panGains.map((_, speaker) => [output, speaker])
+    );
+    early.earlyInput.gain.value *= track.gain;
+
+    return {
+      ...sourceNodes,
+      ...early,
+      panGains,
+      reverbSend,
+      isSpeakers: true,
+    };
+  }
+
+  /**
+   * Build an Ambisonic (AmbiX) encoder chain for a track.
+   * Point source chain → per-ACN-channel SN3D gains → encoder merger
+   * Sources are created but not started.
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {Object} track - Engine track
+   * @param {number} order - Ambisonic order (1-3)
+   * @param {{x: number, y: number, height: number}} listener - Listening point in meters
+   * @param {ChannelMergerNode} encoder - Merger with one input per ACN channel
+   * @param {AudioNode|null} reverbInput - Reverb convolver input (optional)
+   * @returns {Object} - Created nodes
+   */
+  _createAmbisonicTrackChain(ctx, track, order, listener, encoder, reverbInput) {
+    const params = this._getListenerParams(track, listener);
+    const { output: sourceOutput, ...sourceNodes } = this._createPointSourceChain(ctx, track, params);
+
+    const encodeGains = encodeAmbisonicGains(params.azimuth, params.elevation, order).map((value, acn) => {
+      const gain = ctx.createGain();
+      gain.gain.value = value;
+      sourceOutput.connect(gain);
+      gain.connect(encoder, 0, acn);
+      return gain;
+    });
+
+    let reverbSend = null;
+    if (reverbInput) {
+      reverbSend = ctx.createGain();
+      reverbSend.gain.value = this.calculateReverbSend(track.y);
+      sourceOutput.connect(reverbSend);
+      reverbSend.connect(reverbInput);
+    }
+
+    // Early reflections encoded per ACN channel from each image direction
+    const early = this._createEarlyReflectionChain(
+      ctx,
+      [sourceNodes.monoFront, sourceNodes.monoBell],
+      encodeGains.map((_, acn) => [encoder, acn])
+    );
+    early.earlyInput.gain.value *= track.gain;
+    this._applyEarlyReflections(
+      ctx,
+      early,
+      this._computeEarlyReflections(track, ctx.sampleRate, { mode: 'ambisonic', listener, order })
+    );
+
+    return {
+      ...sourceNodes,
+      ...early,
+      encodeGains,
+      reverbSend,
+    };
+  }
+
+  /**
+   * Calculate air absorption in dB for each frequency band (ISO 9613-1, current atmosphere)
+   * @param {number} distance - Distance in meters
+   * @returns {Array} - Array of {freq, gainDb} for each band
+   */
+  calculateAirAbsorption(distance) {
+    return this.airAbsorptionTable.map(({ freq, alpha }) => ({
+      freq,
+      gainDb: -(alpha * distance) / 100, // Negative because it's attenuation
+    }));
+  }
+
+  /**
+   * Create a filter bank for frequency-dependent air absorption
+   * Uses peaking filters at ISO 9613-1 frequency bands
+   * @param {AudioContext} ctx - Audio context to use
+   * @returns {Array} - Array of BiquadFilterNode
+   */
+  createAirAbsorptionFilterBank(ctx) {
+    return AIR_ABSORPTION_BANDS.map(freq => {
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'peaking';
+      filter.frequency.value = freq;
+      // Q factor chosen to give roughly octave-wide bands
+      filter.Q.value = 1.4;
+      filter.gain.value = 0;
+      return filter;
+    });
+  }
+
+  /**
+   * Update air absorption filter bank gains based on distance
+   * @param {Array} filters - Array of BiquadFilterNode
+   * @param {number} distance - Distance in meters
+   * @param {number} now - Current audio context time
+   * @param {number} rampTime - Time constant for smooth transition
+   * @param {number|null} [at] - Offline automation: reach the gains linearly at this time instead
+   */
+  updateAirAbsorptionFilters(filters, distance, now, rampTime, at = null) {
+    const absorption = this.calculateAirAbsorption(distance);
+    filters.forEach((filter, i) => {
+      rampParam(filter.gain, absorption[i].gainDb, now, rampTime, at);
+    });
+  }
+
+  /**
+   * Create a filter bank for the parametric instrument radiation model
+   * @param {BaseAudioContext} ctx - Audio context to use
+   * @returns {Array} - Array of BiquadFilterNode (one per RADIATION_BANDS entry)
+   */
+  createRadiationFilterBank(ctx) {
+    return RADIATION_BANDS.map(({ type, freq, q }) => {
+      const filter = ctx.createBiquadFilter();
+      filter.type = type;
+      filter.frequency.value = freq;
+      if (q) {
+        filter.Q.value = q;
       }
-    }
+      filter.gain.value = 0;
+      return filter;
+    });
   }
 
   /**
-   * Calculate air absorption in dB for each frequency band (ISO 9613-1)
-   * @param {number} distance - Distance in meters
-   * @returns {Array} - Array of {freq, gainDb} for each band
+   * Update radiation filter gains
+   * @param {Array} filters - Array of BiquadFilterNode
+   * @param {number[]} gainsDb - Gain per band in dB
+   * @param {number} now - Current audio context time
+   * @param {number} rampTime - Time constant for smooth transition
+   * @param {number|null} [at] - Offline automation: reach the gains linearly at this time instead
    */
-  calculateAirAbsorption(distance) {
-    return AIR_ABSORPTION.map(({ freq, alpha }) => ({
-      freq,
-      gainDb: -(alpha * distance) / 100, // Negative because it's attenuation
-    }));
+  updateRadiationFilters(filters, gainsDb, now, rampTime, at = null) {
+    filters.forEach((filter, i) => {
+      rampParam(filter.gain, gainsDb[i] ?? 0, now, rampTime, at);
+    });
   }
 
   /**
-   * Create a filter bank for frequency-dependent air absorption
-   * Uses peaking filters at ISO 9613-1 frequency bands
-   * @param {AudioContext} ctx - Audio context to use
-   * @returns {Array} - Array of BiquadFilterNode
+   * Create a filter bank for the off-axis coloration of a mic's polar pattern
+   * Shelves at the lowest and highest bands, octave-wide peaks in between.
+   * @param {BaseAudioContext} ctx - Audio context to use
+   * @returns {Array} - Array of BiquadFilterNode (one per OFF_AXIS_FILTER_BANDS entry)
    */
-  createAirAbsorptionFilterBank(ctx) {
-    return AIR_ABSORPTION.map(({ freq }) => {
+  createOffAxisFilterBank(ctx) {
+    const last = OFF_AXIS_FILTER_BANDS.length - 1;
+    return OFF_AXIS_FILTER_BANDS.map(({ freq }, i) => {
       const filter = ctx.createBiquadFilter();
-      filter.type = 'peaking';
-      filter.frequency.value = freq;
-      // Q factor chosen to give roughly octave-wide bands
-      filter.Q.value = 1.4;
+      if (i === 0) {
+        filter.type = 'lowshelf';
+        filter.frequency.value = freq * Math.SQRT2; // Upper edge of the lowest octave
+      } else if (i === last) {
+        filter.type = 'highshelf';
+        filter.frequency.value = freq / Math.SQRT2; // Lower edge of the highest octave
+      } else {
+        filter.type = 'peaking';
+        filter.frequency.value = freq;
+        filter.Q.value = 1.4;
+      }
       filter.gain.value = 0;
       return filter;
     });
   }
 
   /**
-   * Update air absorption filter bank gains based on distance
+   * Update off-axis filter gains
    * @param {Array} filters - Array of BiquadFilterNode
-   * @param {number} distance - Distance in meters
+   * @param {number[]|null} bandsDb - dB per POLAR_BANDS entry (from calculateOffAxisBandsDb)
    * @param {number} now - Current audio context time
    * @param {number} rampTime - Time constant for smooth transition
+   * @param {number|null} [at] - Offline automation: reach the gains linearly at this time instead
    */
-  updateAirAbsorptionFilters(filters, distance, now, rampTime) {
-    const absorption = this.calculateAirAbsorption(distance);
+  updateOffAxisFilters(filters, bandsDb, now, rampTime, at = null) {
     filters.forEach((filter, i) => {
-      filter.gain.setTargetAtTime(absorption[i].gainDb, now, rampTime);
+      rampParam(filter.gain, bandsDb?.[OFF_AXIS_FILTER_BANDS[i].index] ?? 0, now, rampTime, at);
     });
   }
 
+  /**
+   * Create off-axis filters chained after `input`
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {number[]|null} bandsDb - dB per POLAR_BANDS entry
+   * @param {AudioNode} input - Node to chain from
+   * @returns {{filters: Array, output: AudioNode}}
+   */
+  _chainOffAxisFilters(ctx, bandsDb, input) {
+    const filters = this.createOffAxisFilterBank(ctx);
+    let prevNode = input;
+    filters.forEach((filter, i) => {
+      filter.gain.value = bandsDb?.[OFF_AXIS_FILTER_BANDS[i].index] ?? 0;
+      prevNode.connect(filter);
+      prevNode = filter;
+    });
+    return { filters, output: prevNode };
+  }
+
+  /**
+   * Create the proximity-effect low shelf chained after `input`
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {number} proximityDb - Shelf gain (from calculateProximityDb)
+   * @param {AudioNode} input - Node to chain from
+   * @returns {BiquadFilterNode}
+   */
+  _chainProximityFilter(ctx, proximityDb, input) {
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowshelf';
+    filter.frequency.value = MIC_CONSTANTS.proximityShelfFreq;
+    filter.gain.value = proximityDb ?? 0;
+    input.connect(filter);
+    return filter;
+  }
+
+  /**
+   * Whether a track uses the parametric radiation model.
+   * Tracks with front/bell recordings already carry measured directivity.
+   */
+  _usesRadiationModel(track) {
+    return !!track.radiationModel && !(track.frontBuffer && track.bellBuffer);
+  }
+
+  /**
+   * Radiation band gains from a track toward a mic or listening point
+   * @param {Object} track - Engine track
+   * @param {{x: number, y: number, height?: number}} receiver - Position in meters
+   * @returns {number[]|null} - Gain per band in dB, or null when the model does not apply
+   */
+  _getRadiationGainsDb(track, receiver) {
+    if (!this._usesRadiationModel(track) || !receiver) return null;
+    const source = this.normalizedToMeters(track.x, track.y);
+    return calculateRadiationGains(
+      track.radiationModel,
+      { x: source.x, y: source.y, z: this._getSourceHeight(track) },
+      { x: receiver.x, y: receiver.y, z: receiver.height ?? STAGE_CONFIG.micHeight },
+      track.facing
+    );
+  }
+
+  /**
+   * Create radiation filters chained after `input`
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {number[]|null} gainsDb - Result of _getRadiationGainsDb (null = no filters)
+   * @param {AudioNode} input - Node to chain from
+   * @returns {{filters: Array|null, output: AudioNode}}
+   */
+  _chainRadiationFilters(ctx, gainsDb, input) {
+    if (!gainsDb) {
+      return { filters: null, output: input };
+    }
+    const filters = this.createRadiationFilterBank(ctx);
+    let prevNode = input;
+    filters.forEach((filter, i) => {
+      filter.gain.value = gainsDb[i];
+      prevNode.connect(filter);
+      prevNode = filter;
+    });
+    return { filters, output: prevNode };
+  }
+
   /**
    * Update track gain
    */
@@ -1693,12 +4075,19 @@ export class AudioEngine {
     for (const nodeMap of nodeMaps) {
       for (const [id, track] of this.tracks) {
         const nodes = nodeMap.get(id);
-        if (nodes && nodes.reverbSendL && nodes.reverbSendR) {
+        if (nodes && nodes.reverbSend) {
+          nodes.reverbSend.gain.setTargetAtTime(this.calculateReverbSend(track.y), now, PARAM_RAMP_SECONDS);
+        } else if (nodes && nodes.micChains) {
           const reverbLevel = this.calculateReverbSend(track.y);
-          nodes.reverbSendL.gain.setTargetAtTime(reverbLevel, now, PARAM_RAMP_SECONDS);
-          nodes.reverbSendR.gain.setTargetAtTime(reverbLevel, now, PARAM_RAMP_SECONDS);
-          if (nodes.reverbSendC) {
-            nodes.reverbSendC.gain.setTargetAtTime(reverbLevel * CENTER_PAN_GAIN, now, PARAM_RAMP_SECONDS);
+          for (const chain of nodes.micChains) {
+            if (!chain.reverbSendL) continue;
+            chain.reverbSendL.gain.setTargetAtTime(reverbLevel * chain.routeL.gain.value, now, PARAM_RAMP_SECONDS);
+            chain.reverbSendR.gain.setTargetAtTime(reverbLevel * chain.routeR.gain.value, now, PARAM_RAMP_SECONDS);
+          }
+          // Spot sends follow the same level (see _updateSpotChain)
+          for (const chain of nodes.spotChains || []) {
+            if (!chain.reverbSend) continue;
+            chain.reverbSend.gain.setTargetAtTime(reverbLevel * CENTER_PAN_GAIN, now, PARAM_RAMP_SECONDS);
           }
         }
       }
@@ -1732,9 +4121,12 @@ export class AudioEngine {
       bus = this.activeBus;
     }
 
+    if (this.renderMode === 'binaural' || this.renderMode === 'speakers') {
+      this._connectListenerTrack(id, track, offset, bus, nodeMap);
+      return;
+    }
+
     const hasDirectivity = track.frontBuffer && track.bellBuffer;
-    const technique = STEREO_TECHNIQUES[this.micConfig.technique];
-    const hasCenter = technique?.hasCenter;
 
     // Clamp offset to buffer duration to prevent WebAudio errors
     let maxOffset = 0;
@@ -1759,301 +4151,59 @@ export class AudioEngine {
       sourceBell.buffer = track.bellBuffer;
     }
 
-    // === DIRECTIVITY GAIN NODES ===
-    // These control the blend between front and bell mics per channel
-    const frontGainL = this.context.createGain();
-    const frontGainR = this.context.createGain();
-    let frontGainC = null;
-    let bellGainL = null;
-    let bellGainR = null;
-    let bellGainC = null;
-
-    if (hasDirectivity) {
-      bellGainL = this.context.createGain();
-      bellGainR = this.context.createGain();
-    }
-    if (hasCenter) {
-      frontGainC = this.context.createGain();
-      if (hasDirectivity) {
-        bellGainC = this.context.createGain();
-      }
-    }
-
-    // === CHANNEL MIXERS ===
-    // Mix front+bell into single L and R signals
-    const mixerL = this.context.createGain();
-    const mixerR = this.context.createGain();
-    let mixerC = null;
-    if (hasCenter) {
-      mixerC = this.context.createGain();
-    }
+    // === ARRAY MIC CHAINS (one per mic, routed into the stereo bus) ===
+    const reverbMerger = this.context.createChannelMerger(2);
+    reverbMerger.connect(bus.reverbNode);
+    const { micChains, subSourceNodes } = this._createTrackMicChains(
+      this.context, track, { sourceFront, sourceBell }, bus.stereoMerger, reverbMerger
+    );
 
     // === ANALYSER NODE for real-time level metering ===
     // Used for visual animation (pulse/glow when playing)
     const analyser = this.context.createAnalyser();
     analyser.fftSize = ANALYSER_FFT_SIZE;  // Larger window for stable RMS (~43ms at 48kHz)
     analyser.smoothingTimeConstant = 0.3;  // Smooth transitions
-    // Tap the left mixer for level analysis (doesn't interrupt signal flow)
-    mixerL.connect(analyser);
+    // Tap the first mic's mixer of each sub-source for level analysis (doesn't interrupt signal flow)
+    const firstMicId = micChains[0]?.micId;
+    for (const chain of micChains) {
+      if (chain.micId === firstMicId) chain.mixer.connect(analyser);
+    }
 
     const analyserFloatData = typeof analyser.getFloatTimeDomainData === 'function'
       ? new Float32Array(analyser.fftSize)
       : null;
     const analyserByteData = analyserFloatData ? null : new Uint8Array(analyser.fftSize);
 
-    // Connect front source to mixers via directivity gains
-    sourceFront.connect(frontGainL);
-    sourceFront.connect(frontGainR);
-    if (hasCenter && frontGainC) {
-      sourceFront.connect(frontGainC);
-    }
-    frontGainL.connect(mixerL);
-    frontGainR.connect(mixerR);
-    if (hasCenter && frontGainC && mixerC) {
-      frontGainC.connect(mixerC);
-    }
-
-    // Connect bell source if available
-    if (hasDirectivity) {
-      sourceBell.connect(bellGainL);
-      sourceBell.connect(bellGainR);
-      if (hasCenter && bellGainC) {
-        sourceBell.connect(bellGainC);
-      }
-      bellGainL.connect(mixerL);
-      bellGainR.connect(mixerR);
-      if (hasCenter && bellGainC && mixerC) {
-        bellGainC.connect(mixerC);
-      }
-    }
-
-    // === ITD DELAY AND AIR ABSORPTION ===
-    const delayL = this.context.createDelay(0.1); // Max 100ms delay
-    const delayR = this.context.createDelay(0.1);
-
-    // Create filter banks for frequency-dependent air absorption (ISO 9613-1)
-    const airAbsorbL = this.createAirAbsorptionFilterBank(this.context);
-    const airAbsorbR = this.createAirAbsorptionFilterBank(this.context);
-
-    // Connect: mixer -> delay -> filter bank (in series) -> stereo merger
-    mixerL.connect(delayL);
-    // Chain the L filter bank
-    let prevNodeL = delayL;
-    for (const filter of airAbsorbL) {
-      prevNodeL.connect(filter);
-      prevNodeL = filter;
-    }
-    prevNodeL.connect(bus.stereoMerger, 0, 0); // Left channel
-
-    mixerR.connect(delayR);
-    // Chain the R filter bank
-    let prevNodeR = delayR;
-    for (const filter of airAbsorbR) {
-      prevNodeR.connect(filter);
-      prevNodeR = filter;
-    }
-    prevNodeR.connect(bus.stereoMerger, 0, 1); // Right channel
-
-    // === CENTER MIC CHAIN (Decca Tree) ===
-    let delayC = null;
-    let airAbsorbC = null;
-    let centerBus = null;
-    let prevNodeC = null;
-
-    if (hasCenter && mixerC) {
-      delayC = this.context.createDelay(0.1);
-      airAbsorbC = this.createAirAbsorptionFilterBank(this.context);
-
-      mixerC.connect(delayC);
-      prevNodeC = delayC;
-      for (const filter of airAbsorbC) {
-        prevNodeC.connect(filter);
-        prevNodeC = filter;
-      }
-
-      centerBus = this.context.createGain();
-      centerBus.gain.value = CENTER_PAN_GAIN;
-      prevNodeC.connect(centerBus);
-      centerBus.connect(bus.stereoMerger, 0, 0);
-      centerBus.connect(bus.stereoMerger, 0, 1);
-    }
-
-    // === GROUND REFLECTION (optional) ===
-    let groundBaseGainL, groundDelayL, groundAirAbsorbL, groundLowFilterL, groundHighFilterL, groundLowGainL, groundHighGainL, groundSumL;
-    let groundBaseGainR, groundDelayR, groundAirAbsorbR, groundLowFilterR, groundHighFilterR, groundLowGainR, groundHighGainR, groundSumR;
-    let groundBaseGainC, groundDelayC, groundAirAbsorbC, groundLowFilterC, groundHighFilterC, groundLowGainC, groundHighGainC, groundSumC;
-
-    if (this.groundReflectionEnabled) {
-      const groundModel = this.getGroundReflectionModelConfig();
-
-      groundBaseGainL = this.context.createGain();
-      groundDelayL = this.context.createDelay(0.1);
-      groundAirAbsorbL = this.createAirAbsorptionFilterBank(this.context);
-      groundLowFilterL = this.context.createBiquadFilter();
-      groundLowFilterL.type = 'lowpass';
-      groundLowFilterL.frequency.value = groundModel.crossoverHz;
-      groundLowFilterL.Q.value = 0.7;
-      groundHighFilterL = this.context.createBiquadFilter();
-      groundHighFilterL.type = 'highpass';
-      groundHighFilterL.frequency.value = groundModel.crossoverHz;
-      groundHighFilterL.Q.value = 0.7;
-      groundLowGainL = this.context.createGain();
-      groundHighGainL = this.context.createGain();
-      groundSumL = this.context.createGain();
-
-      groundBaseGainR = this.context.createGain();
-      groundDelayR = this.context.createDelay(0.1);
-      groundAirAbsorbR = this.createAirAbsorptionFilterBank(this.context);
-      groundLowFilterR = this.context.createBiquadFilter();
-      groundLowFilterR.type = 'lowpass';
-      groundLowFilterR.frequency.value = groundModel.crossoverHz;
-      groundLowFilterR.Q.value = 0.7;
-      groundHighFilterR = this.context.createBiquadFilter();
-      groundHighFilterR.type = 'highpass';
-      groundHighFilterR.frequency.value = groundModel.crossoverHz;
-      groundHighFilterR.Q.value = 0.7;
-      groundLowGainR = this.context.createGain();
-      groundHighGainR = this.context.createGain();
-      groundSumR = this.context.createGain();
-
-      // Ground reflection uses the mixed signal
-      // Chain: mixer → baseGain → delay → airAbsorb[0..6] → low/high split → sum → output
-      mixerL.connect(groundBaseGainL);
-      groundBaseGainL.connect(groundDelayL);
-      // Chain air absorption filters for ground path
-      let prevGroundL = groundDelayL;
-      for (const filter of groundAirAbsorbL) {
-        prevGroundL.connect(filter);
-        prevGroundL = filter;
-      }
-      prevGroundL.connect(groundLowFilterL);
-      groundLowFilterL.connect(groundLowGainL);
-      groundLowGainL.connect(groundSumL);
-      prevGroundL.connect(groundHighFilterL);
-      groundHighFilterL.connect(groundHighGainL);
-      groundHighGainL.connect(groundSumL);
-      groundSumL.connect(bus.stereoMerger, 0, 0);
-
-      mixerR.connect(groundBaseGainR);
-      groundBaseGainR.connect(groundDelayR);
-      // Chain air absorption filters for ground path
-      let prevGroundR = groundDelayR;
-      for (const filter of groundAirAbsorbR) {
-        prevGroundR.connect(filter);
-        prevGroundR = filter;
-      }
-      prevGroundR.connect(groundLowFilterR);
-      groundLowFilterR.connect(groundLowGainR);
-      groundLowGainR.connect(groundSumR);
-      prevGroundR.connect(groundHighFilterR);
-      groundHighFilterR.connect(groundHighGainR);
-      groundHighGainR.connect(groundSumR);
-      groundSumR.connect(bus.stereoMerger, 0, 1);
-
-      if (hasCenter && mixerC && centerBus) {
-        groundBaseGainC = this.context.createGain();
-        groundDelayC = this.context.createDelay(0.1);
-        groundAirAbsorbC = this.createAirAbsorptionFilterBank(this.context);
-        groundLowFilterC = this.context.createBiquadFilter();
-        groundLowFilterC.type = 'lowpass';
-        groundLowFilterC.frequency.value = groundModel.crossoverHz;
-        groundLowFilterC.Q.value = 0.7;
-        groundHighFilterC = this.context.createBiquadFilter();
-        groundHighFilterC.type = 'highpass';
-        groundHighFilterC.frequency.value = groundModel.crossoverHz;
-        groundHighFilterC.Q.value = 0.7;
-        groundLowGainC = this.context.createGain();
-        groundHighGainC = this.context.createGain();
-        groundSumC = this.context.createGain();
-
-        mixerC.connect(groundBaseGainC);
-        groundBaseGainC.connect(groundDelayC);
-        // Chain air absorption filters for ground path
-        let prevGroundC = groundDelayC;
-        for (const filter of groundAirAbsorbC) {
-          prevGroundC.connect(filter);
-          prevGroundC = filter;
-        }
-        prevGroundC.connect(groundLowFilterC);
-        groundLowFilterC.connect(groundLowGainC);
-        groundLowGainC.connect(groundSumC);
-        prevGroundC.connect(groundHighFilterC);
-        groundHighFilterC.connect(groundHighGainC);
-        groundHighGainC.connect(groundSumC);
-        groundSumC.connect(centerBus);
-      }
-    }
+    // === EARLY REFLECTIONS (image sources, folded into L/R) ===
+    // Reflections and spots hear the track as one point: multichannel stems are downmixed
+    const { monoFront, monoBell, downmixNodes } = this._createMonoSources(this.context, track, { sourceFront, sourceBell });
+    const { earlyInput, earlyDelay, earlyConvolvers } = this._createEarlyReflectionChain(
+      this.context,
+      [monoFront, monoBell],
+      [[bus.stereoMerger, 0], [bus.stereoMerger, 1]]
+    );
 
-    // === REVERB SEND (post-distance/absorption for realistic depth) ===
-    const reverbSendL = this.context.createGain();
-    const reverbSendR = this.context.createGain();
-    const reverbMerger = this.context.createChannelMerger(2);
-    prevNodeL.connect(reverbSendL);
-    prevNodeR.connect(reverbSendR);
-    reverbSendL.connect(reverbMerger, 0, 0);
-    reverbSendR.connect(reverbMerger, 0, 1);
-    let reverbSendC = null;
-    if (hasCenter && prevNodeC) {
-      reverbSendC = this.context.createGain();
-      prevNodeC.connect(reverbSendC);
-      reverbSendC.connect(reverbMerger, 0, 0);
-      reverbSendC.connect(reverbMerger, 0, 1);
-    }
-    reverbMerger.connect(bus.reverbNode);
+    // === SPOT MICS (panned into the stereo bus) ===
+    const spotChains = this._getActiveSpots().map(spot => this._createSpotChain(
+      this.context, track, spot, { sourceFront: monoFront, sourceBell: monoBell }, bus.stereoMerger, bus.reverbNode
+    ));
 
     // Store nodes
     const nodes = {
       sourceFront,
       sourceBell,
-      frontGainL,
-      frontGainR,
-      frontGainC,
-      bellGainL,
-      bellGainR,
-      bellGainC,
-      mixerL,
-      mixerR,
-      mixerC,
+      micChains,
+      subSourceNodes,
+      downmixNodes,
       analyser,  // For real-time level metering
       analyserFloatData,
       analyserByteData,
-      delayL,
-      delayR,
-      delayC,
-      airAbsorbL,
-      airAbsorbR,
-      airAbsorbC,
-      centerBus,
-      groundBaseGainL,
-      groundDelayL,
-      groundAirAbsorbL,
-      groundLowFilterL,
-      groundHighFilterL,
-      groundLowGainL,
-      groundHighGainL,
-      groundSumL,
-      groundBaseGainR,
-      groundDelayR,
-      groundAirAbsorbR,
-      groundLowFilterR,
-      groundHighFilterR,
-      groundLowGainR,
-      groundHighGainR,
-      groundSumR,
-      groundBaseGainC,
-      groundDelayC,
-      groundAirAbsorbC,
-      groundLowFilterC,
-      groundHighFilterC,
-      groundLowGainC,
-      groundHighGainC,
-      groundSumC,
-      reverbSendL,
-      reverbSendR,
-      reverbSendC,
       reverbMerger,
+      earlyInput,
+      earlyDelay,
+      earlyConvolvers,
+      spotChains,
       hasDirectivity,
-      hasCenter,
       ended: false,
       isSuperseded: false,
     };
@@ -2069,15 +4219,63 @@ export class AudioEngine {
       sourceBell.start(0, offset);
     }
 
-    // Handle playback end
-    const nodeMapRef = nodeMap;
-    sourceFront.onended = () => {
+    this._attachPlaybackEndHandler(nodes, nodeMap);
+  }
+
+  /**
+   * Create and start the listener chain for a track: binaural (HRTF) to the stereo bus,
+   * or loudspeaker (VBAP) to the speaker merger in speakers mode
+   */
+  _connectListenerTrack(id, track, offset, bus, nodeMap) {
+    const chain = this.renderMode === 'speakers'
+      ? this._createSpeakerTrackChain(this.context, track, this.getListenerPosition(), bus.stereoMerger, bus.reverbNode)
+      : this._createBinauralTrackChain(this.context, track, bus.outputGain, bus.reverbNode);
+
+    const maxOffset = chain.sourceBell
+      ? Math.min(chain.sourceFront.buffer.duration, chain.sourceBell.buffer.duration)
+      : (chain.sourceFront.buffer ? chain.sourceFront.buffer.duration : 0);
+    offset = Math.min(Math.max(0, offset), maxOffset);
+
+    const analyser = this.context.createAnalyser();
+    analyser.fftSize = ANALYSER_FFT_SIZE;
+    analyser.smoothingTimeConstant = 0.3;
+    chain.mixer.connect(analyser);
+    const analyserFloatData = typeof analyser.getFloatTimeDomainData === 'function'
+      ? new Float32Array(analyser.fftSize)
+      : null;
+    const analyserByteData = analyserFloatData ? null : new Uint8Array(analyser.fftSize);
+
+    const nodes = {
+      ...chain,
+      analyser,
+      analyserFloatData,
+      analyserByteData,
+      ended: false,
+      isSuperseded: false,
+    };
+
+    nodeMap.set(id, nodes);
+    this.updateTrackAudioParams(id, track, nodes);
+
+    chain.sourceFront.start(0, offset);
+    if (chain.sourceBell) {
+      chain.sourceBell.start(0, offset);
+    }
+
+    this._attachPlaybackEndHandler(nodes, nodeMap);
+  }
+
+  /**
+   * Fire onPlaybackEnd once every track in the active node map has ended
+   */
+  _attachPlaybackEndHandler(nodes, nodeMap) {
+    nodes.sourceFront.onended = () => {
       nodes.ended = true;
       if (nodes.isSuperseded) return;
-      if (nodeMapRef !== this.trackNodes) return;
+      if (nodeMap !== this.trackNodes) return;
       if (!this.isPlaying) return;
 
-      const allEnded = Array.from(nodeMapRef.values()).every(n => {
+      const allEnded = Array.from(nodeMap.values()).every(n => {
         return !n.sourceFront.buffer || n.ended;
       });
 
@@ -2228,12 +4426,21 @@ export class AudioEngine {
 
     const offset = this.pauseOffset;
 
+    const speakerLayout = this.renderMode === 'speakers' ? this.speakerLayout : null;
+    if (this.activeBus && this.activeBus.speakerLayout !== speakerLayout) {
+      // Output mode or layout changed while stopped
+      this._disconnectBus(this.activeBus);
+      this.activeBus = null;
+    }
     if (!this.activeBus) {
       this.activeBus = this._createBus({ initialGain: 1 });
     } else {
       this.activeBus.outputGain.gain.value = 1;
     }
 
+    // Automated values first, so the graph is built where the lanes say
+    this._applyAutomation(offset, { force: true });
+
     for (const id of this.tracks.keys()) {
       this.connectTrack(id, offset);
     }
@@ -2306,6 +4513,7 @@ export class AudioEngine {
       this.play();
     } else {
       this.pauseOffset = time;
+      this._applyAutomation(time, { force: true });
     }
   }
 
@@ -2329,6 +4537,7 @@ export class AudioEngine {
       if (!this.isPlaying) return;
 
       const currentTime = this.getCurrentTime();
+      this._applyAutomation(currentTime);
 
       if (this.onTimeUpdate) {
         this.onTimeUpdate(currentTime, this.duration);
@@ -2350,16 +4559,94 @@ export class AudioEngine {
 
   /**
    * Render the mix offline with configurable options.
+   * When ambisonicOrder is set, tracks are encoded to AmbiX B-format around
+   * listenerPosition (default: the automated listener) instead of being picked up by the mic array / HRTF.
+   * With capsuleStems, each main mic's front and back capsules get their own channel (see renderCapsuleStems).
+   * With surroundLayout, the main array is routed into that layout's channels (see renderSurround).
+   * Automation lanes are scheduled as parameter ramps; early reflections and binaural HRIRs
+   * crossfade to the ones of the automated state (see _scheduleOfflineAutomation).
+   */
+  async _renderOfflineMix({
+    sampleRate,
+    masterGain,
+    includeLimiter,
+    onProgress,
+    signal,
+    ambisonicOrder = 0,
+    listenerPosition = null,
+    automateMaster = true,
+    capsuleStems = false,
+    surroundLayout = null,
+  }) {
+    const automated = hasAutomation(this.automation);
+    const savedState = automated ? this._captureAutomatedState() : null;
+    try {
+      if (automated) {
+        this._setAutomatedState(getAutomationValues(this.automation, 0));
+      }
+      return await this._renderOfflineGraph({
+        sampleRate,
+        masterGain: automateMaster && automated && this.automation.lanes[laneKey('master', 'gain')]
+          ? this.masterGain
+          : masterGain,
+        includeLimiter,
+        onProgress,
+        signal,
+        ambisonicOrder,
+        listenerPosition,
+        automated,
+        automateMaster,
+        capsuleStems,
+        surroundLayout,
+      });
+    } finally {
+      if (savedState) {
+        this._restoreAutomatedState(savedState);
+      }
+    }
+  }
+
+  /**
+   * Build and render the offline graph (see _renderOfflineMix)
+   * Engine state must already hold the automated values at time 0.
    */
-  async _renderOfflineMix({ sampleRate, masterGain, includeLimiter, onProgress, signal }) {
+  async _renderOfflineGraph({
+    sampleRate,
+    masterGain,
+    includeLimiter,
+    onProgress,
+    signal,
+    ambisonicOrder,
+    listenerPosition,
+    automated,
+    automateMaster,
+    capsuleStems,
+    surroundLayout,
+  }) {
     const targetSampleRate = sampleRate || (this.context ? this.context.sampleRate : 44100);
     const length = Math.ceil(this.duration * targetSampleRate);
-    const offlineContext = new OfflineAudioContext(2, length, targetSampleRate);
+    const isAmbisonic = ambisonicOrder > 0;
+    const surround = !isAmbisonic && !capsuleStems && surroundLayout ? SURROUND_LAYOUTS[surroundLayout] : null;
+    const isDiscrete = isAmbisonic || capsuleStems || !!surround;
+    let channelCount = 2;
+    if (isAmbisonic) {
+      channelCount = getAmbisonicChannelCount(ambisonicOrder);
+    } else if (capsuleStems) {
+      channelCount = this.getCapsuleChannelNames().length;
+    } else if (surround) {
+      channelCount = surround.channels.length;
+    }
+    const offlineContext = new OfflineAudioContext(channelCount, length, targetSampleRate);
 
     const masterGainValue = Number.isFinite(masterGain) ? masterGain : this.masterGain;
     let masterDestination = offlineContext.destination;
 
-    if (includeLimiter) {
+    if (isDiscrete) {
+      // B-format / capsule / surround channels must pass through untouched (no up/down-mixing)
+      offlineContext.destination.channelCount = channelCount;
+      offlineContext.destination.channelCountMode = 'explicit';
+      offlineContext.destination.channelInterpretation = 'discrete';
+    } else if (includeLimiter) {
       // Create master limiter (matches realtime chain)
       const masterLimiter = offlineContext.createDynamicsCompressor();
       masterLimiter.threshold.value = -1;
@@ -2376,327 +4663,166 @@ export class AudioEngine {
     masterGainNode.gain.value = masterGainValue;
     masterGainNode.connect(masterDestination);
 
-    // Create stereo merger
-    const stereoMerger = offlineContext.createChannelMerger(2);
+    // Create stereo merger (one input per ACN channel in Ambisonic mode, per capsule with capsuleStems,
+    // per layout channel in surround)
+    const stereoMerger = offlineContext.createChannelMerger(channelCount);
     stereoMerger.connect(masterGainNode);
 
+    if (isDiscrete) {
+      masterGainNode.channelCount = channelCount;
+      masterGainNode.channelCountMode = 'explicit';
+      masterGainNode.channelInterpretation = 'discrete';
+    }
+
     // Create reverb
     let reverbConvolver = null;
     const reverbGain = offlineContext.createGain();
     reverbGain.gain.value = this.reverbPreset === 'none' ? 0 : 1;
-    reverbGain.connect(masterGainNode);
+    // Early reflections are summed to stereo; in surround they share the reverb return's routing
+    let earlyBus = null;
+    if (isAmbisonic) {
+      this._encodeStereoAsAmbisonic(offlineContext, reverbGain, ambisonicOrder, stereoMerger);
+    } else if (surround) {
+      this._routeStereoToSurround(offlineContext, reverbGain, surround, stereoMerger);
+      earlyBus = offlineContext.createChannelMerger(2);
+      this._routeStereoToSurround(offlineContext, earlyBus, surround, stereoMerger);
+    } else {
+      reverbGain.connect(masterGainNode);
+    }
 
-    if (this.reverbImpulseBuffer && this.reverbPreset !== 'none') {
+    if (this.reverbImpulseBuffer && this.reverbPreset !== 'none' && !capsuleStems) {
       reverbConvolver = offlineContext.createConvolver();
       reverbConvolver.buffer = this.reverbImpulseBuffer;
       reverbConvolver.connect(reverbGain);
     }
 
     const hasSolo = this.hasSolo;
-    const technique = STEREO_TECHNIQUES[this.micConfig.technique];
-    const hasCenter = technique?.hasCenter;
+    const listener = listenerPosition || this.getListenerPosition();
+    const chains = []; // [{id, track, nodes, kind}] for automation scheduling
 
-    for (const [, track] of this.tracks) {
+    for (const [id, track] of this.tracks) {
       if (signal && signal.aborted) {
         throw new DOMException('Render cancelled', 'AbortError');
       }
 
-      if (track.muted) continue;
+      // Muted for the whole render unless a mute lane unmutes it later
+      if (track.muted && !this.automation.lanes[laneKey('track', 'muted', id)]) continue;
       if (hasSolo && !track.solo) continue;
 
-      const spatial = this._getTrackSpatialParams(track, { hasCenter });
-      const {
-        sourcePosMeters,
-        ampL,
-        ampR,
-        ampC,
-        distL,
-        distR,
-        distC,
-        baseDelay,
-        itdL,
-        itdR,
-        itdC,
-      } = spatial;
-
-      // Check for directivity blending
-      const hasDirectivity = track.frontBuffer && track.bellBuffer;
-      const { blendL, blendR, blendC } = this._getDirectivityBlends(sourcePosMeters, spatial.hasCenter);
-
-      // Create mixer nodes for blending front/bell sources
-      const mixerL = offlineContext.createGain();
-      const mixerR = offlineContext.createGain();
-      const mixerC = hasCenter ? offlineContext.createGain() : null;
-
-      if (hasDirectivity) {
-        // Front source
-        const sourceFront = offlineContext.createBufferSource();
-        sourceFront.buffer = track.frontBuffer;
-        const frontGainL = offlineContext.createGain();
-        const frontGainR = offlineContext.createGain();
-        const frontGainC = hasCenter ? offlineContext.createGain() : null;
-        frontGainL.gain.value = ampL * track.gain * blendL.front;
-        frontGainR.gain.value = ampR * track.gain * blendR.front;
-        if (frontGainC) {
-          frontGainC.gain.value = ampC * track.gain * blendC.front;
-        }
-        sourceFront.connect(frontGainL);
-        sourceFront.connect(frontGainR);
-        if (frontGainC) {
-          sourceFront.connect(frontGainC);
-        }
-        frontGainL.connect(mixerL);
-        frontGainR.connect(mixerR);
-        if (frontGainC && mixerC) {
-          frontGainC.connect(mixerC);
-        }
-        sourceFront.start(0);
-
-        // Bell source
-        const sourceBell = offlineContext.createBufferSource();
-        sourceBell.buffer = track.bellBuffer;
-        const bellGainL = offlineContext.createGain();
-        const bellGainR = offlineContext.createGain();
-        const bellGainC = hasCenter ? offlineContext.createGain() : null;
-        bellGainL.gain.value = ampL * track.gain * blendL.bell;
-        bellGainR.gain.value = ampR * track.gain * blendR.bell;
-        if (bellGainC) {
-          bellGainC.gain.value = ampC * track.gain * blendC.bell;
-        }
-        sourceBell.connect(bellGainL);
-        sourceBell.connect(bellGainR);
-        if (bellGainC) {
-          sourceBell.connect(bellGainC);
-        }
-        bellGainL.connect(mixerL);
-        bellGainR.connect(mixerR);
-        if (bellGainC && mixerC) {
-          bellGainC.connect(mixerC);
-        }
-        sourceBell.start(0);
-      } else {
-        // Single source (no directivity)
-        const source = offlineContext.createBufferSource();
-        source.buffer = track.buffer;
-        const gainL = offlineContext.createGain();
-        const gainR = offlineContext.createGain();
-        const gainC = hasCenter ? offlineContext.createGain() : null;
-        gainL.gain.value = ampL * track.gain;
-        gainR.gain.value = ampR * track.gain;
-        if (gainC) {
-          gainC.gain.value = ampC * track.gain;
-        }
-        source.connect(gainL);
-        source.connect(gainR);
-        if (gainC) {
-          source.connect(gainC);
+      if (isAmbisonic) {
+        const chain = this._createAmbisonicTrackChain(
+          offlineContext,
+          track,
+          ambisonicOrder,
+          listener,
+          stereoMerger,
+          reverbConvolver
+        );
+        chain.sourceFront.start(0);
+        if (chain.sourceBell) {
+          chain.sourceBell.start(0);
         }
-        gainL.connect(mixerL);
-        gainR.connect(mixerR);
-        if (gainC && mixerC) {
-          gainC.connect(mixerC);
-        }
-        source.start(0);
+        chains.push({ id, track, nodes: chain, kind: 'ambisonic' });
+        continue;
       }
 
-      // Left channel processing with frequency-dependent air absorption
-      const delayL = offlineContext.createDelay(0.1);
-      delayL.delayTime.value = baseDelay + itdL;
-      const absorbL = this.createAirAbsorptionFilterBank(offlineContext);
-      const absorptionL = this.calculateAirAbsorption(distL);
-      absorbL.forEach((filter, i) => { filter.gain.value = absorptionL[i].gainDb; });
-      mixerL.connect(delayL);
-      let prevL = delayL;
-      for (const filter of absorbL) {
-        prevL.connect(filter);
-        prevL = filter;
-      }
-      prevL.connect(stereoMerger, 0, 0);
-
-      // Right channel processing with frequency-dependent air absorption
-      const delayR = offlineContext.createDelay(0.1);
-      delayR.delayTime.value = baseDelay + itdR;
-      const absorbR = this.createAirAbsorptionFilterBank(offlineContext);
-      const absorptionR = this.calculateAirAbsorption(distR);
-      absorbR.forEach((filter, i) => { filter.gain.value = absorptionR[i].gainDb; });
-      mixerR.connect(delayR);
-      let prevR = delayR;
-      for (const filter of absorbR) {
-        prevR.connect(filter);
-        prevR = filter;
-      }
-      prevR.connect(stereoMerger, 0, 1);
-
-      // Center channel processing (Decca Tree)
-      let centerBus = null;
-      let prevC = null;
-      if (hasCenter && mixerC) {
-        const delayC = offlineContext.createDelay(0.1);
-        delayC.delayTime.value = baseDelay + itdC;
-        const absorbC = this.createAirAbsorptionFilterBank(offlineContext);
-        const absorptionC = this.calculateAirAbsorption(distC);
-        absorbC.forEach((filter, i) => { filter.gain.value = absorptionC[i].gainDb; });
-        mixerC.connect(delayC);
-        prevC = delayC;
-        for (const filter of absorbC) {
-          prevC.connect(filter);
-          prevC = filter;
+      if (this.renderMode === 'binaural' && !capsuleStems && !surround) {
+        const chain = this._createBinauralTrackChain(offlineContext, track, masterGainNode, reverbConvolver);
+        this._applyEarlyReflections(
+          offlineContext,
+          chain,
+          this._computeEarlyReflections(track, targetSampleRate, { mode: 'binaural', listener })
+        );
+        chain.sourceFront.start(0);
+        if (chain.sourceBell) {
+          chain.sourceBell.start(0);
         }
-        centerBus = offlineContext.createGain();
-        centerBus.gain.value = CENTER_PAN_GAIN;
-        prevC.connect(centerBus);
-        centerBus.connect(stereoMerger, 0, 0);
-        centerBus.connect(stereoMerger, 0, 1);
+        chains.push({ id, track, nodes: chain, kind: 'binaural' });
+        continue;
       }
 
-      // Ground reflection
-      const groundParams = this._getGroundReflectionParams(spatial);
-      if (groundParams && groundParams.L && groundParams.R) {
-        const { lowGain, highGain, crossFreq } = groundParams;
-
-        const groundBaseGainL = offlineContext.createGain();
-        groundBaseGainL.gain.value = groundParams.L.baseAmp;
-        const groundDelayL = offlineContext.createDelay(0.1);
-        groundDelayL.delayTime.value = groundParams.L.delayTime;
-        const groundLowFilterL = offlineContext.createBiquadFilter();
-        groundLowFilterL.type = 'lowpass';
-        groundLowFilterL.frequency.value = crossFreq;
-        groundLowFilterL.Q.value = 0.7;
-        const groundHighFilterL = offlineContext.createBiquadFilter();
-        groundHighFilterL.type = 'highpass';
-        groundHighFilterL.frequency.value = crossFreq;
-        groundHighFilterL.Q.value = 0.7;
-        const groundLowGainL = offlineContext.createGain();
-        groundLowGainL.gain.value = lowGain;
-        const groundHighGainL = offlineContext.createGain();
-        groundHighGainL.gain.value = highGain;
-        const groundSumL = offlineContext.createGain();
-
-        const groundAbsorbL = this.createAirAbsorptionFilterBank(offlineContext);
-        groundParams.L.airAbsorption.forEach((filter, i) => {
-          groundAbsorbL[i].gain.value = filter.gainDb;
-        });
-
-        mixerL.connect(groundBaseGainL);
-        groundBaseGainL.connect(groundDelayL);
-        let prevGroundL = groundDelayL;
-        for (const filter of groundAbsorbL) {
-          prevGroundL.connect(filter);
-          prevGroundL = filter;
-        }
-        prevGroundL.connect(groundLowFilterL);
-        groundLowFilterL.connect(groundLowGainL);
-        groundLowGainL.connect(groundSumL);
-        prevGroundL.connect(groundHighFilterL);
-        groundHighFilterL.connect(groundHighGainL);
-        groundHighGainL.connect(groundSumL);
-        groundSumL.connect(stereoMerger, 0, 0);
-
-        const groundBaseGainR = offlineContext.createGain();
-        groundBaseGainR.gain.value = groundParams.R.baseAmp;
-        const groundDelayR = offlineContext.createDelay(0.1);
-        groundDelayR.delayTime.value = groundParams.R.delayTime;
-        const groundLowFilterR = offlineContext.createBiquadFilter();
-        groundLowFilterR.type = 'lowpass';
-        groundLowFilterR.frequency.value = crossFreq;
-        groundLowFilterR.Q.value = 0.7;
-        const groundHighFilterR = offlineContext.createBiquadFilter();
-        groundHighFilterR.type = 'highpass';
-        groundHighFilterR.frequency.value = crossFreq;
-        groundHighFilterR.Q.value = 0.7;
-        const groundLowGainR = offlineContext.createGain();
-        groundLowGainR.gain.value = lowGain;
-        const groundHighGainR = offlineContext.createGain();
-        groundHighGainR.gain.value = highGain;
-        const groundSumR = offlineContext.createGain();
-
-        const groundAbsorbR = this.createAirAbsorptionFilterBank(offlineContext);
-        groundParams.R.airAbsorption.forEach((filter, i) => {
-          groundAbsorbR[i].gain.value = filter.gainDb;
-        });
-
-        mixerR.connect(groundBaseGainR);
-        groundBaseGainR.connect(groundDelayR);
-        let prevGroundR = groundDelayR;
-        for (const filter of groundAbsorbR) {
-          prevGroundR.connect(filter);
-          prevGroundR = filter;
-        }
-        prevGroundR.connect(groundLowFilterR);
-        groundLowFilterR.connect(groundLowGainR);
-        groundLowGainR.connect(groundSumR);
-        prevGroundR.connect(groundHighFilterR);
-        groundHighFilterR.connect(groundHighGainR);
-        groundHighGainR.connect(groundSumR);
-        groundSumR.connect(stereoMerger, 0, 1);
-
-        if (hasCenter && mixerC && centerBus && groundParams.C) {
-          const groundBaseGainC = offlineContext.createGain();
-          groundBaseGainC.gain.value = groundParams.C.baseAmp;
-          const groundDelayC = offlineContext.createDelay(0.1);
-          groundDelayC.delayTime.value = groundParams.C.delayTime;
-          const groundLowFilterC = offlineContext.createBiquadFilter();
-          groundLowFilterC.type = 'lowpass';
-          groundLowFilterC.frequency.value = crossFreq;
-          groundLowFilterC.Q.value = 0.7;
-          const groundHighFilterC = offlineContext.createBiquadFilter();
-          groundHighFilterC.type = 'highpass';
-          groundHighFilterC.frequency.value = crossFreq;
-          groundHighFilterC.Q.value = 0.7;
-          const groundLowGainC = offlineContext.createGain();
-          groundLowGainC.gain.value = lowGain;
-          const groundHighGainC = offlineContext.createGain();
-          groundHighGainC.gain.value = highGain;
-          const groundSumC = offlineContext.createGain();
-
-          const groundAbsorbC = this.createAirAbsorptionFilterBank(offlineContext);
-          groundParams.C.airAbsorption.forEach((filter, i) => {
-            groundAbsorbC[i].gain.value = filter.gainDb;
-          });
-
-          mixerC.connect(groundBaseGainC);
-          groundBaseGainC.connect(groundDelayC);
-          let prevGroundC = groundDelayC;
-          for (const filter of groundAbsorbC) {
-            prevGroundC.connect(filter);
-            prevGroundC = filter;
-          }
-          prevGroundC.connect(groundLowFilterC);
-          groundLowFilterC.connect(groundLowGainC);
-          groundLowGainC.connect(groundSumC);
-          prevGroundC.connect(groundHighFilterC);
-          groundHighFilterC.connect(groundHighGainC);
-          groundHighGainC.connect(groundSumC);
-          groundSumC.connect(centerBus);
+      // Front and bell sources (or a single source without directivity)
+      const hasDirectivity = !!(track.frontBuffer && track.bellBuffer);
+      const sourceFront = offlineContext.createBufferSource();
+      sourceFront.buffer = hasDirectivity ? track.frontBuffer : track.buffer;
+      let sourceBell = null;
+      if (hasDirectivity) {
+        sourceBell = offlineContext.createBufferSource();
+        sourceBell.buffer = track.bellBuffer;
+      }
+      const trackSources = [sourceFront, sourceBell].filter(Boolean);
+
+      if (capsuleStems) {
+        // One chain per capsule into its own channel; no reverb, early reflections or spots
+        const nodes = {
+          hasDirectivity,
+          capsules: true,
+          micChains: this._createTrackMicChains(
+            offlineContext, track, { sourceFront, sourceBell }, stereoMerger, null, { capsules: true }
+          ).micChains,
+        };
+        for (const source of trackSources) {
+          source.start(0);
         }
+        chains.push({ id, track, nodes, kind: 'capsules' });
+        continue;
       }
 
-      // Reverb send (stereo - send L and R separately through stereo merger)
+      // Stereo merger for reverb input
+      let reverbMerger = null;
       if (reverbConvolver) {
-        const reverbSendL = offlineContext.createGain();
-        const reverbSendR = offlineContext.createGain();
-        const reverbLevel = this.calculateReverbSend(track.y);
-        reverbSendL.gain.value = reverbLevel;
-        reverbSendR.gain.value = reverbLevel;
-        const reverbSendC = hasCenter && mixerC ? offlineContext.createGain() : null;
-        if (reverbSendC) {
-          reverbSendC.gain.value = reverbLevel * CENTER_PAN_GAIN;
-        }
-        prevL.connect(reverbSendL);
-        prevR.connect(reverbSendR);
-        if (reverbSendC && prevC) {
-          prevC.connect(reverbSendC);
-        }
-        // Create stereo merger for reverb input
-        const reverbMerger = offlineContext.createChannelMerger(2);
-        reverbSendL.connect(reverbMerger, 0, 0);
-        reverbSendR.connect(reverbMerger, 0, 1);
-        if (reverbSendC) {
-          reverbSendC.connect(reverbMerger, 0, 0);
-          reverbSendC.connect(reverbMerger, 0, 1);
-        }
+        reverbMerger = offlineContext.createChannelMerger(2);
         reverbMerger.connect(reverbConvolver);
       }
+
+      // One chain per array mic (and sub-source); same keys as the realtime chain, so updateTrackAudioParams can schedule automation
+      const nodes = {
+        hasDirectivity,
+        surroundLayout: surround?.id || null,
+        micChains: this._createTrackMicChains(
+          offlineContext, track, { sourceFront, sourceBell }, stereoMerger, reverbMerger,
+          { surroundLayout: surround?.id || null }
+        ).micChains,
+      };
+      for (const source of trackSources) {
+        source.start(0);
+      }
+
+      // Early reflections (image-source hall model), from the mono downmix like the spots
+      const { monoFront, monoBell } = this._createMonoSources(offlineContext, track, { sourceFront, sourceBell });
+      const earlyOutput = earlyBus || stereoMerger;
+      const early = this._createEarlyReflectionChain(
+        offlineContext,
+        [monoFront, monoBell],
+        [[earlyOutput, 0], [earlyOutput, 1]]
+      );
+      early.earlyInput.gain.value *= track.gain;
+      this._applyEarlyReflections(
+        offlineContext,
+        early,
+        this._computeEarlyReflections(track, targetSampleRate, { mode: 'mics', listener })
+      );
+      Object.assign(nodes, early);
+
+      // Spot mics share the track's downmixed sources (panned between L and R in surround)
+      nodes.spotChains = this._getActiveSpots().map(spot => this._createSpotChain(
+        offlineContext,
+        track,
+        spot,
+        { sourceFront: monoFront, sourceBell: monoBell },
+        stereoMerger,
+        reverbConvolver
+      ));
+      chains.push({ id, track, nodes, kind: 'mics' });
+    }
+
+    if (automated) {
+      this._scheduleOfflineAutomation(chains, {
+        offlineContext,
+        masterGainNode: automateMaster ? masterGainNode : null,
+        listenerPosition,
+        ambisonicOrder,
+      });
     }
 
     const startRenderTime = performance.now();
@@ -2731,6 +4857,145 @@ export class AudioEngine {
     }
   }
 
+  /**
+   * Schedule automation on offline chains: at every automation time, set the engine state
+   * to the automated values and ramp each affected chain's params to match.
+   * Track lanes only touch their own track; mic, master and reverb lanes touch every chain.
+   * @param {Array} chains - [{id, track, nodes, kind}] built by _renderOfflineGraph
+   * Binaural HRIRs and early reflections crossfade to new ones (see _scheduleOfflineHrir and
+   * _scheduleOfflineEarlyReflections).
+   * @param {Array} chains - [{id, track, nodes, kind}] built by _renderOfflineGraph
+   * @param {Object} options - {offlineContext, masterGainNode (null = master not automated), listenerPosition,
+   *   ambisonicOrder}
+   */
+  _scheduleOfflineAutomation(chains, { offlineContext, masterGainNode, listenerPosition, ambisonicOrder }) {
+    const isGlobal = key => parseLaneKey(key)?.scope !== 'track';
+    const globalTimes = new Set(getAutomationTimes(this.automation, AUTOMATION_STEP_SECONDS, isGlobal));
+    const trackTimes = new Map(chains.map(({ id }) => [
+      id,
+      new Set(getAutomationTimes(
+        this.automation, AUTOMATION_STEP_SECONDS, key => parseLaneKey(key)?.trackId === id
+      )),
+    ]));
+    const allTimes = new Set([0, ...globalTimes]);
+    for (const times of trackTimes.values()) {
+      times.forEach(time => allTimes.add(time));
+    }
+    const hasMasterLane = !!this.automation.lanes[laneKey('master', 'gain')];
+
+    for (const time of Array.from(allTimes).sort((a, b) => a - b)) {
+      if (time > this.duration) break;
+      this._setAutomatedState(getAutomationValues(this.automation, time));
+
+      if (masterGainNode && hasMasterLane && (time === 0 || globalTimes.has(time))) {
+        masterGainNode.gain.linearRampToValueAtTime(this.masterGain, time);
+      }
+
+      const listener = listenerPosition || this.getListenerPosition();
+      for (const { id, track, nodes, kind } of chains) {
+        if (time !== 0 && !globalTimes.has(time) && !trackTimes.get(id).has(time)) continue;
+
+        if (kind === 'ambisonic') {
+          this._updateAmbisonicTrackParams(track, nodes, listener, ambisonicOrder, { at: time });
+        } else {
+          this.updateTrackAudioParams(id, track, nodes, { at: time });
+        }
+        if (kind === 'binaural') {
+          this._scheduleOfflineHrir(offlineContext, track, nodes, time);
+        }
+        // Chain kinds name their reflection receivers (capsule stems have no reflections)
+        this._scheduleOfflineEarlyReflections(
+          offlineContext, track, nodes, { mode: kind, listener, order: ambisonicOrder, at: time }
+        );
+      }
+    }
+
+    const listener = listenerPosition || this.getListenerPosition();
+    for (const { track, nodes, kind } of chains) {
+      this._finishOfflineEarlyReflections(offlineContext, track, nodes, { mode: kind, listener, order: ambisonicOrder });
+    }
+  }
+
+  /**
+   * Schedule an Ambisonic track chain's params for the current engine state (offline automation)
+   * @param {Object} track - Engine track
+   * @param {Object} nodes - Result of _createAmbisonicTrackChain
+   * @param {{x: number, y: number, height: number}} listener - Listening point in meters
+   * @param {number} order - Ambisonic order
+   * @param {Object} options - {at}: time the params reach their values
+   */
+  _updateAmbisonicTrackParams(track, nodes, listener, order, { at }) {
+    const params = this._getListenerParams(track, listener);
+    const gainMultiplier = (track.muted || (this.hasSolo && !track.solo)) ? 0 : track.gain;
+    const amp = params.gain * gainMultiplier;
+
+    if (nodes.hasDirectivity) {
+      rampParam(nodes.frontGain.gain, amp * params.blend.front, 0, 0, at);
+      rampParam(nodes.bellGain.gain, amp * params.blend.bell, 0, 0, at);
+    } else {
+      rampParam(nodes.frontGain.gain, amp, 0, 0, at);
+    }
+    rampParam(nodes.delay.delayTime, params.delay, 0, 0, at);
+    this.updateAirAbsorptionFilters(nodes.airAbsorb, params.distance, 0, 0, at);
+    if (nodes.radiation && params.radiationDb) {
+      this.updateRadiationFilters(nodes.radiation, params.radiationDb, 0, 0, at);
+    }
+
+    encodeAmbisonicGains(params.azimuth, params.elevation, order).forEach((value, acn) => {
+      rampParam(nodes.encodeGains[acn].gain, value, 0, 0, at);
+    });
+    if (nodes.reverbSend) {
+      rampParam(nodes.reverbSend.gain, this.calculateReverbSend(track.y), 0, 0, at);
+    }
+    rampParam(nodes.earlyInput.gain, gainMultiplier * (nodes.hasDirectivity ? 0.5 : 1), 0, 0, at);
+  }
+
+  /**
+   * Encode a stereo signal (e.g. the reverb return) as two plane waves at ±90°
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {AudioNode} input - Stereo source node
+   * @param {number} order - Ambisonic order
+   * @param {ChannelMergerNode} encoder - Merger with one input per ACN channel
+   */
+  _encodeStereoAsAmbisonic(ctx, input, order, encoder) {
+    const splitter = ctx.createChannelSplitter(2);
+    input.connect(splitter);
+    [90, -90].forEach((azimuth, side) => {
+      encodeAmbisonicGains(azimuth, 0, order).forEach((value, acn) => {
+        const gain = ctx.createGain();
+        gain.gain.value = value;
+        splitter.connect(gain, side);
+        gain.connect(encoder, 0, acn);
+      });
+    });
+  }
+
+  /**
+   * Route a stereo signal (reverb return, early reflections) into a surround layout: each side
+   * goes half to its front channel and half to its surrounds (split over the 7.1 side and rear pairs)
+   * @param {BaseAudioContext} ctx - Audio context
+   * @param {AudioNode} input - Stereo source node
+   * @param {Object} layout - Entry of SURROUND_LAYOUTS
+   * @param {ChannelMergerNode} output - Merger with one input per layout channel
+   */
+  _routeStereoToSurround(ctx, input, layout, output) {
+    const splitter = ctx.createChannelSplitter(2);
+    input.connect(splitter);
+    const feeds = [
+      { L: Math.SQRT1_2, Ls: Math.SQRT1_2 },
+      { R: Math.SQRT1_2, Rs: Math.SQRT1_2 },
+    ];
+    feeds.forEach((feed, side) => {
+      mapSurroundFeed(feed, layout.id).forEach((value, channel) => {
+        if (value === 0) return;
+        const gain = ctx.createGain();
+        gain.gain.value = value;
+        splitter.connect(gain, side);
+        gain.connect(output, 0, channel);
+      });
+    });
+  }
+
   /**
    * Render the mix offline for export
    */
@@ -2745,6 +5010,69 @@ export class AudioEngine {
     });
   }
 
+  /**
+   * Render the main array as dual-diaphragm capsules for export: a front and a back cardioid
+   * per mic (channel order from getCapsuleChannelNames), so the pattern can be chosen later
+   * as F + k * B. Capsules pick up the direct sound and floor reflection only (reverb and early
+   * reflections are stereo); no limiter is applied.
+   * @param {Function} onProgress - Progress callback (0-1)
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<AudioBuffer>} - Two channels per enabled main mic
+   */
+  async renderCapsuleStems(onProgress, signal) {
+    const sampleRate = this.context ? this.context.sampleRate : 44100;
+    return this._renderOfflineMix({
+      sampleRate,
+      masterGain: this.masterGain,
+      includeLimiter: false,
+      onProgress,
+      signal,
+      capsuleStems: true,
+    });
+  }
+
+  /**
+   * Render the main array into a surround layout for export (channel order from SURROUND_LAYOUTS).
+   * Surround arrays feed their own channels, other techniques L/R (a Decca Tree's center mic C);
+   * reverb and early reflections are spread over the front and surround channels, spot mics
+   * stay in L/R and LFE is silent. Binaural mode renders through the mic array; no limiter is applied.
+   * @param {string} layoutId - Key of SURROUND_LAYOUTS ('5.1' or '7.1')
+   * @param {Function} onProgress - Progress callback (0-1)
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<AudioBuffer>} - One channel per layout channel
+   */
+  async renderSurround(layoutId, onProgress, signal) {
+    const sampleRate = this.context ? this.context.sampleRate : 44100;
+    return this._renderOfflineMix({
+      sampleRate,
+      masterGain: this.masterGain,
+      includeLimiter: false,
+      onProgress,
+      signal,
+      surroundLayout: SURROUND_LAYOUTS[layoutId] ? layoutId : DEFAULT_SURROUND_LAYOUT,
+    });
+  }
+
+  /**
+   * Render the mix offline as AmbiX B-format (ACN/SN3D) for export.
+   * No limiter is applied: peak limiting per channel would break the sound field.
+   * @param {number} order - Ambisonic order (1-3)
+   * @param {Function} onProgress - Progress callback (0-1)
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<AudioBuffer>} - (order + 1)^2 channel buffer
+   */
+  async renderAmbisonics(order, onProgress, signal) {
+    const sampleRate = this.context ? this.context.sampleRate : 44100;
+    return this._renderOfflineMix({
+      sampleRate,
+      masterGain: this.masterGain,
+      includeLimiter: false,
+      onProgress,
+      signal,
+      ambisonicOrder: normalizeAmbisonicOrder(order),
+    });
+  }
+
   /**
    * Analyze mix loudness using a low-res offline render.
    */
@@ -2762,6 +5090,7 @@ export class AudioEngine {
       includeLimiter: false,
       onProgress,
       signal,
+      automateMaster: false,
     });
 
     return this._calculateBufferLoudness(buffer, { windowMs, percentile, minDb });
@@ -2857,15 +5186,36 @@ export {
   createConfigFromPreset,
   applyTechniqueLayout,
   validateConfig,
+  getListenerPose,
+  LISTENER_SEATS,
+  MAX_SPOT_MICS,
+  SPOT_MIC_LIMITS,
+  validateSpotMic,
+  getTechnique,
+  getFixedPattern,
+  getMicRoute,
+  isCustomTechniqueId,
+  getNextCustomTechniqueId,
+  getNextArrayMicId,
+  createCustomTechniqueFromConfig,
+  MAX_CUSTOM_TECHNIQUES,
+  MAX_ARRAY_MICS,
+  ARRAY_MIC_LIMITS,
+  PATTERN_ALPHA_LIMITS,
+  getPatternAlpha,
+  getPatternLabel,
+  SURROUND_LAYOUTS,
+  DEFAULT_SURROUND_LAYOUT,
 } from './microphone-types.js';
 
 export {
   calculateStereoResponse,
   calculatePolarGain,
+  calculateSpotAlignmentDelay,
   getPolarPatternPoints,
   calculateITD,
   calculateILD,
 } from './microphone-math.js';
 
 // Export stage config for use by other modules
-export { STAGE_CONFIG, GROUND_REFLECTION_MODELS };
+export { STAGE_CONFIG, GROUND_REFLECTION_MODELS, RENDER_MODES };
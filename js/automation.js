@@ -0,0 +1,255 @@
+// Automation lanes: keyframes over playback time for track, mic, master and reverb parameters
+// Lanes are keyed by strings such as "track:<id>:x", "mic:spacing", "master:gain", "reverb:wet".
+
+import { wrapDegrees } from './microphone-types.js';
+
+const KEYFRAME_MERGE_SECONDS = 0.01; // Writes closer than this replace the existing keyframe
+
+/**
+ * Automatable parameters per scope
+ * mode: 'linear' interpolates, 'angle' interpolates along the shortest arc, 'step' holds until the next keyframe
+ */
+export const AUTOMATION_PARAMS = {
+  track: {
+    x: { label: 'X', mode: 'linear' },
+    y: { label: 'Y', mode: 'linear' },
+    gain: { label: 'Gain', mode: 'linear' },
+    muted: { label: 'Mute', mode: 'step' },
+  },
+  mic: {
+    spacing: { label: 'Spacing', mode: 'linear' },
+    angle: { label: 'Angle', mode: 'linear' },
+    centerDepth: { label: 'Center depth', mode: 'linear' },
+    centerLevel: { label: 'Center level', mode: 'linear' },
+    tilt: { label: 'Tilt', mode: 'linear' },
+    msWidth: { label: 'M/S width', mode: 'linear' },
+    listenerX: { label: 'Listener X', mode: 'linear' },
+    micY: { label: 'Listener Y', mode: 'linear' },
+    listenerHeight: { label: 'Listener height', mode: 'linear' },
+    listenerFacing: { label: 'Listener facing', mode: 'angle' },
+  },
+  master: {
+    gain: { label: 'Master gain', mode: 'linear' },
+  },
+  reverb: {
+    wet: { label: 'Reverb wet', mode: 'linear' },
+  },
+};
+
+/**
+ * Create an empty automation set
+ * @returns {{lanes: Object}} - lanes: key -> [{time, value}] sorted by time
+ */
+export function createAutomation() {
+  return { lanes: {} };
+}
+
+/**
+ * Build a lane key
+ * @param {'track'|'mic'|'master'|'reverb'} scope
+ * @param {string} param - Key of AUTOMATION_PARAMS[scope]
+ * @param {string} [trackId] - Track ID (track scope only)
+ * @returns {string}
+ */
+export function laneKey(scope, param, trackId = null) {
+  return scope === 'track' ? `track:${trackId}:${param}` : `${scope}:${param}`;
+}
+
+/**
+ * Split a lane key into scope, track ID and parameter
+ * Track IDs may contain colons, so the parameter is taken from the end.
+ * @param {string} key
+ * @returns {{scope: string, trackId: string|null, param: string}|null} - null for unknown lanes
+ */
+export function parseLaneKey(key) {
+  const first = key.indexOf(':');
+  const last = key.lastIndexOf(':');
+  if (first < 0) return null;
+
+  const scope = key.slice(0, first);
+  const param = key.slice(last + 1);
+  if (!AUTOMATION_PARAMS[scope]?.[param]) return null;
+
+  if (scope === 'track') {
+    if (last === first) return null;
+    return { scope, trackId: key.slice(first + 1, last), param };
+  }
+  return last === first ? { scope, trackId: null, param } : null;
+}
+
+function getParamMode(key) {
+  const parsed = parseLaneKey(key);
+  return parsed ? AUTOMATION_PARAMS[parsed.scope][parsed.param].mode : 'linear';
+}
+
+/**
+ * Whether an automation set has any keyframes
+ * @param {Object|null} automation
+ * @returns {boolean}
+ */
+export function hasAutomation(automation) {
+  return !!automation && Object.values(automation.lanes || {}).some(lane => lane.length > 0);
+}
+
+/**
+ * Count lanes and keyframes
+ * @param {Object|null} automation
+ * @returns {{lanes: number, keyframes: number}}
+ */
+export function countAutomation(automation) {
+  const lanes = Object.values(automation?.lanes || {}).filter(lane => lane.length > 0);
+  return {
+    lanes: lanes.length,
+    keyframes: lanes.reduce((sum, lane) => sum + lane.length, 0),
+  };
+}
+
+/**
+ * Write a keyframe, replacing one at (almost) the same time
+ * @param {Object} automation - Automation set (modified in place)
+ * @param {string} key - Lane key
+ * @param {number} time - Seconds of playback time
+ * @param {number|boolean} value
+ * @param {Object} [options]
+ * @param {number|null} [options.replaceFrom] - Also drop keyframes between this time and `time`
+ *   (recording over a lane while playing replaces what was there)
+ */
+export function writeKeyframe(automation, key, time, value, { replaceFrom = null } = {}) {
+  if (!parseLaneKey(key)) return;
+
+  const t = Math.max(0, time);
+  const lane = automation.lanes[key] || [];
+  const start = replaceFrom === null ? t : Math.min(replaceFrom, t);
+  const kept = lane.filter(frame => {
+    if (Math.abs(frame.time - t) < KEYFRAME_MERGE_SECONDS) return false;
+    return replaceFrom === null || frame.time <= start || frame.time >= t;
+  });
+  kept.push({ time: t, value });
+  kept.sort((a, b) => a.time - b.time);
+  automation.lanes[key] = kept;
+}
+
+/**
+ * Remove a lane
+ * @param {Object} automation - Automation set (modified in place)
+ * @param {string} key - Lane key
+ */
+export function clearLane(automation, key) {
+  delete automation.lanes[key];
+}
+
+/**
+ * Value of a lane at a time (held before the first and after the last keyframe)
+ * @param {Array} keyframes - Sorted [{time, value}]
+ * @param {number} time - Seconds
+ * @param {'linear'|'angle'|'step'} [mode='linear']
+ * @returns {number|boolean|undefined} - undefined for an empty lane
+ */
+export function getLaneValue(keyframes, time, mode = 'linear') {
+  if (!keyframes || keyframes.length === 0) return undefined;
+  if (time <= keyframes[0].time) return keyframes[0].value;
+
+  const last = keyframes[keyframes.length - 1];
+  if (time >= last.time) return last.value;
+
+  let i = 1;
+  while (keyframes[i].time < time) i++;
+  const a = keyframes[i - 1];
+  const b = keyframes[i];
+  if (mode === 'step' || typeof a.value !== 'number') return a.value;
+
+  const t = (time - a.time) / (b.time - a.time);
+  if (mode === 'angle') {
+    return wrapDegrees(a.value + wrapDegrees(b.value - a.value) * t);
+  }
+  return a.value + (b.value - a.value) * t;
+}
+
+/**
+ * Values of every lane at a time, grouped by scope
+ * @param {Object|null} automation
+ * @param {number} time - Seconds
+ * @param {Object} [options]
+ * @param {Set<string>} [options.skip] - Lane keys to leave out (e.g. lanes the user is touching)
+ * @returns {{tracks: Map<string, Object>, mic: Object, master: Object, reverb: Object}}
+ */
+export function getAutomationValues(automation, time, { skip = null } = {}) {
+  const values = { tracks: new Map(), mic: {}, master: {}, reverb: {} };
+
+  for (const [key, lane] of Object.entries(automation?.lanes || {})) {
+    if (skip?.has(key)) continue;
+    const parsed = parseLaneKey(key);
+    const value = parsed && getLaneValue(lane, time, AUTOMATION_PARAMS[parsed.scope][parsed.param].mode);
+    if (value === undefined || value === null) continue;
+
+    if (parsed.scope === 'track') {
+      if (!values.tracks.has(parsed.trackId)) {
+        values.tracks.set(parsed.trackId, {});
+      }
+      values.tracks.get(parsed.trackId)[parsed.param] = value;
+    } else {
+      values[parsed.scope][parsed.param] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Times at which offline rendering must set parameters
+ * Every keyframe, plus a regular grid wherever a continuous lane is moving
+ * (distances, delays and gains do not follow keyframes linearly).
+ * @param {Object|null} automation
+ * @param {number} step - Grid spacing in seconds
+ * @param {Function} [filter] - (key) => boolean, lanes to include
+ * @returns {number[]} - Sorted, unique times in seconds
+ */
+export function getAutomationTimes(automation, step, filter = null) {
+  const times = new Set();
+
+  for (const [key, lane] of Object.entries(automation?.lanes || {})) {
+    if (filter && !filter(key)) continue;
+    const mode = getParamMode(key);
+
+    lane.forEach((frame, i) => {
+      times.add(Math.round(frame.time * 1000));
+      const next = lane[i + 1];
+      if (!next || mode === 'step' || next.value === frame.value) return;
+      for (let t = frame.time + step; t < next.time; t += step) {
+        times.add(Math.round(t * 1000));
+      }
+    });
+  }
+
+  return Array.from(times).sort((a, b) => a - b).map(ms => ms / 1000);
+}
+
+/**
+ * Copy an automation set with track lanes re-keyed (e.g. track ID <-> filename for sessions)
+ * Track lanes whose ID does not map are dropped.
+ * @param {Object|null} automation
+ * @param {Function} mapTrackId - (trackId) => new ID or null
+ * @returns {Object} - New automation set
+ */
+export function remapAutomationTracks(automation, mapTrackId) {
+  const result = createAutomation();
+
+  for (const [key, lane] of Object.entries(automation?.lanes || {})) {
+    const parsed = parseLaneKey(key);
+    if (!parsed || !Array.isArray(lane) || lane.length === 0) continue;
+
+    let nextKey = key;
+    if (parsed.scope === 'track') {
+      const mapped = mapTrackId(parsed.trackId);
+      if (mapped === null || mapped === undefined) continue;
+      nextKey = laneKey('track', parsed.param, mapped);
+    }
+
+    result.lanes[nextKey] = lane
+      .filter(frame => Number.isFinite(frame?.time) && frame.value !== undefined)
+      .map(frame => ({ time: frame.time, value: frame.value }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  return result;
+}
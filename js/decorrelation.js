@@ -0,0 +1,134 @@
+// Decorrelation filters for the sub-sources of an extended track (see source-extent.js)
+// Sub-sources are copies of one recording, so delayed or all-passed copies comb when they meet at
+// a mic. Instead, the first sub-source keeps the dry signal through a low shelf that carries the whole
+// level in the bass (where short filters cannot decorrelate copies), and the others are random-phase
+// FIRs carrying the rest of the power above the crossover. Weighted 1/√K, the K sub-sources sum to a
+// flat response: one coherent source in the bass, K independent ones above.
+
+export const DECORRELATION_CROSSOVER_HZ = 300; // Low shelf corner of the dry sub-source
+const FILTER_SECONDS = 0.04; // Rounded up to a power of two (2048 taps at 44.1/48 kHz)
+
+const filterCache = new Map(); // `${sampleRate}:${count}` -> Float32Array[]
+
+/**
+ * Low shelf gain of the dry sub-source: the sub-source weight 1/√K is made up below the crossover
+ * @param {number} count - Number of sub-sources
+ * @returns {number} - dB
+ */
+export function getDecorrelationShelfDb(count) {
+  return 10 * Math.log10(count);
+}
+
+/**
+ * Random-phase FIRs of the sub-sources after the first (deterministic per count and sample rate).
+ * Their power is what the dry sub-source's low shelf leaves out: |H|² = (K − |shelf|²) / (K − 1).
+ * @param {number} sampleRate - Hz
+ * @param {number} count - Number of sub-sources
+ * @returns {Float32Array[]} - count - 1 impulse responses
+ */
+export function getDecorrelationFilters(sampleRate, count) {
+  const key = `${sampleRate}:${count}`;
+  if (filterCache.has(key)) return filterCache.get(key);
+
+  const size = 2 ** Math.ceil(Math.log2(FILTER_SECONDS * sampleRate));
+  const half = size / 2;
+  const shelfDb = getDecorrelationShelfDb(count);
+  const magnitudes = new Float64Array(half + 1);
+  for (let bin = 0; bin <= half; bin++) {
+    const shelfPower = lowShelfPower((bin * sampleRate) / size, sampleRate, DECORRELATION_CROSSOVER_HZ, shelfDb);
+    magnitudes[bin] = Math.sqrt(Math.max(0, (count - shelfPower) / (count - 1)));
+  }
+
+  const random = createRandom(count * 7919 + sampleRate);
+  const filters = [];
+  for (let i = 1; i < count; i++) {
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    re[0] = magnitudes[0];
+    re[half] = magnitudes[half];
+    for (let bin = 1; bin < half; bin++) {
+      const phase = random() * 2 * Math.PI;
+      re[bin] = magnitudes[bin] * Math.cos(phase);
+      im[bin] = magnitudes[bin] * Math.sin(phase);
+      // Hermitian mirror for a real impulse response
+      re[size - bin] = re[bin];
+      im[size - bin] = -im[bin];
+    }
+    inverseFft(re, im);
+    filters.push(Float32Array.from(re));
+  }
+
+  filterCache.set(key, filters);
+  return filters;
+}
+
+// Power response of a Web Audio lowshelf biquad (Audio EQ Cookbook, shelf slope 1) at a frequency
+function lowShelfPower(frequency, sampleRate, cornerHz, gainDb) {
+  const A = Math.pow(10, gainDb / 40);
+  const w0 = (2 * Math.PI * cornerHz) / sampleRate;
+  const cosW0 = Math.cos(w0);
+  const twoSqrtAAlpha = 2 * Math.sqrt(A) * (Math.sin(w0) / 2) * Math.SQRT2;
+  const b = [
+    A * ((A + 1) - (A - 1) * cosW0 + twoSqrtAAlpha),
+    2 * A * ((A - 1) - (A + 1) * cosW0),
+    A * ((A + 1) - (A - 1) * cosW0 - twoSqrtAAlpha),
+  ];
+  const a = [
+    (A + 1) + (A - 1) * cosW0 + twoSqrtAAlpha,
+    -2 * ((A - 1) + (A + 1) * cosW0),
+    (A + 1) + (A - 1) * cosW0 - twoSqrtAAlpha,
+  ];
+  const w = (2 * Math.PI * frequency) / sampleRate;
+  const power = coefs => {
+    const re = coefs[0] + coefs[1] * Math.cos(w) + coefs[2] * Math.cos(2 * w);
+    const im = -coefs[1] * Math.sin(w) - coefs[2] * Math.sin(2 * w);
+    return re * re + im * im;
+  };
+  return power(b) / power(a);
+}
+
+// Seeded PRNG (mulberry32), so a layout sounds the same on every play and render
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// In-place inverse FFT (radix 2, scaled by 1/n)
+function inverseFft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = (2 * Math.PI) / length;
+    for (let start = 0; start < n; start += length) {
+      for (let k = 0; k < length / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const i = start + k;
+        const j = i + length / 2;
+        const tRe = re[j] * cos - im[j] * sin;
+        const tIm = re[j] * sin + im[j] * cos;
+        re[j] = re[i] - tRe;
+        im[j] = im[i] - tIm;
+        re[i] += tRe;
+        im[i] += tIm;
+      }
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    re[i] /= n;
+    im[i] /= n;
+  }
+}
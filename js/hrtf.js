@@ -0,0 +1,355 @@
+// Head-related transfer functions for binaural (headphone) rendering
+// Built-in spherical-head default set plus SOFA (AES69) file loading via jsfive
+
+const SPEED_OF_SOUND = 343; // m/s at 20°C
+
+// Spherical head model parameters (Brown & Duda 1998)
+const HEAD_RADIUS = 0.0875; // meters
+const SHADOW_ALPHA_MIN = 0.1; // Maximum high-frequency shadowing
+const SHADOW_THETA_MIN = 150; // Degrees from ear axis where shadowing peaks
+
+const DEFAULT_HRTF_SAMPLE_RATE = 48000;
+const DEFAULT_HRIR_LENGTH = 256;
+const DEFAULT_AZIMUTH_STEP = 10; // degrees
+const DEFAULT_ELEVATIONS = [-30, -15, 0, 15, 30, 60, 90];
+
+const MAX_HRIR_LENGTH = 2048; // Longer SOFA IRs are truncated
+const RESAMPLE_KERNEL_ZEROS = 16; // Sinc zero crossings on each side of the resampling kernel
+
+export const DEFAULT_HRTF_ID = 'default';
+
+/**
+ * Check if the HDF5 reader (jsfive) is available for SOFA parsing
+ * @returns {boolean}
+ */
+export function isSofaReaderAvailable() {
+  return typeof hdf5 !== 'undefined' && typeof hdf5.File === 'function';
+}
+
+/**
+ * Convert azimuth/elevation (SOFA convention) to a unit vector.
+ * Azimuth 0° = front, 90° = left; elevation 90° = up.
+ * Returned axes: x = right, y = front, z = up (stage coordinates).
+ * @param {number} azimuth - Degrees
+ * @param {number} elevation - Degrees
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function directionToVector(azimuth, elevation) {
+  const az = (azimuth * Math.PI) / 180;
+  const el = (elevation * Math.PI) / 180;
+  return {
+    x: -Math.sin(az) * Math.cos(el),
+    y: Math.cos(az) * Math.cos(el),
+    z: Math.sin(el),
+  };
+}
+
+/**
+ * Convert a direction vector (x = right, y = front, z = up) to SOFA azimuth/elevation
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {{azimuth: number, elevation: number}} - Degrees, azimuth in [0, 360)
+ */
+export function vectorToDirection(x, y, z) {
+  const horizontal = Math.sqrt(x * x + y * y);
+  let azimuth = (Math.atan2(-x, y) * 180) / Math.PI;
+  if (azimuth < 0) azimuth += 360;
+  const elevation = (Math.atan2(z, horizontal) * 180) / Math.PI;
+  return { azimuth, elevation };
+}
+
+/**
+ * Render one ear of the spherical head model as an impulse response
+ * @param {number} theta - Angle between source direction and ear axis (radians)
+ * @param {number} sampleRate
+ * @param {number} length
+ * @returns {Float32Array}
+ */
+function sphericalHeadEarResponse(theta, sampleRate, length) {
+  const a = HEAD_RADIUS;
+  const c = SPEED_OF_SOUND;
+
+  // Woodworth-style arrival time relative to head center, offset to stay causal
+  const thetaDeg = (theta * 180) / Math.PI;
+  const travel = theta < Math.PI / 2
+    ? -(a / c) * Math.cos(theta)
+    : (a / c) * (theta - Math.PI / 2);
+  const delaySamples = (travel + a / c) * sampleRate + 2;
+
+  // Head shadow: one-pole/one-zero filter, bilinear transformed
+  const alpha = (1 + SHADOW_ALPHA_MIN / 2) +
+    (1 - SHADOW_ALPHA_MIN / 2) * Math.cos((thetaDeg / SHADOW_THETA_MIN) * Math.PI);
+  const beta = (2 * c) / a;
+  const k = 2 * sampleRate;
+  const b0 = (alpha * k + beta) / (k + beta);
+  const b1 = (beta - alpha * k) / (k + beta);
+  const a1 = (beta - k) / (k + beta);
+
+  // Fractional-delay impulse (linear interpolation) fed through the shadow filter
+  const input = new Float32Array(length);
+  const index = Math.floor(delaySamples);
+  const frac = delaySamples - index;
+  if (index < length) input[index] = 1 - frac;
+  if (index + 1 < length) input[index + 1] = frac;
+
+  const output = new Float32Array(length);
+  let prevIn = 0;
+  let prevOut = 0;
+  for (let i = 0; i < length; i++) {
+    const y = b0 * input[i] + b1 * prevIn - a1 * prevOut;
+    output[i] = y;
+    prevIn = input[i];
+    prevOut = y;
+  }
+  return output;
+}
+
+/**
+ * Create the built-in HRTF set from a spherical head model.
+ * Provides ITD and frequency-dependent head shadow; no pinna cues.
+ * @param {number} sampleRate - Sample rate of the generated HRIRs
+ * @returns {Object} - HRTF set
+ */
+export function createDefaultHrtfSet(sampleRate = DEFAULT_HRTF_SAMPLE_RATE) {
+  const measurements = [];
+  const leftEar = { x: -1, y: 0, z: 0 };
+  const rightEar = { x: 1, y: 0, z: 0 };
+
+  for (const elevation of DEFAULT_ELEVATIONS) {
+    const azimuthStep = elevation === 90 ? 360 : DEFAULT_AZIMUTH_STEP;
+    for (let azimuth = 0; azimuth < 360; azimuth += azimuthStep) {
+      const dir = directionToVector(azimuth, elevation);
+      const dotL = dir.x * leftEar.x + dir.y * leftEar.y + dir.z * leftEar.z;
+      const dotR = dir.x * rightEar.x + dir.y * rightEar.y + dir.z * rightEar.z;
+      measurements.push({
+        azimuth,
+        elevation,
+        left: sphericalHeadEarResponse(Math.acos(Math.max(-1, Math.min(1, dotL))), sampleRate, DEFAULT_HRIR_LENGTH),
+        right: sphericalHeadEarResponse(Math.acos(Math.max(-1, Math.min(1, dotR))), sampleRate, DEFAULT_HRIR_LENGTH),
+      });
+    }
+  }
+
+  return finalizeHrtfSet({
+    id: DEFAULT_HRTF_ID,
+    name: 'Built-in (spherical head)',
+    sampleRate,
+    measurements,
+  });
+}
+
+/**
+ * Read a dataset value from a jsfive file, or null if missing
+ */
+function readDataset(file, name) {
+  try {
+    const dataset = file.get(name);
+    if (!dataset) return null;
+    return { value: dataset.value, shape: dataset.shape || [], attrs: dataset.attrs || {} };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a string attribute (jsfive may return strings or arrays)
+ */
+function readStringAttr(attrs, name) {
+  const value = attrs?.[name];
+  if (Array.isArray(value)) return String(value[0] ?? '');
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Parse a SOFA (SimpleFreeFieldHRIR) file into an HRTF set.
+ * Requires the jsfive HDF5 reader (global `hdf5`).
+ * @param {ArrayBuffer} arrayBuffer - SOFA file contents
+ * @param {string} filename - Original filename (used as set name)
+ * @returns {Object} - HRTF set
+ */
+export function parseSofaFile(arrayBuffer, filename = 'custom.sofa') {
+  if (!isSofaReaderAvailable()) {
+    throw new Error('SOFA reader not available');
+  }
+
+  let file;
+  try {
+    file = new hdf5.File(arrayBuffer, filename);
+  } catch (error) {
+    throw new Error(`Not a valid SOFA file: ${error.message}`);
+  }
+
+  const ir = readDataset(file, 'Data.IR');
+  const rate = readDataset(file, 'Data.SamplingRate');
+  const positions = readDataset(file, 'SourcePosition');
+  if (!ir || !rate || !positions) {
+    throw new Error('SOFA file is missing Data.IR, Data.SamplingRate or SourcePosition');
+  }
+
+  const [numMeasurements, numReceivers, irLength] = ir.shape;
+  if (numReceivers !== 2) {
+    throw new Error(`SOFA file has ${numReceivers} receivers (expected 2)`);
+  }
+  const sampleRate = Number(rate.value[0]);
+  if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+    throw new Error('SOFA file has an invalid sampling rate');
+  }
+
+  const delays = readDataset(file, 'Data.Delay');
+  const isCartesian = readStringAttr(positions.attrs, 'Type').toLowerCase() === 'cartesian';
+  const positionRows = positions.shape[0] || 1;
+  const length = Math.min(irLength, MAX_HRIR_LENGTH);
+
+  const measurements = [];
+  for (let m = 0; m < numMeasurements; m++) {
+    const row = positionRows > 1 ? m : 0;
+    const p0 = Number(positions.value[row * 3]);
+    const p1 = Number(positions.value[row * 3 + 1]);
+    const p2 = Number(positions.value[row * 3 + 2]);
+
+    let azimuth;
+    let elevation;
+    if (isCartesian) {
+      // SOFA cartesian: x = front, y = left, z = up
+      ({ azimuth, elevation } = vectorToDirection(-p1, p0, p2));
+    } else {
+      azimuth = ((p0 % 360) + 360) % 360;
+      elevation = p1;
+    }
+
+    // Optional broadband delays (samples) per receiver
+    let delayL = 0;
+    let delayR = 0;
+    if (delays && delays.value.length >= 2) {
+      const delayRow = delays.shape[0] > 1 ? m : 0;
+      delayL = Math.max(0, Math.round(Number(delays.value[delayRow * 2]) || 0));
+      delayR = Math.max(0, Math.round(Number(delays.value[delayRow * 2 + 1]) || 0));
+    }
+
+    const left = new Float32Array(length + delayL);
+    const right = new Float32Array(length + delayR);
+    const base = m * 2 * irLength;
+    for (let i = 0; i < length; i++) {
+      left[i + delayL] = ir.value[base + i];
+      right[i + delayR] = ir.value[base + irLength + i];
+    }
+
+    measurements.push({ azimuth, elevation, left, right });
+  }
+
+  const title = readStringAttr(file.attrs, 'Title') || readStringAttr(file.attrs, 'ListenerShortName');
+  return finalizeHrtfSet({
+    id: `sofa:${filename}`,
+    name: title ? `${title} (${filename})` : filename,
+    sampleRate,
+    measurements,
+  });
+}
+
+/**
+ * Precompute direction vectors and normalize level so the frontal HRIR pair
+ * has unit energy (keeps binaural loudness comparable across sets)
+ * @param {Object} set
+ * @returns {Object}
+ */
+function finalizeHrtfSet(set) {
+  if (!set.measurements.length) {
+    throw new Error('HRTF set has no measurements');
+  }
+
+  for (const m of set.measurements) {
+    m.vector = directionToVector(m.azimuth, m.elevation);
+  }
+
+  const front = findNearestMeasurement(set, 0, 0);
+  const energy = (data) => data.reduce((sum, v) => sum + v * v, 0);
+  const frontEnergy = (energy(front.left) + energy(front.right)) / 2;
+  const scale = frontEnergy > 0 ? 1 / Math.sqrt(frontEnergy) : 1;
+  for (const m of set.measurements) {
+    for (let i = 0; i < m.left.length; i++) m.left[i] *= scale;
+    for (let i = 0; i < m.right.length; i++) m.right[i] *= scale;
+  }
+
+  set.bufferCache = new Map();
+  return set;
+}
+
+/**
+ * Find the measurement closest to a direction (great-circle distance)
+ * @param {Object} set - HRTF set
+ * @param {number} azimuth - Degrees (0 = front, 90 = left)
+ * @param {number} elevation - Degrees
+ * @returns {Object} - Measurement with its index in set.measurements
+ */
+export function findNearestMeasurement(set, azimuth, elevation) {
+  const target = directionToVector(azimuth, elevation);
+  let best = null;
+  let bestDot = -Infinity;
+  set.measurements.forEach((m, index) => {
+    const v = m.vector || directionToVector(m.azimuth, m.elevation);
+    const dot = v.x * target.x + v.y * target.y + v.z * target.z;
+    if (dot > bestDot) {
+      bestDot = dot;
+      best = { ...m, index };
+    }
+  });
+  return best;
+}
+
+/**
+ * Windowed-sinc (Blackman) resampler for short impulse responses.
+ * When downsampling, the kernel cutoff drops to the new Nyquist frequency so nothing
+ * above it aliases; the output is scaled by fromRate / toRate so the convolution keeps
+ * the same gain at the new rate (an impulse response sums to its DC gain per sample).
+ */
+function resampleImpulse(data, fromRate, toRate) {
+  if (fromRate === toRate) return data;
+  const ratio = fromRate / toRate;
+  const cutoff = Math.min(1, toRate / fromRate); // Relative to the input Nyquist frequency
+  const halfWidth = RESAMPLE_KERNEL_ZEROS / cutoff; // In input samples
+  const gain = ratio * cutoff;
+  const length = Math.max(1, Math.round(data.length / ratio));
+  const output = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const pos = i * ratio;
+    const first = Math.max(0, Math.ceil(pos - halfWidth));
+    const last = Math.min(data.length - 1, Math.floor(pos + halfWidth));
+    let sum = 0;
+    for (let k = first; k <= last; k++) {
+      const t = k - pos;
+      const x = Math.PI * cutoff * t;
+      const sinc = x === 0 ? 1 : Math.sin(x) / x;
+      const w = Math.PI * (t / halfWidth + 1); // Blackman window over [-halfWidth, halfWidth]
+      const blackman = 0.42 - 0.5 * Math.cos(w) + 0.08 * Math.cos(2 * w);
+      sum += data[k] * sinc * blackman;
+    }
+    output[i] = sum * gain;
+  }
+  return output;
+}
+
+/**
+ * Get a stereo AudioBuffer (L/R ears) for a measurement, resampled to the
+ * context rate. Buffers are cached per sample rate.
+ * @param {Object} set - HRTF set
+ * @param {number} index - Measurement index
+ * @param {BaseAudioContext} ctx - Context the buffer will be used in
+ * @returns {AudioBuffer}
+ */
+export function getHrirBuffer(set, index, ctx) {
+  const key = `${ctx.sampleRate}:${index}`;
+  const cached = set.bufferCache.get(key);
+  if (cached) return cached;
+
+  const m = set.measurements[index];
+  const left = resampleImpulse(m.left, set.sampleRate, ctx.sampleRate);
+  const right = resampleImpulse(m.right, set.sampleRate, ctx.sampleRate);
+  const length = Math.max(left.length, right.length);
+  const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+  buffer.getChannelData(0).set(left);
+  buffer.getChannelData(1).set(right);
+
+  set.bufferCache.set(key, buffer);
+  return buffer;
+}
@@ -0,0 +1,102 @@
+// Parametric instrument radiation (directivity) models
+// Used for tracks with a single recording, where front/bell blending is not available.
+// Each model attenuates three bands as the listener/mic moves off the instrument's main radiation axis.
+
+import { sectionKeyFor } from './positions.js';
+import { detectInstrument } from './instrument-icons.js';
+
+// Filter bands applied per mic path (gains set from the off-axis angle)
+export const RADIATION_BANDS = [
+  { type: 'lowshelf', freq: 300 },
+  { type: 'peaking', freq: 1200, q: 0.9 },
+  { type: 'highshelf', freq: 4000 },
+];
+
+/**
+ * Radiation models keyed by seating section (see sectionKeyFor)
+ * azimuth: main axis in degrees from the playing direction (toward the audience), positive = player's right
+ * elevation: main axis elevation in degrees (90 = straight up)
+ * low/mid/high: attenuation in dB directly behind the main axis
+ * beam: off-axis exponent (< 1 = narrower beam, attenuation rises quickly off-axis)
+ */
+export const INSTRUMENT_RADIATION = {
+  // Strings: top plate radiates up and forward, HF narrows
+  vln1: { name: 'Violin', azimuth: 0, elevation: 45, low: -1, mid: -4, high: -10, beam: 1 },
+  vln2: { name: 'Violin', azimuth: 0, elevation: 45, low: -1, mid: -4, high: -10, beam: 1 },
+  vla: { name: 'Viola', azimuth: 0, elevation: 40, low: -1, mid: -4, high: -9, beam: 1 },
+  vc: { name: 'Cello', azimuth: 0, elevation: 10, low: 0, mid: -4, high: -12, beam: 1 },
+  cb: { name: 'Bass', azimuth: 0, elevation: 10, low: 0, mid: -3, high: -8, beam: 1 },
+
+  // Woodwinds: flutes radiate sideways from embouchure and tone holes; reeds through bell and holes
+  picc: { name: 'Piccolo', azimuth: 90, elevation: 0, low: 0, mid: -2, high: -8, beam: 1 },
+  fl: { name: 'Flute', azimuth: 90, elevation: 0, low: 0, mid: -2, high: -8, beam: 1 },
+  ob: { name: 'Oboe', azimuth: 0, elevation: -30, low: 0, mid: -2, high: -9, beam: 1 },
+  eh: { name: 'English horn', azimuth: 0, elevation: -30, low: 0, mid: -2, high: -9, beam: 1 },
+  cl: { name: 'Clarinet', azimuth: 0, elevation: -30, low: 0, mid: -2, high: -9, beam: 1 },
+  bcl: { name: 'Bass clarinet', azimuth: 0, elevation: -20, low: 0, mid: -2, high: -8, beam: 1 },
+  bsn: { name: 'Bassoon', azimuth: 0, elevation: 70, low: 0, mid: -2, high: -6, beam: 1 },
+  cbsn: { name: 'Contrabassoon', azimuth: 0, elevation: 70, low: 0, mid: -2, high: -6, beam: 1 },
+
+  // Brass: bell beams strongly at high frequencies
+  hn: { name: 'Horn', azimuth: 135, elevation: 0, low: -1, mid: -6, high: -15, beam: 0.7 },
+  trp: { name: 'Trumpet', azimuth: 0, elevation: 0, low: 0, mid: -5, high: -18, beam: 0.5 },
+  tbn: { name: 'Trombone', azimuth: 0, elevation: 0, low: 0, mid: -5, high: -16, beam: 0.5 },
+  btbn: { name: 'Bass trombone', azimuth: 0, elevation: 0, low: 0, mid: -5, high: -15, beam: 0.5 },
+  tuba: { name: 'Tuba', azimuth: 0, elevation: 75, low: 0, mid: -3, high: -10, beam: 0.7 },
+
+  // Percussion: near-omni
+  timp: { name: 'Timpani', azimuth: 0, elevation: 90, low: 0, mid: -1, high: -3, beam: 1 },
+  perc: { name: 'Percussion', azimuth: 0, elevation: 45, low: 0, mid: -1, high: -3, beam: 1 },
+
+  // Keyboard / other
+  harp: { name: 'Harp', azimuth: 0, elevation: 0, low: -1, mid: -3, high: -6, beam: 1 },
+  piano: { name: 'Piano', azimuth: 0, elevation: 20, low: 0, mid: -3, high: -8, beam: 1 },
+  celesta: { name: 'Celesta', azimuth: 0, elevation: 0, low: 0, mid: -2, high: -6, beam: 1 },
+
+  // Voice: mouth radiation narrows above ~2 kHz
+  voice: { name: 'Voice', azimuth: 0, elevation: 0, low: 0, mid: -3, high: -10, beam: 1 },
+};
+
+/**
+ * Find the radiation model for a track name
+ * Uses the seating section key, falling back to the detected instrument's name.
+ * @param {string} name - Track/instrument name
+ * @returns {Object|null} - Model from INSTRUMENT_RADIATION, or null when unknown
+ */
+export function getRadiationModel(name) {
+  const sectionKey = sectionKeyFor(name || '')
+    ?? sectionKeyFor(detectInstrument(name)?.name || '');
+  return INSTRUMENT_RADIATION[sectionKey] || null;
+}
+
+/**
+ * Band gains toward a receiver
+ * Facing uses the same convention as calculateDirectivityBlend (0 = toward the audience).
+ * @param {Object} model - Radiation model
+ * @param {{x: number, y: number, z: number}} source - Source position in meters
+ * @param {{x: number, y: number, z: number}} receiver - Mic/ear position in meters
+ * @param {number} [facing=0] - Player facing in degrees, positive = turned to the player's right
+ * @returns {number[]} - Gain in dB per RADIATION_BANDS entry
+ */
+export function calculateRadiationGains(model, source, receiver, facing = 0) {
+  const dx = receiver.x - source.x;
+  const dy = receiver.y - source.y;
+  const dz = receiver.z - source.z;
+  const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (dist < 0.01) {
+    return RADIATION_BANDS.map(() => 0);
+  }
+
+  // Main axis: playing direction (-Y) rotated toward the player's right (-X), then tilted up
+  const az = ((model.azimuth + facing) * Math.PI) / 180;
+  const el = (model.elevation * Math.PI) / 180;
+  const axisX = -Math.sin(az) * Math.cos(el);
+  const axisY = -Math.cos(az) * Math.cos(el);
+  const axisZ = Math.sin(el);
+
+  const cosTheta = Math.max(-1, Math.min(1, (dx * axisX + dy * axisY + dz * axisZ) / dist));
+  // 0 on-axis, 1 directly behind
+  const offAxis = Math.pow((1 - cosTheta) / 2, model.beam);
+
+  return [model.low, model.mid, model.high].map(rearDb => rearDb * offAxis);
+}
@@ -0,0 +1,276 @@
+// Loudspeaker layouts and VBAP (vector base amplitude panning) for multichannel playback
+// Azimuth counterclockwise from front (left = +90°), elevation up, like ambisonics.js and hrtf.js
+// Speakers are listed in output channel order
+
+export const MAX_SPEAKERS = 32; // Channel merger limit
+export const SPEAKER_LIMITS = {
+  azimuth: { min: -180, max: 180, step: 1 },
+  elevation: { min: -90, max: 90, step: 1 },
+  gainDb: { min: -24, max: 12, step: 0.5 },
+  delayMs: { min: 0, max: 50, step: 0.1 },
+};
+const MAX_LABEL_LENGTH = 16;
+const PLANAR_SPREAD_DEGREES = 1; // Layouts within this elevation spread are panned in 2D
+const MEDIAN_PLANE_DEGREES = 10; // Speakers this close to front/back get both sides of a stereo spread
+const GAIN_EPSILON = 1e-6;
+
+const ring = (azimuths, elevation = 0, prefix = '') => azimuths.map(azimuth => ({
+  label: `${prefix}${azimuth}°`,
+  azimuth,
+  elevation,
+}));
+
+export const SPEAKER_LAYOUT_PRESETS = {
+  quad: {
+    id: 'quad',
+    name: 'Quad',
+    speakers: [
+      { label: 'FL', azimuth: 45, elevation: 0 },
+      { label: 'FR', azimuth: -45, elevation: 0 },
+      { label: 'BL', azimuth: 135, elevation: 0 },
+      { label: 'BR', azimuth: -135, elevation: 0 },
+    ],
+  },
+  '5.0': {
+    id: '5.0',
+    name: '5.0 (ITU-R BS.775)',
+    speakers: [
+      { label: 'L', azimuth: 30, elevation: 0 },
+      { label: 'R', azimuth: -30, elevation: 0 },
+      { label: 'C', azimuth: 0, elevation: 0 },
+      { label: 'Ls', azimuth: 110, elevation: 0 },
+      { label: 'Rs', azimuth: -110, elevation: 0 },
+    ],
+  },
+  octagon: {
+    id: 'octagon',
+    name: 'Octagon',
+    speakers: ring([0, 45, 90, 135, 180, -135, -90, -45]),
+  },
+  dome: {
+    id: 'dome',
+    name: 'Dome (8 + 4 height)',
+    speakers: [
+      ...ring([0, 45, 90, 135, 180, -135, -90, -45]),
+      ...ring([45, 135, -135, -45], 45, 'H'),
+    ],
+  },
+};
+export const DEFAULT_SPEAKER_LAYOUT = 'octagon';
+
+function clampNumber(value, { min, max }, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function wrapAzimuth(azimuth) {
+  const wrapped = ((azimuth + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+}
+
+/**
+ * Copy of a preset layout
+ * @param {string} presetId - Key of SPEAKER_LAYOUT_PRESETS
+ * @returns {Object} - {name, speakers}
+ */
+export function createSpeakerLayout(presetId = DEFAULT_SPEAKER_LAYOUT) {
+  const preset = SPEAKER_LAYOUT_PRESETS[presetId] || SPEAKER_LAYOUT_PRESETS[DEFAULT_SPEAKER_LAYOUT];
+  return validateSpeakerLayout({ name: preset.name, speakers: preset.speakers });
+}
+
+/**
+ * Validate a loudspeaker layout (e.g. parsed from JSON)
+ * Accepts {name, speakers: [...]} or a bare speaker array; each speaker is
+ * {label, azimuth, elevation, gainDb, delayMs} (gain and delay are trims, default 0).
+ * @param {Object|Array} layout - Layout to check
+ * @returns {Object|null} - {name, speakers} with clamped values, or null without speakers
+ */
+export function validateSpeakerLayout(layout) {
+  const speakers = Array.isArray(layout) ? layout : layout?.speakers;
+  if (!Array.isArray(speakers) || speakers.length === 0) return null;
+
+  return {
+    name: typeof layout?.name === 'string' && layout.name.trim()
+      ? layout.name.trim().slice(0, 32)
+      : 'Custom layout',
+    speakers: speakers.slice(0, MAX_SPEAKERS).map((speaker, i) => ({
+      label: typeof speaker?.label === 'string' && speaker.label.trim()
+        ? speaker.label.trim().slice(0, MAX_LABEL_LENGTH)
+        : String(i + 1),
+      azimuth: wrapAzimuth(clampNumber(speaker?.azimuth, { min: -360, max: 360 }, 0)),
+      elevation: clampNumber(speaker?.elevation, SPEAKER_LIMITS.elevation, 0),
+      gainDb: clampNumber(speaker?.gainDb, SPEAKER_LIMITS.gainDb, 0),
+      delayMs: clampNumber(speaker?.delayMs, SPEAKER_LIMITS.delayMs, 0),
+    })),
+  };
+}
+
+function directionToVector(azimuth, elevation) {
+  const az = (azimuth * Math.PI) / 180;
+  const el = (elevation * Math.PI) / 180;
+  return [-Math.sin(az) * Math.cos(el), Math.cos(az) * Math.cos(el), Math.sin(el)];
+}
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+const subtract = (a, b) => a.map((value, i) => value - b[i]);
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+
+// Inverse of a 2x2 or 3x3 matrix given as rows, or null when singular
+function invert(rows) {
+  if (rows.length === 2) {
+    const [[a, b], [c, d]] = rows;
+    const det = a * d - b * c;
+    if (Math.abs(det) < GAIN_EPSILON) return null;
+    return [[d / det, -b / det], [-c / det, a / det]];
+  }
+  const [r0, r1, r2] = rows;
+  const det = dot(r0, cross(r1, r2));
+  if (Math.abs(det) < GAIN_EPSILON) return null;
+  // Columns of the inverse are the cross products of the rows
+  const columns = [cross(r1, r2), cross(r2, r0), cross(r0, r1)].map(column => column.map(v => v / det));
+  return [0, 1, 2].map(row => columns.map(column => column[row]));
+}
+
+// Adjacent pairs around the horizontal ring. A gap of 180° or more (the open side of a frontal
+// arc) is no pair: its inverse would cover the arc and win over the speakers inside it.
+function findSpeakerPairs(vectors, azimuths) {
+  const order = azimuths.map((azimuth, i) => ({ azimuth, i })).sort((a, b) => a.azimuth - b.azimuth);
+  const pairs = [];
+  for (let k = 0; k < order.length; k++) {
+    const next = order[(k + 1) % order.length];
+    if (next.i === order[k].i) continue;
+    const gap = (((next.azimuth - order[k].azimuth) % 360) + 360) % 360;
+    if (gap >= 180) continue;
+    const speakers = [order[k].i, next.i];
+    const inverse = invert(speakers.map(i => vectors[i].slice(0, 2)));
+    if (inverse) pairs.push({ speakers, inverse });
+  }
+  return pairs;
+}
+
+// Faces of the convex hull of the speaker directions (brute force, fine for up to 32 speakers)
+function findSpeakerTriangles(vectors) {
+  const triangles = [];
+  const n = vectors.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      for (let k = j + 1; k < n; k++) {
+        const normal = cross(subtract(vectors[j], vectors[i]), subtract(vectors[k], vectors[i]));
+        let above = false;
+        let below = false;
+        for (let l = 0; l < n && !(above && below); l++) {
+          if (l === i || l === j || l === k) continue;
+          const side = dot(normal, subtract(vectors[l], vectors[i]));
+          if (side > GAIN_EPSILON) above = true;
+          if (side < -GAIN_EPSILON) below = true;
+        }
+        if (above && below) continue;
+        const speakers = [i, j, k];
+        const inverse = invert(speakers.map(s => vectors[s]));
+        if (inverse) triangles.push({ speakers, inverse });
+      }
+    }
+  }
+  return triangles;
+}
+
+/**
+ * Prepare VBAP for a layout: speaker pairs around the ring (2D) or hull triangles (3D)
+ * Layouts whose speakers all share one elevation are panned in 2D (elevation ignored).
+ * In 3D, directions outside every triangle (e.g. below a dome) pan on the lowest ring.
+ * @param {Object} layout - Validated layout
+ * @returns {Object} - {count, is3d, vectors, bases: [{speakers, inverse}], ringBases}
+ */
+export function prepareVbap(layout) {
+  const speakers = layout?.speakers || [];
+  const elevations = speakers.map(speaker => speaker.elevation);
+  const lowest = Math.min(...elevations);
+  const is3d = speakers.length >= 3 && Math.max(...elevations) - lowest > PLANAR_SPREAD_DEGREES;
+  const vectors = speakers.map(speaker => directionToVector(speaker.azimuth, is3d ? speaker.elevation : 0));
+  const pairsOf = indices => findSpeakerPairs(
+    indices.map(i => directionToVector(speakers[i].azimuth, 0)),
+    indices.map(i => speakers[i].azimuth)
+  ).map(({ speakers: pair, inverse }) => ({ speakers: pair.map(k => indices[k]), inverse }));
+
+  let bases = [];
+  let ringBases = [];
+  if (speakers.length >= 2) {
+    bases = is3d ? findSpeakerTriangles(vectors) : pairsOf(speakers.map((_, i) => i));
+  }
+  if (is3d) {
+    const ring = speakers.map((_, i) => i).filter(i => elevations[i] - lowest <= PLANAR_SPREAD_DEGREES);
+    if (ring.length >= 2) ringBases = pairsOf(ring);
+  }
+  return { count: speakers.length, is3d, vectors, bases, ringBases };
+}
+
+// The base whose weakest gain is strongest contains the direction
+function findVbapBase(bases, direction) {
+  let best = null;
+  for (const base of bases) {
+    const weights = base.inverse[0].map((_, column) => base.inverse.reduce(
+      (sum, row, r) => sum + direction[r] * row[column], 0
+    ));
+    const weakest = Math.min(...weights);
+    if (weakest >= -GAIN_EPSILON && (!best || weakest > best.weakest)) {
+      best = { base, weights, weakest };
+    }
+  }
+  return best;
+}
+
+/**
+ * VBAP gains of a direction (power-normalized). Directions outside every speaker pair or
+ * triangle (e.g. behind a frontal arc) go to the nearest speaker.
+ * @param {Object} vbap - Result of prepareVbap
+ * @param {number} azimuth - Degrees (0 = front, 90 = left)
+ * @param {number} elevation - Degrees (90 = up)
+ * @returns {number[]} - One gain per speaker
+ */
+export function calculateVbapGains(vbap, azimuth, elevation) {
+  const gains = new Array(vbap.count).fill(0);
+  if (vbap.count === 0) return gains;
+
+  const target = directionToVector(azimuth, vbap.is3d ? elevation : 0);
+  const best = findVbapBase(vbap.bases, vbap.is3d ? target : target.slice(0, 2)) ||
+    findVbapBase(vbap.ringBases || [], directionToVector(azimuth, 0).slice(0, 2));
+
+  if (!best) {
+    let nearest = 0;
+    vbap.vectors.forEach((vector, i) => {
+      if (dot(vector, target) > dot(vbap.vectors[nearest], target)) nearest = i;
+    });
+    gains[nearest] = 1;
+    return gains;
+  }
+
+  const norm = Math.hypot(...best.weights.map(weight => Math.max(0, weight)));
+  best.base.speakers.forEach((speaker, i) => {
+    gains[speaker] = Math.max(0, best.weights[i]) / norm;
+  });
+  return gains;
+}
+
+/**
+ * Spread a stereo signal (reverb return) over a layout: left channel to the speakers on
+ * the left, right to the right, speakers near front and back to both; power-normalized per side.
+ * @param {Object} layout - Validated layout
+ * @returns {Array<[number, number]>} - [left, right] gain per speaker
+ */
+export function calculateStereoSpreadGains(layout) {
+  const sides = layout.speakers.map(({ azimuth }) => {
+    const lateral = Math.sin((azimuth * Math.PI) / 180);
+    if (Math.abs(lateral) < Math.sin((MEDIAN_PLANE_DEGREES * Math.PI) / 180)) {
+      return [Math.SQRT1_2, Math.SQRT1_2];
+    }
+    return lateral > 0 ? [1, 0] : [0, 1];
+  });
+  const even = 1 / Math.sqrt(sides.length);
+  const norms = [0, 1].map(side => Math.hypot(...sides.map(weights => weights[side])));
+  // A side without speakers (e.g. a frontal arc) is spread over all of them
+  return sides.map(weights => [0, 1].map(side => (norms[side] > 0 ? weights[side] / norms[side] : even)));
+}
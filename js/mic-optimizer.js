@@ -0,0 +1,167 @@
+// Main-array placement optimizer: searches the listener depth and technique parameters
+// for an even image spread, a balanced direct-to-reverb ratio and even section levels
+
+import { cloneMicConfig, getListenerPose, getTechnique } from './microphone-types.js';
+import { calculateStereoResponse, predictPhantomImage } from './microphone-math.js';
+import { STAGE_CONFIG, MIC_CONSTANTS } from './physics-constants.js';
+
+// Images of the outermost instruments aim at ±0.8 of the way to the loudspeakers
+const IMAGE_TARGET_WIDTH = 0.8;
+// Average direct-to-reverb ratio aimed for (0 dB = sources at the critical distance)
+const DRR_TARGET_DB = 0;
+// Error counted as "one unit" of cost for each goal
+const IMAGE_TOLERANCE = 0.2;
+const LEVEL_TOLERANCE_DB = 3;
+const DRR_TOLERANCE_DB = 6;
+// Search: the first pass covers each range in GRID_POINTS steps, later passes halve the step
+const GRID_POINTS = 9;
+const MAX_PASSES = 6;
+const MIN_ARRAY_GAP = 1; // Meters between the array and the nearest instrument
+const MIN_GAIN = 1e-6;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function powerDb(values) {
+  const mean = values.reduce((sum, value) => sum + value * value, 0) / values.length;
+  return 10 * Math.log10(Math.max(mean, MIN_GAIN * MIN_GAIN));
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * Rate a main-array placement against the tracks
+ * Image error is the RMS distance between each predicted image and its target (stage
+ * position mapped onto ±0.8 of the stereo base); level spread is the standard deviation
+ * of the section (instrument family) pickup levels, track gains left out.
+ *
+ * @param {Object} config - Microphone configuration
+ * @param {Array} tracks - [{x, y, height, family}] with normalized positions (x -1..1, y 0..1)
+ * @param {Object} [options]
+ * @param {number} [options.speedOfSound] - m/s
+ * @param {number|null} [options.criticalDistance] - Hall critical distance in meters (null skips the reverb goal)
+ * @returns {Object} {cost, imageError, levelSpreadDb, drrDb} (drrDb is null without a critical distance)
+ */
+export function evaluateMicPlacement(config, tracks, { speedOfSound, criticalDistance = null } = {}) {
+  const pose = getListenerPose(config);
+  const xs = tracks.map(track => track.x);
+  const xMid = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const xHalf = (Math.max(...xs) - Math.min(...xs)) / 2;
+
+  let imageError = 0;
+  const sectionGains = new Map();
+  const drrs = [];
+
+  for (const track of tracks) {
+    const sourceHeight = Number.isFinite(track.height) ? track.height : STAGE_CONFIG.sourceHeight;
+    const stage = { ...STAGE_CONFIG, sourceHeight, ...(speedOfSound ? { speedOfSound } : {}) };
+    const { left, right } = calculateStereoResponse(track, config, stage);
+
+    const target = xHalf > 0.01 ? IMAGE_TARGET_WIDTH * (track.x - xMid) / xHalf : 0;
+    imageError += (predictPhantomImage(left, right).position - target) ** 2;
+
+    const family = track.family || 'other';
+    if (!sectionGains.has(family)) sectionGains.set(family, []);
+    sectionGains.get(family).push(Math.hypot(left.gain, right.gain));
+
+    if (criticalDistance) {
+      const distance = Math.hypot(
+        track.x * (STAGE_CONFIG.width / 2) - pose.x,
+        track.y * STAGE_CONFIG.depth - pose.y,
+        sourceHeight - pose.height
+      );
+      drrs.push(20 * Math.log10(criticalDistance / Math.max(distance, MIC_CONSTANTS.minDistance)));
+    }
+  }
+
+  imageError = Math.sqrt(imageError / tracks.length);
+  // With a single section, compare the tracks instead
+  const levels = sectionGains.size > 1
+    ? [...sectionGains.values()].map(powerDb)
+    : [...sectionGains.values()][0].map(gain => powerDb([gain]));
+  const levelSpreadDb = standardDeviation(levels);
+  const drrDb = drrs.length > 0 ? drrs.reduce((sum, drr) => sum + drr, 0) / drrs.length : null;
+
+  const cost = (imageError / IMAGE_TOLERANCE) ** 2 +
+    (levelSpreadDb / LEVEL_TOLERANCE_DB) ** 2 +
+    (drrDb === null ? 0 : ((drrDb - DRR_TARGET_DB) / DRR_TOLERANCE_DB) ** 2);
+
+  return { cost, imageError, levelSpreadDb, drrDb };
+}
+
+/**
+ * Parameters the optimizer may change for the config's technique
+ * @returns {Array} [{key, min, max, step}]
+ */
+function getSearchParams(config, tracks) {
+  const technique = getTechnique(config);
+  const params = [];
+
+  if (technique?.adjustable?.micY) {
+    // From well back in the hall up to MIN_ARRAY_GAP in front of the nearest instrument
+    const nearestY = Math.min(...tracks.map(track => track.y * STAGE_CONFIG.depth));
+    const min = -Math.min(STAGE_CONFIG.audienceDepth, 15);
+    params.push({ key: 'micY', min, max: Math.max(min, nearestY - MIN_ARRAY_GAP), step: 0.1 });
+  }
+  for (const key of ['spacing', 'angle', 'centerDepth']) {
+    const range = technique?.adjustable?.[key];
+    if (range) params.push({ key, min: range.min, max: range.max, step: range.step });
+  }
+  return params;
+}
+
+/**
+ * Search the main-array placement for the current technique (coordinate descent)
+ * Only the listener depth (micY), spacing, angle and center depth are changed, within
+ * the technique's ranges; the result is never rated worse than the current placement.
+ *
+ * @param {Object} config - Microphone configuration
+ * @param {Array} tracks - [{x, y, height, family}] with normalized positions (x -1..1, y 0..1)
+ * @param {Object} [options] - See evaluateMicPlacement
+ * @returns {Object|null} {config, changes, before, after}, or null without tracks
+ */
+export function optimizeMicPlacement(config, tracks, options = {}) {
+  if (tracks.length === 0) return null;
+
+  const params = getSearchParams(config, tracks);
+  const before = evaluateMicPlacement(config, tracks, options);
+  const values = Object.fromEntries(params.map(({ key }) => [key, config[key]]));
+  let best = before;
+
+  const rate = candidate => evaluateMicPlacement({ ...config, ...candidate }, tracks, options);
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let refined = false;
+    for (const { key, min, max, step } of params) {
+      const range = max - min;
+      const delta = range / (GRID_POINTS - 1) / 2 ** pass;
+      if (range <= 0 || delta < step / 2) continue;
+      refined = true;
+
+      const center = pass === 0 ? (min + max) / 2 : values[key];
+      const half = (GRID_POINTS - 1) / 2;
+      for (let i = -half; i <= half; i++) {
+        const value = clamp(Math.round((center + i * delta) / step) * step, min, max);
+        const rounded = Number(value.toFixed(4));
+        if (rounded === values[key]) continue;
+        const result = rate({ ...values, [key]: rounded });
+        if (result.cost < best.cost) {
+          best = result;
+          values[key] = rounded;
+        }
+      }
+    }
+    if (!refined) break;
+  }
+
+  const optimized = { ...cloneMicConfig(config), ...values };
+  const changes = Object.fromEntries(
+    Object.entries(values).filter(([key, value]) => value !== config[key])
+  );
+  return { config: optimized, changes, before, after: best };
+}
@@ -1,14 +1,38 @@
 // Microphone Math - Polar pattern calculations and stereo routing
 // Physics-based microphone response simulation
 
-import { POLAR_PATTERNS, STEREO_TECHNIQUES, applyTechniqueLayout, cloneMicConfig } from './microphone-types.js';
+import {
+  POLAR_PATTERNS,
+  POLAR_BANDS,
+  applyTechniqueLayout,
+  cloneMicConfig,
+  getListenerPose,
+  getMicPolarPattern,
+  getMicRoute,
+  getTechnique,
+} from './microphone-types.js';
 import { STAGE_CONFIG, MIC_CONSTANTS } from './physics-constants.js';
 
-// Speed of sound at 20°C
+// Speed of sound at 20°C (default when the caller does not pass the hall's)
 const SPEED_OF_SOUND = 343;
+// Off-axis coloration limits: near a pattern's null the gains are tiny and band ratios explode
+const OFF_AXIS_GAIN_FLOOR = 0.05;
+const OFF_AXIS_MIN_DB = -24;
+const OFF_AXIS_MAX_DB = 12;
+const PROXIMITY_MAX_DB = 15;
+// Phantom image shift between two loudspeakers at ±30° (piecewise linear after Williams and
+// Sengpiel): [difference, shift] points, 1 = fully in one loudspeaker. Time and level shifts add.
+const PHANTOM_ITD_CURVE = [[0, 0], [0.6, 0.75], [1.12, 1]]; // ms
+const PHANTOM_ILD_CURVE = [[0, 0], [10, 0.75], [18, 1]]; // dB
+const RECORDING_ANGLE_STEP = 0.5; // Degrees between the directions swept for the SRA
 const layoutCache = new WeakMap();
 const polarPointsCache = new Map();
 
+// Pattern argument of the polar functions: a POLAR_PATTERNS key, or a pattern from resolvePolarPattern
+function lookupPattern(patternType) {
+  return typeof patternType === 'string' ? POLAR_PATTERNS[patternType] : patternType;
+}
+
 function getLayoutConfig(config) {
   if (!config) return config;
 
@@ -17,11 +41,14 @@ function getLayoutConfig(config) {
       .map(mic => [
         mic.id,
         mic.pattern,
+        mic.patternAlpha,
         mic.level,
         mic.enabled,
         mic.angle,
         mic.offsetX,
         mic.offsetY,
+        mic.height,
+        getMicRoute(mic).join(','),
       ].join(':'))
       .join('|')
     : '';
@@ -33,6 +60,7 @@ function getLayoutConfig(config) {
     config.centerDepth,
     config.centerLevel,
     config.micY,
+    config.tilt,
     micSignature,
   ].join('|');
 
@@ -46,16 +74,58 @@ function getLayoutConfig(config) {
   return layout;
 }
 
+/**
+ * Place an array mic in the hall: rotate its offsets and aim by the listener facing
+ * Offsets are array-relative (offsetX = right, offsetY = toward the stage).
+ * A mic without its own height sits at the array (listener) height.
+ *
+ * @param {Object} mic - Mic with offsetX, offsetY, angle, optional height and tilt
+ * @param {Object} pose - Listener pose {x, y, height, facing} from getListenerPose
+ * @returns {Object} {x, y, height, angle, tilt} in meters / degrees
+ */
+export function getMicWorldPosition(mic, pose) {
+  const facingRad = (pose.facing || 0) * Math.PI / 180;
+  const cos = Math.cos(facingRad);
+  const sin = Math.sin(facingRad);
+  const offsetX = mic.offsetX || 0;
+  const offsetY = mic.offsetY || 0;
+
+  return {
+    x: pose.x + offsetX * cos + offsetY * sin,
+    y: pose.y - offsetX * sin + offsetY * cos,
+    height: Number.isFinite(mic.height) ? mic.height : pose.height,
+    angle: (mic.angle || 0) + (pose.facing || 0),
+    tilt: mic.tilt || 0,
+  };
+}
+
+/**
+ * Mic axis as a unit vector
+ * @param {number} micAngle - Axis angle in DEGREES (0 = facing toward stage/+Y)
+ * @param {number} micTilt - Downward aim in DEGREES (0 = horizontal)
+ * @returns {{x: number, y: number, z: number}}
+ */
+function getMicAxis(micAngle, micTilt = 0) {
+  const micAxisRad = (90 - micAngle) * Math.PI / 180;
+  const tiltRad = (micTilt || 0) * Math.PI / 180;
+  const horizontal = Math.cos(tiltRad);
+  return {
+    x: Math.cos(micAxisRad) * horizontal,
+    y: Math.sin(micAxisRad) * horizontal,
+    z: -Math.sin(tiltRad),
+  };
+}
+
 /**
  * Calculate polar pattern gain for a given angle of incidence
  *
- * @param {string} patternType - Key from POLAR_PATTERNS
+ * @param {string|Object} patternType - Key from POLAR_PATTERNS, or a pattern from resolvePolarPattern
  * @param {number} theta - Angle in RADIANS between source direction and mic axis
  *                         0 = on-axis (front), PI = behind
  * @returns {number} Gain factor (can be negative for figure-8)
  */
 export function calculatePolarGain(patternType, theta) {
-  const pattern = POLAR_PATTERNS[patternType];
+  const pattern = lookupPattern(patternType);
   if (!pattern) {
     console.warn(`Unknown polar pattern: ${patternType}, defaulting to omni`);
     return 1.0;
@@ -75,6 +145,61 @@ export function calculatePolarGain(patternType, theta) {
   return gain;
 }
 
+/**
+ * Polar gain per octave band (POLAR_BANDS), same formula as calculatePolarGain with the band's alpha
+ *
+ * @param {string|Object} patternType - Key from POLAR_PATTERNS, or a pattern from resolvePolarPattern
+ * @param {number} theta - Angle in RADIANS between source direction and mic axis
+ * @returns {number[]} Gain per band (can be negative)
+ */
+export function calculatePolarBandGains(patternType, theta) {
+  const pattern = lookupPattern(patternType);
+  const alphas = pattern?.bandAlpha || POLAR_BANDS.map(() => pattern?.alpha ?? 1);
+  const cosTheta = Math.cos(theta);
+  return alphas.map(alpha => alpha + (1 - alpha) * cosTheta);
+}
+
+/**
+ * Off-axis coloration: level of each band relative to the broadband (1 kHz) polar gain,
+ * which the mic path already applies as a flat gain
+ *
+ * @param {string|Object} patternType - Key from POLAR_PATTERNS, or a pattern from resolvePolarPattern
+ * @param {number} theta - Angle in RADIANS between source direction and mic axis
+ * @returns {number[]} dB per POLAR_BANDS entry (0 on-axis for every pattern)
+ */
+export function calculateOffAxisBandsDb(patternType, theta) {
+  const reference = Math.max(Math.abs(calculatePolarGain(patternType, theta)), OFF_AXIS_GAIN_FLOOR);
+  return calculatePolarBandGains(patternType, theta).map(gain => {
+    const db = 20 * Math.log10(Math.max(Math.abs(gain), OFF_AXIS_GAIN_FLOOR) / reference);
+    return Math.max(OFF_AXIS_MIN_DB, Math.min(OFF_AXIS_MAX_DB, db));
+  });
+}
+
+/**
+ * Proximity effect: bass boost of a directional pattern for a nearby source.
+ * For a spherical wave the pressure-gradient term of G = alpha + (1 - alpha) * cos(theta)
+ * becomes (1 - alpha) * cos(theta) * (1 - j/(kr)), so the boost grows as the source gets
+ * closer and with the gradient share 1 - alpha (none for omni). It is evaluated an octave
+ * below the low-shelf corner (MIC_CONSTANTS.proximityShelfFreq).
+ *
+ * @param {string|Object} patternType - Key from POLAR_PATTERNS, or a pattern from resolvePolarPattern
+ * @param {number} theta - Angle in RADIANS between source direction and mic axis
+ * @param {number} distance - Source distance in meters (already clamped to minDistance)
+ * @param {number} speedOfSound - m/s
+ * @returns {number} Low-shelf gain in dB (0 to PROXIMITY_MAX_DB)
+ */
+export function calculateProximityDb(patternType, theta, distance, speedOfSound = SPEED_OF_SOUND) {
+  const alpha = lookupPattern(patternType)?.alpha ?? 1;
+  if (alpha >= 1 || !(distance > 0)) return 0;
+
+  const kr = 2 * Math.PI * (MIC_CONSTANTS.proximityShelfFreq / 2) / speedOfSound * distance;
+  const gradient = (1 - alpha) * Math.cos(theta);
+  const farGain = Math.max(Math.abs(alpha + gradient), OFF_AXIS_GAIN_FLOOR);
+  const nearGain = Math.max(Math.hypot(alpha + gradient, gradient / kr), OFF_AXIS_GAIN_FLOOR);
+  const db = 20 * Math.log10(nearGain / farGain);
+  return Math.max(0, Math.min(PROXIMITY_MAX_DB, db));
+}
+
 /**
  * Calculate the angle from a source to a microphone, accounting for mic orientation
  * Uses 3D geometry when heights are provided for consistency with ground reflections.
@@ -84,9 +209,10 @@ export function calculatePolarGain(patternType, theta) {
  * @param {number} micAngle - Mic axis angle in DEGREES (0 = facing toward stage/+Y)
  * @param {number} sourceHeight - Height of source above ground (optional)
  * @param {number} micHeight - Height of mic above ground (optional)
+ * @param {number} micTilt - Downward aim of the mic in DEGREES (0 = horizontal)
  * @returns {number} Angle in radians (0 = on-axis)
  */
-export function calculateIncidenceAngle(sourcePos, micPos, micAngle, sourceHeight = null, micHeight = null) {
+export function calculateIncidenceAngle(sourcePos, micPos, micAngle, sourceHeight = null, micHeight = null, micTilt = 0) {
   // Direction vector from mic to source (3D if heights provided)
   const dx = sourcePos.x - micPos.x;
   const dy = sourcePos.y - micPos.y;
@@ -97,14 +223,10 @@ export function calculateIncidenceAngle(sourcePos, micPos, micAngle, sourceHeigh
     return 0; // On-axis by definition
   }
 
-  // Mic axis direction (horizontal in 3D)
-  // micAngle = 0 means facing +Y (toward stage)
-  const micAxisRad = (90 - micAngle) * Math.PI / 180;
-  const axisX = Math.cos(micAxisRad);
-  const axisY = Math.sin(micAxisRad);
-  const axisZ = 0;
+  // Mic axis direction: micAngle = 0 means facing +Y (toward stage), tilted down by micTilt
+  const axis = getMicAxis(micAngle, micTilt);
 
-  const cosTheta = (dx * axisX + dy * axisY + dz * axisZ) / dist;
+  const cosTheta = (dx * axis.x + dy * axis.y + dz * axis.z) / dist;
   const clamped = Math.max(-1, Math.min(1, cosTheta));
   return Math.acos(clamped);
 }
@@ -113,16 +235,17 @@ export function calculateIncidenceAngle(sourcePos, micPos, micAngle, sourceHeigh
  * Calculate polar pattern gain for ground reflection (mirror source)
  * Accounts for 3D incidence angle from reflected sound path
  *
- * @param {string} patternType - Key from POLAR_PATTERNS
+ * @param {string|Object} patternType - Key from POLAR_PATTERNS, or a pattern from resolvePolarPattern
  * @param {Object} sourcePos - {x, y} source position in meters
  * @param {Object} micPos - {x, y} mic position in meters
  * @param {number} micAngle - Mic axis angle in DEGREES (0 = facing toward stage/+Y)
  * @param {number} sourceHeight - Height of source above ground
  * @param {number} micHeight - Height of mic above ground
+ * @param {number} micTilt - Downward aim of the mic in DEGREES (0 = horizontal)
  * @returns {number} Polar gain for the mirror source angle
  */
-export function calculateGroundReflectionPolarGain(patternType, sourcePos, micPos, micAngle, sourceHeight, micHeight) {
-  const pattern = POLAR_PATTERNS[patternType];
+export function calculateGroundReflectionPolarGain(patternType, sourcePos, micPos, micAngle, sourceHeight, micHeight, micTilt = 0) {
+  const pattern = lookupPattern(patternType);
   if (!pattern) {
     return 1.0; // Default to omni if unknown
   }
@@ -146,16 +269,12 @@ export function calculateGroundReflectionPolarGain(patternType, sourcePos, micPo
   const dirY = dy / dist;
   const dirZ = dz / dist;
 
-  // Mic axis direction in 3D (horizontal, based on mic angle)
-  // micAngle = 0 means facing +Y (toward stage)
-  // Mic axis is horizontal (z = 0)
-  const micAxisRad = (90 - micAngle) * Math.PI / 180;
-  const axisX = Math.cos(micAxisRad);
-  const axisY = Math.sin(micAxisRad);
-  const axisZ = 0;  // Mic axis is horizontal
+  // Mic axis direction in 3D: micAngle = 0 means facing +Y (toward stage)
+  // A downward tilt turns the axis toward the floor, and so toward the mirror source
+  const axis = getMicAxis(micAngle, micTilt);
 
   // 3D dot product gives cos(incidence angle)
-  const cosTheta = dirX * axisX + dirY * axisY + dirZ * axisZ;
+  const cosTheta = dirX * axis.x + dirY * axis.y + dirZ * axis.z;
   const clamped = Math.max(-1, Math.min(1, cosTheta));
 
   // Apply polar pattern formula: G = alpha + (1 - alpha) * cos(theta)
@@ -180,22 +299,27 @@ export function calculateDistance3D(source, mic, sourceHeight, micHeight) {
 
 /**
  * Calculate complete microphone response for a source
- * Combines polar pattern with distance-based attenuation
+ * Combines polar pattern with distance-based attenuation and proximity effect
  *
  * @param {Object} sourcePos - {x, y} in meters
- * @param {Object} mic - Mic configuration object with pattern, angle, offsetX, offsetY, level
+ * @param {Object} mic - Mic configuration object with pattern, angle, offsetX, offsetY, level, optional height, tilt,
+ *                       patternAlpha and dualCapsule
  * @param {Object} micBasePos - {x, y} base mic position in meters
- * @param {Object} options - {sourceHeight, micHeight, refDistance, minDistance}
- * @returns {Object} {gain, distance, delay, patternGain, incidenceAngle}
+ * @param {Object} options - {sourceHeight, micHeight, refDistance, minDistance, speedOfSound}
+ *                           (mic.height, when set, overrides options.micHeight)
+ * @returns {Object} {gain, distance, delay, patternGain, offAxisDb, proximityDb, incidenceAngle}
  */
 export function calculateMicrophoneResponse(sourcePos, mic, micBasePos, options = {}) {
   const {
     sourceHeight = STAGE_CONFIG.sourceHeight,
-    micHeight = STAGE_CONFIG.micHeight,
+    micHeight: arrayHeight = STAGE_CONFIG.micHeight,
     refDistance = MIC_CONSTANTS.refDistance,
     minDistance = MIC_CONSTANTS.minDistance,
+    speedOfSound = SPEED_OF_SOUND,
   } = options;
 
+  const micHeight = Number.isFinite(mic.height) ? mic.height : arrayHeight;
+
   // Calculate actual mic position with offsets
   const micPos = {
     x: micBasePos.x + (mic.offsetX || 0),
@@ -214,8 +338,11 @@ export function calculateMicrophoneResponse(sourcePos, mic, micBasePos, options
   const distanceGain = refDistance / effectiveDist;
 
   // Polar pattern gain based on incidence angle
-  const incidenceAngle = calculateIncidenceAngle(sourcePos, micPos, mic.angle || 0, sourceHeight, micHeight);
-  const patternGain = calculatePolarGain(mic.pattern || 'omni', incidenceAngle);
+  const incidenceAngle = calculateIncidenceAngle(
+    sourcePos, micPos, mic.angle || 0, sourceHeight, micHeight, mic.tilt || 0
+  );
+  const pattern = getMicPolarPattern(mic);
+  const patternGain = calculatePolarGain(pattern, incidenceAngle);
 
   // Level adjustment (dB to linear)
   const levelGain = Math.pow(10, (mic.level || 0) / 20);
@@ -224,32 +351,100 @@ export function calculateMicrophoneResponse(sourcePos, mic, micBasePos, options
   const totalGain = distanceGain * patternGain * levelGain;
 
   // Propagation delay
-  const delay = effectiveDist / SPEED_OF_SOUND;
+  const delay = effectiveDist / speedOfSound;
 
   return {
     gain: totalGain,
     distance: effectiveDist,
     delay,
     patternGain, // For visualization/debugging
+    offAxisDb: calculateOffAxisBandsDb(pattern, incidenceAngle), // Per POLAR_BANDS entry
+    proximityDb: calculateProximityDb(pattern, incidenceAngle, effectiveDist, speedOfSound),
     incidenceAngle, // For visualization/debugging
   };
 }
 
+/**
+ * Calculate the response of a spot mic (same polar/distance model as the array mics)
+ *
+ * @param {Object} sourcePos - {x, y} in meters
+ * @param {Object} spot - Spot mic {x, y, height, pattern, patternAlpha, angle, tilt, level}
+ * @param {Object} options - {sourceHeight, refDistance, minDistance, speedOfSound}
+ * @returns {Object} {gain, distance, delay, patternGain, offAxisDb, proximityDb, incidenceAngle}
+ */
+export function calculateSpotResponse(sourcePos, spot, options = {}) {
+  return calculateMicrophoneResponse(
+    sourcePos,
+    { ...spot, offsetX: 0, offsetY: 0 },
+    { x: spot.x, y: spot.y },
+    options
+  );
+}
+
+/**
+ * Delay that time-aligns a spot mic with the main array: the travel time from the spot
+ * to the array, so a source next to the spot lines up with its arrival at the main pair
+ *
+ * @param {Object} spot - Spot mic {x, y, height}
+ * @param {Object} pose - Listener pose {x, y, height} from getListenerPose
+ * @param {number} speedOfSound - m/s
+ * @returns {number} Seconds
+ */
+export function calculateSpotAlignmentDelay(spot, pose, speedOfSound = SPEED_OF_SOUND) {
+  return calculateDistance3D(spot, pose, spot.height, pose.height) / speedOfSound;
+}
+
+/**
+ * Equal-power pan law (center = -3dB in each channel, like the Decca center mic)
+ * @param {number} pan - -1 (left) to 1 (right)
+ * @returns {{left: number, right: number}}
+ */
+export function calculatePanGains(pan) {
+  const theta = ((Math.max(-1, Math.min(1, pan || 0)) + 1) * Math.PI) / 4;
+  return { left: Math.cos(theta), right: Math.sin(theta) };
+}
+
+/**
+ * Routing matrix of the enabled array mics into L/R, with M/S decoding folded in
+ * (M/S width w maps each output to (1±w)/2 of its own side plus (1∓w)/2 of the other).
+ * For the Mid-Side technique this leaves M untouched and scales S by w.
+ *
+ * @param {Object} config - Microphone configuration
+ * @returns {Object} micId -> [left gain, right gain]
+ */
+export function calculateMicRouting(config) {
+  const decode = config.msDecodeEnabled || getTechnique(config)?.routingMode === 'ms';
+  const width = decode ? config.msWidth : 1;
+  const same = (1 + width) / 2;
+  const cross = (1 - width) / 2;
+  const routing = {};
+
+  for (const mic of getLayoutConfig(config).mics) {
+    if (!mic.enabled) continue;
+    const [left, right] = getMicRoute(mic);
+    routing[mic.id] = [left * same + right * cross, left * cross + right * same];
+  }
+
+  return routing;
+}
+
 /**
  * Calculate stereo output from all mics in a technique configuration
- * Returns L/R (and optionally C) gains and delays for routing
+ * Returns L/R gains and delays for routing, plus the per-mic responses and routing matrix
  *
  * @param {Object} sourcePos - {x, y} normalized position (-1 to 1, 0 to 1)
  * @param {Object} config - Microphone configuration from createMicrophoneConfig
- * @param {Object} stageConfig - {width, depth, sourceHeight, micHeight}
- * @returns {Object} {left: {gain, delay}, right: {gain, delay}, center?: {...}, micResponses: {...}}
+ * @param {Object} stageConfig - {width, depth, sourceHeight, micHeight, speedOfSound}
+ * @returns {Object} {left: {gain, delay}, right: {gain, delay}, micResponses: {...}, routing: {...}}
  */
 export function calculateStereoResponse(sourcePos, config, stageConfig = STAGE_CONFIG) {
   const resolvedStage = stageConfig || STAGE_CONFIG;
   const width = resolvedStage.width ?? STAGE_CONFIG.width;
   const depth = resolvedStage.depth ?? STAGE_CONFIG.depth;
   const sourceHeight = resolvedStage.sourceHeight ?? STAGE_CONFIG.sourceHeight;
-  const micHeight = resolvedStage.micHeight ?? STAGE_CONFIG.micHeight;
+  const speedOfSound = resolvedStage.speedOfSound ?? SPEED_OF_SOUND;
+  const pose = getListenerPose(config);
+  const micHeight = getArrayHeight(config, resolvedStage);
 
   // Convert normalized position to meters
   const sourcePosMeters = {
@@ -260,10 +455,8 @@ export function calculateStereoResponse(sourcePos, config, stageConfig = STAGE_C
   // Apply technique layout to get current mic positions
   const layoutConfig = getLayoutConfig(config);
 
-  // Base mic position (all mics relative to this)
-  const micBasePos = { x: 0, y: config.micY };
-
-  const technique = STEREO_TECHNIQUES[config.technique];
+  // Base mic position: the listener (all mics relative to this, rotated by facing)
+  const micBasePos = { x: pose.x, y: pose.y };
 
   // Calculate response for each mic
   const micResponses = {};
@@ -271,129 +464,174 @@ export function calculateStereoResponse(sourcePos, config, stageConfig = STAGE_C
   for (const mic of layoutConfig.mics) {
     if (!mic.enabled) continue;
 
+    const world = getMicWorldPosition(mic, pose);
     micResponses[mic.id] = calculateMicrophoneResponse(
       sourcePosMeters,
-      mic,
+      {
+        ...mic,
+        offsetX: world.x - pose.x,
+        offsetY: world.y - pose.y,
+        angle: world.angle,
+        tilt: world.tilt,
+        dualCapsule: !!config.dualCapsule,
+      },
       micBasePos,
-      { sourceHeight, micHeight }
+      { sourceHeight, micHeight, speedOfSound }
     );
   }
 
-  // Route to stereo based on technique
-  const result = routeToStereo(micResponses, layoutConfig, technique);
-
-  // Apply M/S decoding if enabled
-  if (config.msDecodeEnabled && result.left && result.right) {
-    const decoded = applyMSDecode(result.left.gain, result.right.gain, config.msWidth);
-    result.left.gain = decoded.left;
-    result.right.gain = decoded.right;
-  }
+  // Route to stereo through the routing matrix (M/S decoding included)
+  const routing = calculateMicRouting(config);
+  const result = routeToStereo(micResponses, routing);
 
   // Include individual mic responses for advanced use
   result.micResponses = micResponses;
+  result.routing = routing;
 
   return result;
 }
 
-/**
- * Route mic responses to stereo outputs based on technique
- * @param {Object} responses - Per-mic response objects
- * @param {Object} config - Mic configuration
- * @param {Object} technique - Technique definition
- * @returns {Object} {left: {gain, delay}, right: {gain, delay}, center?: {...}}
- */
-function routeToStereo(responses, config, technique) {
-  let left = { gain: 0, delay: 0 };
-  let right = { gain: 0, delay: 0 };
-  let center = null;
-
-  if (!technique) {
-    // Fallback: simple L->Left, R->Right
-    if (responses.L) {
-      left = { gain: responses.L.gain, delay: responses.L.delay };
-    }
-    if (responses.R) {
-      right = { gain: responses.R.gain, delay: responses.R.delay };
+// Image shift (signed, 0..±1) for a time or level difference
+function getPhantomShift(difference, curve) {
+  const magnitude = Math.abs(difference);
+  let shift = 1;
+  for (let i = 1; i < curve.length; i++) {
+    const [x0, y0] = curve[i - 1];
+    const [x1, y1] = curve[i];
+    if (magnitude <= x1) {
+      shift = y0 + (y1 - y0) * (magnitude - x0) / (x1 - x0);
+      break;
     }
-    return { left, right };
   }
+  return Math.sign(difference) * shift;
+}
 
-  if (technique.routingMode === 'decca' && technique.hasCenter) {
-    // Decca Tree: L + C*level -> Left, R + C*level -> Right
-    // Center contributes to both channels at -3dB (equal-power pan law)
-    const centerMixGain = Math.SQRT1_2; // -3dB = 1/√2 ≈ 0.707
+// Height of the main array: the listener's when set, else the stage default
+function getArrayHeight(config, stageConfig) {
+  return Number.isFinite(config.listenerHeight)
+    ? getListenerPose(config).height
+    : (stageConfig.micHeight ?? STAGE_CONFIG.micHeight);
+}
 
-    if (responses.L) {
-      left.gain = responses.L.gain;
-      left.delay = responses.L.delay;
-    }
-    if (responses.R) {
-      right.gain = responses.R.gain;
-      right.delay = responses.R.delay;
-    }
-    if (responses.C) {
-      // Add center contribution to both channels
-      left.gain += responses.C.gain * centerMixGain;
-      right.gain += responses.C.gain * centerMixGain;
+/**
+ * Predict where a source images between the loudspeakers
+ * Uses the ITD and ILD between the stereo outputs of the main array (spots are ignored).
+ *
+ * @param {Object} sourcePos - {x, y} normalized position (-1 to 1, 0 to 1)
+ * @param {Object} config - Microphone configuration from createMicrophoneConfig
+ * @param {Object} stageConfig - {width, depth, sourceHeight, micHeight, speedOfSound}
+ * @returns {Object} {position, itd, ild} - position -1 = left speaker, 0 = centre, 1 = right speaker
+ */
+export function calculatePhantomImage(sourcePos, config, stageConfig = STAGE_CONFIG) {
+  const { left, right } = calculateStereoResponse(sourcePos, config, stageConfig);
+  return predictPhantomImage(left, right);
+}
 
-      // Keep L/R delays as absolute values - audio engine handles timing normalization.
-      // The audio engine implements true 3-mic timing with separate delay lines
-      // (delayL, delayR, delayC) each receiving baseDelay + ITD for proper arrival times.
-      // Center is returned here for the audio engine to process independently.
+/**
+ * Predict a phantom image from the stereo outputs of calculateStereoResponse
+ * @param {Object} left - {gain, delay}
+ * @param {Object} right - {gain, delay}
+ * @returns {Object} {position, itd, ild} (see calculatePhantomImage)
+ */
+export function predictPhantomImage(left, right) {
+  const itd = calculateITD(left.delay, right.delay);
+  const ild = calculateILD(left.gain, right.gain);
+  const shift = getPhantomShift(ild, PHANTOM_ILD_CURVE) + getPhantomShift(itd, PHANTOM_ITD_CURVE);
+  return { position: Math.max(-1, Math.min(1, shift)), itd, ild };
+}
 
-      center = { gain: responses.C.gain, delay: responses.C.delay };
-    }
-  } else {
-    // Standard: L -> Left, R -> Right
-    if (responses.L) {
-      left = { gain: responses.L.gain, delay: responses.L.delay };
-    }
-    if (responses.R) {
-      right = { gain: responses.R.gain, delay: responses.R.delay };
+/**
+ * Stereo Recording Angle: the span of source directions that images between the loudspeakers
+ * Sources are swept around the array at a fixed distance and array height; each edge is
+ * the first direction whose image reaches a loudspeaker.
+ *
+ * @param {Object} config - Microphone configuration from createMicrophoneConfig
+ * @param {Object} stageConfig - {width, depth, micHeight, speedOfSound}
+ * @param {number|null} [distance] - Sweep radius in meters (null = array to stage centre)
+ * @returns {Object|null} {left, right, angle, distance} - Edge directions in degrees from the
+ *          array facing (negative = left), or null when an image never reaches a loudspeaker
+ */
+export function calculateRecordingAngle(config, stageConfig = STAGE_CONFIG, distance = null) {
+  const resolvedStage = stageConfig || STAGE_CONFIG;
+  const width = resolvedStage.width ?? STAGE_CONFIG.width;
+  const depth = resolvedStage.depth ?? STAGE_CONFIG.depth;
+  const pose = getListenerPose(config);
+  const radius = distance ?? Math.max(1, Math.hypot(pose.x, depth / 2 - pose.y));
+  const sweepStage = { ...resolvedStage, sourceHeight: getArrayHeight(config, resolvedStage) };
+
+  const findEdge = side => {
+    for (let deg = 0; deg <= 90; deg += RECORDING_ANGLE_STEP) {
+      const rad = (side * deg + (pose.facing || 0)) * Math.PI / 180;
+      const sourcePos = {
+        x: (pose.x + radius * Math.sin(rad)) / (width / 2),
+        y: (pose.y + radius * Math.cos(rad)) / depth,
+      };
+      if (calculatePhantomImage(sourcePos, config, sweepStage).position * side >= 1) {
+        return side * deg;
+      }
     }
-  }
+    return null;
+  };
 
-  return { left, right, center };
+  const left = findEdge(-1);
+  const right = findEdge(1);
+  if (left === null || right === null) return null;
+  return { left, right, angle: right - left, distance: radius };
 }
 
 /**
- * Apply M/S (Mid-Side) decode processing to stereo signals
- * Mid = (L + R) / 2, Side = (L - R) / 2
- * Output: L = Mid + width*Side, R = Mid - width*Side
- *
- * @param {number} leftGain - Left channel gain
- * @param {number} rightGain - Right channel gain
- * @param {number} width - Width control (0=mono, 1=normal, 2=extra wide)
- * @returns {Object} {left, right} decoded gains
+ * Route mic responses to stereo outputs
+ * Each output sums its mics' gains weighted by the routing matrix; its delay is that of
+ * the mic feeding it most strongly (the engine times every mic on its own delay line).
+ * @param {Object} responses - Per-mic response objects
+ * @param {Object} routing - micId -> [left gain, right gain]
+ * @returns {Object} {left: {gain, delay}, right: {gain, delay}}
  */
-function applyMSDecode(leftGain, rightGain, width) {
-  const mid = (leftGain + rightGain) / 2;
-  const side = (leftGain - rightGain) / 2;
+function routeToStereo(responses, routing) {
+  const left = { gain: 0, delay: 0 };
+  const right = { gain: 0, delay: 0 };
+  let leftWeight = 0;
+  let rightWeight = 0;
+
+  for (const [id, response] of Object.entries(responses)) {
+    const [routeL, routeR] = routing[id] || [0, 0];
+    left.gain += response.gain * routeL;
+    right.gain += response.gain * routeR;
+    if (Math.abs(routeL) > leftWeight) {
+      leftWeight = Math.abs(routeL);
+      left.delay = response.delay;
+    }
+    if (Math.abs(routeR) > rightWeight) {
+      rightWeight = Math.abs(routeR);
+      right.delay = response.delay;
+    }
+  }
 
-  return {
-    left: mid + width * side,
-    right: mid - width * side,
-  };
+  return { left, right };
 }
 
 /**
  * Calculate polar pattern points for visualization
  * Returns array of {x, y} points normalized to unit circle
  *
- * @param {string} patternType - Pattern type ID
+ * @param {string|Object} patternType - Pattern type ID, or a pattern from resolvePolarPattern
  * @param {number} steps - Number of points to generate
+ * @param {number|null} [band] - Frequency from POLAR_BANDS (null = broadband)
  * @returns {Array} Array of {x, y, gain} points
  */
-export function getPolarPatternPoints(patternType, steps = 72) {
-  const cacheKey = `${patternType}:${steps}`;
+export function getPolarPatternPoints(patternType, steps = 72, band = null) {
+  const cacheKey = `${lookupPattern(patternType)?.id ?? patternType}:${steps}:${band}`;
   const cached = polarPointsCache.get(cacheKey);
   if (cached) return cached;
 
   const points = [];
+  const bandIndex = POLAR_BANDS.indexOf(band);
 
   for (let i = 0; i <= steps; i++) {
     const theta = (i / steps) * 2 * Math.PI;
-    const gain = calculatePolarGain(patternType, theta);
+    const gain = bandIndex >= 0
+      ? calculatePolarBandGains(patternType, theta)[bandIndex]
+      : calculatePolarGain(patternType, theta);
 
     // For figure-8, we need to handle negative lobes
     const r = Math.abs(gain);
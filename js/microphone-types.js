@@ -1,10 +1,21 @@
 // Microphone Types - Polar patterns, stereo techniques, and presets
 // For realistic microphone simulation in the orchestral mixer
 
+import { STAGE_CONFIG } from './physics-constants.js';
+
+/**
+ * Octave bands of the frequency-dependent polar patterns (Hz)
+ * A pattern's broadband `alpha` is its value at POLAR_REFERENCE_HZ.
+ */
+export const POLAR_BANDS = [125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const POLAR_REFERENCE_HZ = 1000;
+
 /**
  * Polar pattern definitions
  * Formula: G(theta) = alpha + (1 - alpha) * cos(theta)
  * where alpha is the omnidirectional component
+ * bandAlpha: alpha per POLAR_BANDS entry (small-diaphragm capsules: omnis narrow at high
+ * frequencies, directional patterns widen at low frequencies and narrow at the top)
  */
 export const POLAR_PATTERNS = {
   omni: {
@@ -12,6 +23,7 @@ export const POLAR_PATTERNS = {
     name: 'Omnidirectional',
     shortName: 'Omni',
     alpha: 1.0, // G = 1 (constant in all directions)
+    bandAlpha: [1, 1, 1, 1, 0.98, 0.93, 0.83, 0.7],
     description: 'Equal pickup from all directions',
     color: '#4CAF50', // Green
   },
@@ -20,6 +32,7 @@ export const POLAR_PATTERNS = {
     name: 'Cardioid',
     shortName: 'Card',
     alpha: 0.5, // G = 0.5 * (1 + cos(theta))
+    bandAlpha: [0.64, 0.57, 0.52, 0.5, 0.49, 0.47, 0.43, 0.38],
     description: 'Heart-shaped, rejects rear sound',
     color: '#2196F3', // Blue
   },
@@ -28,6 +41,7 @@ export const POLAR_PATTERNS = {
     name: 'Supercardioid',
     shortName: 'Super',
     alpha: 0.37, // G = 0.37 + 0.63 * cos(theta)
+    bandAlpha: [0.47, 0.42, 0.38, 0.37, 0.36, 0.34, 0.31, 0.28],
     description: 'Narrower than cardioid with small rear lobe',
     color: '#9C27B0', // Purple
   },
@@ -36,14 +50,34 @@ export const POLAR_PATTERNS = {
     name: 'Hypercardioid',
     shortName: 'Hyper',
     alpha: 0.25, // G = 0.25 + 0.75 * cos(theta)
+    bandAlpha: [0.35, 0.3, 0.26, 0.25, 0.25, 0.24, 0.22, 0.2],
     description: 'Narrowest pattern with larger rear lobe',
     color: '#FF9800', // Orange
   },
+  widecardioid: {
+    id: 'widecardioid',
+    name: 'Wide Cardioid',
+    shortName: 'Wide',
+    alpha: 0.7, // G = 0.7 + 0.3 * cos(theta)
+    bandAlpha: [0.84, 0.78, 0.72, 0.7, 0.68, 0.63, 0.56, 0.48],
+    description: 'Between omni and cardioid, gentle rear rejection',
+    color: '#009688', // Teal
+  },
+  subcardioid: {
+    id: 'subcardioid',
+    name: 'Subcardioid',
+    shortName: 'Sub',
+    alpha: 0.8, // G = 0.8 + 0.2 * cos(theta)
+    bandAlpha: [0.92, 0.87, 0.82, 0.8, 0.78, 0.73, 0.64, 0.54],
+    description: 'Omni with a slight front bias',
+    color: '#8BC34A', // Light green
+  },
   figure8: {
     id: 'figure8',
     name: 'Figure-8',
     shortName: 'Fig-8',
     alpha: 0.0, // G = cos(theta) - can be negative!
+    bandAlpha: [0, 0, 0, 0, 0, 0, 0, 0], // Pressure-gradient figure-8s stay symmetric across the band
     description: 'Front/back pickup, null at sides',
     color: '#F44336', // Red
     isBidirectional: true, // Allows negative gain (phase inversion)
@@ -51,8 +85,202 @@ export const POLAR_PATTERNS = {
 };
 
 /**
- * Stereo recording technique configurations
+ * Continuously variable patterns (multi-pattern mics): a mic's `patternAlpha`, from 1 (omni)
+ * to 0 (figure-8), overrides the alpha of its preset; `pattern` then names the nearest preset.
+ */
+export const PATTERN_ALPHA_LIMITS = { min: 0, max: 1, step: 0.01 };
+
+// Presets from figure-8 to omni, for interpolating band alphas
+const PATTERNS_BY_ALPHA = Object.values(POLAR_PATTERNS).sort((a, b) => a.alpha - b.alpha);
+
+/**
+ * Clamp a continuous pattern setting
+ * @param {number|null} patternAlpha
+ * @returns {number|null} Alpha rounded to PATTERN_ALPHA_LIMITS.step, or null for none
+ */
+export function validatePatternAlpha(patternAlpha) {
+  if (!Number.isFinite(patternAlpha)) return null;
+  const { min, max, step } = PATTERN_ALPHA_LIMITS;
+  return Math.round(Math.max(min, Math.min(max, patternAlpha)) / step) / Math.round(1 / step);
+}
+
+/**
+ * Preset closest to an alpha
+ * @param {number} alpha - 1 (omni) to 0 (figure-8)
+ * @returns {string} Pattern ID
+ */
+export function getNearestPattern(alpha) {
+  return PATTERNS_BY_ALPHA.reduce((best, pattern) => (
+    Math.abs(pattern.alpha - alpha) < Math.abs(best.alpha - alpha) ? pattern : best
+  )).id;
+}
+
+/**
+ * Effective alpha of a mic: its continuous setting, or its preset's alpha
+ * @param {string} pattern - Pattern ID
+ * @param {number|null} [patternAlpha] - Continuous setting
+ * @returns {number}
+ */
+export function getPatternAlpha(pattern, patternAlpha = null) {
+  return Number.isFinite(patternAlpha) ? patternAlpha : (POLAR_PATTERNS[pattern] || POLAR_PATTERNS.omni).alpha;
+}
+
+/**
+ * Band alphas of a single-capsule pattern between two presets (linear in alpha)
+ * @param {number} alpha
+ * @returns {number[]}
+ */
+function interpolateBandAlpha(alpha) {
+  const upper = PATTERNS_BY_ALPHA.find(pattern => pattern.alpha >= alpha) || POLAR_PATTERNS.omni;
+  const lower = [...PATTERNS_BY_ALPHA].reverse().find(pattern => pattern.alpha <= alpha) || POLAR_PATTERNS.figure8;
+  const t = upper.alpha > lower.alpha ? (alpha - lower.alpha) / (upper.alpha - lower.alpha) : 0;
+  return lower.bandAlpha.map((low, i) => low + (upper.bandAlpha[i] - low) * t);
+}
+
+/**
+ * Band alphas of a dual-diaphragm mic: back-to-back cardioid capsules summed as F + k * B
+ * with k = 2 * alpha - 1 (1 = omni, 0 = cardioid, -1 = figure-8). Each band inherits the
+ * capsules' own coloration, so in-between patterns differ from a single-capsule mic.
+ * @param {number} alpha
+ * @returns {number[]}
+ */
+function getDualCapsuleBandAlpha(alpha) {
+  return POLAR_PATTERNS.cardioid.bandAlpha.map(capsule => {
+    const pressure = capsule * alpha;
+    const gradient = (1 - capsule) * (1 - alpha);
+    return pressure + gradient > 0 ? pressure / (pressure + gradient) : 0;
+  });
+}
+
+/**
+ * Pattern a mic actually uses: its preset, or a pattern built from its continuous setting.
+ * The result has the same fields as a POLAR_PATTERNS entry and is accepted wherever a pattern ID is.
+ * @param {string} pattern - Pattern ID
+ * @param {number|null} [patternAlpha] - Continuous setting
+ * @param {boolean} [dualCapsule] - Emulate a dual-diaphragm mic
+ * @returns {Object} Pattern definition
+ */
+export function resolvePolarPattern(pattern, patternAlpha = null, dualCapsule = false) {
+  const preset = POLAR_PATTERNS[pattern] || POLAR_PATTERNS.omni;
+  if (!Number.isFinite(patternAlpha) && !dualCapsule) return preset;
+
+  const alpha = getPatternAlpha(pattern, patternAlpha);
+  const nearest = POLAR_PATTERNS[getNearestPattern(alpha)];
+  return {
+    ...nearest,
+    id: `${dualCapsule ? 'dual' : 'variable'}-${alpha.toFixed(2)}`,
+    shortName: getPatternLabel(pattern, patternAlpha),
+    alpha,
+    bandAlpha: dualCapsule ? getDualCapsuleBandAlpha(alpha) : interpolateBandAlpha(alpha),
+  };
+}
+
+/**
+ * Pattern of a mic object ({pattern, patternAlpha, dualCapsule})
+ * @param {Object} mic - Array mic or spot mic
+ * @returns {Object} Pattern definition (see resolvePolarPattern)
+ */
+export function getMicPolarPattern(mic) {
+  return resolvePolarPattern(mic?.pattern, mic?.patternAlpha, !!mic?.dualCapsule);
+}
+
+/**
+ * Short pattern label: the preset's short name, or the alpha of an in-between setting
+ * @param {string} pattern - Pattern ID
+ * @param {number|null} [patternAlpha] - Continuous setting
+ * @returns {string}
+ */
+export function getPatternLabel(pattern, patternAlpha = null) {
+  const alpha = getPatternAlpha(pattern, patternAlpha);
+  const preset = PATTERNS_BY_ALPHA.find(candidate => Math.abs(candidate.alpha - alpha) < 0.005);
+  return preset ? preset.shortName : `α ${alpha.toFixed(2)}`;
+}
+
+/**
+ * Surround channel layouts for multichannel export, in WAV (WAVEFORMATEXTENSIBLE) channel order.
+ * channelMask holds the WAV speaker bits. 5.1 uses side surrounds (Ls/Rs, ITU-R BS.775);
+ * 7.1 has side (Lss/Rss) and rear (Lrs/Rrs) pairs. LFE is left silent (no bass management).
+ */
+export const SURROUND_LAYOUTS = {
+  '5.1': { id: '5.1', name: '5.1', channels: ['L', 'R', 'C', 'LFE', 'Ls', 'Rs'], channelMask: 0x60F },
+  '7.1': { id: '7.1', name: '7.1', channels: ['L', 'R', 'C', 'LFE', 'Lrs', 'Rrs', 'Lss', 'Rss'], channelMask: 0x63F },
+};
+export const DEFAULT_SURROUND_LAYOUT = '5.1';
+
+// Where a channel goes in a layout without it (5.1 surrounds sit between the 7.1 side and rear pairs)
+const SURROUND_FALLBACKS = {
+  Ls: { Lss: Math.SQRT1_2, Lrs: Math.SQRT1_2 },
+  Rs: { Rss: Math.SQRT1_2, Rrs: Math.SQRT1_2 },
+  Lss: { Ls: 1 },
+  Lrs: { Ls: 1 },
+  Rss: { Rs: 1 },
+  Rrs: { Rs: 1 },
+};
+
+// Stereo monitoring of surround channels (ITU-R BS.775 downmix: center and surrounds at -3 dB)
+const STEREO_DOWNMIX = {
+  L: [1, 0],
+  R: [0, 1],
+  C: [Math.SQRT1_2, Math.SQRT1_2],
+  Ls: [Math.SQRT1_2, 0],
+  Rs: [0, Math.SQRT1_2],
+  Lss: [Math.SQRT1_2, 0],
+  Rss: [0, Math.SQRT1_2],
+  Lrs: [Math.SQRT1_2, 0],
+  Rrs: [0, Math.SQRT1_2],
+};
+
+/**
+ * Gains of a channel feed in a surround layout
+ * @param {Object} feed - Channel name -> gain, e.g. {L: 1}; names from either layout
+ * @param {string} layoutId - Key of SURROUND_LAYOUTS
+ * @returns {number[]} - One gain per layout channel
+ */
+export function mapSurroundFeed(feed, layoutId) {
+  const layout = SURROUND_LAYOUTS[layoutId] || SURROUND_LAYOUTS[DEFAULT_SURROUND_LAYOUT];
+  const gains = layout.channels.map(() => 0);
+  for (const [name, gain] of Object.entries(feed || {})) {
+    const targets = layout.channels.includes(name) ? { [name]: 1 } : SURROUND_FALLBACKS[name] || {};
+    for (const [target, share] of Object.entries(targets)) {
+      const index = layout.channels.indexOf(target);
+      if (index >= 0) gains[index] += gain * share;
+    }
+  }
+  return gains;
+}
+
+/**
+ * Surround routing of an array mic: the technique's feed (`surround`, or `surround71` for 7.1),
+ * else its stereo route into L/R
+ * @param {Object} technique - Technique definition
+ * @param {Object} mic - Array mic; its route is the stereo one (M/S width included)
+ * @param {string} layoutId - Key of SURROUND_LAYOUTS
+ * @returns {number[]} - One gain per layout channel
+ */
+export function getSurroundRoute(technique, mic, layoutId) {
+  const templateMic = technique?.mics.find(m => m.id === mic.id);
+  const feed = (layoutId === '7.1' && templateMic?.surround71) || templateMic?.surround;
+  if (feed) return mapSurroundFeed(feed, layoutId);
+  const [left, right] = getMicRoute(mic);
+  return mapSurroundFeed({ L: left, R: right }, layoutId);
+}
+
+// Surround array mic: its stereo route is the downmix of its surround feed
+function surroundMic(mic) {
+  const route = [0, 0];
+  for (const [name, gain] of Object.entries(mic.surround)) {
+    const [left, right] = STEREO_DOWNMIX[name] || [0, 0];
+    route[0] += left * gain;
+    route[1] += right * gain;
+  }
+  return { ...mic, route };
+}
+
+/**
+ * Recording technique configurations (stereo, plus surround arrays marked isSurround)
  * All positions in meters, angles in degrees
+ * A mic may carry `route: [left, right]`, its gains into the stereo output (see getMicRoute),
+ * and `surround`, its feed into the surround channels (see getSurroundRoute).
  */
 export const STEREO_TECHNIQUES = {
   'spaced-pair': {
@@ -129,6 +357,31 @@ export const STEREO_TECHNIQUES = {
     routingMode: 'direct',
   },
 
+  'mid-side': {
+    id: 'mid-side',
+    name: 'Mid-Side (M/S)',
+    description: 'Forward mid mic plus a sideways figure-8, decoded to L/R with adjustable width',
+    micCount: 2,
+    mics: [
+      {
+        id: 'M', label: 'Mid', defaultAngle: 0, defaultOffsetX: 0, defaultOffsetY: 0, defaultPattern: 'cardioid',
+        route: [Math.SQRT1_2, Math.SQRT1_2],
+      },
+      {
+        // Positive lobe to the left: L = M + S, R = M - S
+        id: 'S', label: 'Side', defaultAngle: -90, defaultOffsetX: 0, defaultOffsetY: 0, defaultPattern: 'figure8',
+        fixedPattern: 'figure8', route: [Math.SQRT1_2, -Math.SQRT1_2],
+      },
+    ],
+    adjustable: {
+      msWidth: { min: 0, max: 2, default: 1, step: 0.05, unit: '', label: 'Width', description: '0 = mono (mid only), 1 = as recorded, 2 = extra wide' },
+      pattern: true, // Mid mic only; the side mic is always a figure-8
+      micY: true,
+    },
+    isCoincident: true,
+    routingMode: 'ms', // Side routes scaled by msWidth (see calculateMicRouting)
+  },
+
   'decca-tree': {
     id: 'decca-tree',
     name: 'Decca Tree',
@@ -136,7 +389,7 @@ export const STEREO_TECHNIQUES = {
     micCount: 3,
     mics: [
       { id: 'L', label: 'Left', defaultAngle: 0, defaultOffsetX: -1, defaultOffsetY: 0, defaultPattern: 'omni' },
-      { id: 'C', label: 'Center', defaultAngle: 0, defaultOffsetX: 0, defaultOffsetY: 1.5, defaultPattern: 'omni' },
+      { id: 'C', label: 'Center', defaultAngle: 0, defaultOffsetX: 0, defaultOffsetY: 1.5, defaultPattern: 'omni', surround: { C: 1 } },
       { id: 'R', label: 'Right', defaultAngle: 0, defaultOffsetX: 1, defaultOffsetY: 0, defaultPattern: 'omni' },
     ],
     adjustable: {
@@ -150,8 +403,378 @@ export const STEREO_TECHNIQUES = {
     hasCenter: true,
     routingMode: 'decca', // L+C->Left, R+C->Right
   },
+
+  'nos': {
+    id: 'nos',
+    name: 'NOS',
+    description: 'Dutch broadcast standard: 30cm spacing, 90° angle',
+    micCount: 2,
+    mics: [
+      { id: 'L', label: 'Left', defaultAngle: -45, defaultOffsetX: -0.15, defaultOffsetY: 0, defaultPattern: 'cardioid' },
+      { id: 'R', label: 'Right', defaultAngle: 45, defaultOffsetX: 0.15, defaultOffsetY: 0, defaultPattern: 'cardioid' },
+    ],
+    adjustable: {
+      spacing: { min: 0.2, max: 0.5, default: 0.3, step: 0.01, unit: 'm', label: 'Spacing' },
+      angle: { min: 70, max: 110, default: 90, step: 5, unit: '°', label: 'Angle' },
+      pattern: true,
+      micY: true,
+    },
+    isCoincident: false,
+    routingMode: 'direct',
+  },
+
+  'din': {
+    id: 'din',
+    name: 'DIN',
+    description: 'German standard: 20cm spacing, 90° angle',
+    micCount: 2,
+    mics: [
+      { id: 'L', label: 'Left', defaultAngle: -45, defaultOffsetX: -0.1, defaultOffsetY: 0, defaultPattern: 'cardioid' },
+      { id: 'R', label: 'Right', defaultAngle: 45, defaultOffsetX: 0.1, defaultOffsetY: 0, defaultPattern: 'cardioid' },
+    ],
+    adjustable: {
+      spacing: { min: 0.1, max: 0.4, default: 0.2, step: 0.01, unit: 'm', label: 'Spacing' },
+      angle: { min: 70, max: 110, default: 90, step: 5, unit: '°', label: 'Angle' },
+      pattern: true,
+      micY: true,
+    },
+    isCoincident: false,
+    routingMode: 'direct',
+  },
+
+  'jecklin': {
+    id: 'jecklin',
+    name: 'Jecklin Disc (OSS)',
+    description: 'Omnis 36cm apart, splayed 40° (the disc baffle itself is not modeled)',
+    micCount: 2,
+    mics: [
+      { id: 'L', label: 'Left', defaultAngle: -20, defaultOffsetX: -0.18, defaultOffsetY: 0, defaultPattern: 'omni' },
+      { id: 'R', label: 'Right', defaultAngle: 20, defaultOffsetX: 0.18, defaultOffsetY: 0, defaultPattern: 'omni' },
+    ],
+    adjustable: {
+      spacing: { min: 0.16, max: 0.4, default: 0.36, step: 0.01, unit: 'm', label: 'Spacing' },
+      angle: { min: 0, max: 60, default: 40, step: 5, unit: '°', label: 'Angle' },
+      pattern: true,
+      micY: true,
+    },
+    isCoincident: false,
+    routingMode: 'direct',
+  },
+
+  'faulkner': {
+    id: 'faulkner',
+    name: 'Faulkner Phased Array',
+    description: 'Two figure-8s 20cm apart, both facing the stage',
+    micCount: 2,
+    mics: [
+      { id: 'L', label: 'Left', defaultAngle: 0, defaultOffsetX: -0.1, defaultOffsetY: 0, defaultPattern: 'figure8' },
+      { id: 'R', label: 'Right', defaultAngle: 0, defaultOffsetX: 0.1, defaultOffsetY: 0, defaultPattern: 'figure8' },
+    ],
+    adjustable: {
+      spacing: { min: 0.15, max: 0.3, default: 0.2, step: 0.01, unit: 'm', label: 'Spacing' },
+      micY: true,
+    },
+    isCoincident: false,
+    fixedPattern: 'figure8',
+    routingMode: 'direct',
+  },
+
+  'wide-cardioids': {
+    id: 'wide-cardioids',
+    name: 'Spaced Wide Cardioids',
+    description: 'Parallel wide cardioids: spaced-pair timing with some rear rejection',
+    micCount: 2,
+    mics: [
+      { id: 'L', label: 'Left', defaultAngle: 0, defaultOffsetX: -0.3, defaultOffsetY: 0, defaultPattern: 'widecardioid' },
+      { id: 'R', label: 'Right', defaultAngle: 0, defaultOffsetX: 0.3, defaultOffsetY: 0, defaultPattern: 'widecardioid' },
+    ],
+    adjustable: {
+      spacing: { min: 0.3, max: 2, default: 0.6, step: 0.05, unit: 'm', label: 'Spacing' },
+      pattern: true,
+      micY: true,
+    },
+    isCoincident: false,
+    routingMode: 'direct',
+  },
+
+  'fukada-tree': {
+    id: 'fukada-tree',
+    name: 'Fukada Tree',
+    description: 'NHK surround tree: L/C/R cardioids in front, Ls/Rs cardioids facing the rear corners',
+    micCount: 5,
+    mics: [
+      surroundMic({ id: 'L', label: 'Left', defaultAngle: -60, defaultOffsetX: -0.9, defaultOffsetY: 0, defaultPattern: 'cardioid', surround: { L: 1 } }),
+      surroundMic({ id: 'C', label: 'Center', defaultAngle: 0, defaultOffsetX: 0, defaultOffsetY: 0.9, defaultPattern: 'cardioid', surround: { C: 1 } }),
+      surroundMic({ id: 'R', label: 'Right', defaultAngle: 60, defaultOffsetX: 0.9, defaultOffsetY: 0, defaultPattern: 'cardioid', surround: { R: 1 } }),
+      surroundMic({ id: 'Ls', label: 'Left surround', defaultAngle: -135, defaultOffsetX: -0.9, defaultOffsetY: -1.8, defaultPattern: 'cardioid', surround: { Ls: 1 } }),
+      surroundMic({ id: 'Rs', label: 'Right surround', defaultAngle: 135, defaultOffsetX: 0.9, defaultOffsetY: -1.8, defaultPattern: 'cardioid', surround: { Rs: 1 } }),
+    ],
+    adjustable: {
+      pattern: true,
+      micY: true,
+    },
+    isCoincident: false,
+    isSurround: true,
+    routingMode: 'surround', // Stereo playback uses the downmix routes
+  },
+
+  'ina-5': {
+    id: 'ina-5',
+    name: 'INA-5',
+    description: 'Ideal cardioid arrangement: five cardioids on a small star, one per 5.1 channel',
+    micCount: 5,
+    mics: [
+      surroundMic({ id: 'L', label: 'Left', defaultAngle: -90, defaultOffsetX: -0.345, defaultOffsetY: 0, defaultPattern: 'cardioid', surround: { L: 1 } }),
+      surroundMic({ id: 'C', label: 'Center', defaultAngle: 0, defaultOffsetX: 0, defaultOffsetY: 0.175, defaultPattern: 'cardioid', surround: { C: 1 } }),
+      surroundMic({ id: 'R', label: 'Right', defaultAngle: 90, defaultOffsetX: 0.345, defaultOffsetY: 0, defaultPattern: 'cardioid', surround: { R: 1 } }),
+      surroundMic({ id: 'Ls', label: 'Left surround', defaultAngle: -150, defaultOffsetX: -0.3, defaultOffsetY: -0.49, defaultPattern: 'cardioid', surround: { Ls: 1 } }),
+      surroundMic({ id: 'Rs', label: 'Right surround', defaultAngle: 150, defaultOffsetX: 0.3, defaultOffsetY: -0.49, defaultPattern: 'cardioid', surround: { Rs: 1 } }),
+    ],
+    adjustable: {
+      pattern: true,
+      micY: true,
+    },
+    isCoincident: false,
+    isSurround: true,
+    routingMode: 'surround',
+  },
+
+  'oct-surround': {
+    id: 'oct-surround',
+    name: 'OCT Surround',
+    description: 'Optimized Cardioid Triangle: forward cardioid, sideways supercardioids, rear cardioids 40cm behind',
+    micCount: 5,
+    mics: [
+      surroundMic({
+        id: 'L', label: 'Left', defaultAngle: -90, defaultOffsetX: -0.35, defaultOffsetY: 0, defaultPattern: 'supercardioid',
+        fixedPattern: 'supercardioid', surround: { L: 1 },
+      }),
+      surroundMic({ id: 'C', label: 'Center', defaultAngle: 0, defaultOffsetX: 0, defaultOffsetY: 0.08, defaultPattern: 'cardioid', surround: { C: 1 } }),
+      surroundMic({
+        id: 'R', label: 'Right', defaultAngle: 90, defaultOffsetX: 0.35, defaultOffsetY: 0, defaultPattern: 'supercardioid',
+        fixedPattern: 'supercardioid', surround: { R: 1 },
+      }),
+      surroundMic({ id: 'Ls', label: 'Left surround', defaultAngle: 180, defaultOffsetX: -0.35, defaultOffsetY: -0.4, defaultPattern: 'cardioid', surround: { Ls: 1 } }),
+      surroundMic({ id: 'Rs', label: 'Right surround', defaultAngle: 180, defaultOffsetX: 0.35, defaultOffsetY: -0.4, defaultPattern: 'cardioid', surround: { Rs: 1 } }),
+    ],
+    adjustable: {
+      pattern: true, // Center and rear mics; the side supercardioids are fixed
+      micY: true,
+    },
+    isCoincident: false,
+    isSurround: true,
+    routingMode: 'surround',
+  },
+
+  'hamasaki-square': {
+    id: 'hamasaki-square',
+    name: 'Hamasaki Square',
+    description: 'Ambience array: four sideways figure-8s in a 2m square, front pair to L/R, rear pair to the surrounds',
+    micCount: 4,
+    mics: [
+      surroundMic({ id: 'L', label: 'Front left', defaultAngle: -90, defaultOffsetX: -1, defaultOffsetY: 1, defaultPattern: 'figure8', surround: { L: 1 }, surround71: { Lss: 1 } }),
+      surroundMic({ id: 'R', label: 'Front right', defaultAngle: 90, defaultOffsetX: 1, defaultOffsetY: 1, defaultPattern: 'figure8', surround: { R: 1 }, surround71: { Rss: 1 } }),
+      surroundMic({ id: 'Ls', label: 'Rear left', defaultAngle: -90, defaultOffsetX: -1, defaultOffsetY: -1, defaultPattern: 'figure8', surround: { Ls: 1 }, surround71: { Lrs: 1 } }),
+      surroundMic({ id: 'Rs', label: 'Rear right', defaultAngle: 90, defaultOffsetX: 1, defaultOffsetY: -1, defaultPattern: 'figure8', surround: { Rs: 1 }, surround71: { Rrs: 1 } }),
+    ],
+    adjustable: {
+      micY: true,
+      // pattern is NOT adjustable - sideways figure-8s keep the direct sound out
+    },
+    isCoincident: false,
+    isSurround: true,
+    fixedPattern: 'figure8',
+    routingMode: 'surround',
+  },
 };
 
+/**
+ * User-defined arrays: any number of mics with their own offsets, aim, pattern, level and routing.
+ * Stored in micConfig.customTechniques as
+ * {id, name, mics: [{id, label, offsetX, offsetY, angle, pattern, patternAlpha, level, route}]}
+ * and resolved to STEREO_TECHNIQUES-shaped definitions by getTechnique.
+ */
+export const CUSTOM_TECHNIQUE_PREFIX = 'custom-';
+export const MAX_CUSTOM_TECHNIQUES = 12;
+export const MAX_ARRAY_MICS = 8;
+
+export const ARRAY_MIC_LIMITS = {
+  offset: { min: -6, max: 6, step: 0.01 }, // Meters from the listener (x right, y toward the stage)
+  level: { min: -24, max: 12, step: 0.5 }, // dB
+  route: { min: -1, max: 1, step: 0.05 }, // Gain into L or R (negative = polarity inverted, e.g. M/S side)
+};
+
+/**
+ * Stereo routing of an array mic: explicit `route`, or the classic L/R/C assignment by ID
+ * (center and other mics go to both sides at -3dB)
+ * @param {Object} mic - Array mic
+ * @returns {[number, number]} - [left gain, right gain]
+ */
+export function getMicRoute(mic) {
+  if (Array.isArray(mic?.route) && mic.route.length === 2 && mic.route.every(Number.isFinite)) {
+    return [mic.route[0], mic.route[1]];
+  }
+  if (mic?.id === 'L') return [1, 0];
+  if (mic?.id === 'R') return [0, 1];
+  return [Math.SQRT1_2, Math.SQRT1_2];
+}
+
+/**
+ * Whether a technique ID refers to a user-defined array
+ * @param {string} techniqueId
+ * @returns {boolean}
+ */
+export function isCustomTechniqueId(techniqueId) {
+  return typeof techniqueId === 'string' && techniqueId.startsWith(CUSTOM_TECHNIQUE_PREFIX);
+}
+
+/**
+ * Next free custom technique ID
+ * @param {Array} customTechniques - Existing user-defined arrays
+ * @returns {string}
+ */
+export function getNextCustomTechniqueId(customTechniques = []) {
+  const used = customTechniques
+    .map(def => parseInt(String(def.id).slice(CUSTOM_TECHNIQUE_PREFIX.length), 10))
+    .filter(Number.isFinite);
+  return `${CUSTOM_TECHNIQUE_PREFIX}${used.length > 0 ? Math.max(...used) + 1 : 1}`;
+}
+
+/**
+ * Next free mic ID in a user-defined array
+ * @param {Array} mics - Existing array mics
+ * @returns {string}
+ */
+export function getNextArrayMicId(mics = []) {
+  const ids = new Set(mics.map(mic => mic.id));
+  let n = 1;
+  while (ids.has(`M${n}`)) n++;
+  return `M${n}`;
+}
+
+/**
+ * Clamp a user-defined array to the supported ranges
+ * Mic IDs are made unique; an array keeps at least one mic.
+ * @param {Object} def - {id, name, mics}
+ * @returns {Object|null} Validated copy, or null when unusable
+ */
+export function validateCustomTechnique(def) {
+  if (!def || !isCustomTechniqueId(def.id)) return null;
+
+  const number = (value, fallback, { min, max }) =>
+    Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+  const mics = [];
+  for (const mic of Array.isArray(def.mics) ? def.mics : []) {
+    if (!mic || mics.length >= MAX_ARRAY_MICS) continue;
+    const rawId = typeof mic.id === 'string' ? mic.id.trim().slice(0, 3) : '';
+    const id = rawId && !mics.some(m => m.id === rawId) ? rawId : getNextArrayMicId(mics);
+    const route = getMicRoute({ ...mic, id });
+    const patternAlpha = validatePatternAlpha(mic.patternAlpha);
+    mics.push({
+      id,
+      label: typeof mic.label === 'string' && mic.label.trim() ? mic.label.trim().slice(0, 24) : id,
+      offsetX: number(mic.offsetX, 0, ARRAY_MIC_LIMITS.offset),
+      offsetY: number(mic.offsetY, 0, ARRAY_MIC_LIMITS.offset),
+      angle: wrapDegrees(Number.isFinite(mic.angle) ? mic.angle : 0),
+      pattern: patternAlpha !== null
+        ? getNearestPattern(patternAlpha)
+        : POLAR_PATTERNS[mic.pattern] ? mic.pattern : 'omni',
+      patternAlpha,
+      level: number(mic.level, 0, ARRAY_MIC_LIMITS.level),
+      route: route.map(gain => number(gain, 0, ARRAY_MIC_LIMITS.route)),
+    });
+  }
+  if (mics.length === 0) return null;
+
+  return {
+    id: def.id,
+    name: typeof def.name === 'string' && def.name.trim() ? def.name.trim().slice(0, 32) : 'Custom array',
+    mics,
+  };
+}
+
+/**
+ * Turn a user-defined array into a technique definition (same shape as STEREO_TECHNIQUES entries)
+ * Only the listener position is adjustable; everything else is edited per mic.
+ * @param {Object} def - Validated user-defined array
+ * @returns {Object}
+ */
+function buildCustomTechnique(def) {
+  return {
+    id: def.id,
+    name: def.name,
+    description: `${def.mics.length} mic${def.mics.length === 1 ? '' : 's'}, custom routing`,
+    micCount: def.mics.length,
+    mics: def.mics.map(mic => ({
+      id: mic.id,
+      label: mic.label,
+      defaultAngle: mic.angle,
+      defaultOffsetX: mic.offsetX,
+      defaultOffsetY: mic.offsetY,
+      defaultPattern: mic.pattern,
+      defaultPatternAlpha: mic.patternAlpha,
+      defaultLevel: mic.level,
+      route: mic.route,
+    })),
+    adjustable: {
+      micY: true,
+    },
+    isCoincident: def.mics.every(mic => mic.offsetX === 0 && mic.offsetY === 0),
+    routingMode: 'matrix',
+    isCustom: true,
+  };
+}
+
+/**
+ * Look up a technique: built-in, or one of the user-defined arrays
+ * @param {string} techniqueId - Technique ID
+ * @param {Array} [customTechniques] - User-defined arrays (micConfig.customTechniques)
+ * @returns {Object|null} Technique definition
+ */
+export function resolveTechnique(techniqueId, customTechniques = []) {
+  if (STEREO_TECHNIQUES[techniqueId]) return STEREO_TECHNIQUES[techniqueId];
+  if (!isCustomTechniqueId(techniqueId) || !Array.isArray(customTechniques)) return null;
+
+  const def = customTechniques.find(custom => custom?.id === techniqueId);
+  return def ? buildCustomTechnique(def) : null;
+}
+
+/**
+ * Technique of a microphone configuration
+ * @param {Object} config - Microphone configuration
+ * @returns {Object|null} Technique definition
+ */
+export function getTechnique(config) {
+  return resolveTechnique(config?.technique, config?.customTechniques);
+}
+
+/**
+ * Copy the current array (with spacing/angle applied) as a new user-defined array
+ * @param {Object} config - Microphone configuration
+ * @param {string} id - New custom technique ID
+ * @param {string} [name] - Name (defaults to "<technique> (custom)")
+ * @returns {Object} Validated user-defined array
+ */
+export function createCustomTechniqueFromConfig(config, id, name = null) {
+  const technique = getTechnique(config);
+  const layout = applyTechniqueLayout(cloneMicConfig(config));
+  return validateCustomTechnique({
+    id,
+    name: name || `${technique?.name || 'Array'} (custom)`,
+    mics: layout.mics.map(mic => ({
+      id: mic.id,
+      label: mic.label,
+      offsetX: mic.offsetX,
+      offsetY: mic.offsetY,
+      angle: mic.angle,
+      pattern: mic.pattern,
+      patternAlpha: mic.patternAlpha,
+      level: mic.level,
+      route: getMicRoute(mic),
+    })),
+  });
+}
+
 /**
  * Recording scenario presets
  * Pre-configured setups for common recording situations
@@ -234,6 +857,133 @@ export const RECORDING_PRESETS = {
   },
 };
 
+/**
+ * Listener seat presets
+ * y is meters from the stage front (negative = audience), facing in degrees
+ * (0 = toward the stage, positive = turned right)
+ */
+export const LISTENER_SEATS = {
+  'front-row': {
+    id: 'front-row',
+    name: 'Front row',
+    x: 0,
+    y: -2,
+    height: 1.2,
+    facing: 0,
+  },
+  'conductor': {
+    id: 'conductor',
+    name: 'Conductor',
+    x: 0,
+    y: 0.5,
+    height: 1.8,
+    facing: 0,
+  },
+  'mid-hall': {
+    id: 'mid-hall',
+    name: 'Mid-hall',
+    x: 0,
+    y: -12,
+    height: 1.2,
+    facing: 0,
+  },
+  'side-stalls': {
+    id: 'side-stalls',
+    name: 'Side stalls',
+    x: -8,
+    y: -8,
+    height: 1.2,
+    facing: 25,
+  },
+  'balcony': {
+    id: 'balcony',
+    name: 'Balcony',
+    x: 0,
+    y: -24,
+    height: 8,
+    facing: 0,
+  },
+};
+
+/**
+ * Spot microphones: extra mics anywhere on the stage (woodwind desk, soloist, ...),
+ * panned into the main array's stereo mix. Positions are hall meters (x right, y toward the stage back).
+ */
+export const MAX_SPOT_MICS = 8;
+
+export const SPOT_MIC_LIMITS = {
+  level: { min: -30, max: 12, step: 0.5 }, // dB
+  pan: { min: -1, max: 1, step: 0.05 }, // -1 = left, 1 = right
+  tilt: { min: 0, max: 90, step: 5 }, // Degrees below horizontal (90 = pointing straight down)
+  height: { min: 0.5, max: 6, step: 0.1 }, // Meters
+};
+
+/**
+ * Create a spot mic
+ * @param {string} id - Spot ID ("S1", "S2", ...)
+ * @param {Object} overrides - Optional field overrides
+ * @returns {Object} Spot mic {id, label, x, y, height, pattern, patternAlpha, angle, tilt, level, pan,
+ *   delayCompensation, enabled}
+ */
+export function createSpotMic(id, overrides = {}) {
+  return validateSpotMic({
+    id,
+    label: `Spot ${id.replace(/^S/, '')}`,
+    x: 0,
+    y: 2,
+    height: 2,
+    pattern: 'cardioid',
+    patternAlpha: null, // Continuous setting (see PATTERN_ALPHA_LIMITS), null = the preset
+    angle: 0, // 0 = aimed toward the stage back (at players behind the stand)
+    tilt: 30,
+    level: -6, // Spots usually sit under the main pickup
+    pan: 0,
+    delayCompensation: true, // Hold back by the distance to the main array
+    enabled: true,
+    ...overrides,
+  });
+}
+
+/**
+ * Next free spot mic ID
+ * @param {Array} spots - Existing spot mics
+ * @returns {string}
+ */
+export function getNextSpotMicId(spots = []) {
+  const used = spots.map(spot => parseInt(String(spot.id).slice(1), 10)).filter(Number.isFinite);
+  return `S${used.length > 0 ? Math.max(...used) + 1 : 1}`;
+}
+
+/**
+ * Clamp a spot mic to the stage and the supported ranges
+ * @param {Object} spot - Spot mic
+ * @returns {Object} Validated copy
+ */
+export function validateSpotMic(spot) {
+  const number = (value, fallback, { min, max }) =>
+    Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+  const halfWidth = STAGE_CONFIG.width / 2;
+  const patternAlpha = validatePatternAlpha(spot.patternAlpha);
+
+  return {
+    id: String(spot.id),
+    label: typeof spot.label === 'string' && spot.label.trim() ? spot.label.trim().slice(0, 24) : String(spot.id),
+    x: number(spot.x, 0, { min: -halfWidth, max: halfWidth }),
+    y: number(spot.y, 2, { min: 0, max: STAGE_CONFIG.depth }),
+    height: number(spot.height, 2, SPOT_MIC_LIMITS.height),
+    pattern: patternAlpha !== null
+      ? getNearestPattern(patternAlpha)
+      : POLAR_PATTERNS[spot.pattern] ? spot.pattern : 'cardioid',
+    patternAlpha,
+    angle: wrapDegrees(Number.isFinite(spot.angle) ? spot.angle : 0),
+    tilt: number(spot.tilt, 0, SPOT_MIC_LIMITS.tilt),
+    level: number(spot.level, 0, SPOT_MIC_LIMITS.level),
+    pan: number(spot.pan, 0, SPOT_MIC_LIMITS.pan),
+    delayCompensation: spot.delayCompensation !== false,
+    enabled: spot.enabled !== false,
+  };
+}
+
 /**
  * Create a microphone configuration object
  * @param {string} techniqueId - ID of stereo technique
@@ -241,7 +991,10 @@ export const RECORDING_PRESETS = {
  * @returns {Object} Complete microphone configuration
  */
 export function createMicrophoneConfig(techniqueId = 'spaced-pair', overrides = {}) {
-  const technique = STEREO_TECHNIQUES[techniqueId];
+  const customTechniques = Array.isArray(overrides.customTechniques)
+    ? overrides.customTechniques.map(def => validateCustomTechnique(def)).filter(Boolean)
+    : [];
+  const technique = resolveTechnique(techniqueId, customTechniques);
   if (!technique) {
     console.warn(`Unknown technique: ${techniqueId}, defaulting to spaced-pair`);
     return createMicrophoneConfig('spaced-pair', overrides);
@@ -251,18 +1004,27 @@ export function createMicrophoneConfig(techniqueId = 'spaced-pair', overrides =
   const mics = technique.mics.map(m => ({
     id: m.id,
     label: m.label,
-    pattern: technique.fixedPattern || m.defaultPattern,
+    pattern: technique.fixedPattern || m.fixedPattern || m.defaultPattern,
+    patternAlpha: m.defaultPatternAlpha ?? null, // Continuous setting (see PATTERN_ALPHA_LIMITS), null = the preset
     angle: m.defaultAngle,
     offsetX: m.defaultOffsetX,
     offsetY: m.defaultOffsetY,
-    level: 0, // dB adjustment
+    level: m.defaultLevel ?? 0, // dB adjustment
     enabled: true,
+    height: null, // Meters above the floor, null = array (listener) height
+    route: getMicRoute(m), // [left, right] gains into the stereo output
   }));
 
   // Build config with technique defaults
   const config = {
     technique: techniqueId,
+
+    // Listener pose: the main array (or binaural head) is mounted here
     micY: -1.0, // Default: 1m in front of stage
+    listenerX: 0,
+    listenerHeight: STAGE_CONFIG.micHeight,
+    listenerFacing: 0, // Degrees, 0 = toward stage, positive = turned right
+    tilt: 0, // Array aim in degrees below horizontal (tall stands / hung arrays)
 
     mics,
 
@@ -272,9 +1034,18 @@ export function createMicrophoneConfig(techniqueId = 'spaced-pair', overrides =
     centerDepth: technique.adjustable.centerDepth?.default ?? 1.5,
     centerLevel: technique.adjustable.centerLevel?.default ?? 0,
 
-    // M/S processing options
+    // M/S processing options (the Mid-Side technique always decodes with msWidth)
     msDecodeEnabled: false,
-    msWidth: 1.0, // 0 = mono, 1 = normal, >1 = wider
+    msWidth: technique.adjustable.msWidth?.default ?? 1.0, // 0 = mono, 1 = normal, >1 = wider
+
+    // Model the main mics as dual-diaphragm mics (front and back cardioid capsules)
+    dualCapsule: false,
+
+    // Spot mics (independent of the technique, see createSpotMic)
+    spots: [],
+
+    // User-defined arrays (see validateCustomTechnique)
+    customTechniques,
   };
 
   // Apply overrides
@@ -283,15 +1054,38 @@ export function createMicrophoneConfig(techniqueId = 'spaced-pair', overrides =
   if (overrides.centerDepth !== undefined) config.centerDepth = overrides.centerDepth;
   if (overrides.centerLevel !== undefined) config.centerLevel = overrides.centerLevel;
   if (overrides.micY !== undefined) config.micY = overrides.micY;
+  if (overrides.tilt !== undefined) config.tilt = overrides.tilt;
+  if (overrides.micHeights) {
+    config.mics.forEach(m => {
+      if (overrides.micHeights[m.id] !== undefined) m.height = overrides.micHeights[m.id];
+    });
+  }
+  if (overrides.listener) {
+    config.micY = overrides.listener.y;
+    config.listenerX = overrides.listener.x;
+    config.listenerHeight = overrides.listener.height;
+    config.listenerFacing = overrides.listener.facing;
+  }
   if (overrides.pattern !== undefined && technique.adjustable.pattern) {
     config.mics.forEach(m => {
-      if (!technique.fixedPattern) {
+      if (!getFixedPattern(technique, m.id)) {
         m.pattern = overrides.pattern;
       }
     });
   }
+  if (overrides.patternAlpha !== undefined && technique.adjustable.pattern) {
+    const patternAlpha = validatePatternAlpha(overrides.patternAlpha);
+    config.mics.forEach(m => {
+      if (!getFixedPattern(technique, m.id) && patternAlpha !== null) {
+        m.pattern = getNearestPattern(patternAlpha);
+        m.patternAlpha = patternAlpha;
+      }
+    });
+  }
+  if (overrides.dualCapsule !== undefined) config.dualCapsule = !!overrides.dualCapsule;
   if (overrides.msDecodeEnabled !== undefined) config.msDecodeEnabled = overrides.msDecodeEnabled;
   if (overrides.msWidth !== undefined) config.msWidth = overrides.msWidth;
+  if (Array.isArray(overrides.spots)) config.spots = overrides.spots.map(spot => ({ ...spot }));
 
   return config;
 }
@@ -311,6 +1105,30 @@ export function createConfigFromPreset(presetId) {
   return createMicrophoneConfig(preset.technique, preset.settings);
 }
 
+/**
+ * Get the listener pose of a configuration (older configs lack x/height/facing)
+ * @param {Object} config - Microphone configuration
+ * @returns {{x: number, y: number, height: number, facing: number}} - Meters / degrees
+ */
+export function getListenerPose(config) {
+  return {
+    x: Number.isFinite(config?.listenerX) ? config.listenerX : 0,
+    y: Number.isFinite(config?.micY) ? config.micY : STAGE_CONFIG.micY,
+    height: Number.isFinite(config?.listenerHeight) ? config.listenerHeight : STAGE_CONFIG.micHeight,
+    facing: Number.isFinite(config?.listenerFacing) ? config.listenerFacing : 0,
+  };
+}
+
+/**
+ * Wrap an angle in degrees to (-180, 180]
+ * @param {number} degrees
+ * @returns {number}
+ */
+export function wrapDegrees(degrees) {
+  const wrapped = ((degrees + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+}
+
 /**
  * Create a defensive copy of a mic configuration
  * @param {Object} config - Microphone configuration
@@ -322,7 +1140,16 @@ export function cloneMicConfig(config) {
   return {
     ...config,
     mics: Array.isArray(config.mics)
-      ? config.mics.map(mic => ({ ...mic }))
+      ? config.mics.map(mic => ({ ...mic, route: getMicRoute(mic) }))
+      : [],
+    spots: Array.isArray(config.spots)
+      ? config.spots.map(spot => ({ ...spot }))
+      : [],
+    customTechniques: Array.isArray(config.customTechniques)
+      ? config.customTechniques.map(def => ({
+        ...def,
+        mics: (def.mics || []).map(mic => ({ ...mic, route: getMicRoute(mic) })),
+      }))
       : [],
   };
 }
@@ -334,7 +1161,7 @@ export function cloneMicConfig(config) {
  * @returns {Object} Updated configuration
  */
 export function applyTechniqueLayout(config) {
-  const technique = STEREO_TECHNIQUES[config.technique];
+  const technique = getTechnique(config);
   if (!technique) return config;
 
   const halfSpacing = config.spacing / 2;
@@ -367,18 +1194,32 @@ export function applyTechniqueLayout(config) {
       mic.offsetY = config.centerDepth;
       mic.level = config.centerLevel;
     }
+
+    // The whole array shares one downward aim
+    mic.tilt = config.tilt || 0;
   }
 
   return config;
 }
 
+/**
+ * Pattern a mic is locked to (Blumlein: both mics, Mid-Side: the side mic)
+ * @param {Object} technique - Technique definition
+ * @param {string} micId - Mic ID
+ * @returns {string|null} - Pattern ID, or null when the pattern can be changed
+ */
+export function getFixedPattern(technique, micId) {
+  return technique?.fixedPattern || technique?.mics.find(m => m.id === micId)?.fixedPattern || null;
+}
+
 /**
  * Get list of available polar patterns for a technique
  * @param {string} techniqueId - Technique ID
+ * @param {Array} [customTechniques] - User-defined arrays
  * @returns {Array} Array of pattern objects
  */
-export function getAvailablePatterns(techniqueId) {
-  const technique = STEREO_TECHNIQUES[techniqueId];
+export function getAvailablePatterns(techniqueId, customTechniques = []) {
+  const technique = resolveTechnique(techniqueId, customTechniques);
   if (!technique) return Object.values(POLAR_PATTERNS);
 
   if (technique.fixedPattern) {
@@ -394,11 +1235,19 @@ export function getAvailablePatterns(techniqueId) {
  * @returns {Object} Validated configuration
  */
 export function validateConfig(config) {
-  const technique = STEREO_TECHNIQUES[config.technique];
-  if (!technique) return config;
-
   const validated = { ...config };
 
+  // User-defined arrays (older configs have none)
+  validated.customTechniques = Array.isArray(config.customTechniques)
+    ? config.customTechniques
+      .map(def => validateCustomTechnique(def))
+      .filter((def, i, all) => def && all.findIndex(other => other?.id === def.id) === i)
+      .slice(0, MAX_CUSTOM_TECHNIQUES)
+    : [];
+
+  const technique = getTechnique(validated);
+  if (!technique) return config;
+
   // Clamp spacing
   if (technique.adjustable.spacing) {
     const { min, max } = technique.adjustable.spacing;
@@ -423,18 +1272,47 @@ export function validateConfig(config) {
     validated.centerLevel = Math.max(min, Math.min(max, validated.centerLevel));
   }
 
-  // Enforce fixed pattern for techniques like Blumlein
-  if (technique.fixedPattern && Array.isArray(validated.mics)) {
+  // Enforce fixed patterns (Blumlein: both mics, Mid-Side: the side mic);
+  // a continuous setting selects the nearest preset
+  if (Array.isArray(validated.mics)) {
     for (const mic of validated.mics) {
-      mic.pattern = technique.fixedPattern;
+      const fixedPattern = getFixedPattern(technique, mic.id);
+      mic.patternAlpha = fixedPattern ? null : validatePatternAlpha(mic.patternAlpha);
+      mic.pattern = fixedPattern
+        || (mic.patternAlpha !== null ? getNearestPattern(mic.patternAlpha) : mic.pattern);
     }
   }
+  validated.dualCapsule = !!validated.dualCapsule;
+
+  // Clamp array tilt, per-mic heights (null keeps the mic at the array height) and routing
+  validated.tilt = Math.max(0, Math.min(STAGE_CONFIG.maxArrayTilt, Number(validated.tilt) || 0));
+  if (Array.isArray(validated.mics)) {
+    const { min, max } = ARRAY_MIC_LIMITS.route;
+    for (const mic of validated.mics) {
+      mic.height = Number.isFinite(mic.height)
+        ? Math.max(0.5, Math.min(STAGE_CONFIG.maxListenerHeight, mic.height))
+        : null;
+      mic.route = getMicRoute(mic).map(gain => Math.max(min, Math.min(max, gain)));
+    }
+  }
+
+  // Clamp listener pose to the hall (audience floor + stage)
+  const pose = getListenerPose(validated);
+  const halfWidth = STAGE_CONFIG.width / 2;
+  validated.micY = Math.max(-STAGE_CONFIG.audienceDepth, Math.min(STAGE_CONFIG.depth, pose.y));
+  validated.listenerX = Math.max(-halfWidth, Math.min(halfWidth, pose.x));
+  validated.listenerHeight = Math.max(0.5, Math.min(STAGE_CONFIG.maxListenerHeight, pose.height));
+  validated.listenerFacing = wrapDegrees(pose.facing);
 
-  // Clamp micY (global limits)
-  validated.micY = Math.max(-5, Math.min(-0.5, validated.micY));
+  // Clamp M/S width (missing or non-numeric in older or hand-edited configs: the default)
+  validated.msWidth = Number.isFinite(validated.msWidth)
+    ? Math.max(0, Math.min(2, validated.msWidth))
+    : technique.adjustable.msWidth?.default ?? 1;
 
-  // Clamp M/S width
-  validated.msWidth = Math.max(0, Math.min(2, validated.msWidth));
+  // Spot mics (older configs have none)
+  validated.spots = Array.isArray(validated.spots)
+    ? validated.spots.filter(spot => spot && spot.id !== undefined).slice(0, MAX_SPOT_MICS).map(validateSpotMic)
+    : [];
 
   return validated;
 }
@@ -1,7 +1,12 @@
 // LocalStorage persistence for session state
 
+import { hasAutomation, remapAutomationTracks } from './automation.js';
+import { getSourceExtent, getStemLayout } from './source-extent.js';
+
 const STORAGE_KEY = 'orchestral-mixer-session';
+const IR_STORAGE_KEY = 'orchestral-mixer-impulse-responses';
 const VERSION = 1;
+const MAX_STORED_IRS = 4; // Oldest measured IRs are dropped first
 
 /**
  * Session state structure
@@ -10,16 +15,25 @@ const defaultState = {
   version: VERSION,
   profile: null,
   profileName: null,
-  tracks: {}, // filename -> { x, y, gain, muted, solo }
+  // filename -> { x, y, facing, height, width, shape, stemFormat, stemSpacing, stemRotation, gain, muted, solo }
+  // (width/shape only when wide, stem layout only for multichannel stems)
+  tracks: {},
   masterGain: 1.0,
   masterGainDb: 0,
   masterGainAuto: true,
   reverbPreset: 'none',
   reverbMode: 'depth',
   reverbWetDb: 0,
+  reverbIrName: null, // Display name when reverbPreset is a measured IR
+  roomConfig: null,
+  earlyReflectionsEnabled: true,
+  atmosphere: null, // {temperature, humidity, pressure}; null = 20°C, 50%, 101.325 kPa
   groundReflectionModel: 'stage',
+  renderMode: 'mics',
+  speakerLayout: null, // {name, speakers}; null = default preset
   xtcEnabled: false,
   xtcConfig: null,
+  automation: null, // Automation lanes with track lanes keyed by filename
   savedAt: null,
 };
 
@@ -126,6 +140,13 @@ export function createSessionState(appState) {
     tracks[track.filename] = {
       x: track.x,
       y: track.y,
+      facing: track.facing ?? 0,
+      height: track.height,
+      // Extended sources only, to keep share URLs short
+      ...(track.width > 0 ? { width: track.width, shape: track.shape } : {}),
+      ...(track.channels > 1
+        ? { stemFormat: track.stemFormat, stemSpacing: track.stemSpacing, stemRotation: track.stemRotation }
+        : {}),
       gain: track.gain,
       muted: track.muted,
       solo: track.solo,
@@ -143,15 +164,27 @@ export function createSessionState(appState) {
     reverbPreset: appState.reverbPreset,
     reverbMode: appState.reverbMode,
     reverbWetDb: appState.reverbWetDb,
+    reverbIrName: appState.reverbIrName ?? null,
+    roomConfig: appState.roomConfig,
+    earlyReflectionsEnabled: appState.earlyReflectionsEnabled,
+    atmosphere: appState.atmosphere,
     // Additional settings
     micSeparation: appState.micSeparation,
     micConfig: appState.micConfig,
+    renderMode: appState.renderMode,
+    hrtfId: appState.hrtfId,
+    hrtfName: appState.hrtfName,
+    speakerLayout: appState.speakerLayout ?? null,
     groundReflectionEnabled: appState.groundReflectionEnabled,
     groundReflectionModel: appState.groundReflectionModel,
     noiseGateEnabled: appState.noiseGateEnabled,
     noiseGateThreshold: appState.noiseGateThreshold,
     xtcEnabled: appState.xtcEnabled,
     xtcConfig: appState.xtcConfig,
+    // Track lanes are keyed by filename, like tracks
+    automation: hasAutomation(appState.automation)
+      ? remapAutomationTracks(appState.automation, id => appState.tracks.get(id)?.filename)
+      : null,
   };
 }
 
@@ -167,6 +200,10 @@ export function applySessionToTracks(tracks, savedTracks) {
     if (saved) {
       track.x = saved.x ?? track.x;
       track.y = saved.y ?? track.y;
+      track.facing = saved.facing ?? track.facing;
+      track.height = saved.height ?? track.height;
+      Object.assign(track, getSourceExtent(saved));
+      Object.assign(track, getStemLayout({ ...saved, channels: track.channels }));
       track.gain = saved.gain ?? track.gain;
       track.muted = saved.muted ?? track.muted;
       track.solo = saved.solo ?? track.solo;
@@ -174,6 +211,95 @@ export function applySessionToTracks(tracks, savedTracks) {
   }
 }
 
+/**
+ * Encode float samples as base64 16-bit PCM (IRs are peak-normalized)
+ */
+function encodeSamples(data) {
+  const pcm = new Int16Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    pcm[i] = Math.round(Math.max(-1, Math.min(1, data[i])) * 32767);
+  }
+  const bytes = new Uint8Array(pcm.buffer);
+  let binary = '';
+  // Chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function decodeSamples(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  const pcm = new Int16Array(bytes.buffer);
+  const data = new Float32Array(pcm.length);
+  for (let i = 0; i < pcm.length; i++) {
+    data[i] = pcm[i] / 32767;
+  }
+  return data;
+}
+
+function readStoredImpulseResponses() {
+  try {
+    const data = localStorage.getItem(IR_STORAGE_KEY);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Failed to read stored impulse responses:', error);
+    return [];
+  }
+}
+
+/**
+ * Store a measured impulse response so sessions referencing it survive a reload.
+ * Kept separate from the session (and out of share URLs) because of its size.
+ * @param {Object} ir - {id, name, sampleRate, channelData: Float32Array[]}
+ * @returns {boolean} - False when it does not fit in localStorage
+ */
+export function saveImpulseResponse({ id, name, sampleRate, channelData }) {
+  const stored = readStoredImpulseResponses().filter(entry => entry.id !== id);
+  stored.push({ id, name, sampleRate, channels: channelData.map(encodeSamples) });
+
+  // Drop the oldest entries until it fits
+  while (stored.length > 0) {
+    if (stored.length <= MAX_STORED_IRS) {
+      try {
+        localStorage.setItem(IR_STORAGE_KEY, JSON.stringify(stored));
+        return true;
+      } catch (error) {
+        if (stored.length === 1) {
+          console.warn('Impulse response too large to store:', error);
+          return false;
+        }
+      }
+    }
+    stored.shift();
+  }
+  return false;
+}
+
+/**
+ * Load stored measured impulse responses
+ * @returns {Array} - [{id, name, sampleRate, channelData: Float32Array[]}]
+ */
+export function loadImpulseResponses() {
+  return readStoredImpulseResponses().flatMap(entry => {
+    try {
+      return [{
+        id: entry.id,
+        name: entry.name,
+        sampleRate: entry.sampleRate,
+        channelData: entry.channels.map(decodeSamples),
+      }];
+    } catch (error) {
+      console.warn(`Skipping corrupt impulse response ${entry.name}:`, error);
+      return [];
+    }
+  });
+}
+
 /**
  * Set up beforeunload warning for unsaved changes
  * @param {Function} hasUnsavedChanges - Function that returns whether there are unsaved changes
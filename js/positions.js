@@ -102,7 +102,7 @@ function parseSeatIndex(raw) {
  * Classify an instrument name into a "section key" used by the seating template.
  * (This is intentionally a bit permissive to match your dataset labels.)
  */
-function sectionKeyFor(name) {
+export function sectionKeyFor(name) {
   const s = name.toLowerCase().trim();
   const ss = s.replace(/\s+/g, ''); // squashed version for pattern matching
 
@@ -1,4 +1,9 @@
 // Reverb system with impulse response generation
+// Late tail: shared noise-based IR per preset
+// Early reflections: image-source model of a rectangular hall, per source and per receiver
+// Measured IRs: user WAV files (mono, stereo or true stereo) registered as extra presets
+
+import { STAGE_CONFIG, MIC_CONSTANTS } from './physics-constants.js';
 
 /**
  * Reverb preset configurations
@@ -18,7 +23,14 @@ export const REVERB_PRESETS = {
     lowpassHz: 2000,
     wet: 0.16,
     predelay: 0.005,
-    earlyReflections: 0.1,
+    room: {
+      width: 20,
+      length: 22,
+      height: 4,
+      stageBackGap: 0.5,
+      stageOffsetX: 0,
+      absorption: { walls: 0.35, stageWall: 0.3, floor: 0.2, ceiling: 0.4 },
+    },
   },
   'chamber': {
     name: 'Chamber',
@@ -28,7 +40,14 @@ export const REVERB_PRESETS = {
     lowpassHz: 1800,
     wet: 0.2,
     predelay: 0.01,
-    earlyReflections: 0.15,
+    room: {
+      width: 22,
+      length: 30,
+      height: 8,
+      stageBackGap: 1,
+      stageOffsetX: 0,
+      absorption: { walls: 0.25, stageWall: 0.2, floor: 0.15, ceiling: 0.3 },
+    },
   },
   'concert-hall': {
     name: 'Concert Hall',
@@ -38,7 +57,14 @@ export const REVERB_PRESETS = {
     lowpassHz: 1500,
     wet: 0.27,
     predelay: 0.02,
-    earlyReflections: 0.2,
+    room: {
+      width: 28,
+      length: 45,
+      height: 16,
+      stageBackGap: 2,
+      stageOffsetX: 0,
+      absorption: { walls: 0.2, stageWall: 0.1, floor: 0.3, ceiling: 0.15 },
+    },
   },
   'cathedral': {
     name: 'Cathedral',
@@ -48,7 +74,14 @@ export const REVERB_PRESETS = {
     lowpassHz: 1200,
     wet: 0.36,
     predelay: 0.04,
-    earlyReflections: 0.25,
+    room: {
+      width: 30,
+      length: 80,
+      height: 28,
+      stageBackGap: 4,
+      stageOffsetX: 0,
+      absorption: { walls: 0.05, stageWall: 0.05, floor: 0.05, ceiling: 0.08 },
+    },
   },
   'outdoor-amphitheater': {
     name: 'Outdoor Amphitheater',
@@ -58,23 +91,47 @@ export const REVERB_PRESETS = {
     lowpassHz: 2200,
     wet: 0.18,
     predelay: 0.03,
-    earlyReflections: 0.3,
     sparse: true,
+    // Open air: only the stage shell and the floor reflect
+    room: {
+      width: 40,
+      length: 60,
+      height: 20,
+      stageBackGap: 1,
+      stageOffsetX: 0,
+      absorption: { walls: 1, stageWall: 0.1, floor: 0.3, ceiling: 1 },
+    },
   },
 };
 
 const RT60_DECAY = Math.log(1000);
 const DEFAULT_HF_DECAY = 2.5;
 const DEFAULT_LOWPASS_HZ = 1500;
-const DEFAULT_REFLECTIONS = [
-  { time: 0.008, gain: 0.6, pan: -0.3 },
-  { time: 0.012, gain: 0.5, pan: 0.25 },
-  { time: 0.020, gain: 0.45, pan: -0.2 },
-  { time: 0.028, gain: 0.35, pan: 0.2 },
-  { time: 0.040, gain: 0.3, pan: -0.15 },
-  { time: 0.055, gain: 0.25, pan: 0.1 },
-  { time: 0.075, gain: 0.2, pan: -0.05 },
-];
+const SPEED_OF_SOUND = 343; // m/s at 20°C (default; the engine passes the hall's)
+
+// Image-source model settings
+export const DEFAULT_IMAGE_SOURCE_ORDER = 2;
+const MAX_EARLY_REFLECTION_SECONDS = 0.25;
+const ABSORPTION_SURFACES = ['walls', 'stageWall', 'floor', 'ceiling'];
+
+// Measured impulse responses
+export const MEASURED_IR_PREFIX = 'ir:';
+export const MEASURED_IR_CHANNELS = [1, 2, 4]; // mono, stereo, true stereo (LL, LR, RL, RR)
+const MEASURED_IR_WET = 0.3;
+const MAX_MEASURED_IR_SECONDS = 10;
+const IR_ONSET_DB = -40; // Onset: first sample within 40 dB of the peak
+const IR_TAIL_DB = -80; // Tail end: last sample within 80 dB of the peak
+const IR_PREROLL_SECONDS = 0.001;
+const IR_FADE_OUT_SECONDS = 0.01;
+
+// Hall limits: the hall must contain the stage and leave room for an audience
+export const ROOM_LIMITS = {
+  width: { min: STAGE_CONFIG.width, max: 60, step: 1 },
+  length: { min: STAGE_CONFIG.depth + 2, max: 120, step: 1 },
+  height: { min: 3, max: 40, step: 0.5 },
+  stageBackGap: { min: 0, max: 10, step: 0.5 },
+  stageOffsetX: { min: -20, max: 20, step: 0.5 },
+};
 
 /**
  * Generate an impulse response buffer for a reverb preset
@@ -102,9 +159,6 @@ export function generateImpulseResponse(audioContext, presetName) {
   const hfDecay = preset.hfDecay || DEFAULT_HF_DECAY;
   const lowpassHz = preset.lowpassHz || DEFAULT_LOWPASS_HZ;
   const lowpassAlpha = calculateLowpassAlpha(lowpassHz, sampleRate);
-  const reflections = buildEarlyReflections(preset, sampleRate, preDelay, length);
-
-  let reflectionIndex = 0;
   let lowL = 0;
   let lowR = 0;
 
@@ -139,17 +193,9 @@ export function generateImpulseResponse(audioContext, presetName) {
       tailR = (lowR * decayLow) + (highR * decayHigh);
     }
 
-    let earlyL = 0;
-    let earlyR = 0;
-    while (reflectionIndex < reflections.length && reflections[reflectionIndex].index === i) {
-      const ref = reflections[reflectionIndex];
-      earlyL += ref.gainL;
-      earlyR += ref.gainR;
-      reflectionIndex += 1;
-    }
-
-    leftChannel[i] = tailL + earlyL;
-    rightChannel[i] = tailR + earlyR;
+    // Early reflections are rendered per source (see computeImageSources)
+    leftChannel[i] = tailL;
+    rightChannel[i] = tailR;
   }
 
   // Normalize
@@ -165,26 +211,182 @@ function calculateLowpassAlpha(cutoffHz, sampleRate) {
   return dt / (rc + dt);
 }
 
-function buildEarlyReflections(preset, sampleRate, preDelay, length) {
-  if (!preset.earlyReflections) return [];
+/**
+ * Get the default hall geometry for a reverb preset
+ * @param {string} presetName - Preset name
+ * @returns {Object|null} - Room config, or null when the preset has no hall
+ */
+export function getPresetRoomConfig(presetName) {
+  const room = REVERB_PRESETS[presetName]?.room;
+  return room ? validateRoomConfig(room) : null;
+}
+
+/**
+ * Validate and clamp a room configuration
+ * @param {Object} room - {width, length, height, stageBackGap, stageOffsetX, absorption}
+ * @returns {Object} - Clamped copy
+ */
+export function validateRoomConfig(room) {
+  const validated = { ...room, absorption: { ...(room?.absorption || {}) } };
 
-  const pattern = preset.reflections || DEFAULT_REFLECTIONS;
-  const reflections = [];
+  for (const [key, { min, max }] of Object.entries(ROOM_LIMITS)) {
+    const value = Number(validated[key]);
+    validated[key] = Number.isFinite(value) ? clamp(value, min, max) : min;
+  }
 
-  for (const ref of pattern) {
-    const index = Math.round((preDelay + ref.time) * sampleRate);
-    if (index < 0 || index >= length) continue;
+  // Stage must stay inside the hall (front of stage at least 2m from the rear wall)
+  validated.stageBackGap = Math.min(validated.stageBackGap, validated.length - STAGE_CONFIG.depth - 2);
+  const maxOffset = Math.max(0, (validated.width - STAGE_CONFIG.width) / 2);
+  validated.stageOffsetX = clamp(validated.stageOffsetX, -maxOffset, maxOffset);
 
-    const pan = clamp(ref.pan || 0, -0.8, 0.8);
-    const decay = Math.exp(-ref.time * 12);
-    const gain = ref.gain * preset.earlyReflections * decay;
-    const gainL = gain * (1 - pan);
-    const gainR = gain * (1 + pan);
-    reflections.push({ index, gainL, gainR });
+  for (const surface of ABSORPTION_SURFACES) {
+    const value = Number(validated.absorption[surface]);
+    validated.absorption[surface] = Number.isFinite(value) ? clamp(value, 0, 1) : 0.2;
   }
 
-  reflections.sort((a, b) => a.index - b.index);
-  return reflections;
+  return validated;
+}
+
+/**
+ * Critical distance of a hall: where the direct sound and the diffuse reverb are equally loud
+ * (Sabine, omnidirectional source: 0.057 * sqrt(V / RT60))
+ * @param {Object} room - Validated room config
+ * @param {number} rt60 - Reverberation time in seconds
+ * @returns {number|null} - Meters, or null without a reverberant hall
+ */
+export function calculateCriticalDistance(room, rt60) {
+  if (!room || !(rt60 > 0)) return null;
+  return 0.057 * Math.sqrt((room.width * room.length * room.height) / rt60);
+}
+
+/**
+ * Hall bounds in stage coordinates (meters; y = 0 is the stage front, z = 0 the floor)
+ * @param {Object} room - Validated room config
+ * @returns {{xMin: number, xMax: number, yMin: number, yMax: number, zMin: number, zMax: number}}
+ */
+export function getRoomBounds(room) {
+  const yMax = STAGE_CONFIG.depth + room.stageBackGap;
+  return {
+    xMin: -room.stageOffsetX - room.width / 2,
+    xMax: -room.stageOffsetX + room.width / 2,
+    yMin: yMax - room.length,
+    yMax,
+    zMin: 0,
+    zMax: room.height,
+  };
+}
+
+/**
+ * Image positions and wall hit counts along one axis
+ * Room spans [lo, hi]; image n reflects n times (n > 0 starts at the hi wall)
+ */
+function axisImages(coord, lo, hi, maxOrder) {
+  const size = hi - lo;
+  const local = coord - lo;
+  const images = [];
+
+  for (let n = -maxOrder; n <= maxOrder; n++) {
+    const position = lo + 2 * Math.ceil(n / 2) * size + (n % 2 === 0 ? local : -local);
+    const hitsHi = n > 0 ? Math.ceil(n / 2) : Math.floor(-n / 2);
+    const hitsLo = Math.abs(n) - hitsHi;
+    images.push({ n, position, hitsLo, hitsHi });
+  }
+
+  return images;
+}
+
+/**
+ * Compute image sources for a point source in a rectangular hall
+ * @param {{x: number, y: number, z: number}} source - Source position in meters
+ * @param {Object} room - Room config (validated)
+ * @param {Object} options - {maxOrder, skipFloor}
+ *   skipFloor drops the single first-order floor image (modeled separately as the ground reflection)
+ * @returns {Array} - [{x, y, z, gain, order}] pressure reflection gain per image (direct path excluded)
+ */
+export function computeImageSources(source, room, { maxOrder = DEFAULT_IMAGE_SOURCE_ORDER, skipFloor = false } = {}) {
+  const bounds = getRoomBounds(room);
+  const { walls, stageWall, floor, ceiling } = room.absorption;
+
+  // Pressure reflection coefficients from energy absorption
+  const reflect = (alpha) => Math.sqrt(Math.max(0, 1 - alpha));
+  const rWall = reflect(walls);
+  const rStage = reflect(stageWall);
+  const rFloor = reflect(floor);
+  const rCeiling = reflect(ceiling);
+
+  const xs = axisImages(source.x, bounds.xMin, bounds.xMax, maxOrder);
+  const ys = axisImages(source.y, bounds.yMin, bounds.yMax, maxOrder);
+  const zs = axisImages(source.z, bounds.zMin, bounds.zMax, maxOrder);
+
+  const images = [];
+  for (const ix of xs) {
+    for (const iy of ys) {
+      const orderXY = Math.abs(ix.n) + Math.abs(iy.n);
+      if (orderXY > maxOrder) continue;
+
+      for (const iz of zs) {
+        const order = orderXY + Math.abs(iz.n);
+        if (order === 0 || order > maxOrder) continue;
+        if (skipFloor && order === 1 && iz.n === -1) continue;
+
+        // y: hi wall is the stage wall, lo wall the rear audience wall
+        const gain = Math.pow(rWall, ix.hitsLo + ix.hitsHi + iy.hitsLo)
+          * Math.pow(rStage, iy.hitsHi)
+          * Math.pow(rFloor, iz.hitsLo)
+          * Math.pow(rCeiling, iz.hitsHi);
+        if (gain < 1e-4) continue;
+
+        images.push({ x: ix.position, y: iy.position, z: iz.position, gain, order });
+      }
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Render image sources into sparse impulse responses, one per receiver
+ * Taps use the same 1/d law and propagation timing as the direct path.
+ * @param {Array} images - Result of computeImageSources
+ * @param {Array} receivers - [{x, y, height, gain(dx, dy, dz) -> number}] directional gain per receiver
+ * @param {Object} options - {sampleRate, refTime, speedOfSound} refTime is subtracted from every arrival
+ * @returns {Float32Array[]} - One impulse response per receiver, all the same length (empty when nothing arrives)
+ */
+export function renderEarlyReflections(images, receivers, { sampleRate, refTime = 0, speedOfSound = SPEED_OF_SOUND }) {
+  const taps = receivers.map(() => []);
+  let maxIndex = 0;
+
+  receivers.forEach((receiver, r) => {
+    for (const image of images) {
+      const dx = image.x - receiver.x;
+      const dy = image.y - receiver.y;
+      const dz = image.z - receiver.height;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      const time = distance / speedOfSound - refTime;
+      if (time < 0 || time > MAX_EARLY_REFLECTION_SECONDS) continue;
+
+      const amplitude = (MIC_CONSTANTS.refDistance / Math.max(MIC_CONSTANTS.minDistance, distance))
+        * image.gain
+        * receiver.gain(dx, dy, dz);
+      if (Math.abs(amplitude) < 1e-5) continue;
+
+      const position = time * sampleRate;
+      taps[r].push({ position, amplitude });
+      maxIndex = Math.max(maxIndex, Math.ceil(position) + 1);
+    }
+  });
+
+  return taps.map(list => {
+    const response = new Float32Array(maxIndex > 0 ? maxIndex + 1 : 0);
+    for (const { position, amplitude } of list) {
+      // Linear interpolation keeps fractional-sample arrival times
+      const index = Math.floor(position);
+      const frac = position - index;
+      response[index] += amplitude * (1 - frac);
+      response[index + 1] += amplitude * frac;
+    }
+    return response;
+  });
 }
 
 function clamp(value, min, max) {
@@ -219,6 +421,112 @@ function normalizeBuffer(buffer) {
   }
 }
 
+/**
+ * Whether a preset name refers to a measured (user-loaded) impulse response
+ * @param {string} presetName - Preset name
+ * @returns {boolean}
+ */
+export function isMeasuredPreset(presetName) {
+  return typeof presetName === 'string' && presetName.startsWith(MEASURED_IR_PREFIX);
+}
+
+/**
+ * Stable preset id for an IR file, derived from its bytes (FNV-1a)
+ * The same file gets the same id on every machine, so shared arrangements can reference it.
+ * @param {ArrayBuffer} arrayBuffer - Raw file contents
+ * @returns {string} - Preset id
+ */
+export function getMeasuredPresetId(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${MEASURED_IR_PREFIX}${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Resample a buffer with an offline context (browser-quality interpolation)
+ * @param {AudioBuffer} buffer - Source buffer
+ * @param {number} targetRate - Target sample rate
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function resampleBuffer(buffer, targetRate) {
+  if (buffer.sampleRate === targetRate) {
+    return buffer;
+  }
+
+  const length = Math.ceil(buffer.duration * targetRate);
+  const offline = new OfflineAudioContext(buffer.numberOfChannels, length, targetRate);
+  const source = offline.createBufferSource();
+  source.buffer = buffer;
+  // Keep channels as-is (true-stereo IRs must not be up/down-mixed)
+  offline.destination.channelCountMode = 'explicit';
+  offline.destination.channelInterpretation = 'discrete';
+  source.connect(offline.destination);
+  source.start(0);
+  return offline.startRendering();
+}
+
+/**
+ * Prepare a measured impulse response for convolution
+ * Converts to the context sample rate, trims leading silence and the noise tail,
+ * fades out the end and peak-normalizes (matching the synthetic presets).
+ * @param {BaseAudioContext} audioContext - Target context
+ * @param {AudioBuffer} buffer - Decoded IR
+ * @returns {Promise<AudioBuffer>} - New buffer at the context sample rate
+ */
+export async function prepareImpulseResponse(audioContext, buffer) {
+  const numChannels = buffer.numberOfChannels;
+  if (!MEASURED_IR_CHANNELS.includes(numChannels)) {
+    throw new Error(`Unsupported impulse response: ${numChannels} channels (expected 1, 2 or 4)`);
+  }
+
+  const resampled = await resampleBuffer(buffer, audioContext.sampleRate);
+  const sampleRate = resampled.sampleRate;
+  const channels = Array.from({ length: numChannels }, (_, c) => resampled.getChannelData(c));
+
+  let peak = 0;
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) {
+      peak = Math.max(peak, Math.abs(data[i]));
+    }
+  }
+  if (peak === 0) {
+    throw new Error('Impulse response is silent');
+  }
+
+  // Same trim points for every channel keeps inter-channel timing intact
+  const onsetThreshold = peak * Math.pow(10, IR_ONSET_DB / 20);
+  const tailThreshold = peak * Math.pow(10, IR_TAIL_DB / 20);
+  let onset = resampled.length;
+  let end = 0;
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) {
+      const value = Math.abs(data[i]);
+      if (value >= onsetThreshold && i < onset) onset = i;
+      if (value >= tailThreshold) end = Math.max(end, i + 1);
+    }
+  }
+
+  const start = Math.max(0, onset - Math.round(IR_PREROLL_SECONDS * sampleRate));
+  const length = Math.max(1, Math.min(end - start, Math.round(MAX_MEASURED_IR_SECONDS * sampleRate)));
+  const fadeLength = Math.min(length, Math.round(IR_FADE_OUT_SECONDS * sampleRate));
+
+  const prepared = audioContext.createBuffer(numChannels, length, sampleRate);
+  channels.forEach((data, c) => {
+    const out = prepared.getChannelData(c);
+    out.set(data.subarray(start, start + length));
+    for (let i = 0; i < fadeLength; i++) {
+      out[length - 1 - i] *= i / fadeLength;
+    }
+  });
+
+  normalizeBuffer(prepared);
+  return prepared;
+}
+
 /**
  * Create a reverb manager
  */
@@ -226,9 +534,76 @@ export class ReverbManager {
   constructor(audioContext) {
     this.audioContext = audioContext;
     this.impulseResponses = new Map();
+    this.measuredPresets = new Map(); // presetId -> { name, wet, measured, channels, duration }
     this.currentPreset = 'concert-hall';
   }
 
+  /**
+   * Decode a WAV file and register it as a measured preset
+   * @param {ArrayBuffer} arrayBuffer - WAV file contents
+   * @param {string} name - Display name (usually the filename)
+   * @returns {Promise<Object>} - Registered preset info including its id
+   */
+  async loadImpulseResponse(arrayBuffer, name) {
+    const id = getMeasuredPresetId(arrayBuffer);
+    // decodeAudioData detaches its input; keep the caller's buffer intact
+    const decoded = await this.audioContext.decodeAudioData(arrayBuffer.slice(0));
+    return this.registerImpulseResponse(id, name, decoded);
+  }
+
+  /**
+   * Register raw channel data (e.g. restored from a saved session) as a measured preset
+   * @param {string} id - Preset id
+   * @param {string} name - Display name
+   * @param {Float32Array[]} channelData - One array per channel
+   * @param {number} sampleRate - Sample rate of the data
+   * @returns {Promise<Object>} - Registered preset info
+   */
+  async registerImpulseResponseData(id, name, channelData, sampleRate) {
+    const buffer = this.audioContext.createBuffer(channelData.length, channelData[0].length, sampleRate);
+    channelData.forEach((data, c) => buffer.copyToChannel(data, c));
+    return this.registerImpulseResponse(id, name, buffer);
+  }
+
+  /**
+   * Prepare an IR buffer and register it as a measured preset
+   * @param {string} id - Preset id (see getMeasuredPresetId)
+   * @param {string} name - Display name
+   * @param {AudioBuffer} buffer - Decoded IR at any sample rate
+   * @returns {Promise<Object>} - Registered preset info
+   */
+  async registerImpulseResponse(id, name, buffer) {
+    const ir = await prepareImpulseResponse(this.audioContext, buffer);
+    const preset = {
+      name,
+      wet: MEASURED_IR_WET,
+      measured: true,
+      channels: ir.numberOfChannels,
+      duration: ir.duration,
+    };
+
+    this.measuredPresets.set(id, preset);
+    this.impulseResponses.set(id, ir);
+    return { id, ...preset };
+  }
+
+  /**
+   * Get measured presets in registration order
+   * @returns {Array<Object>} - [{id, name, wet, channels, duration}]
+   */
+  getMeasuredPresets() {
+    return Array.from(this.measuredPresets, ([id, preset]) => ({ id, ...preset }));
+  }
+
+  /**
+   * Whether a preset (synthetic or measured) is available
+   * @param {string} presetName - Preset name
+   * @returns {boolean}
+   */
+  hasPreset(presetName) {
+    return presetName in REVERB_PRESETS || this.measuredPresets.has(presetName);
+  }
+
   /**
    * Get or generate an impulse response for a preset
    * @param {string} presetName - Preset name
@@ -239,6 +614,10 @@ export class ReverbManager {
       return null;
     }
 
+    if (isMeasuredPreset(presetName)) {
+      return this.impulseResponses.get(presetName) || null;
+    }
+
     if (!this.impulseResponses.has(presetName)) {
       const ir = generateImpulseResponse(this.audioContext, presetName);
       this.impulseResponses.set(presetName, ir);
@@ -253,7 +632,7 @@ export class ReverbManager {
    * @returns {Object} - Preset info
    */
   getPresetInfo(presetName) {
-    return REVERB_PRESETS[presetName] || REVERB_PRESETS['none'];
+    return REVERB_PRESETS[presetName] || this.measuredPresets.get(presetName) || REVERB_PRESETS['none'];
   }
 
   /**
@@ -261,13 +640,17 @@ export class ReverbManager {
    * @returns {Array<string>} - Preset names
    */
   getPresetNames() {
-    return Object.keys(REVERB_PRESETS);
+    return [...Object.keys(REVERB_PRESETS), ...this.measuredPresets.keys()];
   }
 
   /**
-   * Clear cached impulse responses
+   * Clear cached synthetic impulse responses (measured IRs are kept)
    */
   clearCache() {
-    this.impulseResponses.clear();
+    for (const presetName of this.impulseResponses.keys()) {
+      if (!this.measuredPresets.has(presetName)) {
+        this.impulseResponses.delete(presetName);
+      }
+    }
   }
 }
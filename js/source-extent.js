@@ -0,0 +1,213 @@
+// Extended sources: a track with a width is spread over several sub-sources
+// (a section in a line or an arc, a choir as an area) instead of one point.
+// Multichannel stems are sub-sources too: the channels of a stereo stem are a pair of points,
+// a first-order B-format (AmbiX) stem is decoded to a ring of virtual sources.
+// Offsets are laid out across the track's facing, so a turned section turns with it.
+
+import { STAGE_CONFIG } from './physics-constants.js';
+
+export const SOURCE_SHAPES = {
+  line: { id: 'line', name: 'Line' },
+  arc: { id: 'arc', name: 'Arc' },
+  area: { id: 'area', name: 'Area' },
+};
+export const DEFAULT_SOURCE_SHAPE = 'line';
+export const SOURCE_WIDTH_LIMITS = { min: 0, max: 12, step: 0.5 }; // Meters; 0 = point source
+
+export const STEM_FORMATS = {
+  mono: { id: 'mono', name: 'Mono', channels: 1 },
+  stereo: { id: 'stereo', name: 'Stereo', channels: 2 },
+  bformat: { id: 'bformat', name: 'B-format', channels: 4 },
+};
+export const STEM_SPACING_LIMITS = { min: 0, max: 12, step: 0.5, default: 3 }; // Meters between L and R (ring diameter for B-format)
+export const STEM_ROTATION_LIMITS = { min: -180, max: 180, step: 5, default: 0 }; // Degrees, added to the facing
+
+const SUB_SOURCE_SPACING = 1.5; // Meters between sub-sources across the width
+const MAX_COLUMNS = 5;
+const AREA_COLUMNS = 3;
+const AREA_ROWS = 2;
+const AREA_DEPTH_RATIO = 0.5; // Area depth as a fraction of its width
+const ARC_SAGITTA_RATIO = 0.25; // Arc bow as a fraction of its width (ends toward the facing)
+const OUTLINE_STEPS = 16;
+
+// Stereo channels at half amplitude: a centered image sums to the level of the former mono downmix
+const STEREO_CHANNEL_WEIGHT = 0.5;
+// B-format ring: virtual cardioids at ±45° and ±135° (counterclockwise from the recording's front).
+// Four horizontal cardioids pick up a plane wave with a summed power of 1.5, hence the weight.
+const BFORMAT_AZIMUTHS = [45, -45, 135, -135];
+const BFORMAT_WEIGHT = Math.sqrt(2 / 3);
+
+/**
+ * Width and shape of a track (clamped; width 0 is a point source)
+ * @param {Object} track - {width, shape}
+ * @returns {{width: number, shape: string}}
+ */
+export function getSourceExtent(track) {
+  const width = Number(track?.width);
+  return {
+    width: Number.isFinite(width)
+      ? Math.min(SOURCE_WIDTH_LIMITS.max, Math.max(SOURCE_WIDTH_LIMITS.min, width))
+      : 0,
+    shape: SOURCE_SHAPES[track?.shape] ? track.shape : DEFAULT_SOURCE_SHAPE,
+  };
+}
+
+/**
+ * Default stem format for a channel count: stereo files play as a pair, anything else as a downmix
+ * (four channels may be B-format or quad, so B-format is chosen by hand)
+ * @param {number} channels - Channels of the track's buffer
+ * @returns {string}
+ */
+export function getDefaultStemFormat(channels) {
+  return channels === 2 ? 'stereo' : 'mono';
+}
+
+/**
+ * Stem format, spacing and rotation of a track (a format needing more channels than the track has
+ * falls back to the default)
+ * @param {Object} track - {channels, stemFormat, stemSpacing, stemRotation}
+ * @returns {{stemFormat: string, stemSpacing: number, stemRotation: number}}
+ */
+export function getStemLayout(track) {
+  const channels = Number.isFinite(track?.channels) ? track.channels : 1;
+  const format = STEM_FORMATS[track?.stemFormat];
+  const spacing = Number(track?.stemSpacing);
+  const rotation = Number(track?.stemRotation);
+  return {
+    stemFormat: format && format.channels <= channels ? format.id : getDefaultStemFormat(channels),
+    stemSpacing: Number.isFinite(spacing)
+      ? Math.min(STEM_SPACING_LIMITS.max, Math.max(STEM_SPACING_LIMITS.min, spacing))
+      : STEM_SPACING_LIMITS.default,
+    stemRotation: Number.isFinite(rotation)
+      ? Math.min(STEM_ROTATION_LIMITS.max, Math.max(STEM_ROTATION_LIMITS.min, rotation))
+      : STEM_ROTATION_LIMITS.default,
+  };
+}
+
+// Stage offset (meters) across and behind the facing → normalized stage offset
+function toStageOffset(across, back, facing) {
+  const rad = ((facing || 0) * Math.PI) / 180;
+  const x = across * Math.cos(rad) + back * Math.sin(rad);
+  const y = -across * Math.sin(rad) + back * Math.cos(rad);
+  return { x: x / (STAGE_CONFIG.width / 2), y: y / STAGE_CONFIG.depth };
+}
+
+// Normalized stage point at an offset across and behind a facing from the track position
+function pointAt(track, across, back, facing) {
+  const offset = toStageOffset(across, back, facing);
+  return { x: track.x + offset.x, y: track.y + offset.y };
+}
+
+// Offset of an arc behind the track position at a fraction t (-1..1) of its half width
+// (a parabola averaging zero, so the track position stays the center of the section)
+function arcBack(width, t) {
+  return width * ARC_SAGITTA_RATIO * (1 / 3 - t * t);
+}
+
+// Channel sub-sources of a multichannel stem: offsets across and behind the facing (meters)
+// and the mix of the buffer's channels feeding each one
+function getStemChannelSources({ stemFormat, stemSpacing }) {
+  const half = stemSpacing / 2;
+  if (stemFormat === 'stereo') {
+    return [
+      { across: -half, back: 0, channelMix: [1, 0], weight: STEREO_CHANNEL_WEIGHT },
+      { across: half, back: 0, channelMix: [0, 1], weight: STEREO_CHANNEL_WEIGHT },
+    ];
+  }
+  // AmbiX (ACN W, Y, Z, X; SN3D): the recording's front looks into the stage, its left is audience left
+  return BFORMAT_AZIMUTHS.map(azimuth => {
+    const rad = (azimuth * Math.PI) / 180;
+    return {
+      across: -half * Math.sin(rad),
+      back: half * Math.cos(rad),
+      channelMix: [0.5, 0.5 * Math.sin(rad), 0, 0.5 * Math.cos(rad)],
+      weight: BFORMAT_WEIGHT,
+    };
+  });
+}
+
+/**
+ * Sub-source layout of a track: cell centers across the width (two rows for an area),
+ * each with an equal share of the power, so decorrelated sub-sources sum to the track's level.
+ * A multichannel stem gives one sub-source per channel (stereo) or decoded direction (B-format),
+ * with the mix of buffer channels feeding it.
+ * @param {Object} track - {x, y, facing, width, shape, channels, stemFormat, stemSpacing, stemRotation} with normalized x/y
+ * @returns {Array<{x: number, y: number, weight: number, channelMix?: number[]}>} - Normalized positions and amplitude weights
+ */
+export function getSubSources(track) {
+  const stem = getStemLayout(track);
+  if (stem.stemFormat !== 'mono') {
+    const rotation = (track.facing || 0) + stem.stemRotation;
+    return getStemChannelSources(stem).map(({ across, back, channelMix, weight }) => ({
+      ...pointAt(track, across, back, rotation),
+      weight,
+      channelMix,
+    }));
+  }
+
+  const { width, shape } = getSourceExtent(track);
+  if (width <= 0) return [{ x: track.x, y: track.y, weight: 1 }];
+
+  const columns = Math.min(
+    shape === 'area' ? AREA_COLUMNS : MAX_COLUMNS,
+    Math.max(2, Math.ceil(width / SUB_SOURCE_SPACING))
+  );
+  const rows = shape === 'area' ? AREA_ROWS : 1;
+  const depth = width * AREA_DEPTH_RATIO;
+  const weight = 1 / Math.sqrt(columns * rows);
+
+  const subSources = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const t = 2 * (column + 0.5) / columns - 1;
+      let back = 0;
+      if (shape === 'arc') back = arcBack(width, t);
+      if (shape === 'area') back = ((row + 0.5) / rows - 0.5) * depth;
+      subSources.push({ ...pointAt(track, t * width / 2, back, track.facing), weight });
+    }
+  }
+  return subSources;
+}
+
+/**
+ * Outline of a track's extent for drawing
+ * @param {Object} track - {x, y, facing, width, shape, channels, stemFormat, stemSpacing, stemRotation} with normalized x/y
+ * @returns {{points: Array<{x: number, y: number}>, closed: boolean}|null} - Normalized points, null for a point source
+ */
+export function getSourceExtentOutline(track) {
+  const stem = getStemLayout(track);
+  if (stem.stemFormat !== 'mono') {
+    if (stem.stemSpacing <= 0) return null;
+    const rotation = (track.facing || 0) + stem.stemRotation;
+    const radius = stem.stemSpacing / 2;
+    if (stem.stemFormat === 'stereo') {
+      return { points: [pointAt(track, -radius, 0, rotation), pointAt(track, radius, 0, rotation)], closed: false };
+    }
+    const points = [];
+    for (let i = 0; i < OUTLINE_STEPS; i++) {
+      const rad = (2 * Math.PI * i) / OUTLINE_STEPS;
+      points.push(pointAt(track, radius * Math.cos(rad), radius * Math.sin(rad), rotation));
+    }
+    return { points, closed: true };
+  }
+
+  const { width, shape } = getSourceExtent(track);
+  if (width <= 0) return null;
+
+  const at = (across, back) => pointAt(track, across, back, track.facing);
+  const half = width / 2;
+
+  if (shape === 'area') {
+    const back = width * AREA_DEPTH_RATIO / 2;
+    return { points: [at(-half, -back), at(half, -back), at(half, back), at(-half, back)], closed: true };
+  }
+  if (shape === 'arc') {
+    const points = [];
+    for (let i = 0; i <= OUTLINE_STEPS; i++) {
+      const t = 2 * i / OUTLINE_STEPS - 1;
+      points.push(at(t * half, arcBack(width, t)));
+    }
+    return { points, closed: false };
+  }
+  return { points: [at(-half, 0), at(half, 0)], closed: false };
+}
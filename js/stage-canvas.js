@@ -1,37 +1,61 @@
 // Semi-circular stage canvas with draggable instrument nodes
 // Features: gain-based sizing, edge-drag resize, M/S icons, auto-prefix stripping
 // Microphone visualization: polar patterns, stereo techniques
+// Listener: draggable seat marker with facing handle (carries the mic array / binaural head)
+// Instruments: facing indicator, rotated with the handle of a selected track or Alt-drag
+// Side elevation view: per-track source heights, dragged vertically
+// Spot mics: extra mics drawn with their pattern and aim, dragged anywhere on the stage
+// Imaging view: Stereo Recording Angle of the main array and predicted phantom images
+// Extended sources: line, arc or area (or a stem's channel pair or ring) drawn under the icon with its sub-sources
 
 import { FAMILY_COLORS } from './positions.js';
 import {
-  STEREO_TECHNIQUES,
   POLAR_PATTERNS,
   applyTechniqueLayout,
   cloneMicConfig,
   createMicrophoneConfig,
+  getFixedPattern,
+  getListenerPose,
+  getMicPolarPattern,
+  getTechnique,
+  wrapDegrees,
 } from './microphone-types.js';
-import { getPolarPatternPoints } from './microphone-math.js';
+import {
+  getPolarPatternPoints,
+  getMicWorldPosition,
+  calculatePhantomImage,
+  calculateRecordingAngle,
+} from './microphone-math.js';
 import { getIconInfo, drawInstrumentIcon, getShapeBounds } from './instrument-icons.js';
 import { STAGE_CONFIG, MIC_CONSTANTS } from './physics-constants.js';
+import { getSourceExtent, getStemLayout, getSubSources, getSourceExtentOutline } from './source-extent.js';
+
+// Polar bands outlined around each mic pattern (off-axis coloration), drawn over the broadband shape
+const POLAR_OUTLINE_BANDS = [
+  { freq: 125, dash: [5, 3] },
+  { freq: 8000, dash: [1, 2] },
+];
 
 export class StageCanvas {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
 
-    this.tracks = new Map(); // trackId -> { x, y, name, family, gain, muted, solo }
+    this.tracks = new Map(); // trackId -> { x, y, height, facing, name, family, gain, muted, solo }
     this.selectedIds = new Set();
     this.commonPrefix = ''; // Auto-detected common prefix to strip
 
     this.isDragging = false;
     this.isResizing = false; // Edge drag = resize (gain)
+    this.isRotating = false; // Facing handle or Alt-drag = rotate
+    this.isDraggingHeight = false; // Vertical drag in the elevation view
     this.dragTrackId = null;
     this.dragOffset = { x: 0, y: 0 };
     this.resizeStartGain = 1;
     this.resizeStartY = 0;
 
     this.hoveredTrackId = null;
-    this.hoveredZone = null; // 'center', 'edge', 'mute', 'solo', 'mic-left', 'mic-right', 'mic-center'
+    this.hoveredZone = null; // 'center', 'edge', 'mute', 'solo', 'rotate', 'mic-left', 'mic-right', 'mic-center', 'mic-listener', 'mic-listener-rotate', 'mic-spot-<id>'
 
     // Microphone state - full configuration for polar patterns and techniques
     this.micConfig = createMicrophoneConfig('spaced-pair');
@@ -42,6 +66,16 @@ export class StageCanvas {
     this.micDragStartY = 0;
     this.micDragStartSeparation = 2.0;
     this.micDragStartCenterDepth = 1.5;
+    this.listenerDragOffset = { x: 0, y: 0 };
+    this.spotDragOffset = { x: 0, y: 0 };
+
+    // Output rendering mode: 'mics' draws the array, 'binaural' and 'speakers' draw a listener head
+    this.renderMode = 'mics';
+
+    // View: 'plan' (top-down stage), 'imaging' (plan with SRA and phantom images)
+    // or 'elevation' (side view with source heights)
+    this.viewMode = 'plan';
+    this.recordingAngleCache = { key: null, value: null };
 
     // Polar pattern visualization settings
     this.polarPatternScale = 25; // Size of polar pattern visualization in pixels
@@ -62,10 +96,15 @@ export class StageCanvas {
     this.onTrackDeselect = null;
     this.onTrackDoubleClick = null;
     this.onTrackGainChange = null;
+    this.onTrackRotate = null;
+    this.onTrackRotateEnd = null;
+    this.onTrackHeightChange = null;
+    this.onTrackHeightChangeEnd = null;
     this.onTrackMuteToggle = null;
     this.onTrackSoloToggle = null;
     this.onMicSeparationChange = null;
     this.onMicConfigChange = null; // Called when any mic config parameter changes
+    this.onSpotMicMove = null; // (spotId, x, y) in hall meters while a spot mic is dragged
 
     // Constants
     this.baseRadius = 18;
@@ -74,6 +113,9 @@ export class StageCanvas {
     this.padding = 12;
     this.iconSize = 16;
     this.micIconSize = 24;
+    this.listenerHandleDistance = 30; // Pixels from listener to the facing handle
+    this.trackHandleGap = 16; // Pixels beyond the icon edge to a track's facing handle
+    this.elevationIconSize = 22; // Fixed icon size in the elevation view
 
     // Setup
     this.setupEventListeners();
@@ -117,10 +159,11 @@ export class StageCanvas {
     const availableWidth = this.width - this.padding * 2;
     const availableHeight = this.height - this.padding * 2;
 
-    // Mic area based on actual mic position (negative = in front of stage)
-    const micY = Math.abs(this.micConfig?.micY ?? STAGE_CONFIG.micY);
+    // Audience area based on the listener seat (negative = in front of stage)
+    // Keep a metre of floor behind the seat so the listener can be dragged further back
+    const audienceDepth = Math.max(2, 1 - getListenerPose(this.micConfig).y);
     const MIC_LEGEND_HEIGHT = 45; // Space for mic icon + technique label below
-    const totalDepth = STAGE_CONFIG.depth + micY;
+    const totalDepth = STAGE_CONFIG.depth + audienceDepth;
 
     const pixelsPerMeterX = availableWidth / STAGE_CONFIG.width;
     const pixelsPerMeterY = (availableHeight - MIC_LEGEND_HEIGHT) / totalDepth;
@@ -311,6 +354,26 @@ export class StageCanvas {
     return { x: canvasX, y: canvasY };
   }
 
+  /**
+   * Convert hall meters (x right, y toward the stage back) to canvas coordinates
+   */
+  metersToCanvas(metersX, metersY) {
+    return {
+      x: this.stageOffsetX + this.stagePixelWidth / 2 + metersX * this.pixelsPerMeter,
+      y: this.stageOffsetY + this.stagePixelHeight - metersY * this.pixelsPerMeter,
+    };
+  }
+
+  /**
+   * Convert canvas coordinates to hall meters (unclamped)
+   */
+  canvasToMeters(canvasX, canvasY) {
+    return {
+      x: (canvasX - this.stageOffsetX - this.stagePixelWidth / 2) / this.pixelsPerMeter,
+      y: (this.stageOffsetY + this.stagePixelHeight - canvasY) / this.pixelsPerMeter,
+    };
+  }
+
   /**
    * Convert canvas coordinates to track coordinates
    * Uses uniform scaling to maintain proper aspect ratio (1m = 1m in both axes)
@@ -335,30 +398,31 @@ export class StageCanvas {
    * Constrain track position to maintain minimum distance from all mics
    * @param {Object} pos - {x, y} normalized position
    * @param {number} minDist - minimum distance in meters
+   * @param {number} sourceHeight - source height in meters
    * @returns {Object} - constrained {x, y} position
    */
-  constrainMinDistanceFromMics(pos, minDist = MIC_CONSTANTS.minDistance) {
+  constrainMinDistanceFromMics(pos, minDist = MIC_CONSTANTS.minDistance, sourceHeight = STAGE_CONFIG.sourceHeight) {
     if (!this.micConfig) return pos;
 
     const stageWidth = STAGE_CONFIG.width;
     const stageDepth = STAGE_CONFIG.depth;
-    const sourceHeight = STAGE_CONFIG.sourceHeight;
-    const micHeight = STAGE_CONFIG.micHeight;
-    const heightDiff = Math.abs(micHeight - sourceHeight);
+    const pose = getListenerPose(this.micConfig);
+    const heightDiff = Math.abs(pose.height - sourceHeight);
 
     // Convert normalized position to meters
     let sourceX = pos.x * (stageWidth / 2);
     let sourceY = pos.y * stageDepth;
 
     const layoutConfig = applyTechniqueLayout(cloneMicConfig(this.micConfig));
-    const micBaseY = this.micConfig.micY || -1;
+    const mics = this.isListenerMode()
+      ? [{ enabled: true, offsetX: 0, offsetY: 0 }]
+      : layoutConfig.mics;
 
-    // Check distance to each mic and push away if too close
-    for (const mic of layoutConfig.mics) {
+    // Check distance to each mic (or the binaural head) and push away if too close
+    for (const mic of mics) {
       if (!mic.enabled) continue;
 
-      const micX = mic.offsetX || 0;
-      const micY = micBaseY + (mic.offsetY || 0);
+      const { x: micX, y: micY } = getMicWorldPosition(mic, pose);
 
       // 3D distance (including height difference)
       const dx = sourceX - micX;
@@ -389,37 +453,29 @@ export class StageCanvas {
    * Get microphone positions on canvas
    * Returns object with positions for all mics in current config
    * { L: {x, y, angle, pattern}, R: {x, y, angle, pattern}, C?: {...} }
+   * (pattern is the pattern definition the mic uses, see getMicPolarPattern)
    */
   getMicPositions() {
-    // Mic base position: centered horizontally, aligned with micY meters
-    const centerX = this.stageOffsetX + this.stagePixelWidth / 2;
-    const baseMicY = Number.isFinite(this.micConfig?.micY)
-      ? this.micConfig.micY
-      : STAGE_CONFIG.micY;
-    const micY = this.stageOffsetY + this.stagePixelHeight - baseMicY * this.pixelsPerMeter;
+    // Mic base position: the listener seat, array rotated by the listener facing
+    const pose = getListenerPose(this.micConfig);
 
     // Apply technique layout to get current mic positions
     const layoutConfig = applyTechniqueLayout(cloneMicConfig(this.micConfig));
-    const technique = STEREO_TECHNIQUES[this.micConfig.technique];
 
     const result = {};
 
     for (const mic of layoutConfig.mics) {
       if (!mic.enabled) continue;
 
-      // Calculate pixel position based on mic offset (in meters)
-      // Use uniform scale for both X and Y
-      const pixelOffsetX = mic.offsetX * this.pixelsPerMeter;
-
-      // For center depth (Decca Tree), convert Y offset using same scale
-      // Negative because canvas Y is inverted (up on canvas = forward on stage)
-      const pixelOffsetY = mic.offsetY ? -mic.offsetY * this.pixelsPerMeter : 0;
+      // Offsets are in meters relative to the listener; uniform scale for X and Y
+      const world = getMicWorldPosition(mic, pose);
+      const canvasPos = this.metersToCanvas(world.x, world.y);
 
       result[mic.id] = {
-        x: centerX + pixelOffsetX,
-        y: micY + pixelOffsetY,
-        angle: mic.angle || 0,
-        pattern: mic.pattern,
+        x: canvasPos.x,
+        y: canvasPos.y,
+        angle: world.angle,
+        pattern: getMicPolarPattern({ ...mic, dualCapsule: this.micConfig.dualCapsule }),
         label: mic.label,
       };
     }
@@ -433,6 +489,38 @@ export class StageCanvas {
     return result;
   }
 
+  /**
+   * Get spot mic positions on canvas
+   * @returns {Array} [{id, x, y, angle, pattern, label, enabled}]
+   */
+  getSpotMicPositions() {
+    return (this.micConfig.spots || []).map(spot => ({
+      ...this.metersToCanvas(spot.x, spot.y),
+      id: spot.id,
+      angle: spot.angle,
+      pattern: getMicPolarPattern(spot),
+      label: spot.label,
+      enabled: spot.enabled,
+    }));
+  }
+
+  /**
+   * Get the listener marker and its facing handle on canvas
+   * @returns {{x: number, y: number, facing: number, handleX: number, handleY: number}}
+   */
+  getListenerCanvasPose() {
+    const pose = getListenerPose(this.micConfig);
+    const pos = this.metersToCanvas(pose.x, pose.y);
+    const facingRad = (pose.facing * Math.PI) / 180;
+    return {
+      x: pos.x,
+      y: pos.y,
+      facing: pose.facing,
+      handleX: pos.x + Math.sin(facingRad) * this.listenerHandleDistance,
+      handleY: pos.y - Math.cos(facingRad) * this.listenerHandleDistance,
+    };
+  }
+
   /**
    * Set the full microphone configuration
    * @param {Object} config - Full MicrophoneConfig object
@@ -453,13 +541,43 @@ export class StageCanvas {
     this.resize();
   }
 
+  /**
+   * Set output rendering mode (mic array vs listener head)
+   * @param {string} mode - 'mics', 'binaural' or 'speakers'
+   */
+  setRenderMode(mode) {
+    this.renderMode = ['binaural', 'speakers'].includes(mode) ? mode : 'mics';
+    this.render();
+  }
+
+  /**
+   * Whether tracks are rendered from the listener position (binaural or loudspeakers)
+   * @returns {boolean}
+   */
+  isListenerMode() {
+    return this.renderMode !== 'mics';
+  }
+
   /**
    * Check if a point is over a microphone
    * Returns 'left', 'right', 'center', or null
    */
   getMicAt(canvasX, canvasY) {
+    // Listener facing handle and seat marker take priority over the mics
+    const listener = this.getListenerCanvasPose();
+    if (Math.hypot(canvasX - listener.handleX, canvasY - listener.handleY) <= 7) {
+      return 'listener-rotate';
+    }
+    const listenerRadius = this.isListenerMode() ? this.micIconSize * 0.6 : 7;
+    if (Math.hypot(canvasX - listener.x, canvasY - listener.y) <= listenerRadius) {
+      return 'listener';
+    }
+
+    if (this.isListenerMode()) return null;
+
     const mics = this.getMicPositions();
     const hitRadius = this.micIconSize / 2 + 6;
+    const isCustom = getTechnique(this.micConfig)?.isCustom;
 
     // Check all mics in config
     for (const [micId, mic] of Object.entries(mics)) {
@@ -468,11 +586,22 @@ export class StageCanvas {
 
       const dist = Math.sqrt((canvasX - mic.x) ** 2 + (canvasY - mic.y) ** 2);
       if (dist <= hitRadius) {
+        // Custom arrays are edited in the array editor; dragging a mic moves the whole array
+        if (isCustom) return 'listener';
         // Return semantic name for dragging
         if (micId === 'L') return 'left';
         if (micId === 'R') return 'right';
         if (micId === 'C') return 'center';
-        return micId.toLowerCase();
+        // Other mics (the M/S capsules) have no handle of their own
+        return 'listener';
+      }
+    }
+
+    // Spot mics (topmost drawn last, so hit-test in reverse)
+    const spots = this.getSpotMicPositions();
+    for (let i = spots.length - 1; i >= 0; i--) {
+      if (Math.hypot(canvasX - spots[i].x, canvasY - spots[i].y) <= hitRadius) {
+        return `spot-${spots[i].id}`;
       }
     }
     return null;
@@ -484,7 +613,7 @@ export class StageCanvas {
    */
   getSpacingLimits() {
     // adjustable is on the technique definition, not micConfig
-    const technique = STEREO_TECHNIQUES[this.micConfig?.technique];
+    const technique = this.micConfig && getTechnique(this.micConfig);
     if (technique?.adjustable?.spacing) {
       return technique.adjustable.spacing;
     }
@@ -538,10 +667,11 @@ export class StageCanvas {
     if (this.micConfig) {
       for (const mic of this.micConfig.mics) {
         if (!micId || mic.id === micId) {
-          const technique = STEREO_TECHNIQUES[this.micConfig.technique];
-          // Don't override fixed patterns (e.g., Blumlein must be figure-8)
-          if (!technique?.fixedPattern) {
+          const technique = getTechnique(this.micConfig);
+          // Don't override fixed patterns (e.g., Blumlein must be figure-8, the M/S side mic too)
+          if (!getFixedPattern(technique, mic.id)) {
             mic.pattern = pattern;
+            mic.patternAlpha = null;
           }
         }
       }
@@ -551,7 +681,7 @@ export class StageCanvas {
 
   /**
    * Find track and zone at canvas position
-   * Returns { id, zone } where zone is 'center', 'edge', 'mute', 'solo', or null
+   * Returns { id, zone } where zone is 'center', 'edge', 'mute', 'solo', 'rotate', or null
    */
   findTrackAt(canvasX, canvasY) {
     const trackIds = Array.from(this.tracks.keys()).reverse();
@@ -587,6 +717,14 @@ export class StageCanvas {
       if (muteHit) return { id, zone: 'mute' };
       if (soloHit) return { id, zone: 'solo' };
 
+      // Facing handle (selected tracks only)
+      if (this.selectedIds.has(id)) {
+        const facing = this.getTrackFacingPose(track, iconSize);
+        if ((canvasX - facing.handleX) ** 2 + (canvasY - facing.handleY) ** 2 <= 36) {
+          return { id, zone: 'rotate' };
+        }
+      }
+
       // Check if within bounding box (with some padding)
       const inBounds = Math.abs(dx) <= halfW + 4 && Math.abs(dy) <= halfH + 4;
 
@@ -638,6 +776,11 @@ export class StageCanvas {
   handleMouseDown(e) {
     const pos = this.getMousePos(e);
 
+    if (this.viewMode === 'elevation') {
+      this.handleElevationPointerDown(pos, e.shiftKey);
+      return;
+    }
+
     // Check for mic click first
     const micSide = this.getMicAt(pos.x, pos.y);
     if (micSide) {
@@ -647,8 +790,13 @@ export class StageCanvas {
       this.micDragStartY = pos.y;
       this.micDragStartSeparation = this.micSeparation;
       this.micDragStartCenterDepth = this.micConfig?.centerDepth || 1.5;
-      // Center mic drags vertically, L/R drag horizontally
-      this.canvas.style.cursor = micSide === 'center' ? 'ns-resize' : 'ew-resize';
+      const listener = this.getListenerCanvasPose();
+      this.listenerDragOffset = { x: pos.x - listener.x, y: pos.y - listener.y };
+      const spot = this.getSpotMicPositions().find(s => `spot-${s.id}` === micSide);
+      if (spot) {
+        this.spotDragOffset = { x: pos.x - spot.x, y: pos.y - spot.y };
+      }
+      this.canvas.style.cursor = this.getMicCursor(micSide);
       return;
     }
 
@@ -678,7 +826,12 @@ export class StageCanvas {
 
       const trackPos = this.trackToCanvas(track.x, track.y);
 
-      if (zone === 'edge') {
+      if (zone === 'rotate' || e.altKey) {
+        // Rotate mode: facing handle or Alt-drag turns the instrument
+        this.isRotating = true;
+        this.dragTrackId = trackId;
+        this.canvas.style.cursor = 'grabbing';
+      } else if (zone === 'edge') {
         // Start resize (gain) mode
         this.isResizing = true;
         this.dragTrackId = trackId;
@@ -728,16 +881,29 @@ export class StageCanvas {
   handleMouseMove(e) {
     const pos = this.getMousePos(e);
 
+    if (this.viewMode === 'elevation') {
+      this.handleElevationPointerMove(pos);
+      return;
+    }
+
     // Handle mic dragging
     if (this.isDraggingMic) {
       const deltaX = pos.x - this.micDragStartX;
       const deltaY = pos.y - this.micDragStartY;
 
       // Use uniform scale for consistent feel
-      if (this.draggingMicSide === 'center') {
+      if (this.draggingMicSide === 'listener') {
+        this.moveListener(pos.x - this.listenerDragOffset.x, pos.y - this.listenerDragOffset.y);
+      } else if (this.draggingMicSide.startsWith('spot-')) {
+        this.moveSpotMic(
+          this.draggingMicSide.slice(5), pos.x - this.spotDragOffset.x, pos.y - this.spotDragOffset.y
+        );
+      } else if (this.draggingMicSide === 'listener-rotate') {
+        this.rotateListener(pos.x, pos.y);
+      } else if (this.draggingMicSide === 'center') {
         // Center mic: vertical drag changes depth (Decca Tree)
         const depthDelta = -deltaY / this.pixelsPerMeter; // Up = more depth
-        const technique = STEREO_TECHNIQUES[this.micConfig?.technique];
+        const technique = this.micConfig && getTechnique(this.micConfig);
         if (technique?.adjustable?.centerDepth) {
           const { min, max } = technique.adjustable.centerDepth;
           const newDepth = Math.max(min, Math.min(max, this.micDragStartCenterDepth + depthDelta));
@@ -776,7 +942,9 @@ export class StageCanvas {
       return;
     }
 
-    if (this.isResizing && this.dragTrackId) {
+    if (this.isRotating && this.dragTrackId) {
+      this.rotateTrack(this.dragTrackId, pos.x, pos.y);
+    } else if (this.isResizing && this.dragTrackId) {
       // Resize mode: vertical drag changes gain
       const track = this.tracks.get(this.dragTrackId);
       const deltaY = this.resizeStartY - pos.y; // Up = increase
@@ -794,10 +962,11 @@ export class StageCanvas {
       const newCanvasY = pos.y - this.dragOffset.y;
       let newPos = this.canvasToTrack(newCanvasX, newCanvasY);
 
+      const track = this.tracks.get(this.dragTrackId);
+
       // Enforce minimum distance from mics
-      newPos = this.constrainMinDistanceFromMics(newPos, MIC_CONSTANTS.minDistance);
+      newPos = this.constrainMinDistanceFromMics(newPos, MIC_CONSTANTS.minDistance, track.height);
 
-      const track = this.tracks.get(this.dragTrackId);
       track.x = newPos.x;
       track.y = newPos.y;
       this.minDistanceDirty = true;
@@ -813,8 +982,7 @@ export class StageCanvas {
         if (this.hoveredZone !== 'mic-' + micSide) {
           this.hoveredTrackId = null;
           this.hoveredZone = 'mic-' + micSide;
-          // Center mic drags vertically, L/R drag horizontally
-          this.canvas.style.cursor = micSide === 'center' ? 'ns-resize' : 'ew-resize';
+          this.canvas.style.cursor = this.getMicCursor(micSide);
           this.render();
         }
         return;
@@ -833,6 +1001,8 @@ export class StageCanvas {
           this.canvas.style.cursor = 'ns-resize';
         } else if (zone === 'mute' || zone === 'solo') {
           this.canvas.style.cursor = 'pointer';
+        } else if (zone === 'rotate') {
+          this.canvas.style.cursor = 'grab';
         } else {
           this.canvas.style.cursor = 'grab';
         }
@@ -846,12 +1016,20 @@ export class StageCanvas {
    * Handle mouse up
    */
   handleMouseUp(e) {
+    if (this.viewMode === 'elevation') {
+      this.handleElevationPointerUp();
+      return;
+    }
+
     const wasDragging = this.isDragging && this.dragTrackId;
     const dragTrackId = this.dragTrackId;
     const dragTrack = wasDragging ? this.tracks.get(dragTrackId) : null;
+    const wasMovingListener = this.isDraggingMic && this.draggingMicSide === 'listener';
+    const rotatedTrack = this.isRotating && this.dragTrackId ? this.tracks.get(this.dragTrackId) : null;
 
     this.isDragging = false;
     this.isResizing = false;
+    this.isRotating = false;
     this.isDraggingMic = false;
     this.draggingMicSide = null;
     this.dragTrackId = null;
@@ -860,6 +1038,98 @@ export class StageCanvas {
     if (wasDragging && dragTrack && this.onTrackMoveEnd) {
       this.onTrackMoveEnd(dragTrackId, dragTrack.x, dragTrack.y);
     }
+
+    if (rotatedTrack && this.onTrackRotateEnd) {
+      this.onTrackRotateEnd(dragTrackId, rotatedTrack.facing);
+    }
+
+    // Refit the audience area once the seat has settled
+    if (wasMovingListener) {
+      this.resize();
+    }
+  }
+
+  /**
+   * Cursor for a mic/listener hit zone
+   * @param {string} micSide - Result of getMicAt
+   */
+  getMicCursor(micSide) {
+    if (micSide === 'listener' || micSide.startsWith('spot-')) return 'move';
+    if (micSide === 'listener-rotate') return 'grab';
+    // Center mic drags vertically, L/R drag horizontally
+    return micSide === 'center' ? 'ns-resize' : 'ew-resize';
+  }
+
+  /**
+   * Move the listener seat to a canvas position (clamped to hall bounds)
+   */
+  moveListener(canvasX, canvasY) {
+    const meters = this.canvasToMeters(canvasX, canvasY);
+    const halfWidth = STAGE_CONFIG.width / 2;
+    this.micConfig.listenerX = Math.max(-halfWidth, Math.min(halfWidth, meters.x));
+    this.micConfig.micY = Math.max(-STAGE_CONFIG.audienceDepth, Math.min(STAGE_CONFIG.depth, meters.y));
+    if (this.onMicConfigChange) {
+      this.onMicConfigChange(this.micConfig);
+    }
+    this.render();
+  }
+
+  /**
+   * Move a spot mic to a canvas position (clamped to the stage)
+   * @param {string} id - Spot ID
+   */
+  moveSpotMic(id, canvasX, canvasY) {
+    const spot = (this.micConfig.spots || []).find(s => s.id === id);
+    if (!spot) return;
+
+    const meters = this.canvasToMeters(canvasX, canvasY);
+    const halfWidth = STAGE_CONFIG.width / 2;
+    spot.x = Math.max(-halfWidth, Math.min(halfWidth, meters.x));
+    spot.y = Math.max(0, Math.min(STAGE_CONFIG.depth, meters.y));
+    if (this.onSpotMicMove) {
+      this.onSpotMicMove(id, spot.x, spot.y);
+    }
+    this.render();
+  }
+
+  /**
+   * Turn the listener toward a canvas position (5° steps)
+   */
+  rotateListener(canvasX, canvasY) {
+    const listener = this.getListenerCanvasPose();
+    const dx = canvasX - listener.x;
+    const dy = canvasY - listener.y;
+    if (Math.hypot(dx, dy) < 4) return;
+
+    // Facing 0 points up the canvas (toward the stage), positive turns right
+    const facing = wrapDegrees(Math.round((Math.atan2(dx, -dy) * 180 / Math.PI) / 5) * 5);
+    if (facing === this.micConfig.listenerFacing) return;
+    this.micConfig.listenerFacing = facing;
+    if (this.onMicConfigChange) {
+      this.onMicConfigChange(this.micConfig);
+    }
+    this.render();
+  }
+
+  /**
+   * Turn a track toward a canvas position (5° steps)
+   */
+  rotateTrack(id, canvasX, canvasY) {
+    const track = this.tracks.get(id);
+    if (!track) return;
+    const pos = this.trackToCanvas(track.x, track.y);
+    const dx = canvasX - pos.x;
+    const dy = canvasY - pos.y;
+    if (Math.hypot(dx, dy) < 4) return;
+
+    // Facing 0 points down the canvas (toward the audience), positive turns to the player's right
+    const facing = wrapDegrees(Math.round((Math.atan2(-dx, dy) * 180 / Math.PI) / 5) * 5);
+    if (facing === track.facing) return;
+    track.facing = facing;
+    if (this.onTrackRotate) {
+      this.onTrackRotate(id, facing);
+    }
+    this.render();
   }
 
   /**
@@ -869,7 +1139,7 @@ export class StageCanvas {
     this.hoveredTrackId = null;
     this.hoveredZone = null;
 
-    if (!this.isDragging && !this.isResizing) {
+    if (!this.isDragging && !this.isResizing && !this.isRotating && !this.isDraggingHeight) {
       this.canvas.style.cursor = 'default';
       this.render();
     }
@@ -880,6 +1150,23 @@ export class StageCanvas {
    */
   handleDoubleClick(e) {
     const pos = this.getMousePos(e);
+
+    if (this.viewMode === 'elevation') {
+      // Reset height to the default
+      const trackId = this.findElevationTrackAt(pos.x, pos.y);
+      const track = trackId ? this.tracks.get(trackId) : null;
+      if (track) {
+        track.height = STAGE_CONFIG.sourceHeight;
+        if (this.onTrackHeightChange) {
+          this.onTrackHeightChange(trackId, track.height);
+        }
+        if (this.onTrackHeightChangeEnd) {
+          this.onTrackHeightChangeEnd(trackId, track.height);
+        }
+        this.render();
+      }
+      return;
+    }
     const { id: trackId } = this.findTrackAt(pos.x, pos.y);
 
     if (trackId) {
@@ -903,6 +1190,8 @@ export class StageCanvas {
    * Handle mouse wheel - fine gain adjustment
    */
   handleWheel(e) {
+    if (this.viewMode === 'elevation') return;
+
     const pos = this.getMousePos(e);
     const { id: trackId } = this.findTrackAt(pos.x, pos.y);
 
@@ -936,6 +1225,13 @@ export class StageCanvas {
         y: touch.clientY - rect.top,
       };
 
+      if (this.viewMode === 'elevation') {
+        if (this.handleElevationPointerDown(pos)) {
+          e.preventDefault();
+        }
+        return;
+      }
+
       const { id: trackId, zone } = this.findTrackAt(pos.x, pos.y);
 
       if (trackId && zone === 'center') {
@@ -971,6 +1267,17 @@ export class StageCanvas {
    * Handle touch move
    */
   handleTouchMove(e) {
+    if (this.isDraggingHeight && e.touches.length === 1) {
+      e.preventDefault();
+      const touch = e.touches[0];
+      const rect = this.canvas.getBoundingClientRect();
+      this.handleElevationPointerMove({
+        x: touch.clientX - rect.left,
+        y: touch.clientY - rect.top,
+      });
+      return;
+    }
+
     if (this.isDragging && e.touches.length === 1) {
       e.preventDefault();
 
@@ -985,10 +1292,11 @@ export class StageCanvas {
       const newCanvasY = pos.y - this.dragOffset.y;
       let newPos = this.canvasToTrack(newCanvasX, newCanvasY);
 
+      const track = this.tracks.get(this.dragTrackId);
+
       // Enforce minimum distance from mics
-      newPos = this.constrainMinDistanceFromMics(newPos, MIC_CONSTANTS.minDistance);
+      newPos = this.constrainMinDistanceFromMics(newPos, MIC_CONSTANTS.minDistance, track.height);
 
-      const track = this.tracks.get(this.dragTrackId);
       track.x = newPos.x;
       track.y = newPos.y;
 
@@ -1004,6 +1312,11 @@ export class StageCanvas {
    * Handle touch end
    */
   handleTouchEnd(e) {
+    if (this.isDraggingHeight) {
+      this.handleElevationPointerUp();
+      return;
+    }
+
     const wasDragging = this.isDragging && this.dragTrackId;
     const dragTrackId = this.dragTrackId;
     const dragTrack = wasDragging ? this.tracks.get(dragTrackId) : null;
@@ -1098,6 +1411,11 @@ export class StageCanvas {
     this.tracks.set(id, {
       x: data.x,
       y: data.y,
+      height: data.height ?? STAGE_CONFIG.sourceHeight,
+      facing: data.facing ?? 0,
+      ...getSourceExtent(data),
+      channels: data.channels ?? 1,
+      ...getStemLayout(data),
       name: data.name,
       family: data.family,
       gain: data.gain ?? 1,
@@ -1131,6 +1449,50 @@ export class StageCanvas {
     }
   }
 
+  /**
+   * Update track source height (meters)
+   */
+  updateTrackHeight(id, height) {
+    const track = this.tracks.get(id);
+    if (track) {
+      track.height = height;
+      this.render();
+    }
+  }
+
+  /**
+   * Update track width (meters, 0 = point) and shape
+   */
+  updateTrackExtent(id, extent) {
+    const track = this.tracks.get(id);
+    if (track) {
+      Object.assign(track, getSourceExtent(extent));
+      this.render();
+    }
+  }
+
+  /**
+   * Update how a multichannel stem is placed (format, spacing in meters, rotation in degrees)
+   */
+  updateTrackStemLayout(id, layout) {
+    const track = this.tracks.get(id);
+    if (track) {
+      Object.assign(track, getStemLayout({ ...layout, channels: track.channels }));
+      this.render();
+    }
+  }
+
+  /**
+   * Update track facing angle (degrees, 0 = toward the audience)
+   */
+  updateTrackFacing(id, facing) {
+    const track = this.tracks.get(id);
+    if (track) {
+      track.facing = facing;
+      this.render();
+    }
+  }
+
   /**
    * Update track gain
    */
@@ -1234,9 +1596,17 @@ export class StageCanvas {
     ctx.fillStyle = '#000000';
     ctx.strokeStyle = '#000000';
 
+    if (this.viewMode === 'elevation') {
+      this.drawElevation();
+      return;
+    }
+
+    const showImaging = this.viewMode === 'imaging' && this.renderMode === 'mics';
+
     this.drawStage();
     this.drawGrid();
     this.drawScaleIndicator();
+    if (showImaging) this.drawRecordingAngle();
     this.drawMicrophones();
 
     if (this.minDistanceDirty) {
@@ -1244,60 +1614,207 @@ export class StageCanvas {
       this.minDistanceDirty = false;
     }
     const anySolo = Array.from(this.tracks.values()).some(track => track.solo);
+    if (showImaging) this.drawPhantomImages(anySolo);
+    // Extents first, so no section covers another track's icon
+    for (const [id, track] of this.tracks) {
+      this.drawTrackExtent(id, track, anySolo);
+    }
     for (const [id, track] of this.tracks) {
       this.drawTrackNode(id, track, this.minDistancePixels, anySolo);
     }
   }
 
   /**
-   * Draw all microphones based on current technique configuration
+   * Stage settings for imaging predictions (hall speed of sound when an engine is attached)
    */
-  drawMicrophones() {
+  getImagingStage() {
+    const speedOfSound = this.audioEngine?.speedOfSound;
+    return Number.isFinite(speedOfSound) ? { ...STAGE_CONFIG, speedOfSound } : STAGE_CONFIG;
+  }
+
+  /**
+   * Stereo Recording Angle of the current main array (cached per mic config)
+   * @returns {Object|null} See calculateRecordingAngle
+   */
+  getRecordingAngle() {
+    const stage = this.getImagingStage();
+    const key = `${JSON.stringify(this.micConfig)}|${stage.speedOfSound}`;
+    if (this.recordingAngleCache.key !== key) {
+      this.recordingAngleCache = { key, value: calculateRecordingAngle(this.micConfig, stage) };
+    }
+    return this.recordingAngleCache.value;
+  }
+
+  /**
+   * Predicted phantom image of a track between the loudspeakers
+   * @returns {Object} {position, itd, ild} (see calculatePhantomImage)
+   */
+  getTrackImage(track) {
+    const sourceHeight = Number.isFinite(track.height) ? track.height : STAGE_CONFIG.sourceHeight;
+    return calculatePhantomImage(
+      { x: track.x, y: track.y },
+      this.micConfig,
+      { ...this.getImagingStage(), sourceHeight }
+    );
+  }
+
+  /**
+   * Draw the Stereo Recording Angle as a wedge from the listener seat.
+   * Sources inside the wedge image between the loudspeakers; outside it they sit in one.
+   */
+  drawRecordingAngle() {
     const ctx = this.ctx;
-    const mics = this.getMicPositions();
-    const technique = STEREO_TECHNIQUES[this.micConfig.technique];
-    const centerX = this.width / 2;
+    const listener = this.getListenerCanvasPose();
+    const sra = this.getRecordingAngle();
+    const reach = Math.hypot(this.width, this.height);
+    // Canvas arc angles start at +X; directions here start at the facing, clockwise
+    const toArcAngle = deg => ((deg + listener.facing - 90) * Math.PI) / 180;
+
+    ctx.save();
+    if (sra) {
+      ctx.beginPath();
+      ctx.moveTo(listener.x, listener.y);
+      ctx.arc(listener.x, listener.y, reach, toArcAngle(sra.left), toArcAngle(sra.right));
+      ctx.closePath();
+      ctx.fillStyle = 'rgba(124, 179, 66, 0.1)';
+      ctx.fill();
+
+      ctx.strokeStyle = '#7cb342';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([6, 4]);
+      for (const edge of [sra.left, sra.right]) {
+        const angle = toArcAngle(edge);
+        ctx.beginPath();
+        ctx.moveTo(listener.x, listener.y);
+        ctx.lineTo(listener.x + Math.cos(angle) * reach, listener.y + Math.sin(angle) * reach);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+    }
 
-    // Get mic positions for L and R (and C if present)
-    const micL = mics.L;
-    const micR = mics.R;
-    const micC = mics.C;
+    // Label ahead of the facing handle
+    const labelAngle = toArcAngle(0);
+    const labelDistance = this.listenerHandleDistance + 22;
+    ctx.font = '11px "SF Mono", Monaco, monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#558b2f';
+    ctx.fillText(
+      sra ? `SRA ${Math.round(sra.angle)}°` : 'SRA ≥ 180°',
+      listener.x + Math.cos(labelAngle) * labelDistance,
+      listener.y + Math.sin(labelAngle) * labelDistance
+    );
+    ctx.restore();
+  }
 
-    // Determine hover states
-    const isLeftHovered = this.hoveredZone === 'mic-left' || this.draggingMicSide === 'left';
-    const isRightHovered = this.hoveredZone === 'mic-right' || this.draggingMicSide === 'right';
-    const isCenterHovered = this.hoveredZone === 'mic-center' || this.draggingMicSide === 'center';
+  /**
+   * Draw a loudspeaker strip along the back of the stage with each track's predicted
+   * phantom image, joined to the track by a faint line
+   * @param {boolean} anySolo - Whether any track is soloed (others are left out)
+   */
+  drawPhantomImages(anySolo) {
+    const ctx = this.ctx;
+    const centerX = this.stageOffsetX + this.stagePixelWidth / 2;
+    const halfSpan = this.stagePixelWidth / 4;
+    const stripY = this.stageOffsetY + 30;
+    const speakerSize = 8;
 
     ctx.save();
 
-    // Draw connecting lines between mics
+    // Loudspeakers and the line between them
+    ctx.strokeStyle = '#8d8275';
+    ctx.lineWidth = 2;
     ctx.beginPath();
-    if (micL && micR) {
-      ctx.moveTo(micL.x, micL.y);
-      if (micC && technique?.hasCenter) {
-        // Decca Tree: L -> C -> R triangle
-        ctx.lineTo(micC.x, micC.y);
-        ctx.lineTo(micR.x, micR.y);
-      } else {
-        // Standard: L -> R line
-        ctx.lineTo(micR.x, micR.y);
-      }
+    ctx.moveTo(centerX - halfSpan, stripY);
+    ctx.lineTo(centerX + halfSpan, stripY);
+    ctx.stroke();
+    ctx.fillStyle = '#5a5247';
+    ctx.font = '9px "SF Mono", Monaco, monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    for (const [side, label] of [[-1, 'L'], [1, 'R']]) {
+      const x = centerX + side * halfSpan;
+      ctx.fillRect(x - speakerSize / 2, stripY - speakerSize / 2, speakerSize, speakerSize);
+      ctx.fillText(label, x, stripY - speakerSize / 2 - 2);
+    }
+
+    for (const track of this.tracks.values()) {
+      if (track.muted || (anySolo && !track.solo)) continue;
+      const color = FAMILY_COLORS[track.family] || '#888888';
+      const pos = this.trackToCanvas(track.x, track.y);
+      const imageX = centerX + this.getTrackImage(track).position * halfSpan;
+
+      ctx.globalAlpha = 0.3;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(pos.x, pos.y);
+      ctx.lineTo(imageX, stripY);
+      ctx.stroke();
+
+      ctx.globalAlpha = 0.9;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(imageX, stripY, 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Tooltip line for a track's predicted phantom image
+   */
+  formatTrackImage(track) {
+    const { position, itd, ild } = this.getTrackImage(track);
+    const side = position < 0 ? 'L' : 'R';
+    let where = 'centre';
+    if (Math.abs(position) >= 1) where = `in ${side} speaker`;
+    else if (Math.abs(position) >= 0.01) where = `${Math.round(Math.abs(position) * 100)}% ${side}`;
+    const ildStr = Number.isFinite(ild) ? `${ild.toFixed(1)} dB` : `${ild > 0 ? '+' : '−'}∞ dB`;
+    return `Image: ${where} (ITD ${itd.toFixed(2)} ms, ILD ${ildStr})`;
+  }
+
+  /**
+   * Draw all microphones based on current technique configuration
+   */
+  drawMicrophones() {
+    if (this.isListenerMode()) {
+      this.drawListenerHead();
+      return;
     }
+
+    const ctx = this.ctx;
+    const technique = getTechnique(this.micConfig);
+    const listener = this.getListenerCanvasPose();
+    const centerX = listener.x;
+
+    // Array mics in config order (Decca Tree: L, C, R; custom arrays: as defined)
+    const positions = this.getMicPositions();
+    const mics = this.micConfig.mics
+      .filter(mic => positions[mic.id])
+      .map(mic => ({ id: mic.id, ...positions[mic.id] }));
+    const dragZones = { L: 'left', R: 'right', C: 'center' };
+
+    ctx.save();
+
+    // Draw connecting lines between mics (Decca Tree: L -> C -> R triangle)
+    ctx.beginPath();
+    mics.forEach((mic, i) => {
+      if (i === 0) ctx.moveTo(mic.x, mic.y);
+      else ctx.lineTo(mic.x, mic.y);
+    });
     ctx.strokeStyle = '#dfd0bf';
     ctx.lineWidth = 2;
     ctx.setLineDash([4, 4]);
     ctx.stroke();
     ctx.setLineDash([]);
 
-    // Draw center reference point (for non-Decca techniques)
-    if (!micC || !technique?.hasCenter) {
-      ctx.beginPath();
-      ctx.arc(centerX, micL?.y || (this.height - this.padding + 20), 3, 0, Math.PI * 2);
-      ctx.fillStyle = '#dfd0bf';
-      ctx.fill();
-    }
     ctx.restore();
 
+    // Listener seat (array anchor) with facing handle
+    this.drawListenerHandle(listener);
+
     // Draw technique label with spacing/angle info on single line
     ctx.save();
     ctx.font = '11px "SF Mono", Monaco, monospace';
@@ -1312,41 +1829,180 @@ export class StageCanvas {
     if (technique?.adjustable?.angle && this.micConfig.angle) {
       label += ` ${this.micConfig.angle}°`;
     }
-    const labelY = (micL?.y || (this.height - this.padding + 20)) + this.micIconSize + 8;
+    if (technique?.adjustable?.msWidth) {
+      label += ` width ${this.micConfig.msWidth.toFixed(2)}`;
+    }
+    if (this.micConfig.dualCapsule) {
+      label += ' dual-capsule';
+    }
+    const isStacked = technique?.routingMode === 'ms';
+    const stackOffset = this.micIconSize * 0.7;
+    const labelY = Math.max(listener.y, ...mics.map(mic => mic.y)) + this.micIconSize + 8 + (isStacked ? stackOffset : 0);
     ctx.fillText(label, centerX, labelY);
     ctx.restore();
 
     // Draw polar patterns first (behind mic icons)
-    if (micL) this.drawPolarPattern(micL.x, micL.y, micL.pattern, micL.angle);
-    if (micR) this.drawPolarPattern(micR.x, micR.y, micR.pattern, micR.angle);
-    if (micC && technique?.hasCenter) {
-      this.drawPolarPattern(micC.x, micC.y, micC.pattern, micC.angle);
+    for (const mic of mics) {
+      this.drawPolarPattern(mic.x, mic.y, mic.pattern, mic.angle);
     }
 
-    // Draw microphone icons
-    if (micL) this.drawMicIcon(micL.x, micL.y, 'L', isLeftHovered, micL.angle);
-    if (micR) this.drawMicIcon(micR.x, micR.y, 'R', isRightHovered, micR.angle);
-    if (micC && technique?.hasCenter) {
-      this.drawMicIcon(micC.x, micC.y, 'C', isCenterHovered, micC.angle);
+    // Draw microphone icons (dragging a custom array or M/S mic moves the listener).
+    // M/S capsules share a point, so the side capsule is drawn just behind the mid one;
+    // the polar patterns above stay at the true position.
+    const facing = (getListenerPose(this.micConfig).facing * Math.PI) / 180;
+    for (const mic of mics) {
+      const zone = technique?.isCustom ? 'listener' : dragZones[mic.id] || 'listener';
+      const isHovered = this.hoveredZone === `mic-${zone}` || this.draggingMicSide === zone;
+      const stacked = isStacked && mic.id === 'S';
+      const x = stacked ? mic.x - Math.sin(facing) * stackOffset : mic.x;
+      const y = stacked ? mic.y + Math.cos(facing) * stackOffset : mic.y;
+      this.drawMicIcon(x, y, mic.id, isHovered, mic.angle);
     }
+
+    this.drawSpotMics();
   }
 
   /**
-   * Draw polar pattern visualization around a microphone
-   * @param {number} x - Center X position
-   * @param {number} y - Center Y position
-   * @param {string} patternType - Polar pattern type ID
-   * @param {number} angle - Mic angle in degrees (0 = facing up/toward stage)
+   * Draw spot mics (disabled spots are faded)
    */
-  drawPolarPattern(x, y, patternType, angle = 0) {
+  drawSpotMics() {
     const ctx = this.ctx;
-    const pattern = POLAR_PATTERNS[patternType];
-    if (!pattern) return;
+    for (const spot of this.getSpotMicPositions()) {
+      const zone = `spot-${spot.id}`;
+      const isHovered = this.hoveredZone === `mic-${zone}` || this.draggingMicSide === zone;
 
-    const points = getPolarPatternPoints(patternType, 72);
-    const scale = this.polarPatternScale;
-
-    ctx.save();
+      ctx.save();
+      ctx.globalAlpha = spot.enabled ? 1 : 0.35;
+      this.drawPolarPattern(spot.x, spot.y, spot.pattern, spot.angle);
+      this.drawMicIcon(spot.x, spot.y, spot.id, isHovered, spot.angle);
+      ctx.restore();
+
+      if (isHovered) {
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#5a5247';
+        ctx.fillText(spot.label, spot.x, spot.y + this.micIconSize * 0.6);
+        ctx.restore();
+      }
+    }
+  }
+
+  /**
+   * Draw the listener seat marker and its facing handle
+   * @param {Object} listener - Result of getListenerCanvasPose
+   */
+  drawListenerHandle(listener) {
+    const ctx = this.ctx;
+    const isMoveHovered = this.hoveredZone === 'mic-listener' || this.draggingMicSide === 'listener';
+    const isRotateHovered = this.hoveredZone === 'mic-listener-rotate' || this.draggingMicSide === 'listener-rotate';
+
+    ctx.save();
+
+    // Facing line
+    ctx.beginPath();
+    ctx.moveTo(listener.x, listener.y);
+    ctx.lineTo(listener.handleX, listener.handleY);
+    ctx.strokeStyle = isRotateHovered ? '#b85c38' : '#dfd0bf';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([2, 3]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Rotate handle
+    ctx.beginPath();
+    ctx.arc(listener.handleX, listener.handleY, isRotateHovered ? 5 : 4, 0, Math.PI * 2);
+    ctx.fillStyle = isRotateHovered ? '#b85c38' : '#fff4e6';
+    ctx.fill();
+    ctx.strokeStyle = isRotateHovered ? '#8c3f21' : '#c9b59e';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    // Seat marker (skipped in listener modes where the head is the marker)
+    if (!this.isListenerMode()) {
+      ctx.beginPath();
+      ctx.arc(listener.x, listener.y, isMoveHovered ? 5 : 4, 0, Math.PI * 2);
+      ctx.fillStyle = isMoveHovered ? '#b85c38' : '#dfd0bf';
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the binaural listener head at the listener seat, rotated to its facing
+   */
+  drawListenerHead() {
+    const ctx = this.ctx;
+    const listener = this.getListenerCanvasPose();
+    const isHovered = this.hoveredZone === 'mic-listener' || this.draggingMicSide === 'listener';
+    const radius = this.micIconSize * 0.45;
+
+    this.drawListenerHandle(listener);
+
+    ctx.save();
+    ctx.translate(listener.x, listener.y);
+    ctx.rotate((listener.facing * Math.PI) / 180);
+
+    if (isHovered) {
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+      ctx.shadowBlur = 8;
+      ctx.shadowOffsetY = 2;
+    }
+
+    // Ears
+    ctx.fillStyle = isHovered ? '#5a5247' : '#888888';
+    for (const side of [-1, 1]) {
+      ctx.beginPath();
+      ctx.ellipse(side * radius, 0, radius * 0.25, radius * 0.4, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Head
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fillStyle = isHovered ? '#8c3f21' : '#6b6b6b';
+    ctx.fill();
+
+    // Nose (facing direction)
+    ctx.beginPath();
+    ctx.moveTo(-radius * 0.3, -radius * 0.9);
+    ctx.lineTo(0, -radius * 1.4);
+    ctx.lineTo(radius * 0.3, -radius * 0.9);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.restore();
+
+    // Label (kept upright)
+    ctx.save();
+    ctx.font = '11px "SF Mono", Monaco, monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#5a5247';
+    ctx.fillText('Binaural (HRTF)', listener.x, listener.y + this.micIconSize + 8);
+    ctx.restore();
+  }
+
+  /**
+   * Draw polar pattern visualization around a microphone
+   * The broadband (1 kHz) pattern is filled; 125 Hz (dashed) and 8 kHz (dotted) outlines show
+   * how the pattern widens or narrows with frequency.
+   * @param {number} x - Center X position
+   * @param {number} y - Center Y position
+   * @param {string|Object} patternType - Polar pattern type ID, or a pattern from getMicPolarPattern
+   * @param {number} angle - Mic angle in degrees (0 = facing up/toward stage)
+   */
+  drawPolarPattern(x, y, patternType, angle = 0) {
+    const ctx = this.ctx;
+    const pattern = typeof patternType === 'string' ? POLAR_PATTERNS[patternType] : patternType;
+    if (!pattern) return;
+
+    const points = getPolarPatternPoints(patternType, 72);
+    const scale = this.polarPatternScale;
+
+    ctx.save();
 
     // Translate to mic position and rotate for mic angle
     ctx.translate(x, y);
@@ -1395,6 +2051,22 @@ export class StageCanvas {
 
     strokeAndFill();
 
+    // Low/high band outlines (skipped where the pattern does not change with frequency)
+    ctx.globalAlpha = 0.5;
+    ctx.lineWidth = 1;
+    for (const { freq, dash } of POLAR_OUTLINE_BANDS) {
+      const bandPoints = getPolarPatternPoints(patternType, 72, freq);
+      if (bandPoints.every((pt, i) => Math.abs(Math.abs(pt.gain) - Math.abs(points[i].gain)) < 0.01)) continue;
+      ctx.beginPath();
+      bandPoints.forEach((pt, i) => {
+        if (i === 0) ctx.moveTo(pt.x * scale, pt.y * scale);
+        else ctx.lineTo(pt.x * scale, pt.y * scale);
+      });
+      ctx.setLineDash(dash);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
     // Draw mic axis indicator (direction mic is pointing)
     ctx.globalAlpha = 0.8;
     ctx.beginPath();
@@ -1647,6 +2319,403 @@ export class StageCanvas {
     ctx.restore();
   }
 
+  /**
+   * Switch between the plan, imaging and side elevation views
+   * @param {'plan'|'imaging'|'elevation'} mode - View mode
+   */
+  setViewMode(mode) {
+    const next = ['imaging', 'elevation'].includes(mode) ? mode : 'plan';
+    if (next === this.viewMode) return;
+    this.viewMode = next;
+    this.isDragging = false;
+    this.isResizing = false;
+    this.isRotating = false;
+    this.isDraggingMic = false;
+    this.isDraggingHeight = false;
+    this.dragTrackId = null;
+    this.hoveredTrackId = null;
+    this.hoveredZone = null;
+    this.canvas.style.cursor = 'default';
+    this.render();
+  }
+
+  /**
+   * Side elevation layout: hall depth runs left (audience) to right (stage back), height upward.
+   * Height is drawn with its own scale so risers stay readable next to a 15m deep stage.
+   * @returns {{left: number, right: number, top: number, floorY: number, yMin: number, yMax: number, maxHeight: number, pxPerMeterY: number, pxPerMeterZ: number}}
+   */
+  getElevationLayout() {
+    const pose = getListenerPose(this.micConfig);
+    const yMin = Math.min(pose.y, 0) - 1;
+    const yMax = STAGE_CONFIG.depth + 0.5;
+    const maxHeight = Math.max(STAGE_CONFIG.maxSourceHeight, pose.height) + 0.5;
+
+    const left = this.padding + 36; // Room for the height axis labels
+    const right = this.width - this.padding - 12;
+    const top = this.padding + 24;
+    const floorY = this.height - this.padding - 28;
+
+    return {
+      left,
+      right,
+      top,
+      floorY,
+      yMin,
+      yMax,
+      maxHeight,
+      pxPerMeterY: (right - left) / (yMax - yMin),
+      pxPerMeterZ: (floorY - top) / maxHeight,
+    };
+  }
+
+  /**
+   * Convert hall depth/height (meters) to elevation canvas coordinates
+   */
+  elevationToCanvas(metersY, height, layout = this.getElevationLayout()) {
+    return {
+      x: layout.left + (metersY - layout.yMin) * layout.pxPerMeterY,
+      y: layout.floorY - height * layout.pxPerMeterZ,
+    };
+  }
+
+  /**
+   * Elevation canvas position of a track
+   */
+  getTrackElevationPos(track, layout = this.getElevationLayout()) {
+    const height = Number.isFinite(track.height) ? track.height : STAGE_CONFIG.sourceHeight;
+    return this.elevationToCanvas(track.y * STAGE_CONFIG.depth, height, layout);
+  }
+
+  /**
+   * Find the track under a point in the elevation view (topmost first)
+   * @returns {string|null} - Track ID
+   */
+  findElevationTrackAt(canvasX, canvasY) {
+    const layout = this.getElevationLayout();
+    const radius = this.elevationIconSize / 2 + 3;
+    const trackIds = Array.from(this.tracks.keys()).reverse();
+    for (const id of trackIds) {
+      const pos = this.getTrackElevationPos(this.tracks.get(id), layout);
+      if ((canvasX - pos.x) ** 2 + (canvasY - pos.y) ** 2 <= radius * radius) {
+        return id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pointer down in the elevation view: pick a track and start a height drag
+   */
+  handleElevationPointerDown(pos, multi = false) {
+    const trackId = this.findElevationTrackAt(pos.x, pos.y);
+    if (!trackId) {
+      if (!multi) {
+        this.selectedIds.clear();
+        if (this.onTrackDeselect) {
+          this.onTrackDeselect(null);
+        }
+        this.render();
+      }
+      return false;
+    }
+
+    const track = this.tracks.get(trackId);
+    const trackPos = this.getTrackElevationPos(track);
+    this.isDraggingHeight = true;
+    this.dragTrackId = trackId;
+    this.dragOffset = { x: 0, y: pos.y - trackPos.y };
+    this.canvas.style.cursor = 'ns-resize';
+
+    if (!multi) {
+      this.selectedIds.clear();
+    }
+    this.selectedIds.add(trackId);
+    if (this.onTrackSelect) {
+      this.onTrackSelect(trackId, multi);
+    }
+
+    this.bringToFront(trackId);
+    this.render();
+    return true;
+  }
+
+  /**
+   * Pointer move in the elevation view: drag height or update hover
+   */
+  handleElevationPointerMove(pos) {
+    if (this.isDraggingHeight && this.dragTrackId) {
+      const layout = this.getElevationLayout();
+      const rawHeight = (layout.floorY - (pos.y - this.dragOffset.y)) / layout.pxPerMeterZ;
+      // 5cm steps
+      const height = Math.max(
+        STAGE_CONFIG.minSourceHeight,
+        Math.min(STAGE_CONFIG.maxSourceHeight, Math.round(rawHeight * 20) / 20)
+      );
+      const track = this.tracks.get(this.dragTrackId);
+      if (track && height !== track.height) {
+        track.height = height;
+        if (this.onTrackHeightChange) {
+          this.onTrackHeightChange(this.dragTrackId, height);
+        }
+        this.render();
+      }
+      return;
+    }
+
+    const trackId = this.findElevationTrackAt(pos.x, pos.y);
+    if (trackId !== this.hoveredTrackId) {
+      this.hoveredTrackId = trackId;
+      this.hoveredZone = trackId ? 'center' : null;
+      this.canvas.style.cursor = trackId ? 'ns-resize' : 'default';
+      this.render();
+    }
+  }
+
+  /**
+   * Pointer up in the elevation view: finish a height drag
+   */
+  handleElevationPointerUp() {
+    const trackId = this.isDraggingHeight ? this.dragTrackId : null;
+    this.isDraggingHeight = false;
+    this.dragTrackId = null;
+    this.canvas.style.cursor = this.hoveredTrackId ? 'ns-resize' : 'default';
+
+    const track = trackId ? this.tracks.get(trackId) : null;
+    if (track && this.onTrackHeightChangeEnd) {
+      this.onTrackHeightChangeEnd(trackId, track.height);
+    }
+  }
+
+  /**
+   * Draw the side elevation view: floor, stage, height grid, mics/listener and tracks
+   */
+  drawElevation() {
+    const ctx = this.ctx;
+    const layout = this.getElevationLayout();
+    const stageFront = this.elevationToCanvas(0, 0, layout);
+    const stageBack = this.elevationToCanvas(STAGE_CONFIG.depth, 0, layout);
+
+    ctx.save();
+
+    // Stage block
+    ctx.fillStyle = '#eeeeee';
+    ctx.fillRect(stageFront.x, layout.floorY, stageBack.x - stageFront.x, 8);
+    ctx.strokeStyle = '#cccccc';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(stageFront.x, layout.floorY, stageBack.x - stageFront.x, 8);
+
+    // Floor
+    ctx.beginPath();
+    ctx.moveTo(layout.left, layout.floorY);
+    ctx.lineTo(layout.right, layout.floorY);
+    ctx.strokeStyle = '#bbbbbb';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    // Height grid (1m) with labels
+    ctx.strokeStyle = '#dddddd';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([5, 5]);
+    ctx.fillStyle = '#888';
+    ctx.font = '10px "SF Mono", Monaco, monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let h = 1; h <= layout.maxHeight; h += 1) {
+      const y = layout.floorY - h * layout.pxPerMeterZ;
+      ctx.beginPath();
+      ctx.moveTo(layout.left, y);
+      ctx.lineTo(layout.right, y);
+      ctx.stroke();
+      ctx.fillText(`${h}m`, layout.left - 6, y);
+    }
+    ctx.setLineDash([]);
+
+    // Depth labels
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Front', stageFront.x, layout.floorY + 12);
+    ctx.fillText('Back', stageBack.x, layout.floorY + 12);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.font = '9px "SF Mono", Monaco, monospace';
+    ctx.fillText('Y↔ Height↕ (drag to raise)', layout.left, layout.top - 6);
+
+    ctx.restore();
+
+    this.drawElevationReceivers(layout);
+
+    // Tracks, back of stage first so nearer instruments draw on top
+    const anySolo = Array.from(this.tracks.values()).some(track => track.solo);
+    const ordered = Array.from(this.tracks.entries())
+      .sort(([idA, a], [idB, b]) => {
+        const selectedA = this.selectedIds.has(idA) || this.hoveredTrackId === idA;
+        const selectedB = this.selectedIds.has(idB) || this.hoveredTrackId === idB;
+        if (selectedA !== selectedB) return selectedA ? 1 : -1;
+        return b.y - a.y;
+      });
+    for (const [id, track] of ordered) {
+      this.drawElevationTrack(id, track, layout, anySolo);
+    }
+  }
+
+  /**
+   * Draw mics (or the binaural head) at their heights in the elevation view
+   */
+  drawElevationReceivers(layout) {
+    const ctx = this.ctx;
+    const pose = getListenerPose(this.micConfig);
+    const layoutConfig = applyTechniqueLayout(cloneMicConfig(this.micConfig));
+    const receivers = this.isListenerMode()
+      ? [{ label: this.renderMode === 'speakers' ? '🔊' : '🎧', world: { y: pose.y, height: pose.height } }]
+      : layoutConfig.mics
+        .filter(mic => mic.enabled)
+        .map(mic => ({ label: mic.id, world: getMicWorldPosition(mic, pose) }));
+    const spots = this.isListenerMode()
+      ? []
+      : (this.micConfig.spots || [])
+        .filter(spot => spot.enabled)
+        .map(spot => ({ label: spot.id, world: spot }));
+
+    ctx.save();
+
+    // Stand from the floor to the highest mic (or the listener height)
+    const standHeight = Math.max(pose.height, ...receivers.map(receiver => receiver.world.height ?? pose.height));
+    const seat = this.elevationToCanvas(pose.y, standHeight, layout);
+    ctx.beginPath();
+    ctx.moveTo(seat.x, layout.floorY);
+    ctx.lineTo(seat.x, seat.y);
+    ctx.strokeStyle = '#dfd0bf';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    // Spot mics stand on their own
+    for (const spot of spots) {
+      const pos = this.elevationToCanvas(spot.world.y, spot.world.height, layout);
+      ctx.beginPath();
+      ctx.moveTo(pos.x, layout.floorY);
+      ctx.lineTo(pos.x, pos.y);
+      ctx.strokeStyle = '#dfd0bf';
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    for (const receiver of [...receivers, ...spots]) {
+      const pos = this.elevationToCanvas(receiver.world.y, receiver.world.height ?? pose.height, layout);
+
+      // Aim line: the mic axis projected onto the side view, tilted down by the array tilt
+      if (receiver.world.tilt) {
+        const tiltRad = (receiver.world.tilt * Math.PI) / 180;
+        const forward = Math.cos(tiltRad) * Math.cos((receiver.world.angle * Math.PI) / 180);
+        const aim = this.elevationToCanvas(
+          receiver.world.y + forward, receiver.world.height - Math.sin(tiltRad), layout
+        );
+        const length = Math.hypot(aim.x - pos.x, aim.y - pos.y) || 1;
+        ctx.beginPath();
+        ctx.moveTo(pos.x, pos.y);
+        ctx.lineTo(pos.x + ((aim.x - pos.x) / length) * 14, pos.y + ((aim.y - pos.y) / length) * 14);
+        ctx.strokeStyle = '#b85c38';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+      }
+
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 4, 0, Math.PI * 2);
+      ctx.fillStyle = '#b85c38';
+      ctx.fill();
+      ctx.fillStyle = '#555';
+      ctx.fillText(receiver.label, pos.x, pos.y - 6);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw one track in the elevation view (riser stem + icon + tooltip)
+   */
+  drawElevationTrack(id, track, layout, anySolo) {
+    try {
+      const ctx = this.ctx;
+      const pos = this.getTrackElevationPos(track, layout);
+      const isSelected = this.selectedIds.has(id);
+      const isHovered = this.hoveredTrackId === id;
+      const color = FAMILY_COLORS[track.family] || '#888888';
+      const iconInfo = track.iconInfo || getIconInfo(track.name, track.family);
+
+      // Stem from the floor to the source
+      ctx.save();
+      ctx.beginPath();
+      ctx.moveTo(pos.x, layout.floorY);
+      ctx.lineTo(pos.x, pos.y);
+      ctx.strokeStyle = this.dimColor(color, 0.5);
+      ctx.lineWidth = isSelected ? 2 : 1;
+      ctx.stroke();
+      ctx.restore();
+
+      drawInstrumentIcon(ctx, pos.x, pos.y, iconInfo, color, this.elevationIconSize, {
+        isSelected,
+        isHovered,
+        isMuted: track.muted,
+        isSoloed: track.solo,
+        isDimmed: anySolo && !track.solo && !track.muted,
+      });
+
+      if (isHovered || (this.isDraggingHeight && this.dragTrackId === id)) {
+        const height = Number.isFinite(track.height) ? track.height : STAGE_CONFIG.sourceHeight;
+        this.drawTooltip(pos.x, pos.y - this.elevationIconSize / 2 - 8, track, [`Height: ${height.toFixed(2)} m`]);
+      }
+    } catch (err) {
+      console.error('[StageCanvas] Error drawing track elevation:', id, err);
+    }
+  }
+
+  /**
+   * Draw the extent of a wide track (line, arc or area) or a multichannel stem (pair or ring)
+   * with a dot per sub-source
+   */
+  drawTrackExtent(id, track, anySolo = false) {
+    const outline = getSourceExtentOutline(track);
+    if (!outline) return;
+
+    const ctx = this.ctx;
+    const color = FAMILY_COLORS[track.family] || '#888888';
+    const isFaded = track.muted || (anySolo && !track.solo);
+    const points = outline.points.map(point => this.trackToCanvas(point.x, point.y));
+
+    const alpha = isFaded ? 0.2 : (this.selectedIds.has(id) ? 0.6 : 0.4);
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    ctx.beginPath();
+    points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+    if (outline.closed) {
+      ctx.closePath();
+      ctx.globalAlpha = alpha / 2;
+      ctx.fill();
+      ctx.globalAlpha = alpha;
+      ctx.lineWidth = 1.5;
+    } else {
+      ctx.lineWidth = 6;
+    }
+    ctx.stroke();
+
+    for (const subSource of getSubSources(track)) {
+      const pos = this.trackToCanvas(subSource.x, subSource.y);
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
+      ctx.fillStyle = this.dimColor(color, 0.3);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
   /**
    * Draw a track node with instrument-specific icon
    * Includes real-time animation (pulse/glow) based on audio level
@@ -1690,6 +2759,15 @@ export class StageCanvas {
         }
       }
 
+      // Facing indicator (under the icon): always when turned, with a handle when selected
+      if (isSelected || track.facing) {
+        this.drawFacingIndicator(this.getTrackFacingPose(track, iconSize), color, {
+          showHandle: isSelected,
+          isHovered: isHovered && this.hoveredZone === 'rotate',
+          isActive: this.isRotating && this.dragTrackId === id,
+        });
+      }
+
       // Draw the instrument icon (handles its own shadow, fill, stroke)
       // Size now represents volume - bigger = louder
       drawInstrumentIcon(ctx, pos.x, pos.y, iconInfo, color, animatedSize, {
@@ -1711,14 +2789,97 @@ export class StageCanvas {
       }
 
       // Draw tooltip if hovered
-      if (isHovered && this.hoveredZone !== 'mute' && this.hoveredZone !== 'solo') {
-        this.drawTooltip(pos.x, pos.y - bounds.height / 2 - 25, track);
+      if (isHovered && this.hoveredZone !== 'mute' && this.hoveredZone !== 'solo' && this.hoveredZone !== 'rotate') {
+        let extraLines = null;
+        if (this.viewMode === 'imaging' && this.renderMode === 'mics') {
+          extraLines = [this.formatTrackImage(track)];
+          if (Number.isFinite(track.height) && track.height !== STAGE_CONFIG.sourceHeight) {
+            extraLines.push(`Height: ${track.height.toFixed(2)} m`);
+          }
+        }
+        this.drawTooltip(pos.x, pos.y - bounds.height / 2 - 25, track, extraLines);
       }
     } catch (err) {
       console.error('[StageCanvas] Error drawing track:', id, err);
     }
   }
 
+  /**
+   * Get a track's facing direction and handle position on canvas
+   * @param {Object} track - Canvas track
+   * @param {number} iconSize - Current icon size
+   * @returns {{x: number, y: number, dirX: number, dirY: number, edge: number, handleX: number, handleY: number}}
+   */
+  getTrackFacingPose(track, iconSize) {
+    const pos = this.trackToCanvas(track.x, track.y);
+    const iconInfo = track.iconInfo || getIconInfo(track.name, track.family);
+    const bounds = getShapeBounds(iconInfo.shape, iconSize);
+    const edge = Math.max(bounds.width, bounds.height) / 2;
+    const reach = edge + this.trackHandleGap;
+
+    // Facing 0 points down the canvas (toward the audience), positive turns clockwise (player's right)
+    const facingRad = ((track.facing || 0) * Math.PI) / 180;
+    const dirX = -Math.sin(facingRad);
+    const dirY = Math.cos(facingRad);
+
+    return {
+      x: pos.x,
+      y: pos.y,
+      dirX,
+      dirY,
+      edge,
+      handleX: pos.x + dirX * reach,
+      handleY: pos.y + dirY * reach,
+    };
+  }
+
+  /**
+   * Draw a track's facing direction (arrow beyond the icon, or a rotate handle)
+   * @param {Object} pose - Result of getTrackFacingPose
+   * @param {string} color - Family color
+   */
+  drawFacingIndicator(pose, color, { showHandle = false, isHovered = false, isActive = false } = {}) {
+    const ctx = this.ctx;
+    const highlight = isHovered || isActive;
+    const startX = pose.x + pose.dirX * pose.edge;
+    const startY = pose.y + pose.dirY * pose.edge;
+
+    ctx.save();
+
+    ctx.beginPath();
+    ctx.moveTo(startX, startY);
+    ctx.lineTo(pose.handleX, pose.handleY);
+    ctx.strokeStyle = highlight ? '#b85c38' : color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(showHandle ? [2, 3] : []);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (showHandle) {
+      ctx.beginPath();
+      ctx.arc(pose.handleX, pose.handleY, highlight ? 5 : 4, 0, Math.PI * 2);
+      ctx.fillStyle = highlight ? '#b85c38' : '#fff4e6';
+      ctx.fill();
+      ctx.strokeStyle = highlight ? '#8c3f21' : color;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    } else {
+      // Arrowhead
+      const size = 5;
+      const perpX = -pose.dirY;
+      const perpY = pose.dirX;
+      ctx.beginPath();
+      ctx.moveTo(pose.handleX, pose.handleY);
+      ctx.lineTo(pose.handleX - pose.dirX * size + perpX * size * 0.6, pose.handleY - pose.dirY * size + perpY * size * 0.6);
+      ctx.lineTo(pose.handleX - pose.dirX * size - perpX * size * 0.6, pose.handleY - pose.dirY * size - perpY * size * 0.6);
+      ctx.closePath();
+      ctx.fillStyle = color;
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
   /**
    * Draw mute icon
    */
@@ -1857,10 +3018,18 @@ export class StageCanvas {
   /**
    * Draw a tooltip
    */
-  drawTooltip(x, y, track) {
+  drawTooltip(x, y, track, extraLines = null) {
     const ctx = this.ctx;
     const displayName = this.getDisplayName(track);
-    const text = `${displayName}\nGain: ${track.gain.toFixed(2)}`;
+    let text = `${displayName}\nGain: ${track.gain.toFixed(2)}`;
+    if (track.facing) {
+      text += `\nFacing: ${track.facing > 0 ? '+' : ''}${track.facing}°`;
+    }
+    if (extraLines) {
+      text += `\n${extraLines.join('\n')}`;
+    } else if (Number.isFinite(track.height) && track.height !== STAGE_CONFIG.sourceHeight) {
+      text += `\nHeight: ${track.height.toFixed(2)} m`;
+    }
     const lines = text.split('\n');
 
     ctx.save();
@@ -1,15 +1,30 @@
 // WAV file encoder
 
+// WAVE_FORMAT_EXTENSIBLE: PCM with a speaker channel mask (e.g. 5.1/7.1 layouts)
+const FORMAT_PCM = 1;
+const FORMAT_EXTENSIBLE = 0xFFFE;
+// KSDATAFORMAT_SUBTYPE_PCM (00000001-0000-0010-8000-00aa00389b71) as stored in the file
+const PCM_SUBFORMAT_GUID = [
+  0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10, 0x00,
+  0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71,
+];
+
 /**
  * Convert an AudioBuffer to a WAV file ArrayBuffer
  * @param {AudioBuffer} audioBuffer - Audio buffer to convert
+ * @param {Object} [options]
+ * @param {number} [options.channelMask] - Speaker positions of the channels (WAVEFORMATEXTENSIBLE dwChannelMask);
+ *   when set, the file uses the extensible format so players map the channels to their speakers
  * @returns {ArrayBuffer} - WAV file data
  */
-export function audioBufferToWav(audioBuffer) {
+export function audioBufferToWav(audioBuffer, { channelMask = null } = {}) {
   const numChannels = audioBuffer.numberOfChannels;
   const sampleRate = audioBuffer.sampleRate;
-  const format = 1; // PCM
+  const extensible = Number.isInteger(channelMask);
+  const format = extensible ? FORMAT_EXTENSIBLE : FORMAT_PCM;
   const bitsPerSample = 16;
+  const fmtLength = extensible ? 40 : 16;
+  const headerLength = 28 + fmtLength;
 
   // Get channel data
   const channels = [];
@@ -29,26 +44,32 @@ export function audioBufferToWav(audioBuffer) {
 
   // Convert to 16-bit PCM
   const dataLength = interleaved.length * (bitsPerSample / 8);
-  const buffer = new ArrayBuffer(44 + dataLength);
+  const buffer = new ArrayBuffer(headerLength + dataLength);
   const view = new DataView(buffer);
 
   // Write WAV header
   writeString(view, 0, 'RIFF');
-  view.setUint32(4, 36 + dataLength, true);
+  view.setUint32(4, headerLength - 8 + dataLength, true);
   writeString(view, 8, 'WAVE');
   writeString(view, 12, 'fmt ');
-  view.setUint32(16, 16, true); // Subchunk1Size
+  view.setUint32(16, fmtLength, true); // Subchunk1Size
   view.setUint16(20, format, true);
   view.setUint16(22, numChannels, true);
   view.setUint32(24, sampleRate, true);
   view.setUint32(28, sampleRate * numChannels * (bitsPerSample / 8), true); // ByteRate
   view.setUint16(32, numChannels * (bitsPerSample / 8), true); // BlockAlign
   view.setUint16(34, bitsPerSample, true);
-  writeString(view, 36, 'data');
-  view.setUint32(40, dataLength, true);
+  if (extensible) {
+    view.setUint16(36, 22, true); // cbSize
+    view.setUint16(38, bitsPerSample, true); // ValidBitsPerSample
+    view.setUint32(40, channelMask, true);
+    PCM_SUBFORMAT_GUID.forEach((byte, i) => view.setUint8(44 + i, byte));
+  }
+  writeString(view, headerLength - 8, 'data');
+  view.setUint32(headerLength - 4, dataLength, true);
 
   // Write audio data
-  floatTo16BitPCM(view, 44, interleaved);
+  floatTo16BitPCM(view, headerLength, interleaved);
 
   return buffer;
 }